@@ -1,4 +1,13 @@
 import React, { useState, useEffect } from 'react';
+import StoryHistory from './StoryHistory';
+import PromptEditor from './PromptEditor';
+import BatchProgress from './BatchProgress';
+import DeadLetters from './DeadLetters';
+import SchedulerSettings from './SchedulerSettings';
+import UsageReport from './UsageReport';
+import DryRunResults from './DryRunResults';
+import PromptExperiments from './PromptExperiments';
+import JiraFieldMapping from './JiraFieldMapping';
 
 function App() {
   const [transcripts, setTranscripts] = useState([]);
@@ -23,6 +32,24 @@ function App() {
   });
   const [showJiraConfig, setShowJiraConfig] = useState(false);
   const [deployingToJira, setDeployingToJira] = useState(null);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [regeneratingId, setRegeneratingId] = useState(null);
+  const [historyStory, setHistoryStory] = useState(null);
+  const [showPromptEditor, setShowPromptEditor] = useState(false);
+  const [showDeadLetters, setShowDeadLetters] = useState(false);
+  const [showScheduler, setShowScheduler] = useState(false);
+  const [showUsage, setShowUsage] = useState(false);
+  const [showExperiments, setShowExperiments] = useState(false);
+  const [showJiraMapping, setShowJiraMapping] = useState(false);
+  const [deadLetterCount, setDeadLetterCount] = useState(0);
+  const [contexts, setContexts] = useState([]);
+  const [transcriptContexts, setTranscriptContexts] = useState({});
+  const [uploading, setUploading] = useState(false);
+  // Ask for a fresh LLM answer instead of a cached extraction
+  const [bypassCache, setBypassCache] = useState(false);
+  // Extract and preview what would be sent, without storing or sending anything
+  const [dryRun, setDryRun] = useState(false);
+  const [dryRunResults, setDryRunResults] = useState(null);
 
   // Slack integration state
   const [slackConfig, setSlackConfig] = useState({
@@ -30,6 +57,7 @@ function App() {
   });
   const [showSlackConfig, setShowSlackConfig] = useState(false);
   const [autoProcessing, setAutoProcessing] = useState(false);
+  const [batchJob, setBatchJob] = useState(null);
 
   // Load configs from localStorage on startup
   useEffect(() => {
@@ -102,6 +130,190 @@ function App() {
     setLoading(false);
   };
 
+  // Stories live on the server so cron, webhook and manual runs all show up here
+  const loadStories = async () => {
+    try {
+      const response = await fetch('/api/stories');
+      const data = await response.json();
+      
+      if (response.ok) {
+        setProcessedStories(data);
+        console.log(`Loaded ${data.length} stories`);
+      } else {
+        setError(data.error || 'Failed to load stories');
+      }
+    } catch (err) {
+      console.error('Error loading stories:', err);
+    }
+  };
+
+  const loadContexts = async () => {
+    try {
+      const response = await fetch('/api/contexts');
+      const data = await response.json();
+      
+      if (response.ok) {
+        setContexts(data.contexts);
+      }
+    } catch (err) {
+      console.error('Error loading product contexts:', err);
+    }
+  };
+
+  // Operations that kept failing and wait for a retry - shown as a count on the sidebar button
+  const loadDeadLetterCount = async () => {
+    try {
+      const response = await fetch('/api/dead-letters');
+      const data = await response.json();
+      
+      if (response.ok) {
+        setDeadLetterCount(data.entries.length);
+      }
+    } catch (err) {
+      console.error('Error loading failed operations:', err);
+    }
+  };
+
+  const refreshData = async () => {
+    await Promise.all([loadTranscripts(), loadStories(), loadContexts(), loadDeadLetterCount()]);
+  };
+
+  const deleteStory = async (story) => {
+    if (!window.confirm(`Delete "${story.title}"?`)) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/stories/${story.id}`, { method: 'DELETE' });
+      
+      if (response.ok) {
+        setProcessedStories(prev => prev.filter(s => s.id !== story.id));
+      } else {
+        const result = await response.json();
+        alert('❌ Delete failed: ' + result.error);
+      }
+    } catch (err) {
+      alert('❌ Delete error: ' + err.message);
+    }
+  };
+
+  // Review workflow - stories only reach Slack or JIRA once approved
+  const reviewStory = async (story, action, body = {}) => {
+    setReviewingId(story.id);
+    
+    try {
+      const response = await fetch(`/api/stories/${story.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      
+      const result = await response.json();
+      
+      if (response.ok) {
+        setProcessedStories(prev => prev.map(s => s.id === story.id ? result : s));
+      } else {
+        alert(`❌ Could not ${action} story: ` + result.error);
+      }
+    } catch (err) {
+      alert(`❌ Review error: ` + err.message);
+    }
+    
+    setReviewingId(null);
+  };
+
+  const approveStory = (story) => reviewStory(story, 'approve', {
+    slackWebhook: slackConfig.webhookUrl || undefined
+  });
+
+  const rejectStory = (story) => {
+    const reason = window.prompt(`Reject "${story.title}"? Optional reason:`, '');
+    if (reason === null) {
+      return;
+    }
+    reviewStory(story, 'reject', { reason });
+  };
+
+  // Regenerate one story in place - the server keeps every version
+  const regenerateStory = async (story) => {
+    const guidance = window.prompt('🔄 Guidance for SkyNet (optional), e.g. "split this" or "focus on the API part":', '');
+    if (guidance === null) {
+      return;
+    }
+    
+    setRegeneratingId(story.id);
+    
+    try {
+      const sourceTranscript = transcripts.find(t => t.id === story.sourceTranscriptId);
+      const response = await fetch(`/api/stories/${story.id}/regenerate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          guidance,
+          transcript: sourceTranscript?.content || undefined
+        })
+      });
+      
+      const result = await response.json();
+      
+      if (response.ok) {
+        setProcessedStories(prev => [
+          ...prev.map(s => s.id === story.id ? result.story : s),
+          ...result.splitStories
+        ]);
+        if (result.splitStories.length > 0) {
+          alert(`✂️ Story split into ${result.splitStories.length + 1} stories.`);
+        }
+      } else {
+        alert('❌ Regeneration failed: ' + result.error);
+      }
+    } catch (err) {
+      alert('❌ Regeneration error: ' + err.message);
+    }
+    
+    setRegeneratingId(null);
+  };
+
+  // Re-run a whole transcript - matching stories get a new version instead of a new ID
+  const regenerateTranscript = async (transcript) => {
+    const guidance = window.prompt(`🔄 Regenerate all stories from "${transcript.title}"? Optional guidance:`, '');
+    if (guidance === null) {
+      return;
+    }
+    
+    setProcessingId(transcript.id);
+    
+    try {
+      const response = await fetch(`/api/transcripts/${transcript.id}/regenerate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          guidance,
+          transcript: transcript.content,
+          title: transcript.title,
+          context: transcriptContexts[transcript.id] || undefined
+        })
+      });
+      
+      const result = await response.json();
+      
+      if (response.ok) {
+        await loadStories();
+        await loadTranscripts();
+        alert(`🔄 Regeneration complete!\n\n` +
+          `✏️ ${result.updated.length} stories updated\n` +
+          `✨ ${result.created.length} new stories\n` +
+          `❔ ${result.unmatchedStoryIds.length} existing stories not matched`);
+      } else {
+        alert('❌ Regeneration failed: ' + result.error);
+      }
+    } catch (err) {
+      alert('❌ Regeneration error: ' + err.message);
+    }
+    
+    setProcessingId(null);
+  };
+
   const processTranscript = async (transcript) => {
     setProcessingId(transcript.id);
     setError('');
@@ -113,15 +325,28 @@ function App() {
         body: JSON.stringify({ 
           transcript: transcript.content,
           title: transcript.title,
+          transcriptId: transcript.id,
           slackWebhook: slackConfig.webhookUrl || undefined,
-          fathomShareUrl: transcript.fathomShareUrl || undefined
+          fathomShareUrl: transcript.fathomShareUrl || undefined,
+          attendees: transcript.attendees,
+          team: transcript.team,
+          notionSource: transcript.notionSource,
+          context: transcriptContexts[transcript.id] || undefined,
+          bypassCache,
+          dryRun,
+          jiraConfig: dryRun ? { projectKey: jiraConfig.projectKey } : undefined
         })
       });
       
       const result = await response.json();
       
-      if (response.ok && result.stories) {
-        setProcessedStories(prev => [...prev, ...result.stories]);
+      if (response.ok && result.dryRun) {
+        setDryRunResults({
+          title: transcript.title,
+          previews: [{ transcriptId: transcript.id, title: transcript.title, stories: result.stories, deliveries: result.deliveries }]
+        });
+      } else if (response.ok && result.stories) {
+        await loadStories();
         setTranscripts(prev => prev.map(t => 
           t.id === transcript.id ? {...t, processed: true} : t
         ));
@@ -129,9 +354,11 @@ function App() {
         
         const highConfidenceStories = result.stories.filter(s => s.confidence >= 0.7);
         
+        const draftCount = result.stories.filter(s => s.status === 'draft').length;
+        
         let successMessage = `🤖 SkyNet Mission Complete! 🚀\n\n` +
               `Generated ${result.stories.length} autonomous dev stories from "${transcript.title}"\n` +
-              `${highConfidenceStories.length} high-confidence stories ready for deployment.\n\n`;
+              `${highConfidenceStories.length} high-confidence stories, ${draftCount} awaiting review.\n\n`;
         
         if (result.slackSummary?.enabled) {
           successMessage += `📱 Slack Notifications:\n` +
@@ -154,70 +381,128 @@ function App() {
     setProcessingId(null);
   };
 
-  const processMultiple = async () => {
-    const unprocessed = transcripts.filter(t => !t.processed).slice(0, 3);
-    setLoading(true);
+  // Upload a .txt/.vtt/.srt/.json transcript - the server parses it and runs the story pipeline
+  const uploadTranscript = async (file, force = false) => {
+    setUploading(true);
+    setError('');
     
-    for (const transcript of unprocessed) {
-      await processTranscript(transcript);
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    try {
+      const response = await fetch('/api/transcripts/upload', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          filename: file.name,
+          content: await file.text(),
+          slackWebhook: slackConfig.webhookUrl || undefined,
+          force,
+          bypassCache,
+          dryRun,
+          jiraConfig: dryRun ? { projectKey: jiraConfig.projectKey } : undefined
+        })
+      });
+      
+      const result = await response.json();
+      
+      if (response.status === 409) {
+        setUploading(false);
+        if (window.confirm(`"${file.name}" was already processed. Process it again?`)) {
+          await uploadTranscript(file, true);
+        }
+        return;
+      }
+      
+      if (response.ok && result.dryRun) {
+        setDryRunResults({
+          title: result.transcript.title,
+          previews: [{ transcriptId: result.transcript.id, title: result.transcript.title, stories: result.stories, deliveries: result.deliveries }]
+        });
+      } else if (response.ok) {
+        await Promise.all([loadTranscripts(), loadStories()]);
+        setActiveTab('stories');
+        alert(`📤 Upload complete!
+
+` +
+          `Parsed "${result.transcript.title}" (${result.transcript.format.toUpperCase()}, ${result.transcript.speakers.length} speakers)
+` +
+          `Generated ${result.stories.length} stories, ${result.stories.filter(s => s.status === 'draft').length} awaiting review.`);
+      } else {
+        setError(result.error || 'Failed to upload transcript');
+        alert('❌ Upload failed: ' + (result.error || 'Unknown error'));
+      }
+    } catch (err) {
+      setError('Failed to upload transcript: ' + err.message);
+      alert('❌ Upload error: ' + err.message);
     }
     
-    setLoading(false);
+    setUploading(false);
   };
 
-  const autoProcessAll = async () => {
-    if (!window.confirm('🤖 SkyNet will autonomously process ALL transcripts. Continue?')) {
-      return;
-    }
-    
-    setAutoProcessing(true);
+  // Batches run as background jobs on the server; BatchProgress streams their progress
+  const startBatch = async (url, body, label) => {
     setError('');
     
     try {
-      const response = await fetch('/api/auto-process-all', {
+      const response = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          slackWebhook: slackConfig.webhookUrl || undefined
+          ...body,
+          slackWebhook: slackConfig.webhookUrl || undefined,
+          bypassCache,
+          dryRun,
+          jiraConfig: dryRun ? { projectKey: jiraConfig.projectKey } : undefined
         })
       });
       
       const result = await response.json();
       
       if (response.ok) {
-        const allNewStories = result.results.flatMap(r => r.stories || []);
-        setProcessedStories(prev => [...prev, ...allNewStories]);
-        
-        setTranscripts(prev => prev.map(t => ({
-          ...t,
-          processed: true
-        })));
-        
-        setActiveTab('stories');
-        
-        let successMessage = `🎉 SkyNet Auto-Processing Complete!\n\n` +
-          `📊 Analyzed: ${result.transcriptsAnalyzed} transcripts\n` +
-          `⚡ Processed: ${result.transcriptsProcessed} with dev content\n` +
-          `🚀 Generated: ${result.totalStories} development stories\n`;
-        
-        if (result.slackSummary?.enabled) {
-          successMessage += `\n📱 Slack Notifications:\n` +
-            `✅ ${result.slackSummary.successfulNotifications} sent\n` +
-            `❌ ${result.slackSummary.failedNotifications} failed\n`;
-        }
-        
-        alert(successMessage);
-      } else {
-        setError(result.error || 'Auto-processing failed');
-        alert('❌ Auto-processing failed: ' + result.error);
+        setBatchJob({ id: result.jobId, label: dryRun ? `${label} (dry run)` : label, finished: false, dryRun });
+        return true;
       }
+      setError(result.error || `${label} failed`);
+      alert(`❌ ${label} failed: ` + result.error);
     } catch (err) {
-      setError('Auto-processing error: ' + err.message);
-      alert('❌ Auto-processing error: ' + err.message);
+      setError(`${label} error: ` + err.message);
+      alert(`❌ ${label} error: ` + err.message);
+    }
+    return false;
+  };
+
+  const finishBatch = async (job) => {
+    setBatchJob(prev => prev && { ...prev, finished: true });
+    const dryRunChildren = (job?.children || []).filter(child => child.dryRun);
+    if (dryRunChildren.length > 0) {
+      setDryRunResults({ title: batchJob?.label || 'Batch', previews: dryRunChildren });
     }
-    
     setAutoProcessing(false);
+    await loadStories();
+    await loadTranscripts();
+    await loadDeadLetterCount();
+  };
+
+  const processMultiple = async () => {
+    const unprocessed = transcripts.filter(t => !t.processed).slice(0, 3);
+    
+    await startBatch('/api/transcripts/process-batch', {
+      transcripts: unprocessed.map(t => ({
+        id: t.id,
+        title: t.title,
+        sourceId: t.notionSource,
+        context: transcriptContexts[t.id] || undefined
+      }))
+    }, `Processing ${unprocessed.length} transcripts`);
+  };
+
+  const autoProcessAll = async () => {
+    if (!window.confirm('🤖 SkyNet will autonomously process ALL transcripts. Continue?')) {
+      return;
+    }
+    
+    setAutoProcessing(true);
+    if (!await startBatch('/api/auto-process-all', {}, 'Auto-Process ALL')) {
+      setAutoProcessing(false);
+    }
   };
 
   const deployToJira = async (story) => {
@@ -242,12 +527,24 @@ function App() {
       const result = await response.json();
       
       if (response.ok) {
-        alert(`🚀 SkyNet deployed story to JIRA!\n\nTicket: ${result.key}\nURL: ${result.url}`);
+        const epicLine = result.epic
+          ? `\nEpic: ${result.epic.key} ${result.epic.name}${result.epic.created ? ' (created)' : ''}`
+          : result.epicError ? `\n\n⚠️ Not linked to epic "${story.epic}": ${result.epicError}` : '';
+        alert(`🚀 SkyNet deployed story to JIRA!\n\nTicket: ${result.key}\nURL: ${result.url}${epicLine}`);
         setProcessedStories(prev => prev.map(s => 
-          s.id === story.id ? {...s, deployedToJira: result.key} : s
+          s.id === story.id ? {
+            ...s,
+            status: 'deployed',
+            deployedToJira: result.key,
+            jiraUrl: result.url,
+            jiraEpic: result.epic ? { key: result.epic.key, name: result.epic.name, url: result.epic.url } : null,
+            jiraEpicError: result.epicError
+          } : s
         ));
       } else {
-        alert('❌ JIRA deployment failed: ' + result.error);
+        alert('❌ JIRA deployment failed: ' + result.error +
+          (result.deadLetterId ? '\n\nIt was added to Failed Operations so you can retry it later.' : ''));
+        loadDeadLetterCount();
       }
     } catch (err) {
       alert('❌ JIRA deployment error: ' + err.message);
@@ -283,6 +580,15 @@ function App() {
       case 'needs-review':
         stories = stories.filter(s => s.confidence < 0.7);
         break;
+      case 'repaired':
+        stories = stories.filter(s => s.repaired);
+        break;
+      case 'draft':
+      case 'approved':
+      case 'rejected':
+      case 'deployed':
+        stories = stories.filter(s => (s.status || 'draft') === filterBy);
+        break;
       default:
         break;
     }
@@ -315,6 +621,9 @@ function App() {
 
   useEffect(() => {
     loadTranscripts();
+    loadStories();
+    loadContexts();
+    loadDeadLetterCount();
     
     const style = document.createElement('style');
     style.textContent = `
@@ -357,6 +666,16 @@ function App() {
     }
   };
 
+  const getStatusColor = (status) => {
+    switch(status) {
+      case 'approved': return '#22c55e';
+      case 'rejected': return '#ef4444';
+      case 'deployed': return '#3b82f6';
+      case 'draft':
+      default: return '#eab308';
+    }
+  };
+
   const getSlackStatusIndicator = (story) => {
     if (!story.slackStatus) {
       return (
@@ -661,6 +980,20 @@ function App() {
                 </div>
               </div>
 
+              <div style={{
+                backgroundColor: '#374151',
+                borderRadius: '8px',
+                padding: '12px',
+                marginBottom: '12px'
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                  <span style={{ fontSize: '14px', color: '#d1d5db' }}>Awaiting Review</span>
+                  <span style={{ fontWeight: 'bold', color: '#eab308' }}>
+                    {processedStories.filter(s => (s.status || 'draft') === 'draft').length}
+                  </span>
+                </div>
+              </div>
+
               <div style={{
                 backgroundColor: '#374151',
                 borderRadius: '8px',
@@ -725,6 +1058,77 @@ function App() {
                 {jiraConfig.url ? '✅ JIRA Connected' : 'JIRA Setup'}
               </button>
               
+              <button
+                onClick={() => setShowPromptEditor(true)}
+                style={{
+                  ...styles.button,
+                  ...styles.buttonSecondary,
+                  width: '100%',
+                  justifyContent: 'center',
+                  marginTop: '8px'
+                }}
+              >
+                <span>📝</span>
+                Prompt Templates
+              </button>
+              
+              <button
+                onClick={() => setShowScheduler(true)}
+                style={{
+                  ...styles.button,
+                  ...styles.buttonSecondary,
+                  width: '100%',
+                  justifyContent: 'center',
+                  marginTop: '8px'
+                }}
+              >
+                <span>🕒</span>
+                Auto-Processing Schedule
+              </button>
+              
+              <button
+                onClick={() => setShowUsage(true)}
+                style={{
+                  ...styles.button,
+                  ...styles.buttonSecondary,
+                  width: '100%',
+                  justifyContent: 'center',
+                  marginTop: '8px'
+                }}
+              >
+                <span>💸</span>
+                LLM Usage & Budgets
+              </button>
+              
+              <button
+                onClick={() => setShowExperiments(true)}
+                style={{
+                  ...styles.button,
+                  ...styles.buttonSecondary,
+                  width: '100%',
+                  justifyContent: 'center',
+                  marginTop: '8px'
+                }}
+              >
+                <span>⚖️</span>
+                Compare Prompts & Models
+              </button>
+              
+              <button
+                onClick={() => setShowDeadLetters(true)}
+                style={{
+                  ...styles.button,
+                  ...styles.buttonSecondary,
+                  width: '100%',
+                  justifyContent: 'center',
+                  marginTop: '8px',
+                  ...(deadLetterCount > 0 ? { color: '#fca5a5' } : {})
+                }}
+              >
+                <span>📮</span>
+                Failed Operations{deadLetterCount > 0 ? ` (${deadLetterCount})` : ''}
+              </button>
+              
               {(jiraConfig.url || slackConfig.webhookUrl) && (
                 <div style={{
                   marginTop: '8px',
@@ -761,6 +1165,22 @@ function App() {
                         🗑️ Clear Slack
                       </button>
                     )}
+                    {jiraConfig.url && (
+                      <button
+                        onClick={() => setShowJiraMapping(true)}
+                        style={{
+                          padding: '2px 6px',
+                          backgroundColor: '#3b82f6',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: '4px',
+                          fontSize: '10px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        🧩 Field Mapping
+                      </button>
+                    )}
                     {jiraConfig.url && (
                       <button
                         onClick={clearJiraConfig}
@@ -835,7 +1255,7 @@ function App() {
 
           <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
             <button
-              onClick={loadTranscripts}
+              onClick={refreshData}
               disabled={loading}
               style={{
                 ...styles.button,
@@ -859,15 +1279,41 @@ function App() {
 
             {activeTab === 'transcripts' && (
               <>
+                <label
+                  title="Upload a TXT, VTT, SRT or JSON transcript"
+                  style={{
+                    ...styles.button,
+                    ...styles.buttonSecondary,
+                    opacity: uploading ? 0.5 : 1,
+                    cursor: uploading ? 'not-allowed' : 'pointer'
+                  }}
+                >
+                  <span>📤</span>
+                  {uploading ? 'Uploading...' : 'Upload Transcript'}
+                  <input
+                    type="file"
+                    accept=".txt,.vtt,.srt,.json"
+                    disabled={uploading}
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      e.target.value = '';
+                      if (file) {
+                        uploadTranscript(file);
+                      }
+                    }}
+                  />
+                </label>
+
                 <button
                   onClick={processMultiple}
-                  disabled={loading || transcripts.filter(t => !t.processed).length === 0}
+                  disabled={loading || (batchJob && !batchJob.finished) || transcripts.filter(t => !t.processed).length === 0}
                   style={{
                     ...styles.button,
                     background: 'linear-gradient(135deg, #22c55e, #16a34a)',
                     color: 'white',
-                    opacity: (loading || transcripts.filter(t => !t.processed).length === 0) ? 0.5 : 1,
-                    cursor: (loading || transcripts.filter(t => !t.processed).length === 0) ? 'not-allowed' : 'pointer',
+                    opacity: (loading || (batchJob && !batchJob.finished) || transcripts.filter(t => !t.processed).length === 0) ? 0.5 : 1,
+                    cursor: (loading || (batchJob && !batchJob.finished) || transcripts.filter(t => !t.processed).length === 0) ? 'not-allowed' : 'pointer',
                     boxShadow: loading ? '0 0 20px rgba(34, 197, 94, 0.5)' : 'none',
                     animation: loading ? 'pulse 2s infinite' : 'none'
                   }}
@@ -903,6 +1349,30 @@ function App() {
                   </span>
                   {autoProcessing ? 'Auto-Processing...' : `🚀 Auto-Process ALL (${transcripts.length})`}
                 </button>
+
+                <label
+                  title="Call the LLM even when this transcript was already extracted with the same prompts, context and model"
+                  style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#9ca3af', fontSize: '13px', cursor: 'pointer' }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={bypassCache}
+                    onChange={(e) => setBypassCache(e.target.checked)}
+                  />
+                  Bypass cache
+                </label>
+
+                <label
+                  title="Extract stories and show the Slack messages and JIRA issues they would produce - nothing is stored or sent"
+                  style={{ display: 'flex', alignItems: 'center', gap: '6px', color: dryRun ? '#fcd34d' : '#9ca3af', fontSize: '13px', cursor: 'pointer' }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={dryRun}
+                    onChange={(e) => setDryRun(e.target.checked)}
+                  />
+                  🧪 Dry run
+                </label>
               </>
             )}
           </div>
@@ -937,6 +1407,19 @@ function App() {
                           <span>👥</span>
                           {transcript.wordCount} words
                         </span>
+                        {transcript.team && (
+                          <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                            <span>🏷️</span>
+                            {transcript.team}
+                          </span>
+                        )}
+                        {transcript.source === 'upload' && (
+                          <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                            <span>📤</span>
+                            Uploaded {transcript.format?.toUpperCase()}
+                            {transcript.speakers?.length > 0 && ` • ${transcript.speakers.length} speakers`}
+                          </span>
+                        )}
                         {transcript.fathomShareUrl && (
                           <a 
                             href={transcript.fathomShareUrl} 
@@ -961,58 +1444,115 @@ function App() {
                             Processed
                           </span>
                         )}
+                        {['failed', 'skipped-too-short', 'skipped-no-stories'].includes(transcript.ledgerState) && (
+                          <span 
+                            title={transcript.ledgerError || ''}
+                            style={{ display: 'flex', alignItems: 'center', gap: '4px', color: transcript.ledgerState === 'failed' ? '#f87171' : '#9ca3af' }}
+                          >
+                            <span>{transcript.ledgerState === 'failed' ? '❌' : '⏭️'}</span>
+                            {transcript.ledgerState === 'failed' ? 'Failed'
+                              : transcript.ledgerState === 'skipped-no-stories' ? 'Skipped: no stories' : 'Skipped: too short'}
+                          </span>
+                        )}
+                        {transcript.contentChanged && (
+                          <span 
+                            title="The transcript was edited in Notion after its stories were generated"
+                            style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#fbbf24' }}
+                          >
+                            <span>✏️</span>
+                            Changed since processing
+                          </span>
+                        )}
+                        {(transcript.processed || transcript.contentChanged) && processingId !== transcript.id && (
+                          <button
+                            onClick={() => regenerateTranscript(transcript)}
+                            style={{
+                              padding: '2px 8px',
+                              backgroundColor: transcript.contentChanged ? '#92400e' : '#374151',
+                              color: '#d1d5db',
+                              border: '1px solid #4b5563',
+                              borderRadius: '4px',
+                              fontSize: '12px',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            🔄 Regenerate
+                          </button>
+                        )}
                       </div>
                     </div>
                     
-                    <button
-                      onClick={() => processTranscript(transcript)}
-                      disabled={transcript.processed || processingId === transcript.id}
-                      style={{
-                        ...styles.button,
-                        background: transcript.processed 
-                          ? 'linear-gradient(135deg, #4b5563, #6b7280)' 
-                          : processingId === transcript.id
-                            ? 'linear-gradient(45deg, #3b82f6, #8b5cf6, #3b82f6)'
-                            : 'linear-gradient(135deg, #3b82f6, #1d4ed8)',
-                        backgroundSize: processingId === transcript.id ? '200% 200%' : '100% 100%',
-                        animation: processingId === transcript.id ? 'skynetPulse 2s ease-in-out infinite' : 'none',
-                        color: transcript.processed ? '#9ca3af' : 'white',
-                        cursor: (transcript.processed || processingId === transcript.id) ? 'not-allowed' : 'pointer',
-                        boxShadow: processingId === transcript.id ? '0 0 25px rgba(59, 130, 246, 0.7)' : 'none',
-                        border: processingId === transcript.id ? '2px solid rgba(59, 130, 246, 0.5)' : 'none'
-                      }}
-                    >
-                      {processingId === transcript.id ? (
-                        <>
-                          <span style={{
-                            animation: 'rotate 1s linear infinite',
-                            filter: 'drop-shadow(0 0 5px #fff)'
-                          }}>
-                            🤖
-                          </span>
-                          <span style={{
-                            background: 'linear-gradient(45deg, #fff, #60a5fa, #fff)',
-                            backgroundSize: '200% 200%',
-                            animation: 'shimmer 1.5s ease-in-out infinite',
-                            backgroundClip: 'text',
-                            WebkitBackgroundClip: 'text',
-                            WebkitTextFillColor: 'transparent'
-                          }}>
-                            SkyNet Analyzing...
-                          </span>
-                        </>
-                      ) : transcript.processed ? (
-                        <>
-                          <span>✅</span>
-                          Mission Complete
-                        </>
-                      ) : (
-                        <>
-                          <span>🚀</span>
-                          Activate SkyNet
-                        </>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      {contexts.length > 1 && (
+                        <select
+                          value={transcriptContexts[transcript.id] || ''}
+                          onChange={(e) => setTranscriptContexts(prev => ({ ...prev, [transcript.id]: e.target.value }))}
+                          title="Product context used for story generation"
+                          style={{
+                            padding: '8px',
+                            backgroundColor: '#374151',
+                            border: '1px solid #4b5563',
+                            borderRadius: '6px',
+                            color: '#d1d5db',
+                            fontSize: '13px'
+                          }}
+                        >
+                          <option value="">📚 Auto{transcript.suggestedContext ? ` (${transcript.suggestedContext})` : ''}</option>
+                          {contexts.map(context => (
+                            <option key={context.name} value={context.name}>📚 {context.name}</option>
+                          ))}
+                        </select>
                       )}
-                    </button>
+                      <button
+                        onClick={() => processTranscript(transcript)}
+                        disabled={transcript.processed || processingId === transcript.id}
+                        style={{
+                          ...styles.button,
+                          background: transcript.processed 
+                            ? 'linear-gradient(135deg, #4b5563, #6b7280)' 
+                            : processingId === transcript.id
+                              ? 'linear-gradient(45deg, #3b82f6, #8b5cf6, #3b82f6)'
+                              : 'linear-gradient(135deg, #3b82f6, #1d4ed8)',
+                          backgroundSize: processingId === transcript.id ? '200% 200%' : '100% 100%',
+                          animation: processingId === transcript.id ? 'skynetPulse 2s ease-in-out infinite' : 'none',
+                          color: transcript.processed ? '#9ca3af' : 'white',
+                          cursor: (transcript.processed || processingId === transcript.id) ? 'not-allowed' : 'pointer',
+                          boxShadow: processingId === transcript.id ? '0 0 25px rgba(59, 130, 246, 0.7)' : 'none',
+                          border: processingId === transcript.id ? '2px solid rgba(59, 130, 246, 0.5)' : 'none'
+                        }}
+                      >
+                        {processingId === transcript.id ? (
+                          <>
+                            <span style={{
+                              animation: 'rotate 1s linear infinite',
+                              filter: 'drop-shadow(0 0 5px #fff)'
+                            }}>
+                              🤖
+                            </span>
+                            <span style={{
+                              background: 'linear-gradient(45deg, #fff, #60a5fa, #fff)',
+                              backgroundSize: '200% 200%',
+                              animation: 'shimmer 1.5s ease-in-out infinite',
+                              backgroundClip: 'text',
+                              WebkitBackgroundClip: 'text',
+                              WebkitTextFillColor: 'transparent'
+                            }}>
+                              SkyNet Analyzing...
+                            </span>
+                          </>
+                        ) : transcript.processed ? (
+                          <>
+                            <span>✅</span>
+                            Mission Complete
+                          </>
+                        ) : (
+                          <>
+                            <span>🚀</span>
+                            Activate SkyNet
+                          </>
+                        )}
+                      </button>
+                    </div>
                   </div>
                   
                   <details style={styles.details}>
@@ -1116,6 +1656,11 @@ function App() {
                       <option value="high-confidence">✅ High Confidence ({processedStories.filter(s => s.confidence >= 0.8).length})</option>
                       <option value="recent">🕐 Recent (2 days)</option>
                       <option value="needs-review">⚠️ Needs Review ({processedStories.filter(s => s.confidence < 0.7).length})</option>
+                      <option value="draft">📝 Awaiting Approval ({processedStories.filter(s => (s.status || 'draft') === 'draft').length})</option>
+                      <option value="approved">👍 Approved ({processedStories.filter(s => s.status === 'approved').length})</option>
+                      <option value="rejected">🚫 Rejected ({processedStories.filter(s => s.status === 'rejected').length})</option>
+                      <option value="deployed">🚀 Deployed ({processedStories.filter(s => s.status === 'deployed').length})</option>
+                      <option value="repaired">🛠️ Repaired by SkyNet ({processedStories.filter(s => s.repaired).length})</option>
                     </select>
                   </div>
 
@@ -1149,9 +1694,9 @@ function App() {
                     </label>
                     <button
                       onClick={() => {
-                        const recommended = processedStories.filter(s => s.confidence >= 0.8 && s.priority === 'High' && !s.deployedToJira);
+                        const recommended = processedStories.filter(s => s.status === 'approved' && s.confidence >= 0.8 && s.priority === 'High' && !s.deployedToJira);
                         if (recommended.length === 0) {
-                          alert('No recommended stories ready for deployment!');
+                          alert('No approved recommended stories ready for deployment!');
                           return;
                         }
                         if (window.confirm(`Deploy ${recommended.length} recommended stories to JIRA?`)) {
@@ -1200,6 +1745,15 @@ function App() {
                       }}>
                         {story.priority} Priority
                       </span>
+                      <span style={{
+                        ...styles.badge,
+                        backgroundColor: getStatusColor(story.status) + '33',
+                        color: getStatusColor(story.status),
+                        border: `1px solid ${getStatusColor(story.status)}66`,
+                        textTransform: 'capitalize'
+                      }}>
+                        {story.status || 'draft'}
+                      </span>
                       <span style={{
                         ...styles.badge,
                         backgroundColor: '#374151',
@@ -1222,10 +1776,40 @@ function App() {
                       }}>
                         {Math.round(story.confidence * 100)}% confidence
                       </span>
+                      {story.repaired && (
+                        <span
+                          title={(story.validation?.repairs || []).map(r => `${r.field}: ${r.problem} → ${r.fix}`).join('\n')}
+                          style={{
+                            ...styles.badge,
+                            backgroundColor: '#78350f33',
+                            color: '#fbbf24',
+                            border: '1px solid #78350f66'
+                          }}
+                        >
+                          🛠️ Repaired ({story.validation?.repairs?.length || 0})
+                        </span>
+                      )}
                     </div>
                     
                     <div style={{ fontSize: '12px', color: '#6b7280', display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap' }}>
                       <span>From: {story.sourceTranscript} • {story.sourceTimestamp}</span>
+                      {story.sourceChunk?.total > 1 && (
+                        <span title={`Also found in parts: ${(story.sourceChunks || []).map(i => i + 1).join(', ')}`}>
+                          🧩 Part {story.sourceChunk.index + 1}/{story.sourceChunk.total}
+                          {story.sourceChunk.startTime && ` (${story.sourceChunk.startTime} – ${story.sourceChunk.endTime})`}
+                        </span>
+                      )}
+                      {story.team && (
+                        <span title="Team of the meeting source">🏷️ {story.team}</span>
+                      )}
+                      {story.productContext && (
+                        <span title="Product context used to generate this story">📚 {story.productContext}</span>
+                      )}
+                      {story.promptVersions && (
+                        <span title="Prompt template versions used to generate this story">
+                          📝 {Object.entries(story.promptVersions).map(([name, version]) => `${name} v${version}`).join(', ')}
+                        </span>
+                      )}
                       {story.fathomShareUrl && (
                         <a 
                           href={story.fathomShareUrl} 
@@ -1338,7 +1922,7 @@ function App() {
                     borderTop: '1px solid #374151' 
                   }}>
                     <button
-                      onClick={() => alert('🔧 Story editing coming soon!')}
+                      onClick={() => setHistoryStory(story)}
                       style={{
                         ...styles.button,
                         background: 'linear-gradient(135deg, #374151, #4b5563)',
@@ -1346,10 +1930,80 @@ function App() {
                         border: '1px solid #6b7280'
                       }}
                     >
-                      ✏️ Modify Parameters
+                      🕘 History (v{story.version || 1})
                     </button>
                     
-                    {story.deployedToJira ? (
+                    {story.status !== 'deployed' && (
+                      <button
+                        onClick={() => regenerateStory(story)}
+                        disabled={regeneratingId === story.id}
+                        style={{
+                          ...styles.button,
+                          background: 'linear-gradient(135deg, #374151, #4b5563)',
+                          color: '#d1d5db',
+                          border: '1px solid #6b7280',
+                          opacity: regeneratingId === story.id ? 0.5 : 1,
+                          cursor: regeneratingId === story.id ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {regeneratingId === story.id ? '🔄 Regenerating...' : '✏️ Modify Parameters'}
+                      </button>
+                    )}
+                    
+                    <button
+                      onClick={() => deleteStory(story)}
+                      style={{
+                        ...styles.button,
+                        background: 'linear-gradient(135deg, #374151, #4b5563)',
+                        color: '#fca5a5',
+                        border: '1px solid #6b7280'
+                      }}
+                    >
+                      🗑️ Delete
+                    </button>
+                    
+                    {(story.status || 'draft') === 'draft' && (
+                      <>
+                        <button
+                          onClick={() => rejectStory(story)}
+                          disabled={reviewingId === story.id}
+                          style={{
+                            ...styles.button,
+                            background: 'linear-gradient(135deg, #7f1d1d, #b91c1c)',
+                            color: 'white',
+                            opacity: reviewingId === story.id ? 0.5 : 1
+                          }}
+                        >
+                          🚫 Reject
+                        </button>
+                        <button
+                          onClick={() => approveStory(story)}
+                          disabled={reviewingId === story.id}
+                          style={{
+                            ...styles.button,
+                            ...styles.buttonSuccess,
+                            opacity: reviewingId === story.id ? 0.5 : 1
+                          }}
+                        >
+                          👍 Approve
+                        </button>
+                      </>
+                    )}
+
+                    {story.status === 'rejected' && (
+                      <button
+                        onClick={() => reviewStory(story, 'reopen')}
+                        disabled={reviewingId === story.id}
+                        style={{
+                          ...styles.button,
+                          ...styles.buttonSecondary
+                        }}
+                      >
+                        ↩️ Reopen
+                      </button>
+                    )}
+
+                    {['approved', 'deployed'].includes(story.status) && (story.deployedToJira ? (
                       <span style={{
                         ...styles.button,
                         background: 'linear-gradient(135deg, #22c55e, #16a34a)',
@@ -1385,6 +2039,35 @@ function App() {
                           </>
                         )}
                       </button>
+                    ))}
+
+                    {story.deployedToJira && story.jiraEpic && (
+                      <a
+                        href={story.jiraEpic.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title="JIRA epic this story was linked to"
+                        style={{
+                          ...styles.button,
+                          ...styles.buttonSecondary,
+                          textDecoration: 'none'
+                        }}
+                      >
+                        🏔️ Epic: {story.jiraEpic.key} · {story.jiraEpic.name}
+                      </a>
+                    )}
+                    {story.deployedToJira && !story.jiraEpic && story.jiraEpicError && (
+                      <span
+                        title={story.jiraEpicError}
+                        style={{
+                          ...styles.button,
+                          ...styles.buttonSecondary,
+                          color: '#fbbf24',
+                          cursor: 'default'
+                        }}
+                      >
+                        ⚠️ Not linked to epic {story.epic}
+                      </span>
                     )}
                   </div>
                 </div>
@@ -1452,6 +2135,76 @@ function App() {
         </div>
       </div>
       
+      {historyStory && (
+        <StoryHistory
+          story={processedStories.find(s => s.id === historyStory.id) || historyStory}
+          onClose={() => setHistoryStory(null)}
+          onRestore={(restored) => {
+            setProcessedStories(prev => prev.map(s => s.id === restored.id ? restored : s));
+          }}
+        />
+      )}
+
+      {batchJob && (
+        <BatchProgress
+          key={batchJob.id}
+          jobId={batchJob.id}
+          label={batchJob.label}
+          onFinished={finishBatch}
+          onClose={() => setBatchJob(null)}
+        />
+      )}
+
+      {dryRunResults && (
+        <DryRunResults
+          title={dryRunResults.title}
+          previews={dryRunResults.previews}
+          onClose={() => setDryRunResults(null)}
+        />
+      )}
+
+      {showPromptEditor && (
+        <PromptEditor onClose={() => setShowPromptEditor(false)} />
+      )}
+
+      {showScheduler && (
+        <SchedulerSettings
+          onRunFinished={refreshData}
+          onClose={() => setShowScheduler(false)}
+        />
+      )}
+
+      {showUsage && (
+        <UsageReport onClose={() => setShowUsage(false)} />
+      )}
+
+      {showExperiments && (
+        <PromptExperiments
+          transcripts={transcripts}
+          contexts={contexts}
+          onClose={() => setShowExperiments(false)}
+        />
+      )}
+
+      {showJiraMapping && (
+        <JiraFieldMapping
+          jiraConfig={jiraConfig}
+          onClose={() => setShowJiraMapping(false)}
+        />
+      )}
+
+      {showDeadLetters && (
+        <DeadLetters
+          slackWebhook={slackConfig.webhookUrl}
+          jiraConfig={jiraConfig}
+          onRetried={() => Promise.all([loadTranscripts(), loadStories()])}
+          onClose={() => {
+            setShowDeadLetters(false);
+            loadDeadLetterCount();
+          }}
+        />
+      )}
+
       {/* Configuration Modals - Moved outside tab content to always be accessible */}
       {showSlackConfig && (
         <div style={{
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const STAGE_ICONS = {
+  queued: '⏳',
+  held: '⏸️',
+  fetching: '📥',
+  fetched: '📄',
+  generating: '🧠',
+  stories: '✨',
+  notified: '📱',
+  completed: '✅',
+  failed: '❌',
+  cancelled: '🛑',
+  skipped: '⏭️'
+};
+
+// Where one transcript of the batch is - finished statuses win over the last progress report
+function describeChild(child) {
+  if (child.status === 'completed') {
+    return child.skipped
+      ? { icon: STAGE_ICONS.skipped, text: child.skipped }
+      : { icon: STAGE_ICONS.completed, text: `${child.storyCount} stories` };
+  }
+  if (child.status === 'failed') {
+    return { icon: STAGE_ICONS.failed, text: child.error || 'Failed' };
+  }
+  if (child.status === 'cancelled') {
+    return { icon: STAGE_ICONS.cancelled, text: 'Cancelled' };
+  }
+  if (child.status === 'running' && child.progress) {
+    return { icon: STAGE_ICONS[child.progress.stage] || '⚙️', text: child.progress.message };
+  }
+  if (child.status === 'queued' && child.heldReason) {
+    return { icon: STAGE_ICONS.held, text: child.heldReason };
+  }
+  return { icon: STAGE_ICONS.queued, text: child.status === 'running' ? 'Starting' : 'Waiting' };
+}
+
+// Live progress for a background batch job, streamed from /api/jobs/:id/events
+function BatchProgress({ jobId, label, onClose, onFinished }) {
+  const [job, setJob] = useState(null);
+  const [children, setChildren] = useState([]);
+  const [finished, setFinished] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [error, setError] = useState('');
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
+
+  useEffect(() => {
+    const events = new EventSource(`/api/jobs/${jobId}/events`);
+
+    const applySnapshot = (data) => {
+      setJob(data);
+      setChildren(data.children || []);
+    };
+
+    const applyUpdate = (data) => {
+      if (data.jobId === jobId) {
+        setJob(prev => prev && { ...prev, status: data.status, progress: data.progress, error: data.error, result: data.result });
+        return;
+      }
+      setChildren(prev => {
+        const update = {
+          status: data.status,
+          progress: data.progress,
+          heldReason: data.heldReason,
+          error: data.error,
+          title: data.result?.title || data.progress?.title,
+          storyCount: data.result?.storyCount || 0,
+          skipped: data.result?.skipped || null
+        };
+        const existing = prev.find(child => child.id === data.jobId);
+        if (!existing) {
+          return [...prev, { id: data.jobId, ...update }];
+        }
+        return prev.map(child => child.id === data.jobId
+          ? { ...child, ...update, title: update.title || child.title }
+          : child);
+      });
+    };
+
+    events.addEventListener('snapshot', e => applySnapshot(JSON.parse(e.data)));
+    events.addEventListener('status', e => applyUpdate(JSON.parse(e.data)));
+    events.addEventListener('progress', e => applyUpdate(JSON.parse(e.data)));
+    events.addEventListener('finished', e => {
+      const data = JSON.parse(e.data);
+      applySnapshot(data);
+      setFinished(true);
+      events.close();
+      onFinishedRef.current(data);
+    });
+    events.onerror = () => {
+      // EventSource reconnects by itself and gets a fresh snapshot
+      setError('Connection to the server lost - reconnecting...');
+    };
+    events.onopen = () => setError('');
+
+    return () => events.close();
+  }, [jobId]);
+
+  const cancelBatch = async () => {
+    setCancelling(true);
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error || 'Cancel failed');
+      }
+    } catch (err) {
+      setError('Cancel failed: ' + err.message);
+    }
+  };
+
+  const doneCount = children.filter(child => ['completed', 'failed', 'cancelled'].includes(child.status)).length;
+  const storyCount = children.reduce((sum, child) => sum + (child.storyCount || 0), 0);
+
+  const buttonStyle = {
+    padding: '6px 12px',
+    backgroundColor: '#4b5563',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      right: '24px',
+      bottom: '24px',
+      width: '420px',
+      maxHeight: '60vh',
+      overflow: 'auto',
+      backgroundColor: '#1f2937',
+      border: '1px solid #374151',
+      borderRadius: '8px',
+      padding: '16px',
+      boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)',
+      zIndex: 900
+    }}>
+      <h3 style={{ fontSize: '16px', fontWeight: 'bold', color: 'white', margin: '0 0 8px 0' }}>
+        {finished ? '🎉' : '⚡'} {label}
+      </h3>
+
+      <div style={{ fontSize: '13px', color: '#9ca3af', marginBottom: '12px' }}>
+        {!job && 'Connecting...'}
+        {job && job.status !== 'completed' && !finished && (job.progress?.message || 'Waiting for a worker...')}
+        {job && (job.status === 'completed' || finished) && (
+          `${doneCount} of ${children.length} transcripts done • ${storyCount} stories generated`
+        )}
+        {job?.status === 'failed' && <div style={{ color: '#fca5a5' }}>❌ {job.error}</div>}
+        {job?.status === 'cancelled' && <div style={{ color: '#fbbf24' }}>🛑 Batch cancelled</div>}
+      </div>
+
+      {error && (
+        <div style={{ color: '#fca5a5', fontSize: '13px', marginBottom: '8px' }}>⚠️ {error}</div>
+      )}
+
+      {children.map(child => {
+        const { icon, text } = describeChild(child);
+        return (
+          <div key={child.id} style={{
+            display: 'flex',
+            gap: '8px',
+            padding: '6px 0',
+            borderTop: '1px solid #374151',
+            fontSize: '13px'
+          }}>
+            <span>{icon}</span>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ color: 'white', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {child.title || child.transcriptId || child.id}
+              </div>
+              <div style={{ color: '#9ca3af' }}>{text}</div>
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '12px' }}>
+        {!finished && (
+          <button
+            onClick={cancelBatch}
+            disabled={cancelling}
+            style={{ ...buttonStyle, backgroundColor: '#b91c1c', opacity: cancelling ? 0.5 : 1 }}
+          >
+            {cancelling ? 'Cancelling...' : '🛑 Cancel'}
+          </button>
+        )}
+        {finished && (
+          <button onClick={onClose} style={buttonStyle}>
+            Close
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BatchProgress;
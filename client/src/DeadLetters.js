@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const TYPE_LABELS = {
+  'process-transcript': '📄 Transcript processing',
+  'slack-notification': '📱 Slack notification',
+  'jira-deploy': '🚀 JIRA deployment'
+};
+
+// Operations whose LLM, Notion, Slack or JIRA calls kept failing - retried with the current dashboard settings
+function DeadLetters({ slackWebhook, jiraConfig, onClose, onRetried }) {
+  const [entries, setEntries] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const response = await fetch('/api/dead-letters');
+      const data = await response.json();
+
+      if (response.ok) {
+        setEntries(data.entries);
+      } else {
+        setError(data.error || 'Failed to load failed operations');
+      }
+    } catch (err) {
+      setError('Failed to load failed operations: ' + err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const retryEntry = async (entry) => {
+    if (entry.type === 'jira-deploy' && !jiraConfig.url) {
+      setError('Configure JIRA before retrying a deployment');
+      return;
+    }
+
+    setBusyId(entry.id);
+    setError('');
+    setMessage('');
+    try {
+      const response = await fetch(`/api/dead-letters/${entry.id}/retry`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          slackWebhook: slackWebhook || undefined,
+          jiraConfig: jiraConfig.url ? jiraConfig : undefined
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(data.result?.jobId
+          ? `🔁 "${entry.title || entry.key}" was queued for processing`
+          : `✅ "${entry.title || entry.key}" succeeded`);
+        onRetried();
+      } else {
+        setError(data.error || 'Retry failed');
+      }
+    } catch (err) {
+      setError('Retry failed: ' + err.message);
+    }
+    setBusyId(null);
+    loadEntries();
+  };
+
+  const dismissEntry = async (entry) => {
+    setBusyId(entry.id);
+    try {
+      const response = await fetch(`/api/dead-letters/${entry.id}/dismiss`, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error || 'Dismiss failed');
+      }
+    } catch (err) {
+      setError('Dismiss failed: ' + err.message);
+    }
+    setBusyId(null);
+    loadEntries();
+  };
+
+  const buttonStyle = {
+    padding: '6px 12px',
+    backgroundColor: '#4b5563',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '800px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '8px' }}>
+          📮 Failed Operations
+        </h3>
+        <p style={{ color: '#9ca3af', fontSize: '13px', marginBottom: '16px' }}>
+          These kept failing after automatic retries. Retry once the service is back, or dismiss them.
+        </p>
+
+        {error && (
+          <div style={{ color: '#fca5a5', fontSize: '13px', marginBottom: '12px' }}>⚠️ {error}</div>
+        )}
+        {message && (
+          <div style={{ color: '#86efac', fontSize: '13px', marginBottom: '12px' }}>{message}</div>
+        )}
+
+        {entries.length === 0 && (
+          <div style={{ color: '#9ca3af', fontSize: '14px', padding: '24px 0', textAlign: 'center' }}>
+            🎉 Nothing waiting for a retry
+          </div>
+        )}
+
+        {entries.map(entry => (
+          <div key={entry.id} style={{
+            padding: '12px',
+            marginBottom: '8px',
+            backgroundColor: '#111827',
+            border: '1px solid #374151',
+            borderRadius: '6px'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', alignItems: 'flex-start' }}>
+              <div style={{ minWidth: 0 }}>
+                <div style={{ color: '#9ca3af', fontSize: '12px' }}>
+                  {TYPE_LABELS[entry.type] || entry.type}
+                  {entry.status === 'retrying' && ' • 🔁 Retrying'}
+                </div>
+                <div style={{ color: 'white', fontSize: '14px', fontWeight: 'bold', margin: '2px 0 4px 0' }}>
+                  {entry.title || entry.key}
+                </div>
+                <div style={{ color: '#fca5a5', fontSize: '13px', wordBreak: 'break-word' }}>
+                  {entry.operation && <code>{entry.operation}</code>} {entry.error}
+                </div>
+                <div style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px' }}>
+                  Failed {entry.failures}× • last {new Date(entry.updatedAt).toLocaleString()}
+                  {entry.retries > 0 && ` • retried ${entry.retries}×`}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+                <button
+                  onClick={() => retryEntry(entry)}
+                  disabled={busyId === entry.id || entry.status === 'retrying'}
+                  style={{ ...buttonStyle, backgroundColor: '#2563eb', opacity: busyId === entry.id || entry.status === 'retrying' ? 0.5 : 1 }}
+                >
+                  {busyId === entry.id ? 'Working...' : '🔁 Retry'}
+                </button>
+                <button
+                  onClick={() => dismissEntry(entry)}
+                  disabled={busyId === entry.id}
+                  style={buttonStyle}
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '16px' }}>
+          <button onClick={loadEntries} style={buttonStyle}>
+            🔄 Refresh
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DeadLetters;
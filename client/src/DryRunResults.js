@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+
+// What a dry run would have stored and sent - one entry per transcript with its stories,
+// the Slack blocks and the JIRA issue each story would produce
+function DryRunResults({ title, previews, onClose }) {
+  const [openPayload, setOpenPayload] = useState(null);
+
+  const togglePayload = (key) => setOpenPayload(prev => prev === key ? null : key);
+
+  const buttonStyle = {
+    padding: '4px 10px',
+    backgroundColor: '#374151',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+  const preStyle = {
+    backgroundColor: '#111827',
+    color: '#d1d5db',
+    border: '1px solid #374151',
+    borderRadius: '6px',
+    padding: '10px',
+    fontSize: '12px',
+    maxHeight: '300px',
+    overflow: 'auto',
+    whiteSpace: 'pre-wrap',
+    marginTop: '8px'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1100
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '900px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '8px' }}>
+          🧪 Dry Run: {title}
+        </h3>
+        <p style={{ color: '#9ca3af', fontSize: '13px', marginBottom: '16px' }}>
+          Nothing was stored or sent. Slack messages go out for auto-approved stories; JIRA issues are created when a story is approved and deployed.
+        </p>
+
+        {previews.length === 0 && (
+          <div style={{ color: '#9ca3af', fontSize: '14px', padding: '24px 0', textAlign: 'center' }}>
+            No transcripts would be processed
+          </div>
+        )}
+
+        {previews.map(preview => (
+          <div key={preview.transcriptId || preview.title} style={{ marginBottom: '20px' }}>
+            <h4 style={{ color: 'white', fontSize: '15px', marginBottom: '8px' }}>
+              📄 {preview.title} ({preview.stories.length} stories)
+            </h4>
+
+            {preview.deliveries.map((delivery, index) => {
+              const story = preview.stories[index];
+              const slackKey = `${delivery.storyId}-slack`;
+              const jiraKey = `${delivery.storyId}-jira`;
+
+              return (
+                <div key={delivery.storyId} style={{
+                  padding: '12px',
+                  marginBottom: '8px',
+                  backgroundColor: '#111827',
+                  border: '1px solid #374151',
+                  borderRadius: '6px'
+                }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+                    <div>
+                      <div style={{ color: 'white', fontSize: '14px', fontWeight: '500' }}>{delivery.title}</div>
+                      <div style={{ color: '#9ca3af', fontSize: '12px', marginTop: '4px' }}>
+                        {story.type} · {story.priority} · {Math.round((story.confidence || 0) * 100)}% confidence
+                      </div>
+                      {delivery.jira.epic && (
+                        <div style={{ color: '#9ca3af', fontSize: '12px', marginTop: '2px' }}>
+                          🏔️ Epic "{delivery.jira.epic.name}" - found or created when deployed, linked as {delivery.jira.epic.linkAs}
+                        </div>
+                      )}
+                    </div>
+                    <div style={{ fontSize: '12px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <div style={{ color: delivery.slack.wouldSend ? '#86efac' : '#9ca3af' }}>
+                        {delivery.slack.wouldSend ? '📱 Would send to Slack' : delivery.autoApproved ? '📱 No Slack webhook' : '📝 Would wait for review'}
+                      </div>
+                    </div>
+                  </div>
+
+                  <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                    <button onClick={() => togglePayload(slackKey)} style={buttonStyle}>
+                      {openPayload === slackKey ? 'Hide' : 'Show'} Slack blocks
+                    </button>
+                    <button onClick={() => togglePayload(jiraKey)} style={buttonStyle}>
+                      {openPayload === jiraKey ? 'Hide' : 'Show'} JIRA payload
+                    </button>
+                  </div>
+
+                  {openPayload === slackKey && (
+                    <pre style={preStyle}>{JSON.stringify(delivery.slack.payload, null, 2)}</pre>
+                  )}
+                  {openPayload === jiraKey && (
+                    <pre style={preStyle}>
+                      {delivery.jira.url && `POST ${delivery.jira.url}\n\n`}
+                      {JSON.stringify(delivery.jira.payload, null, 2)}
+                    </pre>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '16px' }}>
+          <button onClick={onClose} style={{ ...buttonStyle, padding: '8px 14px', fontSize: '13px', backgroundColor: '#4b5563' }}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DryRunResults;
@@ -0,0 +1,352 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const STORY_TYPES = ['Feature', 'Bug', 'Technical Debt', 'UX', 'Infrastructure', 'Performance', 'API', 'Database'];
+const EPIC_OPTIONS = [
+  { value: '', label: 'Leave out (description only)' },
+  { value: 'label', label: 'Label' },
+  { value: 'component', label: 'Component' }
+];
+
+// Fields of every issue type, once each - [{ id, name, type, custom }]
+function collectFields(meta) {
+  const fields = new Map();
+  (meta?.issueTypes || []).filter(type => !type.subtask).forEach(type => {
+    type.fields.forEach(field => fields.set(field.id, field));
+  });
+  return [...fields.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// How story fields become JIRA fields for one project - loaded from and checked against the project's createmeta
+function JiraFieldMapping({ jiraConfig, onClose }) {
+  const [projectKey, setProjectKey] = useState(jiraConfig.projectKey || '');
+  const [mapping, setMapping] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [meta, setMeta] = useState(null);
+  const [labelsText, setLabelsText] = useState('');
+  const [customFieldsText, setCustomFieldsText] = useState('{}');
+  const [errors, setErrors] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const loadProject = useCallback(async (key) => {
+    if (!key) {
+      return;
+    }
+    setBusy(true);
+    setErrors([]);
+    setWarnings([]);
+    setMessage('');
+    try {
+      const [mappingResponse, fieldsResponse] = await Promise.all([
+        fetch(`/api/jira/mappings/${encodeURIComponent(key)}`),
+        fetch(`/api/jira/mappings/${encodeURIComponent(key)}/fields`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ jiraConfig })
+        })
+      ]);
+      const mappingData = await mappingResponse.json();
+      const fieldsData = await fieldsResponse.json();
+
+      setMapping(mappingData.mapping);
+      setSaved(mappingData.saved);
+      setLabelsText((mappingData.mapping.labels || []).join(', '));
+      setCustomFieldsText(JSON.stringify(mappingData.mapping.customFields || {}, null, 2));
+      if (fieldsResponse.ok) {
+        setMeta(fieldsData);
+      } else {
+        setMeta(null);
+        setErrors([fieldsData.details || fieldsData.error]);
+      }
+    } catch (err) {
+      setErrors(['Failed to load the project: ' + err.message]);
+    } finally {
+      setBusy(false);
+    }
+  }, [jiraConfig]);
+
+  useEffect(() => {
+    loadProject(jiraConfig.projectKey);
+  }, [loadProject, jiraConfig.projectKey]);
+
+  const update = (changes) => setMapping(prev => ({ ...prev, ...changes }));
+
+  const setIssueType = (storyType, issueType) => {
+    setMapping(prev => {
+      const issueTypes = { ...prev.issueTypes };
+      if (issueType) {
+        issueTypes[storyType] = issueType;
+      } else {
+        delete issueTypes[storyType];
+      }
+      return { ...prev, issueTypes };
+    });
+  };
+
+  // The mapping as the server expects it - null when custom fields aren't valid JSON
+  const buildMapping = () => {
+    let customFields;
+    try {
+      customFields = JSON.parse(customFieldsText || '{}');
+    } catch (err) {
+      setErrors([`Custom fields aren't valid JSON: ${err.message}`]);
+      return null;
+    }
+    return {
+      ...mapping,
+      storyPointsField: mapping.storyPointsField || null,
+      risksField: mapping.risksField || null,
+      epicAs: mapping.epicAs || null,
+      epicLinkField: mapping.epicLinkField || null,
+      epicNameField: mapping.epicNameField || null,
+      labels: labelsText.split(',').map(label => label.trim()).filter(Boolean),
+      customFields
+    };
+  };
+
+  const submit = async (validateOnly) => {
+    const body = buildMapping();
+    if (!body) {
+      return;
+    }
+    setBusy(true);
+    setErrors([]);
+    setWarnings([]);
+    setMessage('');
+    try {
+      const key = encodeURIComponent(projectKey);
+      const response = await fetch(validateOnly ? `/api/jira/mappings/${key}/validate` : `/api/jira/mappings/${key}`, {
+        method: validateOnly ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mapping: body, jiraConfig })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors(Array.isArray(data.details) ? data.details : [data.details || data.error]);
+        setWarnings(data.warnings || []);
+      } else if (validateOnly) {
+        setErrors(data.errors);
+        setWarnings(data.warnings);
+        setMessage(data.valid ? '✅ Mapping matches the project' : '');
+      } else {
+        setMapping(data.mapping);
+        setSaved(true);
+        setWarnings(data.warnings);
+        setMessage(`✅ Mapping saved for ${data.mapping.projectKey}`);
+      }
+    } catch (err) {
+      setErrors(['Request failed: ' + err.message]);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const removeMapping = async () => {
+    if (!window.confirm(`Remove the field mapping for ${projectKey}? Issues will be created as plain Stories.`)) {
+      return;
+    }
+    await fetch(`/api/jira/mappings/${encodeURIComponent(projectKey)}`, { method: 'DELETE' });
+    loadProject(projectKey);
+  };
+
+  const fields = collectFields(meta);
+  const epicType = (meta?.issueTypes || []).find(type => type.name === 'Epic');
+  const issueTypeNames = (meta?.issueTypes || []).filter(type => !type.subtask).map(type => type.name);
+  // Keep the current value selectable even before the project's fields are loaded
+  const withCurrent = (names, current) => (current && !names.includes(current) ? [current, ...names] : names);
+
+  const labelStyle = { display: 'block', fontSize: '13px', fontWeight: '500', color: '#d1d5db', marginBottom: '4px' };
+  const inputStyle = {
+    width: '100%',
+    padding: '6px 10px',
+    backgroundColor: '#374151',
+    border: '1px solid #4b5563',
+    borderRadius: '6px',
+    color: 'white',
+    fontSize: '13px'
+  };
+  const buttonStyle = {
+    padding: '8px 14px',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: busy ? 'not-allowed' : 'pointer',
+    fontSize: '13px',
+    opacity: busy ? 0.6 : 1
+  };
+
+  const fieldSelect = (value, onChange, candidates) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} style={inputStyle}>
+      <option value="">Not mapped</option>
+      {withCurrent(candidates.map(field => field.id), value).map(id => {
+        const field = candidates.find(candidate => candidate.id === id);
+        return <option key={id} value={id}>{field ? `${field.name} (${id})` : id}</option>;
+      })}
+    </select>
+  );
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '760px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '8px' }}>
+          🧩 JIRA Field Mapping
+        </h3>
+        <p style={{ color: '#9ca3af', fontSize: '13px', marginBottom: '16px' }}>
+          Where each story field goes when it is deployed. The mapping is checked against the project's create screens before it is saved.
+        </p>
+
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginBottom: '16px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Project Key</label>
+            <input
+              type="text"
+              value={projectKey}
+              onChange={(e) => setProjectKey(e.target.value.toUpperCase())}
+              style={inputStyle}
+            />
+          </div>
+          <button onClick={() => loadProject(projectKey)} disabled={busy || !projectKey} style={{ ...buttonStyle, backgroundColor: '#374151' }}>
+            🔄 Load from JIRA
+          </button>
+        </div>
+
+        {mapping && (
+          <>
+            <div style={{ color: '#9ca3af', fontSize: '12px', marginBottom: '12px' }}>
+              {saved ? `Saved mapping, last checked ${new Date(mapping.validatedAt).toLocaleString()}` : 'No mapping saved yet - issues are created as Stories'}
+              {meta && ` · ${fields.length} fields on ${issueTypeNames.length} issue types`}
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '16px' }}>
+              <div>
+                <label style={labelStyle}>Story points field (effort)</label>
+                {fieldSelect(mapping.storyPointsField, value => update({ storyPointsField: value }), fields.filter(field => field.type === 'number'))}
+              </div>
+              <div>
+                <label style={labelStyle}>Risks field</label>
+                {fieldSelect(mapping.risksField, value => update({ risksField: value }), fields.filter(field => field.custom && field.type === 'string'))}
+              </div>
+              <div>
+                <label style={labelStyle}>Epic as</label>
+                <select value={mapping.epicAs || ''} onChange={(e) => update({ epicAs: e.target.value })} style={inputStyle}>
+                  {EPIC_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Labels on every issue (comma separated)</label>
+                <input type="text" value={labelsText} onChange={(e) => setLabelsText(e.target.value)} placeholder="skynet" style={inputStyle} />
+              </div>
+              <div>
+                <label style={labelStyle}>Link to epic through</label>
+                <select value={mapping.epicLinkField || ''} onChange={(e) => update({ epicLinkField: e.target.value })} style={inputStyle}>
+                  <option value="">Parent</option>
+                  {withCurrent(fields.filter(field => field.custom).map(field => field.id), mapping.epicLinkField).map(id => {
+                    const field = fields.find(candidate => candidate.id === id);
+                    return <option key={id} value={id}>{field ? `${field.name} (${id})` : id}</option>;
+                  })}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Epic name field (for new epics)</label>
+                {fieldSelect(mapping.epicNameField, value => update({ epicNameField: value }), (epicType?.fields || []).filter(field => field.custom && field.type === 'string'))}
+              </div>
+            </div>
+            <p style={{ color: '#9ca3af', fontSize: '12px', marginTop: '-8px', marginBottom: '16px' }}>
+              Each deployed story is linked to the Epic named like its epic field. A missing Epic is created.
+            </p>
+
+            <label style={labelStyle}>Issue types</label>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px 12px', marginBottom: '16px' }}>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <span style={{ color: '#9ca3af', fontSize: '13px', width: '120px' }}>Default</span>
+                <select value={mapping.defaultIssueType} onChange={(e) => update({ defaultIssueType: e.target.value })} style={inputStyle}>
+                  {withCurrent(issueTypeNames, mapping.defaultIssueType).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+              {STORY_TYPES.map(storyType => (
+                <div key={storyType} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                  <span style={{ color: '#9ca3af', fontSize: '13px', width: '120px' }}>{storyType}</span>
+                  <select value={mapping.issueTypes[storyType] || ''} onChange={(e) => setIssueType(storyType, e.target.value)} style={inputStyle}>
+                    <option value="">Default</option>
+                    {withCurrent(issueTypeNames, mapping.issueTypes[storyType]).map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <label style={labelStyle}>Custom field defaults (JSON, in the shape JIRA expects)</label>
+            <textarea
+              value={customFieldsText}
+              onChange={(e) => setCustomFieldsText(e.target.value)}
+              rows={5}
+              placeholder={'{ "customfield_10200": { "value": "Web" } }'}
+              style={{ ...inputStyle, fontFamily: 'monospace', marginBottom: '12px' }}
+            />
+            {meta && fields.some(field => field.required) && (
+              <div style={{ color: '#9ca3af', fontSize: '12px', marginBottom: '12px' }}>
+                Required fields: {fields.filter(field => field.required).map(field => `${field.name} (${field.id})`).join(', ')}
+              </div>
+            )}
+          </>
+        )}
+
+        {errors.length > 0 && (
+          <div style={{ padding: '10px', backgroundColor: '#7f1d1d', borderRadius: '6px', color: '#fecaca', fontSize: '13px', marginBottom: '12px' }}>
+            {errors.map(error => <div key={error}>❌ {error}</div>)}
+          </div>
+        )}
+        {warnings.length > 0 && (
+          <div style={{ padding: '10px', backgroundColor: '#78350f', borderRadius: '6px', color: '#fde68a', fontSize: '13px', marginBottom: '12px' }}>
+            {warnings.map(warning => <div key={warning}>⚠️ {warning}</div>)}
+          </div>
+        )}
+        {message && (
+          <div style={{ color: '#86efac', fontSize: '13px', marginBottom: '12px' }}>{message}</div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', marginTop: '8px' }}>
+          <button onClick={onClose} style={{ ...buttonStyle, backgroundColor: '#4b5563', cursor: 'pointer', opacity: 1 }}>
+            Close
+          </button>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {saved && (
+              <button onClick={removeMapping} disabled={busy} style={{ ...buttonStyle, backgroundColor: '#ef4444' }}>
+                🗑️ Remove
+              </button>
+            )}
+            <button onClick={() => submit(true)} disabled={busy || !mapping} style={{ ...buttonStyle, backgroundColor: '#374151' }}>
+              🔍 Check
+            </button>
+            <button onClick={() => submit(false)} disabled={busy || !mapping} style={{ ...buttonStyle, background: 'linear-gradient(135deg, #3b82f6, #1d4ed8)' }}>
+              💾 Save Mapping
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default JiraFieldMapping;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// Prompt template editor - edit, preview and restore versions of the extraction prompts
+function PromptEditor({ onClose }) {
+  const [templates, setTemplates] = useState([]);
+  const [selectedName, setSelectedName] = useState('');
+  const [template, setTemplate] = useState(null);
+  const [content, setContent] = useState('');
+  const [note, setNote] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const response = await fetch('/api/prompts');
+        const data = await response.json();
+
+        if (response.ok) {
+          setTemplates(data.templates);
+          if (data.templates.length > 0) {
+            setSelectedName(data.templates[0].name);
+          }
+        } else {
+          setError(data.error || 'Failed to load prompt templates');
+        }
+      } catch (err) {
+        setError('Failed to load prompt templates: ' + err.message);
+      }
+    };
+
+    loadTemplates();
+  }, []);
+
+  const loadTemplate = useCallback(async (name) => {
+    try {
+      const response = await fetch(`/api/prompts/${name}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setTemplate(data);
+        setContent(data.content);
+        setNote('');
+        setPreview(null);
+        setErrors([]);
+      } else {
+        setError(data.error || 'Failed to load prompt template');
+      }
+    } catch (err) {
+      setError('Failed to load prompt template: ' + err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (selectedName) {
+      loadTemplate(selectedName);
+    }
+  }, [selectedName, loadTemplate]);
+
+  const previewTemplate = async () => {
+    try {
+      const response = await fetch(`/api/prompts/${selectedName}/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPreview(data.rendered);
+        setErrors(data.errors);
+      } else {
+        setError(data.error || 'Preview failed');
+      }
+    } catch (err) {
+      setError('Preview failed: ' + err.message);
+    }
+  };
+
+  const saveTemplate = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/prompts/${selectedName}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, note })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setTemplate(data);
+        setContent(data.content);
+        setNote('');
+        setErrors([]);
+        setTemplates(prev => prev.map(t => t.name === data.name ? { ...t, version: data.version, updatedAt: data.updatedAt } : t));
+      } else {
+        setErrors(data.details || [data.error]);
+      }
+    } catch (err) {
+      setError('Save failed: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Loads an old version into the editor - saving it records a new version
+  const loadVersion = async (version) => {
+    try {
+      const response = await fetch(`/api/prompts/${selectedName}/versions/${version}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setContent(data.content);
+        setNote(`Restored v${version}`);
+        setPreview(null);
+      } else {
+        setError(data.error || 'Failed to load version');
+      }
+    } catch (err) {
+      setError('Failed to load version: ' + err.message);
+    }
+  };
+
+  const buttonStyle = {
+    padding: '8px 16px',
+    backgroundColor: '#4b5563',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '14px'
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 12px',
+    backgroundColor: '#374151',
+    border: '1px solid #4b5563',
+    borderRadius: '6px',
+    color: 'white',
+    fontSize: '14px',
+    boxSizing: 'border-box'
+  };
+
+  const isDirty = template && content !== template.content;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '1100px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '16px' }}>
+          📝 Prompt Templates
+        </h3>
+
+        {error && (
+          <div style={{ color: '#fca5a5', marginBottom: '16px' }}>⚠️ {error}</div>
+        )}
+
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
+          {templates.map(t => (
+            <button
+              key={t.name}
+              onClick={() => setSelectedName(t.name)}
+              style={{
+                ...buttonStyle,
+                backgroundColor: t.name === selectedName ? '#3b82f6' : '#374151'
+              }}
+            >
+              {t.name} (v{t.version})
+            </button>
+          ))}
+        </div>
+
+        {template && (
+          <div style={{ display: 'grid', gridTemplateColumns: '3fr 1fr', gap: '16px' }}>
+            <div>
+              <p style={{ fontSize: '13px', color: '#9ca3af', marginTop: 0 }}>
+                {template.description} • {template.file} • v{template.version}
+                {isDirty && <span style={{ color: '#fbbf24' }}> • unsaved changes</span>}
+              </p>
+              <textarea
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                style={{
+                  ...inputStyle,
+                  minHeight: '360px',
+                  fontFamily: 'monospace',
+                  fontSize: '13px',
+                  resize: 'vertical'
+                }}
+              />
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Change note (optional)"
+                style={{ ...inputStyle, marginTop: '8px' }}
+              />
+
+              {errors.length > 0 && (
+                <ul style={{ color: '#fca5a5', fontSize: '13px', paddingLeft: '20px' }}>
+                  {errors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+
+              <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+                <button onClick={previewTemplate} style={buttonStyle}>
+                  👁️ Preview
+                </button>
+                <button
+                  onClick={saveTemplate}
+                  disabled={!isDirty || saving}
+                  style={{
+                    ...buttonStyle,
+                    backgroundColor: '#22c55e',
+                    opacity: !isDirty || saving ? 0.5 : 1,
+                    cursor: !isDirty || saving ? 'not-allowed' : 'pointer'
+                  }}
+                >
+                  {saving ? 'Saving...' : '💾 Save New Version'}
+                </button>
+              </div>
+
+              {preview !== null && (
+                <pre style={{
+                  marginTop: '16px',
+                  padding: '12px',
+                  fontSize: '12px',
+                  whiteSpace: 'pre-wrap',
+                  color: '#d1d5db',
+                  backgroundColor: '#111827',
+                  borderRadius: '6px',
+                  maxHeight: '300px',
+                  overflow: 'auto'
+                }}>
+                  {preview}
+                </pre>
+              )}
+            </div>
+
+            <div style={{ fontSize: '13px', color: '#d1d5db' }}>
+              <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', color: 'white' }}>Variables</h4>
+              {template.variables.map(variable => (
+                <div key={variable.name} style={{ marginBottom: '8px' }}>
+                  <code style={{ color: '#a855f7' }}>{`{{${variable.name}}}`}</code>
+                  {variable.required && <span style={{ color: '#fbbf24' }}> *</span>}
+                  <div style={{ color: '#9ca3af', fontSize: '12px' }}>{variable.description}</div>
+                </div>
+              ))}
+
+              <h4 style={{ margin: '16px 0 8px 0', fontSize: '14px', color: 'white' }}>Versions</h4>
+              {template.versions.slice().reverse().map(version => (
+                <div key={version.version} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  padding: '6px 8px',
+                  backgroundColor: version.version === template.version ? '#1e3a8a44' : '#374151',
+                  borderRadius: '6px',
+                  marginBottom: '6px'
+                }}>
+                  <span title={new Date(version.createdAt).toLocaleString()}>
+                    <strong>v{version.version}</strong> • {version.note}
+                  </span>
+                  {version.version !== template.version && (
+                    <button
+                      onClick={() => loadVersion(version.version)}
+                      style={{ ...buttonStyle, padding: '2px 8px', fontSize: '12px' }}
+                    >
+                      Load
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '24px' }}>
+          <button onClick={onClose} style={buttonStyle}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PromptEditor;
@@ -0,0 +1,492 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const PROMPTS = [
+  { name: 'extraction-system', label: 'System prompt' },
+  { name: 'extraction-user', label: 'User prompt' }
+];
+const MAX_CONFIGS = 6;
+const FILTERS = [
+  { value: 'all', label: 'All stories' },
+  { value: 'matched', label: 'Matched' },
+  { value: 'only', label: 'Found by one' }
+];
+
+function newConfig(index) {
+  return { label: `Configuration ${index + 1}`, provider: '', model: '', temperature: '', context: '', prompts: {} };
+}
+
+function formatUsd(value) {
+  return `$${(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+function isRunning(experiment) {
+  return experiment && ['queued', 'running'].includes(experiment.status);
+}
+
+// Build the request body for one configuration - empty fields use the current settings
+function toRequestConfig(config) {
+  const prompts = Object.fromEntries(Object.entries(config.prompts)
+    .filter(([, choice]) => choice.mode !== 'current')
+    .map(([name, choice]) => [name, choice.mode === 'draft' ? { content: choice.content } : Number(choice.mode)]));
+
+  return {
+    label: config.label,
+    provider: config.provider || undefined,
+    model: config.model || undefined,
+    temperature: config.temperature === '' ? undefined : Number(config.temperature),
+    context: config.context || undefined,
+    prompts
+  };
+}
+
+// Side-by-side comparison of prompt templates, models, temperatures and contexts on one transcript
+function PromptExperiments({ transcripts, contexts, onClose }) {
+  const [experiments, setExperiments] = useState([]);
+  const [experiment, setExperiment] = useState(null);
+  const [transcriptId, setTranscriptId] = useState('');
+  const [configs, setConfigs] = useState([newConfig(0), newConfig(1)]);
+  const [templates, setTemplates] = useState({});
+  const [llm, setLlm] = useState({ providers: [], provider: '', model: '' });
+  const [filter, setFilter] = useState('all');
+  const [starting, setStarting] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const loadExperiments = useCallback(async () => {
+    try {
+      const response = await fetch('/api/experiments');
+      setExperiments(await response.json());
+    } catch (err) {
+      setErrors(['Failed to load experiments: ' + err.message]);
+    }
+  }, []);
+
+  const openExperiment = useCallback(async (id) => {
+    try {
+      const response = await fetch(`/api/experiments/${id}`);
+      const data = await response.json();
+      if (response.ok) {
+        setExperiment(data);
+      } else {
+        setErrors([data.error || 'Failed to load experiment']);
+      }
+    } catch (err) {
+      setErrors(['Failed to load experiment: ' + err.message]);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadExperiments();
+    Promise.all(PROMPTS.map(prompt => fetch(`/api/prompts/${prompt.name}`).then(response => response.json())))
+      .then(results => setTemplates(Object.fromEntries(results.map(template => [template.name, template]))))
+      .catch(err => setErrors(['Failed to load prompt templates: ' + err.message]));
+    fetch('/api/health')
+      .then(response => response.json())
+      .then(data => setLlm({
+        providers: data.autoDetection.llmProviders || [],
+        provider: data.autoDetection.llmProvider,
+        model: data.autoDetection.llmModel
+      }))
+      .catch(() => {});
+  }, [loadExperiments]);
+
+  // Follow a running experiment until every configuration has finished
+  const runningId = isRunning(experiment) ? experiment.id : null;
+  useEffect(() => {
+    if (!runningId) {
+      return undefined;
+    }
+    const timer = setInterval(async () => {
+      await openExperiment(runningId);
+      loadExperiments();
+    }, 2000);
+    return () => clearInterval(timer);
+  }, [runningId, openExperiment, loadExperiments]);
+
+  const updateConfig = (index, changes) => {
+    setConfigs(prev => prev.map((config, i) => i === index ? { ...config, ...changes } : config));
+  };
+
+  const updatePrompt = (index, name, choice) => {
+    setConfigs(prev => prev.map((config, i) => i === index
+      ? { ...config, prompts: { ...config.prompts, [name]: { ...config.prompts[name], ...choice } } }
+      : config));
+  };
+
+  const startExperiment = async () => {
+    setStarting(true);
+    setErrors([]);
+    try {
+      const transcript = transcripts.find(t => t.id === transcriptId);
+      const response = await fetch('/api/experiments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          transcriptId,
+          title: transcript?.title,
+          transcript: transcript?.content || undefined,
+          configs: configs.map(toRequestConfig)
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        await openExperiment(data.experimentId);
+        loadExperiments();
+      } else {
+        setErrors(data.details || [data.error || 'Failed to start the experiment']);
+      }
+    } catch (err) {
+      setErrors(['Failed to start the experiment: ' + err.message]);
+    }
+    setStarting(false);
+  };
+
+  const deleteExperiment = async (id) => {
+    if (!window.confirm('Delete this experiment and its results?')) {
+      return;
+    }
+    await fetch(`/api/experiments/${id}`, { method: 'DELETE' });
+    if (experiment?.id === id) {
+      setExperiment(null);
+    }
+    loadExperiments();
+  };
+
+  const inputStyle = {
+    padding: '6px 8px',
+    backgroundColor: '#111827',
+    color: 'white',
+    border: '1px solid #374151',
+    borderRadius: '6px',
+    fontSize: '13px',
+    width: '100%',
+    boxSizing: 'border-box'
+  };
+  const buttonStyle = {
+    padding: '8px 14px',
+    backgroundColor: '#4b5563',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  };
+  const labelStyle = { display: 'block', color: '#9ca3af', fontSize: '12px', margin: '8px 0 4px' };
+  const cellStyle = { padding: '8px', borderBottom: '1px solid #374151', fontSize: '13px', verticalAlign: 'top' };
+
+  const comparison = experiment?.comparison;
+  const rows = (comparison?.rows || []).filter(row =>
+    filter === 'all' || (filter === 'matched' ? row.foundBy.length > 1 : row.foundBy.length === 1));
+
+  const renderForm = () => (
+    <>
+      <label style={labelStyle}>Transcript</label>
+      <select value={transcriptId} onChange={(e) => setTranscriptId(e.target.value)} style={{ ...inputStyle, marginBottom: '16px' }}>
+        <option value="">Pick a transcript...</option>
+        {transcripts.map(t => (
+          <option key={t.id} value={t.id}>{t.title}{t.source === 'upload' ? ' (upload)' : ''}</option>
+        ))}
+      </select>
+
+      <div style={{ display: 'grid', gridTemplateColumns: `repeat(${configs.length}, minmax(200px, 1fr))`, gap: '12px', overflowX: 'auto' }}>
+        {configs.map((config, index) => (
+          <div key={index} style={{ padding: '12px', backgroundColor: '#111827', border: '1px solid #374151', borderRadius: '6px' }}>
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <input
+                type="text"
+                value={config.label}
+                onChange={(e) => updateConfig(index, { label: e.target.value })}
+                style={{ ...inputStyle, fontWeight: 'bold' }}
+              />
+              {configs.length > 2 && (
+                <button
+                  onClick={() => setConfigs(prev => prev.filter((_, i) => i !== index))}
+                  title="Remove this configuration"
+                  style={{ ...buttonStyle, padding: '4px 8px', backgroundColor: '#374151' }}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+
+            <label style={labelStyle}>Provider</label>
+            <select value={config.provider} onChange={(e) => updateConfig(index, { provider: e.target.value })} style={inputStyle}>
+              <option value="">Default ({llm.provider})</option>
+              {llm.providers.map(provider => <option key={provider} value={provider}>{provider}</option>)}
+            </select>
+
+            <label style={labelStyle}>Model</label>
+            <input
+              type="text"
+              value={config.model}
+              placeholder={config.provider && config.provider !== llm.provider ? 'Provider default' : llm.model}
+              onChange={(e) => updateConfig(index, { model: e.target.value })}
+              style={inputStyle}
+            />
+
+            <label style={labelStyle}>Temperature</label>
+            <input
+              type="number"
+              min="0"
+              max="2"
+              step="0.1"
+              value={config.temperature}
+              placeholder="Default"
+              onChange={(e) => updateConfig(index, { temperature: e.target.value })}
+              style={inputStyle}
+            />
+
+            <label style={labelStyle}>Product context</label>
+            <select value={config.context} onChange={(e) => updateConfig(index, { context: e.target.value })} style={inputStyle}>
+              <option value="">Auto (by title)</option>
+              {contexts.map(context => <option key={context.name} value={context.name}>{context.name}</option>)}
+            </select>
+
+            {PROMPTS.map(prompt => {
+              const template = templates[prompt.name];
+              const choice = config.prompts[prompt.name] || { mode: 'current' };
+              return (
+                <div key={prompt.name}>
+                  <label style={labelStyle}>{prompt.label}</label>
+                  <select
+                    value={choice.mode}
+                    onChange={(e) => updatePrompt(index, prompt.name, {
+                      mode: e.target.value,
+                      content: choice.content ?? template?.content ?? ''
+                    })}
+                    style={inputStyle}
+                  >
+                    <option value="current">Current (v{template?.version ?? '?'})</option>
+                    {(template?.versions || []).slice().reverse().map(version => (
+                      <option key={version.version} value={String(version.version)}>
+                        v{version.version}{version.note ? ` - ${version.note}` : ''}
+                      </option>
+                    ))}
+                    <option value="draft">Draft (edit below)</option>
+                  </select>
+                  {choice.mode === 'draft' && (
+                    <textarea
+                      value={choice.content}
+                      onChange={(e) => updatePrompt(index, prompt.name, { content: e.target.value })}
+                      rows={6}
+                      style={{ ...inputStyle, marginTop: '6px', fontFamily: 'monospace', fontSize: '12px' }}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '16px' }}>
+        <button
+          onClick={() => setConfigs(prev => [...prev, newConfig(prev.length)])}
+          disabled={configs.length >= MAX_CONFIGS}
+          style={{ ...buttonStyle, opacity: configs.length >= MAX_CONFIGS ? 0.5 : 1 }}
+        >
+          ➕ Add configuration
+        </button>
+        <button
+          onClick={startExperiment}
+          disabled={!transcriptId || starting}
+          style={{ ...buttonStyle, backgroundColor: '#2563eb', opacity: !transcriptId || starting ? 0.5 : 1 }}
+        >
+          {starting ? 'Starting...' : '⚖️ Run comparison'}
+        </button>
+      </div>
+    </>
+  );
+
+  const renderResults = () => (
+    <>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <div>
+          <div style={{ color: 'white', fontSize: '15px', fontWeight: 'bold' }}>📄 {experiment.title}</div>
+          <div style={{ color: '#9ca3af', fontSize: '12px' }}>
+            {new Date(experiment.createdAt).toLocaleString()} · {experiment.status}
+            {isRunning(experiment) && ' - refreshing...'}
+            {experiment.error && ` - ${experiment.error}`}
+          </div>
+        </div>
+        <button onClick={() => setExperiment(null)} style={buttonStyle}>➕ New experiment</button>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', color: '#d1d5db', marginBottom: '16px' }}>
+        <thead>
+          <tr style={{ color: '#9ca3af', textAlign: 'left' }}>
+            <th style={cellStyle}>Configuration</th>
+            <th style={cellStyle}>Stories</th>
+            <th style={cellStyle}>Matched</th>
+            <th style={cellStyle}>Only this one</th>
+            <th style={cellStyle}>Tokens</th>
+            <th style={cellStyle}>Est. cost</th>
+            <th style={cellStyle}>Time</th>
+          </tr>
+        </thead>
+        <tbody>
+          {experiment.configs.map((config, index) => (
+            <tr key={index}>
+              <td style={cellStyle}>
+                <div style={{ color: 'white' }}>{config.label}</div>
+                <div style={{ color: '#9ca3af', fontSize: '12px' }}>
+                  {config.provider || llm.provider} / {config.model || 'default model'}
+                  {config.temperature !== null && ` · temp ${config.temperature}`}
+                  {config.context && ` · ${config.context}`}
+                  {Object.entries(config.prompts).map(([name, choice]) =>
+                    ` · ${name.replace('extraction-', '')} ${typeof choice === 'number' ? `v${choice}` : 'draft'}`).join('')}
+                </div>
+                {config.error && <div style={{ color: '#fca5a5', fontSize: '12px' }}>❌ {config.error}</div>}
+              </td>
+              <td style={cellStyle}>{config.status === 'completed' ? config.stories.length : config.status}</td>
+              <td style={cellStyle}>{comparison?.byConfig[index]?.matched ?? '—'}</td>
+              <td style={cellStyle}>{comparison?.byConfig[index]?.unique ?? '—'}</td>
+              <td style={cellStyle}>{config.usage ? config.usage.totalTokens.toLocaleString() : '—'}</td>
+              <td style={cellStyle}>
+                {config.usage ? `${formatUsd(config.usage.costUsd)}${config.usage.unpricedCalls > 0 ? '*' : ''}` : '—'}
+              </td>
+              <td style={cellStyle}>{config.durationMs !== null ? `${(config.durationMs / 1000).toFixed(1)}s` : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {comparison && (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '12px' }}>
+            {FILTERS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setFilter(option.value)}
+                style={{ ...buttonStyle, padding: '6px 12px', backgroundColor: filter === option.value ? '#2563eb' : '#374151' }}
+              >
+                {option.label}
+              </button>
+            ))}
+            <span style={{ color: '#9ca3af', fontSize: '12px', marginLeft: '8px' }}>
+              {comparison.foundByAllRows} found by every configuration · {comparison.matchedRows} matched · {comparison.onlyOneRows} found by one
+            </span>
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', color: '#d1d5db', tableLayout: 'fixed' }}>
+              <thead>
+                <tr style={{ color: '#9ca3af', textAlign: 'left' }}>
+                  {experiment.configs.map((config, index) => (
+                    <th key={index} style={{ ...cellStyle, minWidth: '200px' }}>{config.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, rowIndex) => (
+                  <tr key={rowIndex} style={{ backgroundColor: row.foundBy.length === 1 ? 'rgba(180, 83, 9, 0.15)' : 'transparent' }}>
+                    {row.stories.map((story, index) => (
+                      <td key={index} style={cellStyle}>
+                        {story ? (
+                          <>
+                            <div style={{ color: 'white' }}>{story.title}</div>
+                            <div style={{ color: '#9ca3af', fontSize: '12px', marginTop: '2px' }}>
+                              {story.type} · {story.priority} · {Math.round((story.confidence || 0) * 100)}%
+                              {row.similarity[index] !== null && ` · ${Math.round(row.similarity[index] * 100)}% similar`}
+                            </div>
+                          </>
+                        ) : (
+                          <span style={{ color: '#4b5563' }}>—</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </>
+  );
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '95%',
+        maxWidth: '1200px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '16px' }}>
+          ⚖️ Compare Prompts & Models
+        </h3>
+
+        {errors.map(error => (
+          <div key={error} style={{ color: '#fca5a5', fontSize: '13px', marginBottom: '8px' }}>⚠️ {error}</div>
+        ))}
+
+        <div style={{ display: 'flex', gap: '16px' }}>
+          <div style={{ width: '200px', flexShrink: 0 }}>
+            <div style={{ color: '#9ca3af', fontSize: '12px', marginBottom: '6px' }}>Past experiments</div>
+            {experiments.length === 0 && (
+              <div style={{ color: '#6b7280', fontSize: '12px' }}>None yet</div>
+            )}
+            {experiments.map(item => (
+              <div
+                key={item.id}
+                onClick={() => openExperiment(item.id)}
+                style={{
+                  padding: '8px',
+                  marginBottom: '6px',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  backgroundColor: experiment?.id === item.id ? '#1e3a8a' : '#111827',
+                  border: '1px solid #374151'
+                }}
+              >
+                <div style={{ color: 'white', fontSize: '13px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {item.title}
+                </div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#9ca3af', fontSize: '11px', marginTop: '2px' }}>
+                  <span>{item.configs.length} configs · {item.status}</span>
+                  <span
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      deleteExperiment(item.id);
+                    }}
+                    title="Delete"
+                  >
+                    🗑️
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ flex: 1, minWidth: 0 }}>
+            {experiment ? renderResults() : renderForm()}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '16px' }}>
+          <button onClick={onClose} style={buttonStyle}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PromptExperiments;
@@ -0,0 +1,388 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import DryRunResults from './DryRunResults';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PRESETS = [
+  { label: 'Every 2 minutes', cronExpression: '*/2 * * * *' },
+  { label: 'Every 15 minutes', cronExpression: '*/15 * * * *' },
+  { label: 'Hourly', cronExpression: '0 * * * *' },
+  { label: 'Weekdays at 9:00', cronExpression: '0 9 * * 1-5' }
+];
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+// Auto-processing schedule - pause or resume, change when it runs, and trigger a run now
+function SchedulerSettings({ onClose, onRunFinished }) {
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [showPreview, setShowPreview] = useState(false);
+  const onRunFinishedRef = useRef(onRunFinished);
+  onRunFinishedRef.current = onRunFinished;
+
+  const loadStatus = useCallback(async (resetForm = false) => {
+    try {
+      const response = await fetch('/api/scheduler');
+      const data = await response.json();
+      setStatus(data);
+      if (resetForm) {
+        setForm({
+          cronExpression: data.cronExpression,
+          timezone: data.timezone,
+          quietEnabled: !!data.quietHours,
+          quietStart: data.quietHours?.start || '22:00',
+          quietEnd: data.quietHours?.end || '07:00',
+          activeDays: data.activeDays,
+          dryRun: data.dryRun
+        });
+      }
+    } catch (err) {
+      setErrors(['Failed to load scheduler: ' + err.message]);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus(true);
+  }, [loadStatus]);
+
+  // Follow a run until it finishes
+  const running = status?.running;
+  useEffect(() => {
+    if (!running) {
+      return undefined;
+    }
+    const timer = setInterval(async () => {
+      const response = await fetch('/api/scheduler').catch(() => null);
+      const data = response && response.ok ? await response.json() : null;
+      if (data) {
+        setStatus(data);
+        if (!data.running) {
+          onRunFinishedRef.current();
+        }
+      }
+    }, 3000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  const saveSettings = async (patch) => {
+    setSaving(true);
+    setErrors([]);
+    setMessage('');
+    try {
+      const response = await fetch('/api/scheduler', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(patch)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setStatus(data);
+        setMessage('✅ Schedule saved');
+      } else {
+        setErrors(data.details || [data.error || 'Failed to save schedule']);
+      }
+    } catch (err) {
+      setErrors(['Failed to save schedule: ' + err.message]);
+    }
+    setSaving(false);
+  };
+
+  const saveForm = () => saveSettings({
+    cronExpression: form.cronExpression,
+    timezone: form.timezone,
+    quietHours: form.quietEnabled ? { start: form.quietStart, end: form.quietEnd } : null,
+    activeDays: form.activeDays,
+    dryRun: form.dryRun
+  });
+
+  const runNow = async (dryRun = false) => {
+    setErrors([]);
+    setMessage('');
+    try {
+      const response = await fetch('/api/scheduler/run', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dryRun })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setStatus(data);
+        setMessage(dryRun ? '🧪 Dry run started' : '🤖 Run started');
+      } else {
+        setStatus(data.scheduler || status);
+        setErrors([data.error || 'Failed to start a run']);
+      }
+    } catch (err) {
+      setErrors(['Failed to start a run: ' + err.message]);
+    }
+  };
+
+  const toggleDay = (day) => {
+    setForm(prev => ({
+      ...prev,
+      activeDays: prev.activeDays.includes(day)
+        ? prev.activeDays.filter(d => d !== day)
+        : [...prev.activeDays, day].sort((a, b) => a - b)
+    }));
+  };
+
+  const inputStyle = {
+    padding: '8px',
+    backgroundColor: '#111827',
+    color: 'white',
+    border: '1px solid #374151',
+    borderRadius: '6px',
+    fontSize: '14px'
+  };
+  const buttonStyle = {
+    padding: '8px 14px',
+    backgroundColor: '#4b5563',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  };
+  const labelStyle = { display: 'block', color: '#d1d5db', fontSize: '13px', marginBottom: '6px' };
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', padding: '4px 0', fontSize: '13px' };
+
+  const lastRun = status?.lastRun;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '600px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '16px' }}>
+          🕒 Auto-Processing Schedule
+        </h3>
+
+        {errors.map(error => (
+          <div key={error} style={{ color: '#fca5a5', fontSize: '13px', marginBottom: '8px' }}>⚠️ {error}</div>
+        ))}
+        {message && (
+          <div style={{ color: '#86efac', fontSize: '13px', marginBottom: '12px' }}>{message}</div>
+        )}
+
+        {status && (
+          <div style={{
+            padding: '12px',
+            marginBottom: '16px',
+            backgroundColor: '#111827',
+            border: '1px solid #374151',
+            borderRadius: '6px',
+            color: '#9ca3af'
+          }}>
+            <div style={rowStyle}>
+              <span>Status</span>
+              <span style={{ color: status.enabled ? '#86efac' : '#fcd34d' }}>
+                {status.running ? '🔄 Running' : status.enabled ? '✅ Enabled' : '⏸️ Paused'}
+                {status.dryRun && ' (dry run)'}
+              </span>
+            </div>
+            <div style={rowStyle}>
+              <span>Schedule</span>
+              <code style={{ color: 'white' }}>{status.cronExpression}</code>
+            </div>
+            <div style={rowStyle}>
+              <span>Next run</span>
+              <span style={{ color: 'white' }}>{status.enabled ? formatTime(status.nextRunAt) : 'Paused'}</span>
+            </div>
+            <div style={rowStyle}>
+              <span>Last run</span>
+              <span style={{ color: 'white' }}>
+                {lastRun ? `${formatTime(lastRun.at)} (${lastRun.trigger}${lastRun.dryRun ? ', dry run' : ''})` : 'Never'}
+              </span>
+            </div>
+            {lastRun && (
+              <div style={rowStyle}>
+                <span>Last result</span>
+                <span style={{ color: lastRun.status === 'completed' ? '#86efac' : '#fca5a5', textAlign: 'right' }}>
+                  {lastRun.status === 'completed'
+                    ? `✅ ${lastRun.summary.processed} processed, ${lastRun.summary.storiesGenerated} stories, ${lastRun.summary.pagesSeen} pages checked`
+                    : `❌ ${lastRun.error}`}
+                </span>
+              </div>
+            )}
+            {lastRun?.summary?.dryRun && (
+              <div style={rowStyle}>
+                <span>Dry run preview</span>
+                <button onClick={() => setShowPreview(true)} style={{ ...buttonStyle, padding: '2px 10px', fontSize: '12px' }}>
+                  🧪 View stories and payloads
+                </button>
+              </div>
+            )}
+            {status.enabled && status.blockedNow && (
+              <div style={{ ...rowStyle, color: '#fcd34d' }}>
+                <span>Right now</span>
+                <span>⏭️ {status.blockedNow} - scheduled runs are skipped</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {form && (
+          <>
+            <div style={{ marginBottom: '16px' }}>
+              <label style={labelStyle}>Cron expression (minute hour day-of-month month day-of-week)</label>
+              <input
+                type="text"
+                value={form.cronExpression}
+                onChange={(e) => setForm({ ...form, cronExpression: e.target.value })}
+                style={{ ...inputStyle, width: '100%', fontFamily: 'monospace' }}
+              />
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '8px' }}>
+                {PRESETS.map(preset => (
+                  <button
+                    key={preset.cronExpression}
+                    onClick={() => setForm({ ...form, cronExpression: preset.cronExpression })}
+                    style={{ ...buttonStyle, padding: '4px 10px', fontSize: '12px' }}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div style={{ marginBottom: '16px' }}>
+              <label style={labelStyle}>Timezone</label>
+              <input
+                type="text"
+                value={form.timezone}
+                onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                placeholder="e.g. Europe/Berlin"
+                style={{ ...inputStyle, width: '100%' }}
+              />
+            </div>
+
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={form.quietEnabled}
+                  onChange={(e) => setForm({ ...form, quietEnabled: e.target.checked })}
+                />
+                Quiet hours - no scheduled runs between
+              </label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#9ca3af', fontSize: '13px' }}>
+                <input
+                  type="time"
+                  value={form.quietStart}
+                  disabled={!form.quietEnabled}
+                  onChange={(e) => setForm({ ...form, quietStart: e.target.value })}
+                  style={inputStyle}
+                />
+                and
+                <input
+                  type="time"
+                  value={form.quietEnd}
+                  disabled={!form.quietEnabled}
+                  onChange={(e) => setForm({ ...form, quietEnd: e.target.value })}
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+
+            <div style={{ marginBottom: '16px' }}>
+              <label style={labelStyle}>Active days</label>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                {DAYS.map((label, day) => (
+                  <button
+                    key={label}
+                    onClick={() => toggleDay(day)}
+                    style={{
+                      ...buttonStyle,
+                      padding: '6px 10px',
+                      backgroundColor: form.activeDays.includes(day) ? '#2563eb' : '#374151'
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={form.dryRun}
+                  onChange={(e) => setForm({ ...form, dryRun: e.target.checked })}
+                />
+                🧪 Dry run - scheduled runs extract and preview stories without storing or sending anything
+              </label>
+            </div>
+          </>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', marginTop: '16px' }}>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={() => saveSettings({ enabled: !status?.enabled })}
+              disabled={!status || saving}
+              style={{ ...buttonStyle, backgroundColor: status?.enabled ? '#b45309' : '#16a34a' }}
+            >
+              {status?.enabled ? '⏸️ Pause' : '▶️ Enable'}
+            </button>
+            <button
+              onClick={() => runNow()}
+              disabled={!status || status.running}
+              style={{ ...buttonStyle, backgroundColor: '#2563eb', opacity: status?.running ? 0.5 : 1 }}
+            >
+              {status?.running ? 'Running...' : '🤖 Run now'}
+            </button>
+            <button
+              onClick={() => runNow(true)}
+              disabled={!status || status.running}
+              style={{ ...buttonStyle, opacity: status?.running ? 0.5 : 1 }}
+            >
+              🧪 Dry run now
+            </button>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={saveForm} disabled={!form || saving} style={{ ...buttonStyle, backgroundColor: '#16a34a' }}>
+              {saving ? 'Saving...' : 'Save schedule'}
+            </button>
+            <button onClick={onClose} style={buttonStyle}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {showPreview && lastRun?.summary?.dryRun && (
+        <DryRunResults
+          title={`Scheduled run ${formatTime(lastRun.at)}`}
+          previews={lastRun.summary.previews}
+          onClose={() => setShowPreview(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SchedulerSettings;
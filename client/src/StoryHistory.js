@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.map(item => `• ${item}`).join('\n');
+  return String(value);
+};
+
+// Version history modal - field-by-field diff between two versions with rollback
+function StoryHistory({ story, onClose, onRestore }) {
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [changes, setChanges] = useState([]);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadVersions = async () => {
+      try {
+        const response = await fetch(`/api/stories/${story.id}/versions`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setVersions(data.versions);
+          setToVersion(data.currentVersion);
+          setFromVersion(Math.max(data.currentVersion - 1, 1));
+        } else {
+          setError(data.error || 'Failed to load versions');
+        }
+      } catch (err) {
+        setError('Failed to load versions: ' + err.message);
+      }
+    };
+
+    loadVersions();
+  }, [story.id, story.version]);
+
+  useEffect(() => {
+    if (!fromVersion || !toVersion) {
+      return;
+    }
+
+    const loadDiff = async () => {
+      try {
+        const response = await fetch(`/api/stories/${story.id}/diff?from=${fromVersion}&to=${toVersion}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setChanges(data.changes);
+        } else {
+          setError(data.error || 'Failed to load diff');
+        }
+      } catch (err) {
+        setError('Failed to load diff: ' + err.message);
+      }
+    };
+
+    loadDiff();
+  }, [story.id, fromVersion, toVersion]);
+
+  const restoreVersion = async (version) => {
+    if (!window.confirm(`Restore version ${version}? This is saved as a new version and the story returns to draft.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/stories/${story.id}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version })
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        onRestore(result);
+      } else {
+        alert('❌ Rollback failed: ' + result.error);
+      }
+    } catch (err) {
+      alert('❌ Rollback error: ' + err.message);
+    }
+  };
+
+  const selectStyle = {
+    padding: '6px 10px',
+    backgroundColor: '#374151',
+    border: '1px solid #4b5563',
+    borderRadius: '6px',
+    color: 'white',
+    fontSize: '14px'
+  };
+
+  const visibleChanges = showUnchanged ? changes : changes.filter(change => change.changed);
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '900px',
+        maxHeight: '85vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '4px' }}>
+          🕘 Version History
+        </h3>
+        <p style={{ fontSize: '14px', color: '#9ca3af', marginTop: 0, marginBottom: '16px' }}>
+          {story.title}
+        </p>
+
+        {error && (
+          <div style={{ color: '#fca5a5', marginBottom: '16px' }}>⚠️ {error}</div>
+        )}
+
+        <div style={{ marginBottom: '16px' }}>
+          {versions.slice().reverse().map(version => (
+            <div key={version.version} style={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              padding: '8px 12px',
+              backgroundColor: version.version === story.version ? '#1e3a8a44' : '#374151',
+              borderRadius: '6px',
+              marginBottom: '6px',
+              fontSize: '13px',
+              color: '#d1d5db'
+            }}>
+              <span>
+                <strong>v{version.version}</strong> • {version.reason} • {new Date(version.createdAt).toLocaleString()}
+                {version.guidance && <span style={{ color: '#a855f7' }}> • "{version.guidance}"</span>}
+              </span>
+              {version.version !== story.version && story.status !== 'deployed' && (
+                <button
+                  onClick={() => restoreVersion(version.version)}
+                  style={{
+                    padding: '4px 10px',
+                    backgroundColor: '#4b5563',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    fontSize: '12px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  ⏪ Restore
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {versions.length > 1 && (
+          <>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px', color: '#d1d5db', fontSize: '14px' }}>
+              <span>Compare</span>
+              <select value={fromVersion || ''} onChange={(e) => setFromVersion(parseInt(e.target.value, 10))} style={selectStyle}>
+                {versions.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+              </select>
+              <span>→</span>
+              <select value={toVersion || ''} onChange={(e) => setToVersion(parseInt(e.target.value, 10))} style={selectStyle}>
+                {versions.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+              </select>
+              <label style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                Show unchanged fields
+              </label>
+            </div>
+
+            {visibleChanges.length === 0 && (
+              <p style={{ color: '#6b7280', fontSize: '14px' }}>No differences between these versions.</p>
+            )}
+
+            {visibleChanges.map(change => (
+              <div key={change.field} style={{ marginBottom: '12px' }}>
+                <h4 style={{ margin: '0 0 6px 0', fontSize: '13px', fontWeight: '600', color: change.changed ? '#fbbf24' : '#9ca3af' }}>
+                  {change.field}{change.changed ? ' (changed)' : ''}
+                </h4>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                  <pre style={{
+                    margin: 0,
+                    padding: '8px',
+                    fontSize: '13px',
+                    whiteSpace: 'pre-wrap',
+                    color: change.changed ? '#fca5a5' : '#9ca3af',
+                    backgroundColor: change.changed ? '#7f1d1d33' : '#111827',
+                    borderRadius: '4px'
+                  }}>
+                    {formatValue(change.before)}
+                  </pre>
+                  <pre style={{
+                    margin: 0,
+                    padding: '8px',
+                    fontSize: '13px',
+                    whiteSpace: 'pre-wrap',
+                    color: change.changed ? '#86efac' : '#9ca3af',
+                    backgroundColor: change.changed ? '#14532d33' : '#111827',
+                    borderRadius: '4px'
+                  }}>
+                    {formatValue(change.after)}
+                  </pre>
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '24px' }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#4b5563',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default StoryHistory;
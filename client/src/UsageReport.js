@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const GROUPS = [
+  { value: 'day', label: 'By day' },
+  { value: 'transcript', label: 'By transcript' },
+  { value: 'source', label: 'By source' }
+];
+
+function formatUsd(value) {
+  return `$${(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+function budgetText(budget) {
+  if (budget.limitUsd === null) {
+    return `${formatUsd(budget.spentUsd)} spent - no limit`;
+  }
+  return `${formatUsd(budget.spentUsd)} of ${formatUsd(budget.limitUsd)}${budget.exceeded ? ' - exceeded' : ''}`;
+}
+
+// LLM tokens and estimated cost per day, transcript or source, and the budgets that pause automated processing
+function UsageReport({ onClose }) {
+  const [groupBy, setGroupBy] = useState('day');
+  const [report, setReport] = useState(null);
+  const [budgetForm, setBudgetForm] = useState({ dailyUsd: '', monthlyUsd: '' });
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  const loadReport = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/usage?groupBy=${groupBy}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setReport(data);
+      } else {
+        setErrors([data.error || 'Failed to load usage']);
+      }
+    } catch (err) {
+      setErrors(['Failed to load usage: ' + err.message]);
+    }
+  }, [groupBy]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  useEffect(() => {
+    fetch('/api/usage/budgets')
+      .then(response => response.json())
+      .then(data => setBudgetForm({
+        dailyUsd: data.budgets.dailyUsd ?? '',
+        monthlyUsd: data.budgets.monthlyUsd ?? ''
+      }))
+      .catch(err => setErrors(['Failed to load budgets: ' + err.message]));
+  }, []);
+
+  const saveBudgets = async () => {
+    setErrors([]);
+    setMessage('');
+    try {
+      const response = await fetch('/api/usage/budgets', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          dailyUsd: budgetForm.dailyUsd === '' ? null : Number(budgetForm.dailyUsd),
+          monthlyUsd: budgetForm.monthlyUsd === '' ? null : Number(budgetForm.monthlyUsd)
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage('✅ Budgets saved');
+        loadReport();
+      } else {
+        setErrors(data.details || [data.error || 'Failed to save budgets']);
+      }
+    } catch (err) {
+      setErrors(['Failed to save budgets: ' + err.message]);
+    }
+  };
+
+  const inputStyle = {
+    padding: '8px',
+    backgroundColor: '#111827',
+    color: 'white',
+    border: '1px solid #374151',
+    borderRadius: '6px',
+    fontSize: '14px',
+    width: '120px'
+  };
+  const buttonStyle = {
+    padding: '8px 14px',
+    backgroundColor: '#4b5563',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  };
+  const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #374151', fontSize: '13px', textAlign: 'right' };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#1f2937',
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '800px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        border: '1px solid #374151'
+      }}>
+        <h3 style={{ fontSize: '18px', fontWeight: 'bold', color: 'white', marginBottom: '16px' }}>
+          💸 LLM Usage & Budgets
+        </h3>
+
+        {errors.map(error => (
+          <div key={error} style={{ color: '#fca5a5', fontSize: '13px', marginBottom: '8px' }}>⚠️ {error}</div>
+        ))}
+        {message && (
+          <div style={{ color: '#86efac', fontSize: '13px', marginBottom: '12px' }}>{message}</div>
+        )}
+
+        {report && (
+          <div style={{
+            padding: '12px',
+            marginBottom: '16px',
+            backgroundColor: '#111827',
+            border: `1px solid ${report.budget.exceeded ? '#b91c1c' : '#374151'}`,
+            borderRadius: '6px',
+            color: '#9ca3af',
+            fontSize: '13px'
+          }}>
+            <div>Today ({report.budget.daily.period}): <span style={{ color: 'white' }}>{budgetText(report.budget.daily)}</span></div>
+            <div>This month ({report.budget.monthly.period}): <span style={{ color: 'white' }}>{budgetText(report.budget.monthly)}</span></div>
+            {report.budget.exceeded && (
+              <div style={{ color: '#fca5a5', marginTop: '6px' }}>
+                ⏸️ {report.budget.reason} - scheduled runs and webhooks are paused
+              </div>
+            )}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '12px', marginBottom: '20px' }}>
+          <label style={{ color: '#d1d5db', fontSize: '13px' }}>
+            Daily budget (USD)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={budgetForm.dailyUsd}
+              placeholder="No limit"
+              onChange={(e) => setBudgetForm({ ...budgetForm, dailyUsd: e.target.value })}
+              style={{ ...inputStyle, display: 'block', marginTop: '4px' }}
+            />
+          </label>
+          <label style={{ color: '#d1d5db', fontSize: '13px' }}>
+            Monthly budget (USD)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={budgetForm.monthlyUsd}
+              placeholder="No limit"
+              onChange={(e) => setBudgetForm({ ...budgetForm, monthlyUsd: e.target.value })}
+              style={{ ...inputStyle, display: 'block', marginTop: '4px' }}
+            />
+          </label>
+          <button onClick={saveBudgets} style={{ ...buttonStyle, backgroundColor: '#16a34a' }}>
+            Save budgets
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+          {GROUPS.map(group => (
+            <button
+              key={group.value}
+              onClick={() => setGroupBy(group.value)}
+              style={{ ...buttonStyle, backgroundColor: groupBy === group.value ? '#2563eb' : '#374151' }}
+            >
+              {group.label}
+            </button>
+          ))}
+        </div>
+
+        {report && report.groups.length === 0 && (
+          <div style={{ color: '#9ca3af', fontSize: '14px', padding: '24px 0', textAlign: 'center' }}>
+            No LLM calls recorded yet
+          </div>
+        )}
+
+        {report && report.groups.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', color: '#d1d5db' }}>
+            <thead>
+              <tr style={{ color: '#9ca3af' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>{GROUPS.find(group => group.value === groupBy).label.replace('By ', '')}</th>
+                <th style={cellStyle}>Calls</th>
+                <th style={cellStyle}>Prompt tokens</th>
+                <th style={cellStyle}>Completion tokens</th>
+                <th style={cellStyle}>Est. cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.groups.map(row => (
+                <tr key={row.key}>
+                  <td style={{ ...cellStyle, textAlign: 'left', color: 'white' }}>{row.title || row.key}</td>
+                  <td style={cellStyle}>{row.calls}</td>
+                  <td style={cellStyle}>{row.promptTokens.toLocaleString()}</td>
+                  <td style={cellStyle}>{row.completionTokens.toLocaleString()}</td>
+                  <td style={cellStyle}>{formatUsd(row.costUsd)}{row.unpricedCalls > 0 ? '*' : ''}</td>
+                </tr>
+              ))}
+              <tr style={{ fontWeight: 'bold' }}>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>Total</td>
+                <td style={cellStyle}>{report.totals.calls}</td>
+                <td style={cellStyle}>{report.totals.promptTokens.toLocaleString()}</td>
+                <td style={cellStyle}>{report.totals.completionTokens.toLocaleString()}</td>
+                <td style={cellStyle}>{formatUsd(report.totals.costUsd)}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+
+        {report && report.totals.unpricedCalls > 0 && (
+          <p style={{ color: '#9ca3af', fontSize: '12px', marginTop: '8px' }}>
+            * {report.totals.unpricedCalls} call(s) used a model without a known price - set LLM_PRICING to include them
+          </p>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '16px' }}>
+          <button onClick={loadReport} style={buttonStyle}>
+            🔄 Refresh
+          </button>
+          <button onClick={onClose} style={buttonStyle}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UsageReport;
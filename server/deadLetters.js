@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Dead-letter list - operations whose external calls kept failing after the retry policy gave up.
+// Entries are kept in dead_letters.json and can be retried or dismissed from the dashboard.
+// Each entry has a key naming what failed (e.g. "process-transcript:<pageId>"), so repeated failures of the
+// same operation update one entry, and a later success anywhere resolves it. Retries run per type:
+//
+//   deadLetters.registerRetry('slack-notification', async (entry, options) => result)
+const dataPath = path.join(__dirname, '..', 'dead_letters.json');
+// Resolved and dismissed entries beyond this many are dropped, oldest first
+const MAX_CLOSED_ENTRIES = 200;
+
+const DEAD_LETTER_STATUSES = ['open', 'retrying', 'resolved', 'dismissed'];
+
+const retryHandlers = new Map();
+let deadLetterData = {
+  entries: [],
+  lastUpdated: ''
+};
+
+function isClosed(entry) {
+  return entry.status === 'resolved' || entry.status === 'dismissed';
+}
+
+function saveDeadLetters() {
+  try {
+    const closed = deadLetterData.entries.filter(isClosed);
+    if (closed.length > MAX_CLOSED_ENTRIES) {
+      const dropped = new Set(closed
+        .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+        .slice(0, closed.length - MAX_CLOSED_ENTRIES)
+        .map(entry => entry.id));
+      deadLetterData.entries = deadLetterData.entries.filter(entry => !dropped.has(entry.id));
+    }
+
+    deadLetterData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(deadLetterData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving dead letters:', error.message);
+    return false;
+  }
+}
+
+function loadDeadLetters() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      deadLetterData = { entries: [], ...JSON.parse(fs.readFileSync(dataPath, 'utf8')) };
+      // A retry that was running when the server stopped never reported back
+      deadLetterData.entries
+        .filter(entry => entry.status === 'retrying')
+        .forEach(entry => Object.assign(entry, { status: 'open' }));
+      console.log(`✅ Loaded ${deadLetterData.entries.filter(entry => !isClosed(entry)).length} open dead letters`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading dead letters:', error.message);
+    return false;
+  }
+}
+
+function registerRetry(type, handler) {
+  retryHandlers.set(type, handler);
+}
+
+function findOpen(key) {
+  return deadLetterData.entries.find(entry => entry.key === key && !isClosed(entry)) || null;
+}
+
+function isOpen(key) {
+  return !!findOpen(key);
+}
+
+// Record a failed operation. payload holds what the retry handler needs - never secrets.
+function record({ key, type, title, payload = {}, error }) {
+  const now = new Date().toISOString();
+  const failure = {
+    error: error.message,
+    operation: error.operation || null,
+    httpStatus: error.status || null
+  };
+
+  let entry = findOpen(key);
+  if (entry) {
+    Object.assign(entry, failure, { title: title || entry.title, payload, status: 'open', failures: entry.failures + 1, updatedAt: now });
+  } else {
+    entry = {
+      id: `dl-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      key,
+      type,
+      title: title || null,
+      payload,
+      ...failure,
+      status: 'open',
+      failures: 1,
+      retries: 0,
+      createdAt: now,
+      updatedAt: now,
+      resolvedAt: null
+    };
+    deadLetterData.entries.push(entry);
+  }
+
+  saveDeadLetters();
+  console.error(`📮 Dead-lettered ${type} "${entry.title || key}" after ${error.attempts || 1} attempt(s): ${error.message}`);
+  return entry;
+}
+
+// The operation succeeded - close its open entry, if any
+function resolve(key) {
+  const entry = findOpen(key);
+  if (!entry) {
+    return null;
+  }
+  Object.assign(entry, { status: 'resolved', resolvedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+  saveDeadLetters();
+  console.log(`📬 Dead letter resolved: ${entry.title || key}`);
+  return entry;
+}
+
+function getEntry(id) {
+  return deadLetterData.entries.find(entry => entry.id === id) || null;
+}
+
+// Run an entry's retry handler. Handlers resolve or re-record the entry themselves;
+// an entry still marked retrying when a handler throws goes back to open.
+async function retry(id, options = {}) {
+  const entry = getEntry(id);
+  if (!entry) {
+    return null;
+  }
+  if (isClosed(entry)) {
+    throw new Error(`Dead letter ${id} is already ${entry.status}`);
+  }
+  const handler = retryHandlers.get(entry.type);
+  if (!handler) {
+    throw new Error(`No retry handler registered for "${entry.type}"`);
+  }
+
+  Object.assign(entry, { status: 'retrying', retries: entry.retries + 1, updatedAt: new Date().toISOString() });
+  saveDeadLetters();
+  console.log(`🔁 Retrying dead letter ${entry.type}: ${entry.title || entry.key}`);
+
+  try {
+    return await handler(entry, options);
+  } catch (error) {
+    // A retry refused up front (e.g. missing settings) keeps the original failure
+    if (entry.status === 'retrying') {
+      Object.assign(entry, { status: 'open', ...(error.operation ? { error: error.message } : {}), updatedAt: new Date().toISOString() });
+      saveDeadLetters();
+    }
+    throw error;
+  }
+}
+
+// Close out a retry whose outcome arrived later (e.g. a background job): resolved, or open again with the error.
+// Entries the retried operation already resolved or re-recorded are left as they are.
+function settleRetry(id, error = null) {
+  const entry = getEntry(id);
+  if (!entry || entry.status !== 'retrying') {
+    return entry;
+  }
+  if (error) {
+    Object.assign(entry, { status: 'open', error: error.message || String(error), updatedAt: new Date().toISOString() });
+    saveDeadLetters();
+    return entry;
+  }
+  return resolve(entry.key);
+}
+
+function dismiss(id) {
+  const entry = getEntry(id);
+  if (!entry) {
+    return null;
+  }
+  Object.assign(entry, { status: 'dismissed', updatedAt: new Date().toISOString() });
+  saveDeadLetters();
+  return entry;
+}
+
+// Newest failure first; filter by status or type. Without a status, only entries still needing attention.
+function listEntries({ status, type } = {}) {
+  return deadLetterData.entries
+    .filter(entry => (status ? entry.status === status : !isClosed(entry)) && (!type || entry.type === type))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function getCounts() {
+  const counts = Object.fromEntries(DEAD_LETTER_STATUSES.map(status => [status, 0]));
+  deadLetterData.entries.forEach(entry => {
+    counts[entry.status]++;
+  });
+  return counts;
+}
+
+module.exports = {
+  DEAD_LETTER_STATUSES,
+  loadDeadLetters,
+  registerRetry,
+  isOpen,
+  record,
+  resolve,
+  getEntry,
+  retry,
+  settleRetry,
+  dismiss,
+  listEntries,
+  getCounts
+};
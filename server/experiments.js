@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { matchStories } = require('./storySimilarity');
+const { PROVIDER_NAMES, createProvider } = require('./llmProviders');
+const { getContext } = require('./productContexts');
+const { getTemplateVersion, validateTemplate } = require('./promptTemplates');
+
+// Prompt and model experiments - one transcript run through several configurations so their stories
+// can be compared side by side. Experiments, with the transcript text and every configuration's stories,
+// are kept in experiments.json. Nothing an experiment extracts is stored as a story.
+//
+// A configuration: { label, provider, model, temperature, context, prompts }, where prompts maps
+// 'extraction-system' / 'extraction-user' to a saved version number or { content } of an unsaved draft.
+// Anything left out uses the current setting: LLM_* configuration, the latest templates, the context picked by title.
+const dataPath = path.join(__dirname, '..', 'experiments.json');
+const MIN_CONFIGS = 2;
+const MAX_CONFIGS = 6;
+// Experiments beyond this many are dropped, oldest first
+const MAX_EXPERIMENTS = 100;
+const EXPERIMENT_PROMPTS = ['extraction-system', 'extraction-user'];
+
+let experimentsData = {
+  experiments: [],
+  lastUpdated: ''
+};
+
+function saveExperiments() {
+  try {
+    experimentsData.experiments = experimentsData.experiments.slice(-MAX_EXPERIMENTS);
+    experimentsData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(experimentsData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving experiments:', error.message);
+    return false;
+  }
+}
+
+function loadExperiments() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      experimentsData = { ...experimentsData, ...JSON.parse(fs.readFileSync(dataPath, 'utf8')) };
+      console.log(`✅ Loaded ${experimentsData.experiments.length} experiments`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading experiments:', error.message);
+    return false;
+  }
+}
+
+function validatePrompts(prompts, name) {
+  if (prompts === undefined || prompts === null) {
+    return [];
+  }
+  if (typeof prompts !== 'object' || Array.isArray(prompts)) {
+    return [`${name}: prompts must map a template name to a version number or { content }`];
+  }
+
+  return Object.entries(prompts).flatMap(([template, choice]) => {
+    if (!EXPERIMENT_PROMPTS.includes(template)) {
+      return [`${name}: ${template} can't be changed in an experiment - use ${EXPERIMENT_PROMPTS.join(' or ')}`];
+    }
+    if (typeof choice === 'number') {
+      return getTemplateVersion(template, choice) ? [] : [`${name}: ${template} has no version ${choice}`];
+    }
+    if (choice && typeof choice.content === 'string') {
+      return validateTemplate(template, choice.content).map(error => `${name}: ${template}: ${error}`);
+    }
+    return [`${name}: ${template} must be a version number or { content }`];
+  });
+}
+
+// Returns a list of problems - empty when the configurations can run
+function validateConfigs(configs) {
+  if (!Array.isArray(configs) || configs.length < MIN_CONFIGS || configs.length > MAX_CONFIGS) {
+    return [`configs must list ${MIN_CONFIGS} to ${MAX_CONFIGS} configurations`];
+  }
+
+  return configs.flatMap((config, index) => {
+    const name = config?.label || `Configuration ${index + 1}`;
+    if (!config || typeof config !== 'object') {
+      return [`${name} must be an object`];
+    }
+
+    const errors = [];
+    if (config.provider !== undefined && config.provider !== null) {
+      if (!PROVIDER_NAMES.includes(config.provider)) {
+        errors.push(`${name}: unknown provider "${config.provider}" - use one of ${PROVIDER_NAMES.join(', ')}`);
+      } else if (!createProvider({ provider: config.provider }).isConfigured()) {
+        errors.push(`${name}: provider ${config.provider} is not configured`);
+      }
+    } else if (!createProvider().isConfigured()) {
+      errors.push(`${name}: the default LLM provider is not configured - pick a provider`);
+    }
+    if (config.model !== undefined && config.model !== null && (typeof config.model !== 'string' || !config.model.trim())) {
+      errors.push(`${name}: model must be a model name`);
+    }
+    if (config.temperature !== undefined && config.temperature !== null &&
+        !(typeof config.temperature === 'number' && config.temperature >= 0 && config.temperature <= 2)) {
+      errors.push(`${name}: temperature must be a number from 0 to 2`);
+    }
+    if (config.context && !getContext(config.context)) {
+      errors.push(`${name}: unknown product context "${config.context}"`);
+    }
+    errors.push(...validatePrompts(config.prompts, name));
+    return errors;
+  });
+}
+
+function normalizeConfig(config, index) {
+  return {
+    label: (config.label || '').trim() || `Configuration ${index + 1}`,
+    provider: config.provider || null,
+    model: config.model ? config.model.trim() : null,
+    temperature: typeof config.temperature === 'number' ? config.temperature : null,
+    context: config.context || null,
+    prompts: config.prompts || {}
+  };
+}
+
+// New queued experiment for a transcript ({ transcriptId, title, transcript }) - configs must be valid
+function createExperiment({ transcriptId = null, title, transcript, configs }) {
+  const experiment = {
+    id: `exp-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'queued',
+    jobId: null,
+    transcriptId,
+    title,
+    transcript,
+    configs: configs.map((config, index) => ({
+      ...normalizeConfig(config, index),
+      status: 'queued',
+      stories: [],
+      usage: null,
+      durationMs: null,
+      error: null
+    })),
+    comparison: null,
+    error: null
+  };
+
+  experimentsData.experiments.push(experiment);
+  saveExperiments();
+  return experiment;
+}
+
+function getExperiment(id) {
+  return experimentsData.experiments.find(experiment => experiment.id === id) || null;
+}
+
+function updateExperiment(id, updates) {
+  const experiment = getExperiment(id);
+  if (!experiment) {
+    return null;
+  }
+  Object.assign(experiment, updates);
+  saveExperiments();
+  return experiment;
+}
+
+// Store one configuration's outcome: { status, stories, usage, durationMs, error }
+function recordResult(id, index, result) {
+  const experiment = getExperiment(id);
+  if (!experiment || !experiment.configs[index]) {
+    return null;
+  }
+  Object.assign(experiment.configs[index], result);
+  saveExperiments();
+  return experiment;
+}
+
+// Line up the stories of every configuration. Stories matched across configurations share a row;
+// a story no other configuration found gets a row of its own. Rows found by more configurations come first.
+function compareConfigs(configs) {
+  const rows = [];
+
+  configs.forEach((config, index) => {
+    if (config.status !== 'completed') {
+      return;
+    }
+    const representatives = rows.map(row => row.stories[row.foundBy[0]]);
+    const { matched, onlyB } = matchStories(representatives, config.stories);
+
+    matched.forEach(({ a, b, score }) => {
+      const row = rows[representatives.indexOf(a)];
+      row.stories[index] = b;
+      row.foundBy.push(index);
+      row.scores[index] = score;
+    });
+    onlyB.forEach(story => rows.push({ foundBy: [index], stories: { [index]: story }, scores: {} }));
+  });
+
+  const completed = configs.filter(config => config.status === 'completed').length;
+  const sorted = rows
+    .map(row => ({
+      foundBy: row.foundBy,
+      foundByAll: row.foundBy.length === completed,
+      // Similarity of each story to the row's first story - null for the first and for gaps
+      similarity: configs.map((_, index) => row.scores[index] ?? null),
+      stories: configs.map((_, index) => row.stories[index] || null)
+    }))
+    .sort((a, b) => b.foundBy.length - a.foundBy.length);
+
+  return {
+    rows: sorted,
+    matchedRows: sorted.filter(row => row.foundBy.length > 1).length,
+    foundByAllRows: completed > 1 ? sorted.filter(row => row.foundByAll).length : 0,
+    onlyOneRows: sorted.filter(row => row.foundBy.length === 1).length,
+    byConfig: configs.map((config, index) => ({
+      label: config.label,
+      storyCount: config.stories.length,
+      matched: sorted.filter(row => row.foundBy.length > 1 && row.foundBy.includes(index)).length,
+      unique: sorted.filter(row => row.foundBy.length === 1 && row.foundBy[0] === index).length
+    }))
+  };
+}
+
+// Settle an experiment once its job ends - configurations that never ran are marked skipped.
+// Pass the error that stopped the run, if any.
+function finishExperiment(id, error = null, status = null) {
+  const experiment = getExperiment(id);
+  if (!experiment) {
+    return null;
+  }
+
+  experiment.configs
+    .filter(config => config.status === 'queued' || config.status === 'running')
+    .forEach(config => {
+      config.status = 'skipped';
+    });
+  experiment.status = status || (error ? 'failed' : 'completed');
+  experiment.error = error ? error.message : null;
+  experiment.finishedAt = new Date().toISOString();
+  experiment.comparison = compareConfigs(experiment.configs);
+  saveExperiments();
+  return experiment;
+}
+
+// Experiments without transcripts and stories, newest first
+function listExperiments() {
+  return [...experimentsData.experiments]
+    .reverse()
+    .map(({ transcript, comparison, configs, ...experiment }) => ({
+      ...experiment,
+      configs: configs.map(({ stories, ...config }) => ({ ...config, storyCount: stories.length }))
+    }));
+}
+
+function deleteExperiment(id) {
+  const before = experimentsData.experiments.length;
+  experimentsData.experiments = experimentsData.experiments.filter(experiment => experiment.id !== id);
+  if (experimentsData.experiments.length === before) {
+    return false;
+  }
+  saveExperiments();
+  return true;
+}
+
+module.exports = {
+  EXPERIMENT_PROMPTS,
+  MAX_CONFIGS,
+  loadExperiments,
+  validateConfigs,
+  createExperiment,
+  getExperiment,
+  updateExperiment,
+  recordResult,
+  finishExperiment,
+  listExperiments,
+  deleteExperiment
+};
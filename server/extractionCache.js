@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Extraction cache - stories extracted from a transcript, kept in extraction_cache.json so the same
+// transcript reaching the pipeline again (dashboard, webhook, auto-process-all) doesn't pay for another completion.
+// An entry's key hashes everything that shapes the result: the transcript text, the prompt template versions,
+// the product context version, provider, model, temperature and max tokens, and any reviewer guidance. Editing a
+// prompt or context, or changing the LLM settings, therefore misses the cache without clearing it.
+//
+//   EXTRACTION_CACHE=off                 (disable - every extraction calls the LLM)
+//   EXTRACTION_CACHE_MAX_ENTRIES=500     (least recently used entries beyond this are dropped)
+const dataPath = path.join(__dirname, '..', 'extraction_cache.json');
+// Hit and miss counts are written together at most this often rather than rewriting the file on every lookup
+const SAVE_DELAY_MS = 2000;
+
+let cacheData = {
+  entries: {},
+  stats: { hits: 0, misses: 0 },
+  lastUpdated: ''
+};
+let saveTimer = null;
+
+function isEnabled() {
+  return (process.env.EXTRACTION_CACHE || 'on').toLowerCase() !== 'off';
+}
+
+function getMaxEntries() {
+  return parseInt(process.env.EXTRACTION_CACHE_MAX_ENTRIES, 10) || 500;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function saveCache() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    const entries = Object.values(cacheData.entries);
+    if (entries.length > getMaxEntries()) {
+      entries
+        .sort((a, b) => (a.lastHitAt || a.createdAt).localeCompare(b.lastHitAt || b.createdAt))
+        .slice(0, entries.length - getMaxEntries())
+        .forEach(entry => delete cacheData.entries[entry.key]);
+    }
+
+    cacheData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(cacheData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving extraction cache:', error.message);
+    return false;
+  }
+}
+
+// Save soon - lookups made in the meantime go out in the same write
+function scheduleSave() {
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveCache, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+}
+
+// Write counts still waiting for a scheduled save - called on shutdown
+function flushPendingSave() {
+  if (saveTimer) {
+    saveCache();
+  }
+}
+
+function loadCache() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      cacheData = { ...cacheData, ...JSON.parse(fs.readFileSync(dataPath, 'utf8')) };
+      console.log(`✅ Loaded ${Object.keys(cacheData.entries).length} cached extractions`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading extraction cache:', error.message);
+    return false;
+  }
+}
+
+// Describe an extraction request: { transcript, promptVersions, context: { name, version }, provider, model,
+// temperature, maxTokens, guidance }. Returns the cache key plus the parts worth showing when inspecting the cache.
+function describeRequest({ transcript, promptVersions, context, provider, model, temperature, maxTokens, guidance = '' }) {
+  const parts = {
+    transcriptHash: hash(transcript),
+    promptVersions,
+    contextName: context.name || null,
+    contextVersion: context.version || null,
+    provider,
+    model,
+    temperature,
+    maxTokens,
+    guidance: guidance || null
+  };
+  return { key: hash(JSON.stringify(parts)), ...parts };
+}
+
+// Cached stories for a request, or null
+function get(request) {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  const { key } = describeRequest(request);
+  const entry = cacheData.entries[key];
+  if (!entry) {
+    cacheData.stats.misses++;
+    scheduleSave();
+    return null;
+  }
+
+  entry.hits++;
+  entry.lastHitAt = new Date().toISOString();
+  cacheData.stats.hits++;
+  scheduleSave();
+  return entry.stories;
+}
+
+function set(request, { title, stories }) {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  const entry = {
+    ...describeRequest(request),
+    title: title || null,
+    stories,
+    hits: 0,
+    createdAt: new Date().toISOString(),
+    lastHitAt: null
+  };
+  cacheData.entries[entry.key] = entry;
+  saveCache();
+  return entry;
+}
+
+// Entries without their stories, most recently used first
+function listEntries() {
+  return Object.values(cacheData.entries)
+    .map(({ stories, ...entry }) => ({ ...entry, storyCount: stories.length }))
+    .sort((a, b) => (b.lastHitAt || b.createdAt).localeCompare(a.lastHitAt || a.createdAt));
+}
+
+function getEntry(key) {
+  return cacheData.entries[key] || null;
+}
+
+function getStats() {
+  return {
+    enabled: isEnabled(),
+    entries: Object.keys(cacheData.entries).length,
+    maxEntries: getMaxEntries(),
+    ...cacheData.stats
+  };
+}
+
+// Remove one entry, or every entry when key is omitted - returns how many were removed
+function clear(key) {
+  let removed;
+  if (key) {
+    removed = cacheData.entries[key] ? 1 : 0;
+    delete cacheData.entries[key];
+  } else {
+    removed = Object.keys(cacheData.entries).length;
+    cacheData.entries = {};
+  }
+
+  if (removed > 0) {
+    saveCache();
+    console.log(`🧹 Cleared ${removed} cached extraction(s)`);
+  }
+  return removed;
+}
+
+module.exports = {
+  loadCache,
+  flushPendingSave,
+  get,
+  set,
+  listEntries,
+  getEntry,
+  getStats,
+  clear
+};
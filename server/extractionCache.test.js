@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const extractionCache = require('./extractionCache');
+
+const request = (overrides = {}) => ({
+  transcript: 'Alice: The export times out on large accounts.',
+  promptVersions: { 'extraction-system': 1, 'extraction-user': 1 },
+  context: { name: 'PRODUCT_CONTEXT', version: 'abc' },
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  temperature: 0.2,
+  maxTokens: 4000,
+  guidance: '',
+  ...overrides
+});
+
+// Keep the real extraction_cache.json out of it; each test sees what was written
+test.beforeEach((t) => {
+  t.mock.method(fs, 'writeFileSync', () => {});
+  t.mock.method(console, 'log', () => {});
+  extractionCache.clear();
+  extractionCache.flushPendingSave();
+  fs.writeFileSync.mock.resetCalls();
+});
+
+const writtenCache = () => JSON.parse(fs.writeFileSync.mock.calls.at(-1).arguments[1]);
+
+test('set stores the stories and get returns them for the same request', () => {
+  extractionCache.set(request(), { title: 'Standup', stories: [{ title: 'Speed up exports' }] });
+
+  assert.deepEqual(extractionCache.get(request()), [{ title: 'Speed up exports' }]);
+  assert.equal(extractionCache.get(request({ guidance: 'Focus on billing' })), null);
+});
+
+test('temperature and max tokens are part of the key', () => {
+  extractionCache.set(request(), { title: 'Standup', stories: [] });
+
+  assert.equal(extractionCache.get(request({ temperature: 0.7 })), null);
+  assert.equal(extractionCache.get(request({ maxTokens: 2000 })), null);
+  assert.deepEqual(extractionCache.get(request()), []);
+});
+
+test('hits and misses are saved together rather than on every lookup', () => {
+  extractionCache.set(request(), { title: 'Standup', stories: [] });
+  assert.equal(fs.writeFileSync.mock.callCount(), 1);
+
+  const before = extractionCache.getStats();
+  extractionCache.get(request());
+  extractionCache.get(request());
+  extractionCache.get(request({ model: 'gpt-4o' }));
+  assert.equal(fs.writeFileSync.mock.callCount(), 1);
+
+  extractionCache.flushPendingSave();
+  assert.equal(fs.writeFileSync.mock.callCount(), 2);
+  assert.equal(writtenCache().stats.hits, before.hits + 2);
+  assert.equal(writtenCache().stats.misses, before.misses + 1);
+  assert.equal(Object.values(writtenCache().entries)[0].hits, 2);
+
+  extractionCache.flushPendingSave();
+  assert.equal(fs.writeFileSync.mock.callCount(), 2);
+});
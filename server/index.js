@@ -2,8 +2,33 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { Client } = require('@notionhq/client');
-const cron = require('node-cron');
 const fetch = require('node-fetch');
+const storyStore = require('./storyStore');
+const { STORY_STATUSES, canTransition, getAutoApproveRule, matchesAutoApproveRule } = require('./reviewWorkflow');
+const { pickContentFields, diffFields } = require('./storyVersions');
+const { matchStories } = require('./storySimilarity');
+const { chunkTranscript, mergeChunkStories } = require('./transcriptChunker');
+const { validateStory, coerceStory, applySafeDefaults, normalizeStory, describeField } = require('./storySchema');
+const promptTemplates = require('./promptTemplates');
+const { renderPrompt } = promptTemplates;
+const productContexts = require('./productContexts');
+const { selectContext } = productContexts;
+const { parseTranscript, SUPPORTED_FORMATS } = require('./transcriptParser');
+const transcriptUploads = require('./transcriptUploads');
+const { getPageText } = require('./notionContent');
+const notionMapping = require('./notionMapping');
+const { readPageMeta } = notionMapping;
+const notionSources = require('./notionSources');
+const notionSync = require('./notionSync');
+const ledger = require('./processingLedger');
+const jobQueue = require('./jobQueue');
+const { withRetry, checkResponse } = require('./retryPolicy');
+const deadLetters = require('./deadLetters');
+const scheduler = require('./scheduler');
+const llmUsage = require('./llmUsage');
+const extractionCache = require('./extractionCache');
+const experiments = require('./experiments');
+const jiraFieldMapping = require('./jiraFieldMapping');
 require('dotenv').config();
 
 const app = express();
@@ -11,15 +36,100 @@ const port = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Uploaded transcripts arrive as JSON, so allow bodies well beyond the 100kb default
+app.use(express.json({ limit: '10mb' }));
 
 // Initialize Notion
 const notion = new Client({ 
   auth: process.env.NOTION_TOKEN 
 });
 
-// Track processed transcripts to avoid duplicates
-let processedTranscriptIds = new Set();
+// Slack message for a story - exactly what sendSlackNotification posts
+function buildSlackPayload(story) {
+  const blocks = [
+    {
+      "type": "header",
+      "text": {
+        "type": "plain_text",
+        "text": `🤖 SkyNet Story Generated: ${story.title}`
+      }
+    },
+    {
+      "type": "section",
+      "fields": [
+        {
+          "type": "mrkdwn",
+          "text": `*Type:* ${story.type}`
+        },
+        {
+          "type": "mrkdwn",
+          "text": `*Priority:* ${story.priority}`
+        },
+        {
+          "type": "mrkdwn",
+          "text": `*Effort:* ${story.effort}`
+        },
+        {
+          "type": "mrkdwn",
+          "text": `*Epic:* ${story.epic}`
+        }
+      ]
+    },
+    {
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": `*User Story:*\n${story.userStory || 'Not specified'}`
+      }
+    },
+    {
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": `*🎯 Problem/Opportunity:*\n${story.problemStatement || story.description}`
+      }
+    },
+    {
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": `*Description:*\n${story.description}`
+      }
+    },
+    {
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": `*Business Value:*\n${story.businessValue}`
+      }
+    },
+    {
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": `*Acceptance Criteria:*\n${(story.acceptanceCriteria || []).map(c => `• ${c}`).join('\n') || 'Not specified'}`
+      }
+    },
+    {
+      "type": "context",
+      "elements": [
+        {
+          "type": "mrkdwn",
+          "text": `📊 Confidence: ${Math.round(story.confidence * 100)}% | 📅 From: ${story.sourceTranscript} | ⏰ ${story.sourceTimestamp}${story.fathomShareUrl ? ` | 🎥 <${story.fathomShareUrl}|View Recording>` : ''}`
+        }
+      ]
+    },
+    {
+      "type": "divider"
+    }
+  ];
+
+  return {
+    blocks: blocks,
+    username: "SkyNet AI",
+    icon_emoji: ":robot_face:"
+  };
+}
 
 // Helper function to send Slack notifications with detailed status tracking
 async function sendSlackNotification(story, webhookUrl) {
@@ -33,128 +143,46 @@ async function sendSlackNotification(story, webhookUrl) {
       throw new Error('Invalid webhook URL format. Must start with https://hooks.slack.com/services/');
     }
     
-    const blocks = [
-      {
-        "type": "header",
-        "text": {
-          "type": "plain_text",
-          "text": `🤖 SkyNet Story Generated: ${story.title}`
-        }
-      },
-      {
-        "type": "section",
-        "fields": [
-          {
-            "type": "mrkdwn",
-            "text": `*Type:* ${story.type}`
-          },
-          {
-            "type": "mrkdwn",
-            "text": `*Priority:* ${story.priority}`
-          },
-          {
-            "type": "mrkdwn",
-            "text": `*Effort:* ${story.effort}`
-          },
-          {
-            "type": "mrkdwn",
-            "text": `*Epic:* ${story.epic}`
-          }
-        ]
-      },
-      {
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": `*User Story:*\n${story.userStory || 'Not specified'}`
-        }
-      },
-      {
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": `*🎯 Problem/Opportunity:*\n${story.problemStatement || story.description}`
-        }
-      },
-      {
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": `*Description:*\n${story.description}`
-        }
-      },
-      {
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": `*Business Value:*\n${story.businessValue}`
-        }
-      },
-      {
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": `*Acceptance Criteria:*\n${story.acceptanceCriteria.map(c => `• ${c}`).join('\n')}`
-        }
-      },
-      {
-        "type": "context",
-        "elements": [
-          {
-            "type": "mrkdwn",
-            "text": `📊 Confidence: ${Math.round(story.confidence * 100)}% | 📅 From: ${story.sourceTranscript} | ⏰ ${story.sourceTimestamp}${story.fathomShareUrl ? ` | 🎥 <${story.fathomShareUrl}|View Recording>` : ''}`
-          }
-        ]
-      },
-      {
-        "type": "divider"
-      }
-    ];
-
-    const payload = {
-      blocks: blocks,
-      username: "SkyNet AI",
-      icon_emoji: ":robot_face:"
-    };
+    const payload = buildSlackPayload(story);
 
     const startTime = Date.now();
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload)
-    });
-    const endTime = Date.now();
-
-    if (!response.ok) {
-      const errorText = await response.text();
+    try {
+      // A Slack post isn't idempotent, so only rate limits and unreachable servers are retried
+      await withRetry('slack.webhook', async () => checkResponse(await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload)
+      }), 'Slack webhook'), { idempotent: false });
+    } catch (error) {
+      const endTime = Date.now();
       console.error(`❌ Slack notification failed for "${story.title}":`, {
-        status: response.status,
-        statusText: response.statusText,
-        error: errorText,
-        url: webhookUrl.substring(0, 50) + '...',
-        headers: Object.fromEntries(response.headers.entries())
+        status: error.status,
+        error: error.message,
+        attempts: error.attempts,
+        url: webhookUrl.substring(0, 50) + '...'
       });
       
       // Specific error handling
-      if (response.status === 404) {
+      if (error.status === 404) {
         console.error(`🚨 404 Error suggests webhook URL is invalid or webhook was deleted`);
         console.error(`🔍 Double-check your webhook URL in Slack app settings`);
       }
       
       return {
         success: false,
-        error: `HTTP ${response.status}: ${errorText}`,
+        error: error.message,
+        attempts: error.attempts,
         timestamp: new Date().toISOString(),
         responseTime: endTime - startTime,
         debug: {
-          status: response.status,
-          statusText: response.statusText,
+          status: error.status || null,
           url: webhookUrl.substring(0, 50) + '...'
         }
       };
     }
+    const endTime = Date.now();
 
     console.log(`📤 Slack notification sent for story: ${story.title} (${endTime - startTime}ms)`);
     return {
@@ -173,352 +201,701 @@ async function sendSlackNotification(story, webhookUrl) {
   }
 }
 
-// Initialize OpenAI for direct completions
-const OpenAI = require('openai');
-const fs = require('fs');
-let openai = null;
-let productContext = '';
-
-// Persistent tracking for processed transcripts
-let processedTranscriptsData = {
-  processedIds: [],
-  lastUpdated: '',
-  cutoffDate: ''
-};
-
-// Load and save processed transcripts data
-function loadProcessedTranscripts() {
-  try {
-    const dataPath = path.join(__dirname, '..', 'processed_transcripts.json');
-    if (fs.existsSync(dataPath)) {
-      const data = fs.readFileSync(dataPath, 'utf8');
-      processedTranscriptsData = JSON.parse(data);
-      
-      // Set cutoff date if not exists (to prevent processing old transcripts)
-      if (!processedTranscriptsData.cutoffDate) {
-        processedTranscriptsData.cutoffDate = new Date().toISOString();
-        saveProcessedTranscripts();
-        console.log(`✅ Set transcript cutoff date to: ${processedTranscriptsData.cutoffDate}`);
-        console.log('📝 Only transcripts created after this date will be processed');
-      }
-      
-      console.log(`✅ Loaded ${processedTranscriptsData.processedIds.length} processed transcript IDs`);
-      return true;
-    } else {
-      // Initialize with current date as cutoff
-      processedTranscriptsData.cutoffDate = new Date().toISOString();
-      saveProcessedTranscripts();
-      console.log(`✅ Initialized processed transcripts tracking with cutoff: ${processedTranscriptsData.cutoffDate}`);
-      return true;
-    }
-  } catch (error) {
-    console.error('❌ Error loading processed transcripts:', error.message);
-    return false;
-  }
-}
-
-function saveProcessedTranscripts() {
-  try {
-    const dataPath = path.join(__dirname, '..', 'processed_transcripts.json');
-    processedTranscriptsData.lastUpdated = new Date().toISOString();
-    fs.writeFileSync(dataPath, JSON.stringify(processedTranscriptsData, null, 2));
-    return true;
-  } catch (error) {
-    console.error('❌ Error saving processed transcripts:', error.message);
-    return false;
-  }
-}
+// LLM provider for story extraction (OpenAI, local OpenAI-compatible server or fixture)
+const { createProvider, getLLMConfig, PROVIDER_NAMES } = require('./llmProviders');
+let llm = null;
 
-function isTranscriptNew(page) {
+// options.dryRun leaves the ledger as it is
+function isTranscriptNew(page, options = {}) {
   // Check if already processed
-  if (processedTranscriptsData.processedIds.includes(page.id)) {
+  if (ledger.isDone(page.id)) {
     return false;
   }
   
   // Check if created after cutoff date
   const pageCreated = new Date(page.created_time);
-  const cutoffDate = new Date(processedTranscriptsData.cutoffDate);
+  const cutoffDate = new Date(ledger.getCutoffDate());
   
   if (pageCreated <= cutoffDate) {
-    console.log(`⏭️ Skipping old transcript (${pageCreated.toISOString()}) - before cutoff (${cutoffDate.toISOString()})`);
+    if (!options.dryRun && ledger.getState(page.id) !== 'skipped-before-cutoff') {
+      console.log(`⏭️ Skipping old transcript (${pageCreated.toISOString()}) - before cutoff (${cutoffDate.toISOString()})`);
+      ledger.setState(page.id, 'skipped-before-cutoff', { error: `Created before the cutoff date ${cutoffDate.toISOString()}` });
+    }
     return false;
   }
   
   return true;
 }
 
-function markTranscriptProcessed(pageId) {
-  if (!processedTranscriptsData.processedIds.includes(pageId)) {
-    processedTranscriptsData.processedIds.push(pageId);
-    saveProcessedTranscripts();
-    console.log(`📝 Marked transcript ${pageId} as processed`);
+// Fetch the full text of a Notion transcript page - every block type, nested children and all result pages
+async function getNotionPageContent(pageId) {
+  return getPageText(notion, pageId);
+}
+
+// Transcript text by id - uploaded files come from the upload store, everything else from Notion
+async function getTranscriptContent(transcriptId) {
+  if (transcriptUploads.isUploadId(transcriptId)) {
+    return transcriptUploads.getUpload(transcriptId)?.content || '';
   }
+  return getNotionPageContent(transcriptId);
 }
 
-// Load product context from file
-function loadProductContext() {
+// Initialize the configured LLM provider
+function initializeLLM() {
   try {
-    const contextPath = path.join(__dirname, '..', 'context', 'PRODUCT_CONTEXT.md');
-    if (fs.existsSync(contextPath)) {
-      productContext = fs.readFileSync(contextPath, 'utf8');
-      console.log('✅ Product context loaded from PRODUCT_CONTEXT.md');
-      return true;
-    } else {
-      console.log('⚠️ No PRODUCT_CONTEXT.md found - using generic context');
-      productContext = `Generic product context. For better stories, create context/PRODUCT_CONTEXT.md with your specific:
-- Products and features
-- User personas  
-- Technical architecture
-- Business priorities
-- Domain knowledge`;
+    const provider = createProvider();
+    
+    if (!provider.isConfigured()) {
+      console.error(`❌ LLM provider "${provider.name}" not configured`);
       return false;
     }
+    
+    llm = provider;
+    console.log(`✅ LLM provider initialized: ${llm.name} (${llm.model})`);
+    return true;
   } catch (error) {
-    console.error('❌ Error loading product context:', error.message);
-    productContext = 'No product context available';
+    console.error('❌ LLM provider initialization failed:', error.message);
     return false;
   }
 }
 
-// Initialize OpenAI
-function initializeOpenAI() {
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OpenAI API key not configured');
+// Whether story extraction can run - checked by every processing entry point
+function isLLMConfigured() {
+  try {
+    return createProvider().isConfigured();
+  } catch (error) {
     return false;
   }
-
-  openai = new OpenAI({ 
-    apiKey: process.env.OPENAI_API_KEY 
-  });
-
-  console.log('✅ OpenAI initialized for direct completions');
-  return true;
 }
 
-// Helper function to automatically process a transcript
-async function autoProcessTranscript(transcript, title, fathomShareUrl = '') {
-  // If no fathomShareUrl provided, try to extract it from transcript content
-  if (!fathomShareUrl && transcript) {
-    const fathomUrlMatch = transcript.match(/https:\/\/fathom\.video\/share\/[A-Za-z0-9]+/);
-    if (fathomUrlMatch) {
-      fathomShareUrl = fathomUrlMatch[0];
-      console.log(`🎥 Extracted Fathom URL from transcript: ${fathomShareUrl}`);
-    }
+// Parse the model reply into an object - strips code fences and text around the JSON
+function parseStoriesResponse(rawResponse) {
+  // Clean the response - remove markdown code blocks and extra text
+  let cleanResponse = rawResponse.trim();
+  
+  // Remove markdown code blocks
+  if (cleanResponse.startsWith('```json')) {
+    cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+  } else if (cleanResponse.startsWith('```')) {
+    cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
   }
-  try {
-    console.log(`🤖 SkyNet auto-processing transcript: ${title}`);
-
-    if (!openai) {
-      const initialized = initializeOpenAI();
-      if (!initialized) {
-        console.error('❌ Failed to initialize OpenAI');
-        return null;
-      }
-    }
-
-    if (!transcript || transcript.length < 100) {
-      console.log(`⚠️ Skipping auto-processing: transcript too short (${transcript.length} chars)`);
-      return null;
+  
+  // Find JSON object boundaries
+  const jsonStart = cleanResponse.indexOf('{');
+  const jsonEnd = cleanResponse.lastIndexOf('}');
+  
+  if (jsonStart !== -1 && jsonEnd !== -1 && jsonEnd > jsonStart) {
+    cleanResponse = cleanResponse.substring(jsonStart, jsonEnd + 1);
+  }
+  
+  // Remove any text before the JSON starts
+  if (!cleanResponse.startsWith('{')) {
+    const braceIndex = cleanResponse.indexOf('{');
+    if (braceIndex !== -1) {
+      cleanResponse = cleanResponse.substring(braceIndex);
     }
-
-    // Build system prompt with product context
-    const systemPrompt = `You are SkyNet AI, an autonomous system for extracting clear, actionable development stories from meeting transcripts.
-
-PRODUCT CONTEXT:
-${productContext}
-
-CRITICAL INSTRUCTION: You MUST respond with ONLY valid JSON. No other text, no markdown, no code blocks, no explanations. Start your response with { and end with }.
-
-Required JSON structure:
-{
-  "stories": [
-    {
-      "title": "Clear, actionable story title starting with a verb",
-      "userStory": "As a [specific user role], I want [specific capability] so that [clear benefit]",
-      "problemStatement": "What problem or opportunity this addresses in 1-3 sentences",
-      "type": "Feature | Bug | Technical Debt | UX | Infrastructure | Performance | API | Database",
-      "priority": "High | Medium | Low",
-      "effort": "1 | 2 | 3 | 5 | 8 story points",
-      "epic": "Epic category this belongs to",
-      "description": "Detailed description of what needs to be built or changed",
-      "acceptanceCriteria": ["specific testable condition 1", "specific testable condition 2"],
-      "technicalRequirements": ["implementation detail 1", "implementation detail 2"],
-      "businessValue": "Why this matters to the business",
-      "risks": ["potential risk 1", "potential risk 2"],
-      "confidence": 0.0-1.0,
-      "discussionContext": "Brief excerpt from meeting where this was discussed"
-    }
-  ]
+  }
+  
+  return JSON.parse(cleanResponse);
 }
 
-Extraction Rules:
-- Extract EVERY distinct development item discussed
-- Create separate stories for each deliverable
-- Use realistic user personas from the product context above
-- Make titles action-oriented (Add, Fix, Implement, Create, Update)
-- Use Fibonacci sequence for effort (1, 2, 3, 5, 8)
-- Base priority on business impact discussed in meeting
-- Reference the product context to understand user types, technical architecture, and business priorities
-
-Quality Guidelines:
-- Title: Action-oriented, starts with verb
-- User Story: Use specific personas from product context
-- Problem Statement: Clear explanation of why this matters
-- Technical Requirements: Consider the tech stack from product context
-- Business Value: Connect to business priorities from product context
-
-REMEMBER: Respond with ONLY the JSON object. No other text.`;
+// Single chat completion against the configured provider - returns the reply text.
+// Model, temperature and max tokens come from LLM_* configuration unless overridden in options;
+// options.provider is another provider to use (see createProvider); options.purpose labels the call in the usage ledger.
+async function createCompletion(messages, options = {}) {
+  const provider = options.provider || llm;
+  const completion = await withRetry(`llm.${provider.name}`, () => provider.complete(messages, options));
+  llmUsage.recordUsage({ provider: provider.name, model: completion.model, usage: completion.usage, purpose: options.purpose });
+  return completion.content;
+}
 
-    try {
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: systemPrompt
-          },
-          {
-            role: "user",
-            content: `Extract development stories from this meeting transcript:
+// One follow-up asking the model to fix a reply that was not valid JSON
+async function requestJsonRepair(messages, rawResponse, provider) {
+  try {
+    const repairedResponse = await createCompletion([
+      ...messages,
+      { role: "assistant", content: rawResponse },
+      {
+        role: "user",
+        content: 'That response was not valid JSON. Return ONLY the corrected JSON object with the stories array. No other text.'
+      }
+    ], { purpose: 'json-repair', provider });
+    
+    const result = parseStoriesResponse(repairedResponse);
+    console.log('🛠️ Model repaired its invalid JSON response');
+    return result;
+  } catch (error) {
+    console.error('❌ JSON repair failed:', error.message);
+    return null;
+  }
+}
 
-Meeting: ${title}
+// Targeted re-ask for just the fields that failed validation - returns an object of fields or null
+async function requestFieldRepair(story, fields, provider) {
+  try {
+    const rawResponse = await createCompletion([
+      {
+        role: "system",
+        content: 'You repair development stories extracted from meeting transcripts. Respond with ONLY a JSON object containing exactly the requested fields. No other text.'
+      },
+      {
+        role: "user",
+        content: `This story failed validation. Provide corrected values for these fields:
+${fields.map(field => `- ${field}: ${describeField(field)}`).join('\n')}
 
-Transcript: ${transcript}
+Story:
+${JSON.stringify(pickContentFields(story), null, 2)}
 
-Return ONLY the JSON object with the stories array.`
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 4000
-      });
-      
-      const rawResponse = completion.choices[0].message.content;
-      
-      let result;
-      try {
-        // Clean the response - remove markdown code blocks and extra text
-        let cleanResponse = rawResponse.trim();
-        
-        // Remove markdown code blocks
-        if (cleanResponse.startsWith('```json')) {
-          cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        } else if (cleanResponse.startsWith('```')) {
-          cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
-        }
-        
-        // Find JSON object boundaries
-        const jsonStart = cleanResponse.indexOf('{');
-        const jsonEnd = cleanResponse.lastIndexOf('}');
-        
-        if (jsonStart !== -1 && jsonEnd !== -1 && jsonEnd > jsonStart) {
-          cleanResponse = cleanResponse.substring(jsonStart, jsonEnd + 1);
-        }
-        
-        // Remove any text before the JSON starts
-        if (!cleanResponse.startsWith('{')) {
-          const braceIndex = cleanResponse.indexOf('{');
-          if (braceIndex !== -1) {
-            cleanResponse = cleanResponse.substring(braceIndex);
-          }
-        }
-        
-        result = JSON.parse(cleanResponse);
-        
-        // Add metadata to each story
-        if (result.stories && Array.isArray(result.stories)) {
-          result.stories = result.stories.map((story, index) => ({
-            ...story,
-            id: `story-${Date.now()}-${index}`,
-            sourceTranscript: title,
-            sourceTimestamp: new Date().toISOString().split('T')[0],
-            fathomShareUrl: fathomShareUrl,
-            autoProcessed: true
-          }));
-          
-          console.log(`🎯 SkyNet auto-generated ${result.stories.length} stories from: ${title}`);
-          return result;
-        } else {
-          console.log(`⚠️ No stories found in transcript: ${title}`);
-          return null;
-        }
-        
-      } catch (parseError) {
-        console.error('❌ Auto-processing failed - invalid AI response:', parseError.message);
-        console.error('Raw response (first 500 chars):', rawResponse.substring(0, 500));
-        return null;
+Return ONLY a JSON object with the fields ${fields.join(', ')}.`
       }
-      
-    } catch (error) {
-      console.error('❌ OpenAI completion error:', error.message);
-      return null;
-    }
+    ], { maxTokens: 1000, purpose: 'field-repair', provider });
     
+    return parseStoriesResponse(rawResponse);
   } catch (error) {
-    console.error('❌ Auto-processing error:', error.message);
+    console.error('❌ Field repair request failed:', error.message);
     return null;
   }
 }
 
-// Helper function to convert plain text to Atlassian Document Format
-function textToADF(text) {
-  if (!text || text.trim() === '') {
-    return {
-      type: "doc",
-      version: 1,
-      content: [
-        {
-          type: "paragraph",
-          content: []
-        }
-      ]
-    };
-  }
-
-  const lines = text.split('\n');
-  const content = [];
+// Validate model output against the story schema: coerce, re-ask for what is still broken, then default.
+// Re-asks go to provider when given, so an experiment's stories are repaired by the model that wrote them.
+async function repairStories(stories, provider) {
+  const repairedStories = [];
   
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    
-    if (trimmedLine === '') {
+  for (const rawStory of stories) {
+    if (!rawStory || typeof rawStory !== 'object' || Array.isArray(rawStory)) {
+      console.warn('⚠️ Dropping non-object story from AI response');
       continue;
     }
     
-    const paragraph = {
-      type: "paragraph",
-      content: [
-        {
-          type: "text",
-          text: trimmedLine
-        }
-      ]
-    };
+    const coerced = coerceStory(rawStory);
+    let story = coerced.story;
+    const repairs = [...coerced.repairs];
+    let invalidFields = coerced.invalidFields;
     
-    if (trimmedLine.startsWith('🎯 ') || trimmedLine.startsWith('✅ ') || 
-        trimmedLine.startsWith('⚙️ ') || trimmedLine.startsWith('⚠️ ') || 
-        trimmedLine.startsWith('🤖 ')) {
-      paragraph.content[0].marks = [{ type: "strong" }];
+    if (invalidFields.length > 0) {
+      const fixes = await requestFieldRepair(story, invalidFields, provider);
+      
+      if (fixes) {
+        const reasked = coerceStory({ ...story, ...pickContentFields(fixes) });
+        invalidFields.forEach(field => {
+          if (!reasked.invalidFields.includes(field)) {
+            story[field] = reasked.story[field];
+            repairs.push({ field, problem: 'invalid', fix: 're-asked' });
+          }
+        });
+        invalidFields = invalidFields.filter(field => reasked.invalidFields.includes(field));
+      }
+      
+      const defaulted = applySafeDefaults(story, invalidFields);
+      story = defaulted.story;
+      repairs.push(...defaulted.repairs);
     }
     
-    content.push(paragraph);
-  }
-  
-  if (content.length === 0) {
-    content.push({
-      type: "paragraph",
-      content: []
+    if (repairs.length > 0) {
+      console.log(`🛠️ Repaired story "${story.title}": ${repairs.map(r => `${r.field} (${r.fix})`).join(', ')}`);
+    }
+    
+    repairedStories.push({
+      ...story,
+      repaired: repairs.length > 0,
+      validation: {
+        repairs,
+        checkedAt: new Date().toISOString()
+      }
     });
   }
   
-  return {
-    type: "doc",
-    version: 1,
-    content: content
-  };
+  return repairedStories;
 }
 
-// Simpler ADF function as fallback
-function simpleTextToADF(text) {
+// Send one extraction request to the LLM - returns schema-valid stories or null.
+// The user message comes from the given prompt template; each story records the template versions
+// and the product context used. options.provider and options.prompts (template name -> version or { content })
+// replace the configured provider and the current templates - experiments compare configurations this way.
+async function requestStories(userTemplate, variables, context, options = {}) {
+  if (!llm && !options.provider) {
+    const initialized = initializeLLM();
+    if (!initialized) {
+      console.error('❌ Failed to initialize LLM provider');
+      return null;
+    }
+  }
+
+  try {
+    const prompts = options.prompts || {};
+    const systemPrompt = renderPrompt('extraction-system', { productContext: context.content }, prompts['extraction-system']);
+    const userPrompt = renderPrompt(userTemplate, variables, prompts[userTemplate]);
+    const promptVersions = {
+      'extraction-system': systemPrompt.version,
+      [userTemplate]: userPrompt.version
+    };
+    
+    const messages = [
+      {
+        role: "system",
+        content: systemPrompt.text
+      },
+      {
+        role: "user",
+        content: userPrompt.text
+      }
+    ];
+    
+    const rawResponse = await createCompletion(messages, {
+      purpose: userTemplate === 'regenerate-user' ? 'regenerate' : 'extraction',
+      provider: options.provider
+    });
+    
+    let result;
+    try {
+      result = parseStoriesResponse(rawResponse);
+    } catch (parseError) {
+      console.error('❌ Invalid AI response - asking the model to repair it:', parseError.message);
+      console.error('Raw response (first 500 chars):', rawResponse.substring(0, 500));
+      result = await requestJsonRepair(messages, rawResponse, options.provider);
+      if (!result) {
+        return null;
+      }
+    }
+    
+    if (!result.stories || !Array.isArray(result.stories)) {
+      return null;
+    }
+    
+    const stories = await repairStories(result.stories, options.provider);
+    return stories.map(story => ({ ...story, promptVersions, productContext: context.name }));
+    
+  } catch (error) {
+    console.error(`❌ LLM completion error (${(options.provider || llm).name}):`, error.message);
+    // The provider kept failing - pass it up so the transcript is dead-lettered rather than left without stories
+    if (error.operation) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+// Extract stories from a transcript without storing them.
+// Long transcripts are split into overlapping chunks (map) and the results merged and de-duplicated (reduce).
+// onChunk is called with each chunk once the LLM has answered for it.
+// Results are cached by transcript, prompt versions, context version and LLM settings - options.bypassCache
+// always calls the LLM and replaces the cached result. options.provider and options.prompts are passed to
+// requestStories; extractions that use them are never cached.
+async function extractStories(transcript, title, guidance = '', context = selectContext({ title }), onChunk = () => {}, options = {}) {
+  const chunks = chunkTranscript(transcript);
+  const { provider, model, temperature, maxTokens } = getLLMConfig();
+  const cacheRequest = {
+    transcript,
+    promptVersions: {
+      'extraction-system': promptTemplates.getTemplate('extraction-system')?.version || null,
+      'extraction-user': promptTemplates.getTemplate('extraction-user')?.version || null
+    },
+    context,
+    provider,
+    model,
+    temperature,
+    maxTokens,
+    guidance
+  };
+  
+  const cacheable = !options.provider && !options.prompts;
+  
+  if (cacheable && !options.bypassCache) {
+    const cached = extractionCache.get(cacheRequest);
+    if (cached) {
+      console.log(`⚡ Extraction cache hit for: ${title} (${cached.length} stories)`);
+      chunks.forEach(chunk => onChunk(chunk));
+      return cached;
+    }
+  }
+  
+  if (chunks.length > 1) {
+    console.log(`✂️ Transcript split into ${chunks.length} chunks: ${title}`);
+  }
+  
+  const chunkResults = [];
+  for (const chunk of chunks) {
+    const part = chunk.total > 1
+      ? `\nThis is part ${chunk.index + 1} of ${chunk.total} of the transcript${chunk.startTime ? ` (${chunk.startTime} - ${chunk.endTime})` : ''}. Extract only the items discussed in this part.\n`
+      : '';
+    
+    const stories = await requestStories('extraction-user', {
+      meetingTitle: title,
+      chunkInfo: part,
+      guidance: guidance ? `\nReviewer guidance: ${guidance}\n` : '',
+      transcript: chunk.text
+    }, context, { provider: options.provider, prompts: options.prompts });
+    
+    onChunk(chunk);
+    
+    if (stories) {
+      chunkResults.push({ chunk, stories });
+    } else {
+      console.error(`❌ Chunk ${chunk.index + 1}/${chunk.total} of "${title}" returned no stories`);
+    }
+  }
+  
+  // Every chunk failed - nothing to merge
+  if (chunkResults.length === 0) {
+    return null;
+  }
+  
+  const stories = mergeChunkStories(chunkResults);
+  
+  if (chunks.length > 1) {
+    const extractedCount = chunkResults.reduce((sum, r) => sum + r.stories.length, 0);
+    console.log(`🧩 Merged ${extractedCount} chunk stories into ${stories.length} for: ${title}`);
+  }
+  
+  // A partial result (some chunks failed) is worth retrying, so only complete ones are cached
+  if (cacheable && chunkResults.length === chunks.length && stories.length > 0) {
+    extractionCache.set(cacheRequest, { title, stories });
+  }
+  
+  return stories;
+}
+
+// Rewrite a single stored story - guidance like "split this" may yield several stories.
+// Keeps the story's product context unless contextName picks another one.
+async function regenerateStory(story, transcript, guidance = '', contextName = '') {
+  const context = selectContext({ explicit: contextName || story.productContext, title: story.sourceTranscript });
+
+  return requestStories('regenerate-user', {
+    guidance: guidance ? `\nReviewer guidance: ${guidance}\n` : '',
+    story: JSON.stringify(pickContentFields(story), null, 2),
+    meetingTitle: story.sourceTranscript,
+    transcript
+  }, context);
+}
+
+// Park a transcript whose LLM or Notion calls kept failing, for a retry from the dashboard.
+// Automatic passes leave dead-lettered transcripts alone until then.
+function deadLetterTranscript(transcriptId, title, { sourceId, processingSource, context } = {}, error) {
+  if (ledger.getState(transcriptId) !== 'failed' && !ledger.isLocked(transcriptId)) {
+    ledger.setState(transcriptId, 'failed', { title, error: error.message });
+  }
+  return deadLetters.record({
+    key: `process-transcript:${transcriptId}`,
+    type: 'process-transcript',
+    title,
+    payload: { transcriptId, sourceId: sourceId || null, processingSource: processingSource || 'manual', context: context || null },
+    error
+  });
+}
+
+function isDeadLettered(transcriptId) {
+  return deadLetters.isOpen(`process-transcript:${transcriptId}`);
+}
+
+// Tags for the LLM usage ledger - which transcript, Notion source (or upload) and trigger a call was made for
+function getUsageContext(transcriptId, info = {}) {
+  const entry = transcriptId ? ledger.getEntry(transcriptId) : null;
+  return {
+    transcriptId: transcriptId || null,
+    title: info.title || entry?.title || null,
+    sourceId: info.notionSource || entry?.notionSource || (transcriptUploads.isUploadId(transcriptId || '') ? 'upload' : null),
+    trigger: info.source || 'manual'
+  };
+}
+
+// Run work while holding the ledger claim on a transcript, so cron, webhooks and the dashboard never process
+// the same transcript at once. Returns { claimed: true, result } or the refused claim ({ claimed: false, reason, entry }).
+// LLM calls made by work are counted against the transcript in the usage ledger.
+// A dry run (info.dryRun) changes nothing, so it runs without a claim.
+async function withTranscriptClaim(transcriptId, info, work) {
+  if (!transcriptId || info.dryRun) {
+    return { claimed: true, result: await llmUsage.runWithContext(getUsageContext(transcriptId, info), work) };
+  }
+
+  const claim = ledger.claim(transcriptId, info);
+  if (!claim.claimed) {
+    const why = claim.reason === 'in-progress' ? `already being processed (${claim.entry.lock.owner})` : 'already processed';
+    console.log(`🔒 ${info.source || 'manual'} skipped transcript ${transcriptId}: ${why}`);
+    return claim;
+  }
+
+  try {
+    return { claimed: true, result: await llmUsage.runWithContext(getUsageContext(transcriptId, info), work) };
+  } finally {
+    ledger.release(transcriptId, claim.token);
+  }
+}
+
+// Helper function to automatically process a transcript
+// options.transcriptId and options.source tag the stored stories with where they came from;
+// options.context (explicit choice) or options.properties (Notion page properties) pick the product context;
+// options.meta carries mapped Notion metadata (attendees, team);
+// options.notionSource is the Notion source the page came from - its context is used unless one is picked explicitly;
+// options.onProgress is called as each transcript chunk comes back from the LLM;
+// options.bypassCache skips the extraction cache;
+// options.dryRun returns the stories without storing them or touching the ledger and dead letters.
+// Every processing path goes through here, so this is where the ledger entry for options.transcriptId is kept.
+// Callers claim the transcript first (withTranscriptClaim), which moves it to processing.
+async function autoProcessTranscript(transcript, title, fathomShareUrl = '', options = {}) {
+  const trackLedger = (state, details = {}) => {
+    if (options.transcriptId && !options.dryRun) {
+      ledger.setState(options.transcriptId, state, {
+        title,
+        source: options.source || 'manual',
+        notionSource: options.notionSource?.id,
+        ...details
+      });
+    }
+  };
+  
+  // If no fathomShareUrl provided, try to extract it from transcript content
+  if (!fathomShareUrl && transcript) {
+    const fathomUrlMatch = transcript.match(/https:\/\/fathom\.video\/share\/[A-Za-z0-9]+/);
+    if (fathomUrlMatch) {
+      fathomShareUrl = fathomUrlMatch[0];
+      console.log(`🎥 Extracted Fathom URL from transcript: ${fathomShareUrl}`);
+    }
+  }
+  try {
+    console.log(`${options.dryRun ? '🧪 Dry run - ' : '🤖 '}SkyNet auto-processing transcript: ${title}`);
+
+    if (!transcript || transcript.length < 100) {
+      console.log(`⚠️ Skipping auto-processing: transcript too short (${transcript?.length || 0} chars)`);
+      trackLedger('skipped-too-short', { error: `Transcript too short (${transcript?.length || 0} characters)` });
+      return null;
+    }
+
+    const context = selectContext({
+      explicit: options.context || options.notionSource?.context,
+      properties: options.properties,
+      title
+    });
+    console.log(`📚 Product context for "${title}": ${context.name || 'generic'} (${context.reason})`);
+    
+    const stories = await extractStories(transcript, title, '', context, options.onProgress, { bypassCache: options.bypassCache });
+    
+    if (!stories || stories.length === 0) {
+      // Nothing to build from this meeting - an outcome, not a failure, so sync moves past it
+      console.log(`⚠️ No stories found in transcript: ${title}`);
+      trackLedger('skipped-no-stories', { storyCount: 0, error: 'No stories found in transcript' });
+      return null;
+    }
+    
+    // Add metadata to each story
+    const timestamp = Date.now();
+    const result = {
+      stories: stories.map((story, index) => ({
+        ...story,
+        id: `${options.dryRun ? 'dry-run' : 'story'}-${timestamp}-${index}`,
+        sourceTranscript: title,
+        sourceTimestamp: new Date().toISOString().split('T')[0],
+        fathomShareUrl: fathomShareUrl,
+        sourceTranscriptId: options.transcriptId || null,
+        source: options.source || 'manual',
+        attendees: options.meta?.attendees || [],
+        team: options.meta?.team || options.notionSource?.team || null,
+        notionSource: options.notionSource?.id || null,
+        status: 'draft',
+        autoProcessed: true
+      }))
+    };
+    
+    if (options.dryRun) {
+      console.log(`🧪 Dry run generated ${result.stories.length} stories from: ${title} - nothing stored`);
+      return { ...result, dryRun: true };
+    }
+    
+    // Persist so the dashboard sees stories from every processing path
+    result.stories = storyStore.addStories(result.stories);
+    trackLedger('done', { storyCount: result.stories.length });
+    if (options.transcriptId) {
+      deadLetters.resolve(`process-transcript:${options.transcriptId}`);
+    }
+    
+    console.log(`🎯 SkyNet auto-generated ${result.stories.length} stories from: ${title}`);
+    return result;
+    
+  } catch (error) {
+    console.error('❌ Auto-processing error:', error.message);
+    trackLedger('failed', { error: error.message });
+    if (error.operation && options.transcriptId && !options.dryRun) {
+      deadLetterTranscript(options.transcriptId, title, {
+        sourceId: options.notionSource?.id,
+        processingSource: options.source,
+        context: options.context
+      }, error);
+    }
+    return null;
+  }
+}
+
+// Notion source a story came from, if it still exists
+function getStorySource(story) {
+  return story.notionSource ? notionSources.getSource(story.notionSource) : null;
+}
+
+// Approve a stored story and deliver it to Slack - the only way stories reach Slack.
+// Stories from a Notion source with its own Slack channel go there instead of webhookUrl.
+async function approveStory(storyId, webhookUrl, approvedBy = 'reviewer') {
+  const story = storyStore.getStory(storyId);
+  if (!story) {
+    return null;
+  }
+
+  const approved = storyStore.updateStory(storyId, {
+    status: 'approved',
+    approvedAt: new Date().toISOString(),
+    approvedBy
+  });
+  console.log(`✅ Story approved by ${approvedBy}: ${approved.title}`);
+
+  return notifySlack(approved, webhookUrl);
+}
+
+// Send a stored story to Slack and keep the outcome on the story. A delivery that kept failing is dead-lettered.
+async function notifySlack(story, webhookUrl) {
+  webhookUrl = getStorySource(story)?.slackWebhookUrl || webhookUrl;
+  if (!webhookUrl) {
+    return story;
+  }
+
+  const slackStatus = await sendSlackNotification(story, webhookUrl);
+  const key = `slack-notification:${story.id}`;
+  if (slackStatus.success) {
+    deadLetters.resolve(key);
+  } else if (slackStatus.attempts) {
+    deadLetters.record({
+      key,
+      type: 'slack-notification',
+      title: story.title,
+      payload: { storyId: story.id },
+      error: { message: slackStatus.error, operation: 'slack.webhook', status: slackStatus.debug.status, attempts: slackStatus.attempts }
+    });
+  }
+  return storyStore.updateStory(story.id, { slackStatus });
+}
+
+// Apply the auto-approve rule to freshly generated drafts
+async function autoApproveStories(stories, webhookUrl) {
+  const slackResults = [];
+  
+  for (const story of stories) {
+    if (!matchesAutoApproveRule(story)) {
+      continue;
+    }
+    
+    const approved = await approveStory(story.id, webhookUrl, 'auto-approve');
+    Object.assign(story, approved);
+    
+    if (approved.slackStatus) {
+      slackResults.push({
+        storyId: story.id,
+        storyTitle: story.title,
+        slackStatus: approved.slackStatus
+      });
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+  }
+  
+  const autoApprovedCount = stories.filter(s => s.status === 'approved').length;
+  if (autoApprovedCount > 0) {
+    console.log(`🤖 Auto-approved ${autoApprovedCount} of ${stories.length} stories`);
+  }
+  
+  return slackResults;
+}
+
+// The epic a deployment would link the story to - { name, linkAs } or null
+function previewJiraEpic(story, jiraConfig) {
+  const projectKey = getJiraProjectKey(story, jiraConfig);
+  const mapping = projectKey ? jiraFieldMapping.getMapping(projectKey) : null;
+  const linkAs = jiraFieldMapping.getEpicLink(mapping, mapping ? jiraFieldMapping.issueTypeFor(story, mapping) : 'Story');
+  return story.epic?.trim() && projectKey && linkAs ? { name: story.epic.trim(), linkAs } : null;
+}
+
+// Dry-run counterpart of autoApproveStories: what each story would send, without sending it.
+// Slack gets auto-approved stories now; JIRA gets a story once it is approved and deployed.
+// jiraConfig may be just { projectKey } - the request URL is only shown when a site URL is given.
+function previewDeliveries(stories, { webhookUrl, jiraConfig } = {}) {
+  return stories.map(story => {
+    const autoApproved = matchesAutoApproveRule(story);
+    const slackWebhook = getStorySource(story)?.slackWebhookUrl || webhookUrl;
+    
+    return {
+      storyId: story.id,
+      title: story.title,
+      autoApproved,
+      slack: {
+        wouldSend: autoApproved && !!slackWebhook,
+        webhook: slackWebhook ? `${slackWebhook.substring(0, 50)}...` : null,
+        payload: buildSlackPayload(story)
+      },
+      jira: {
+        url: jiraConfig?.url ? `${normalizeJiraUrl(jiraConfig.url)}/rest/api/3/issue` : null,
+        payload: buildJiraIssue(story, jiraConfig),
+        // The epic is looked up (or created) when deploying; the preview only names it
+        epic: previewJiraEpic(story, jiraConfig)
+      }
+    };
+  });
+}
+
+// Helper function to convert plain text to Atlassian Document Format
+function textToADF(text) {
+  if (!text || text.trim() === '') {
+    return {
+      type: "doc",
+      version: 1,
+      content: [
+        {
+          type: "paragraph",
+          content: []
+        }
+      ]
+    };
+  }
+
+  const lines = text.split('\n');
+  const content = [];
+  
+  for (const line of lines) {
+    const trimmedLine = line.trim();
+    
+    if (trimmedLine === '') {
+      continue;
+    }
+    
+    const paragraph = {
+      type: "paragraph",
+      content: [
+        {
+          type: "text",
+          text: trimmedLine
+        }
+      ]
+    };
+    
+    if (trimmedLine.startsWith('🎯 ') || trimmedLine.startsWith('✅ ') || 
+        trimmedLine.startsWith('⚙️ ') || trimmedLine.startsWith('⚠️ ') || 
+        trimmedLine.startsWith('🤖 ')) {
+      paragraph.content[0].marks = [{ type: "strong" }];
+    }
+    
+    content.push(paragraph);
+  }
+  
+  if (content.length === 0) {
+    content.push({
+      type: "paragraph",
+      content: []
+    });
+  }
+  
+  return {
+    type: "doc",
+    version: 1,
+    content: content
+  };
+}
+
+// Simpler ADF function as fallback
+function simpleTextToADF(text) {
   return {
     type: "doc",
     version: 1,
@@ -607,102 +984,268 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
     autoDetection: {
-      enabled: !!process.env.OPENAI_API_KEY,
-      processedCount: processedTranscriptIds.size,
+      enabled: isLLMConfigured(),
+      llmProvider: getLLMConfig().provider,
+      llmModel: getLLMConfig().model,
+      llmProviders: PROVIDER_NAMES,
+      notionSources: notionSources.listSources().map(source => source.id),
+      notionMappingErrors: notionSources.listSources().flatMap(source =>
+        notionMapping.getMappingStatus(source).errors.map(error => `${source.id}: ${error}`)
+      ),
+      processedCount: ledger.getCounts().done,
+      ledger: ledger.getCounts(),
+      jobs: jobQueue.getCounts(),
+      deadLetters: deadLetters.getCounts(),
+      scheduler: scheduler.getStatus(),
+      llmBudget: llmUsage.getBudgetStatus(),
+      extractionCache: extractionCache.getStats(),
       slackConfigured: !!process.env.SLACK_WEBHOOK_URL
     }
   });
 });
 
-// Get transcripts from Notion
-app.get('/api/transcripts', async (req, res) => {
-  try {
-    console.log('SkyNet fetching transcripts...');
-    
-    if (!process.env.NOTION_TOKEN) {
-      return res.status(400).json({ 
-        error: 'NOTION_TOKEN not found in environment variables' 
-      });
-    }
+// Recent pages from every Notion source - returns [{ source, page }], newest first within each source.
+// A source that fails to query is logged and skipped so one bad database doesn't block the others.
+async function queryAllSources(pageSize) {
+  const entries = [];
 
-    if (!process.env.NOTION_DATABASE_ID) {
-      return res.status(400).json({ 
-        error: 'NOTION_DATABASE_ID not found in environment variables' 
-      });
+  for (const source of notionSources.listSources()) {
+    try {
+      const response = await withRetry('notion.databases.query', () => notion.databases.query({
+        database_id: source.databaseId,
+        sorts: notionMapping.getDateSort(source),
+        page_size: pageSize
+      }));
+      entries.push(...response.results.map(page => ({ source, page })));
+    } catch (error) {
+      console.error(`❌ Error querying Notion source ${source.id}:`, error.message);
     }
+  }
 
-    const response = await notion.databases.query({
-      database_id: process.env.NOTION_DATABASE_ID,
-      sorts: [
-        {
-          property: 'Created time',
-          direction: 'descending'
-        }
-      ],
-      page_size: 20
+  return entries;
+}
+
+// Mark the new pages of a pass as queued so the ledger shows the backlog before processing starts
+function queueNewPages(pages, source, processingSource) {
+  pages.filter(page => isTranscriptNew(page) && !ledger.isLocked(page.id) && !isDeadLettered(page.id)).forEach(page => {
+    ledger.setState(page.id, 'queued', {
+      title: readPageMeta(page, source).title,
+      source: processingSource,
+      notionSource: source.id
     });
-    
-    console.log(`Found ${response.results.length} pages`);
-    
-    const transcriptPromises = response.results.map(async (page) => {
-      const properties = page.properties;
-      
-      try {
-        console.log(`Fetching content for: ${properties.Name?.title?.[0]?.plain_text}`);
-        
-        const pageContent = await notion.blocks.children.list({
-          block_id: page.id,
-        });
-        
-        let content = '';
-        pageContent.results.forEach(block => {
-          if (block.type === 'paragraph' && block.paragraph?.rich_text) {
-            const text = block.paragraph.rich_text
-              .map(t => t.plain_text)
-              .join('');
-            content += text + '\n';
-          }
-          if (block.type === 'heading_1' && block.heading_1?.rich_text) {
-            content += block.heading_1.rich_text
-              .map(t => t.plain_text)
-              .join('') + '\n';
-          }
-          if (block.type === 'heading_2' && block.heading_2?.rich_text) {
-            content += block.heading_2.rich_text
-              .map(t => t.plain_text)
-              .join('') + '\n';
-          }
-          if (block.type === 'heading_3' && block.heading_3?.rich_text) {
-            content += block.heading_3.rich_text
-              .map(t => t.plain_text)
-              .join('') + '\n';
-          }
-        });
+  });
+}
 
-        // Extract Fathom share URL from content
-        const fathomUrlMatch = content.match(/https:\/\/fathom\.video\/share\/[A-Za-z0-9]+/);
-        const extractedFathomUrl = fathomUrlMatch ? fathomUrlMatch[0] : '';
-        
-        return {
-          id: page.id,
-          title: properties.Name?.title?.[0]?.plain_text || 'Untitled Meeting',
-          content: content.trim(),
-          date: properties['Created time']?.created_time?.split('T')[0] || '',
-          createdTime: properties['Created time']?.created_time || '',
-          fathomShareUrl: extractedFathomUrl,
-          wordCount: content.trim().split(' ').length,
-          processed: processedTranscriptIds.has(page.id),
-          autoProcessed: processedTranscriptIds.has(page.id)
-        };
-      } catch (contentError) {
-        console.error(`Error fetching content for ${properties.Name?.title?.[0]?.plain_text}:`, contentError);
-        return {
+function skipShortTranscript(transcriptId, wordCount, info) {
+  console.log(`⚠️ Transcript too short: ${wordCount} words`);
+  ledger.setState(transcriptId, 'skipped-too-short', { ...info, error: `Only ${wordCount} words - at least 50 are needed` });
+}
+
+// Incremental pass over every Notion source - new transcripts are processed, processed ones are checked for edits.
+// A source's cursor stops at the first page that failed, so that page is read again on the next pass -
+// unless it was dead-lettered, in which case it waits for a retry from the dashboard.
+// Once an LLM budget is used up, new transcripts are left for a later pass (summary.budgetExceeded).
+// options.dryRun extracts new transcripts into summary.previews and changes nothing - no ledger, stories,
+// cursors or Slack messages. Edited transcripts are not checked in a dry run.
+async function syncNotionSources(processingSource, webhookUrl, options = {}) {
+  const { dryRun = false } = options;
+  const summary = { pagesSeen: 0, processed: 0, stories: [], changed: [], slackResults: [], previews: [], budgetExceeded: false, dryRun };
+
+  for (const source of notionSources.listSources()) {
+    let pages;
+    try {
+      pages = await notionSync.fetchChangedPages(notion, source, ledger.getCutoffDate());
+    } catch (error) {
+      console.error(`❌ Error querying Notion source ${source.id}:`, error.message);
+      continue;
+    }
+
+    summary.pagesSeen += pages.length;
+    let cursor = null;
+    // Set by a page that failed or is being processed elsewhere - it is read again on the next pass
+    let holdCursor = false;
+    if (!dryRun) {
+      queueNewPages(pages, source, processingSource);
+    }
+
+    for (const page of pages) {
+      const meta = readPageMeta(page, source);
+      const syncInfo = { sourceId: source.id, lastEditedTime: page.last_edited_time };
+
+      try {
+        const isNew = isTranscriptNew(page, { dryRun }) && !isDeadLettered(page.id);
+        if (isNew && llmUsage.isBudgetExceeded()) {
+          summary.budgetExceeded = true;
+          holdCursor = true;
+        } else if (isNew) {
+          const claimInfo = { title: meta.title, source: processingSource, notionSource: source.id, dryRun };
+          const claim = await withTranscriptClaim(page.id, claimInfo, async () => {
+            const content = (await getNotionPageContent(page.id)).trim();
+            const wordCount = content.split(' ').length;
+
+            if (wordCount <= 50) {
+              if (!dryRun) {
+                skipShortTranscript(page.id, wordCount, claimInfo);
+              }
+              return;
+            }
+
+            const processResult = await autoProcessTranscript(content, meta.title, meta.recordingUrl, {
+              transcriptId: page.id,
+              source: processingSource,
+              properties: page.properties,
+              meta,
+              notionSource: source,
+              dryRun
+            });
+
+            // Too short or nothing to build - recorded as skipped, and the cursor moves on
+            if (!processResult || processResult.stories.length === 0) {
+              return;
+            }
+
+            summary.processed++;
+            summary.stories.push(...processResult.stories);
+
+            if (dryRun) {
+              summary.previews.push({
+                transcriptId: page.id,
+                title: meta.title,
+                notionSource: source.id,
+                stories: processResult.stories,
+                deliveries: previewDeliveries(processResult.stories, { webhookUrl })
+              });
+              return;
+            }
+            notionSync.recordProcessed(page.id, content, syncInfo);
+
+            // Stories wait for review unless the auto-approve rule trusts them
+            summary.slackResults.push(...await autoApproveStories(processResult.stories, webhookUrl));
+
+            console.log(`✅ Processed: ${meta.title} [${source.id}] (${processResult.stories.length} stories)`);
+
+            // Small delay between transcripts to avoid rate limits
+            await new Promise(resolve => setTimeout(resolve, 2000));
+          });
+
+          if (!claim.claimed && claim.reason === 'in-progress') {
+            holdCursor = true;
+          }
+        } else if (!dryRun && ledger.isDone(page.id) && notionSync.needsContentCheck(page)) {
+          const content = (await getNotionPageContent(page.id)).trim();
+          if (notionSync.detectChange(page.id, content, syncInfo)) {
+            summary.changed.push({ id: page.id, title: meta.title, notionSource: source.id });
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Sync error for ${meta.title} [${source.id}]:`, error.message);
+        if (error.operation && !dryRun) {
+          deadLetterTranscript(page.id, meta.title, { sourceId: source.id, processingSource }, error);
+        }
+        if (!isDeadLettered(page.id)) {
+          holdCursor = true;
+        }
+      }
+
+      if (!holdCursor) {
+        cursor = page.last_edited_time;
+      }
+    }
+
+    if (!dryRun) {
+      notionSync.commitCursor(source.id, cursor, pages.length);
+    }
+  }
+
+  return summary;
+}
+
+// Uploaded transcript in the shape the dashboard uses for Notion pages
+function uploadToTranscript(upload) {
+  return {
+    id: upload.id,
+    title: upload.title,
+    content: upload.content,
+    date: upload.uploadedAt.split('T')[0],
+    createdTime: upload.uploadedAt,
+    fathomShareUrl: '',
+    wordCount: upload.content.split(/\s+/).length,
+    processed: ledger.isDone(upload.id),
+    autoProcessed: ledger.isDone(upload.id),
+    ledgerState: ledger.getState(upload.id),
+    ledgerError: ledger.getEntry(upload.id)?.error || null,
+    source: 'upload',
+    format: upload.format,
+    speakers: upload.speakers,
+    suggestedContext: selectContext({ title: upload.title }).name
+  };
+}
+
+// Get transcripts from Notion
+app.get('/api/transcripts', async (req, res) => {
+  try {
+    console.log('SkyNet fetching transcripts...');
+    
+    if (!process.env.NOTION_TOKEN) {
+      return res.status(400).json({ 
+        error: 'NOTION_TOKEN not found in environment variables' 
+      });
+    }
+
+    if (notionSources.listSources().length === 0) {
+      return res.status(400).json({ 
+        error: 'No Notion sources configured - set NOTION_DATABASE_ID or add notion_sources.json' 
+      });
+    }
+
+    const pages = await queryAllSources(20);
+    
+    console.log(`Found ${pages.length} pages`);
+    
+    const transcriptPromises = pages.map(async ({ source, page }) => {
+      const properties = page.properties;
+      const meta = readPageMeta(page, source);
+      const team = meta.team || source.team;
+      
+      try {
+        console.log(`Fetching content for: ${meta.title}`);
+        
+        const content = await getNotionPageContent(page.id);
+
+        // Recording link from the mapped property, else a Fathom URL in the content
+        const fathomUrlMatch = content.match(/https:\/\/fathom\.video\/share\/[A-Za-z0-9]+/);
+        const extractedFathomUrl = meta.recordingUrl || (fathomUrlMatch ? fathomUrlMatch[0] : '');
+        
+        return {
+          id: page.id,
+          title: meta.title,
+          content: content.trim(),
+          date: meta.date,
+          createdTime: meta.createdTime,
+          fathomShareUrl: extractedFathomUrl,
+          attendees: meta.attendees,
+          team,
+          notionSource: source.id,
+          wordCount: content.trim().split(' ').length,
+          processed: ledger.isDone(page.id),
+          autoProcessed: ledger.isDone(page.id),
+          ledgerState: ledger.getState(page.id),
+          ledgerError: ledger.getEntry(page.id)?.error || null,
+          contentChanged: ledger.isDone(page.id) &&
+            notionSync.detectChange(page.id, content.trim(), { sourceId: source.id, lastEditedTime: page.last_edited_time }),
+          suggestedContext: selectContext({ explicit: source.context, properties, title: meta.title }).name
+        };
+      } catch (contentError) {
+        console.error(`Error fetching content for ${meta.title}:`, contentError);
+        return {
           id: page.id,
-          title: properties.Name?.title?.[0]?.plain_text || 'Untitled Meeting',
+          title: meta.title,
           content: '',
-          date: properties['Created time']?.created_time?.split('T')[0] || '',
-          createdTime: properties['Created time']?.created_time || '',
-          fathomShareUrl: '',
+          date: meta.date,
+          createdTime: meta.createdTime,
+          fathomShareUrl: meta.recordingUrl,
+          team,
+          notionSource: source.id,
           wordCount: 0,
           processed: false,
           autoProcessed: false,
@@ -712,7 +1255,10 @@ app.get('/api/transcripts', async (req, res) => {
     });
     
     const transcripts = await Promise.all(transcriptPromises);
-    const validTranscripts = transcripts.filter(t => t.wordCount > 50);
+    const validTranscripts = [
+      ...transcripts.filter(t => t.wordCount > 50),
+      ...transcriptUploads.listUploads().map(uploadToTranscript)
+    ];
     
     console.log(`Returning ${validTranscripts.length} transcripts with content`);
     
@@ -726,15 +1272,118 @@ app.get('/api/transcripts', async (req, res) => {
   }
 });
 
+// Upload a transcript file (TXT, VTT, SRT or JSON) - parsed, stored and run through the story pipeline
+app.post('/api/transcripts/upload', async (req, res) => {
+  try {
+    const { filename = '', content, format, context, slackWebhook, force = false, bypassCache = false, dryRun = false } = req.body;
+    const shouldProcess = req.body.process !== false;
+    const webhookUrl = slackWebhook || process.env.SLACK_WEBHOOK_URL;
+    
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'File content is required' });
+    }
+    
+    let parsed;
+    try {
+      parsed = parseTranscript(content, { filename, format });
+    } catch (parseError) {
+      return res.status(400).json({ 
+        error: `Could not parse transcript: ${parseError.message}`,
+        supportedFormats: SUPPORTED_FORMATS
+      });
+    }
+    
+    if (parsed.segments.length === 0) {
+      return res.status(400).json({ error: 'No transcript text found in the file' });
+    }
+    
+    const title = req.body.title || filename.replace(/\.[^.]+$/, '') || 'Uploaded Transcript';
+    // A dry run leaves the upload unsaved - it is only parsed and extracted
+    const upload = dryRun
+      ? transcriptUploads.buildUpload({ title, filename, parsed })
+      : transcriptUploads.addUpload({ title, filename, parsed });
+    console.log(`📤 ${dryRun ? 'Dry run of' : 'Uploaded'} transcript "${title}" (${parsed.format}, ${parsed.segments.length} turns, ${parsed.speakers.length} speakers)`);
+    
+    const transcript = uploadToTranscript(upload);
+    
+    if (!shouldProcess) {
+      return res.json({ transcript });
+    }
+    
+    if (transcript.processed && !force && !dryRun) {
+      return res.status(409).json({ 
+        error: 'This transcript was already processed - send force: true to process it again',
+        transcript
+      });
+    }
+    
+    if (!isLLMConfigured()) {
+      return res.status(400).json({ 
+        error: 'LLM provider not configured. Add OPENAI_API_KEY or set LLM_PROVIDER in your environment variables',
+        transcript
+      });
+    }
+    
+    // Already-processed uploads were refused above unless forced
+    const claim = await withTranscriptClaim(upload.id, { title, source: 'upload', force: true, dryRun }, () =>
+      autoProcessTranscript(upload.content, title, '', {
+        transcriptId: upload.id,
+        source: 'upload',
+        context,
+        bypassCache,
+        dryRun
+      }));
+    
+    if (!claim.claimed) {
+      return res.status(409).json({ error: 'This transcript is already being processed', alreadyInProgress: true, transcript });
+    }
+    
+    const result = claim.result;
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to process transcript', transcript });
+    }
+    
+    if (dryRun) {
+      return res.json({
+        ...result,
+        transcript,
+        deliveries: previewDeliveries(result.stories, { webhookUrl, jiraConfig: req.body.jiraConfig })
+      });
+    }
+    
+    const slackResults = await autoApproveStories(result.stories, webhookUrl);
+    
+    res.json({
+      ...result,
+      transcript: { ...transcript, processed: true, autoProcessed: true },
+      slackSummary: {
+        enabled: !!webhookUrl,
+        totalStories: result.stories.length,
+        autoApproved: result.stories.filter(s => s.status === 'approved').length,
+        successfulNotifications: slackResults.filter(r => r.slackStatus.success).length,
+        failedNotifications: slackResults.filter(r => r.slackStatus.success === false).length,
+        results: slackResults
+      }
+    });
+  } catch (error) {
+    console.error('❌ Transcript upload failed:', error.message);
+    res.status(500).json({ error: 'Transcript upload failed: ' + error.message });
+  }
+});
+
+app.get('/api/uploads', (req, res) => {
+  res.json(transcriptUploads.listUploads().map(uploadToTranscript));
+});
+
 // Process transcript with AI - Updated with Slack status tracking
 app.post('/api/process-transcript', async (req, res) => {
   try {
-    const { transcript, title, slackWebhook, fathomShareUrl } = req.body;
+    const { transcript, title, slackWebhook, fathomShareUrl, dryRun = false } = req.body;
     const webhookUrl = slackWebhook || process.env.SLACK_WEBHOOK_URL;
     
-    if (!process.env.OPENAI_API_KEY) {
+    if (!isLLMConfigured()) {
       return res.status(400).json({ 
-        error: 'OpenAI API key not configured. Add OPENAI_API_KEY to your environment variables' 
+        error: 'LLM provider not configured. Add OPENAI_API_KEY or set LLM_PROVIDER in your environment variables' 
       });
     }
 
@@ -747,38 +1396,48 @@ app.post('/api/process-transcript', async (req, res) => {
     console.log(`SkyNet processing transcript: ${title}`);
     console.log(`Transcript length: ${transcript.length} characters`);
 
-    const result = await autoProcessTranscript(transcript, title);
+    // Processing from the dashboard is deliberate, so processed transcripts are claimed again
+    const claimInfo = { title, source: 'manual', notionSource: req.body.notionSource, force: true, dryRun };
+    const claim = await withTranscriptClaim(req.body.transcriptId, claimInfo, () =>
+      autoProcessTranscript(transcript, title, fathomShareUrl, {
+        transcriptId: req.body.transcriptId,
+        source: 'manual',
+        context: req.body.context,
+        bypassCache: !!req.body.bypassCache,
+        dryRun,
+        meta: { attendees: req.body.attendees, team: req.body.team },
+        notionSource: notionSources.getSource(req.body.notionSource)
+      }));
+    
+    if (!claim.claimed) {
+      return res.status(409).json({
+        error: 'This transcript is already being processed',
+        alreadyInProgress: true,
+        ledger: claim.entry
+      });
+    }
     
+    const result = claim.result;
     if (!result) {
       return res.status(500).json({ 
         error: 'Failed to process transcript'
       });
     }
 
-    const slackResults = [];
-    if (webhookUrl && result.stories) {
-      console.log(`📤 Sending ${result.stories.length} Slack notifications...`);
-      
-      for (const story of result.stories) {
-        const slackStatus = await sendSlackNotification(story, webhookUrl);
-        
-        story.slackStatus = slackStatus;
-        slackResults.push({
-          storyId: story.id,
-          storyTitle: story.title,
-          slackStatus: slackStatus
-        });
-        
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      
-      console.log(`✅ Slack notifications completed for: ${title}`);
+    // Show what would be sent instead of approving and sending it
+    if (dryRun) {
+      return res.json({
+        ...result,
+        deliveries: previewDeliveries(result.stories, { webhookUrl, jiraConfig: req.body.jiraConfig })
+      });
     }
+
+    // Stories are drafts until reviewed - only auto-approved ones go to Slack now
+    const slackResults = result.stories ? await autoApproveStories(result.stories, webhookUrl) : [];
     
-    // Mark as processed if we have a transcript ID (from req.body)
-    if (req.body.transcriptId) {
-      processedTranscriptIds.add(req.body.transcriptId);
-      console.log(`📝 Marked transcript ${req.body.transcriptId} as processed`);
+    // Remember the processed content so later edits in Notion are noticed
+    if (req.body.transcriptId && !transcriptUploads.isUploadId(req.body.transcriptId)) {
+      notionSync.recordProcessed(req.body.transcriptId, transcript, { sourceId: req.body.notionSource });
     }
 
     const response = {
@@ -786,6 +1445,7 @@ app.post('/api/process-transcript', async (req, res) => {
       slackSummary: {
         enabled: !!webhookUrl,
         totalStories: result.stories?.length || 0,
+        autoApproved: result.stories?.filter(s => s.status === 'approved').length || 0,
         successfulNotifications: slackResults.filter(r => r.slackStatus.success).length,
         failedNotifications: slackResults.filter(r => r.slackStatus.success === false).length,
         results: slackResults
@@ -794,7 +1454,7 @@ app.post('/api/process-transcript', async (req, res) => {
     
     res.json(response);
   } catch (error) {
-    console.error('OpenAI API Error:', error);
+    console.error('LLM API Error:', error);
     res.status(500).json({ 
       error: 'SkyNet AI processing failed: ' + error.message,
       details: error.response?.data || error.message 
@@ -802,431 +1462,1891 @@ app.post('/api/process-transcript', async (req, res) => {
   }
 });
 
-// Deploy story to JIRA
-app.post('/api/deploy-to-jira', async (req, res) => {
-  try {
-    const { story, jiraConfig } = req.body;
-    
-    console.log(`🤖 SkyNet attempting JIRA deployment for: ${story.title}`);
-
-    let cleanUrl = jiraConfig.url.trim();
-    if (!cleanUrl.startsWith('http')) {
-      cleanUrl = 'https://' + cleanUrl;
-    }
-    cleanUrl = cleanUrl.replace(/\/$/, '');
-
-    const auth = Buffer.from(`${jiraConfig.email}:${jiraConfig.token}`).toString('base64');
-    
-    const authTest = await fetch(`${cleanUrl}/rest/api/3/myself`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Accept': 'application/json',
-        'User-Agent': 'SkyNet-AI/1.0'
-      }
-    });
-
-    if (!authTest.ok) {
-      throw new Error('JIRA Authentication failed');
-    }
-
-    const descriptionText = [
-      '👤 User Story:',
-      story.userStory || 'Not specified',
-      '',
-      '🎯 Problem/Opportunity:',
-      story.problemStatement || 'Not specified',
-      '',
-      '📋 Description:',
-      story.description,
-      '',
-      '💰 Business Value:',
-      story.businessValue,
-      '',
-      '✅ Acceptance Criteria:',
-      ...story.acceptanceCriteria.map(criteria => `• ${criteria}`),
-      '',
-      '⚙️ Technical Requirements:',
-      ...story.technicalRequirements.map(req => `• ${req}`),
-      '',
-      '⚠️ Risks:',
-      ...story.risks.map(risk => `• ${risk}`),
-      '',
-      `🤖 Generated by SkyNet AI from: ${story.sourceTranscript}`,
-      `Confidence: ${Math.round(story.confidence * 100)}% | Date: ${story.sourceTimestamp}`
-    ].join('\n');
-
-    let adfDescription;
-    try {
-      adfDescription = textToADF(descriptionText);
-    } catch (e) {
-      adfDescription = simpleTextToADF(descriptionText);
-    }
+// List stored stories - optional filters: source, sourceTranscriptId, status, repaired
+app.get('/api/stories', (req, res) => {
+  const { source, sourceTranscriptId, status, repaired } = req.query;
+  const stories = storyStore.listStories({ source, sourceTranscriptId, status, repaired });
+  res.json(stories);
+});
 
-    const jiraTicket = {
-      fields: {
-        project: {
-          key: jiraConfig.projectKey
-        },
-        summary: story.title,
-        description: adfDescription,
-        issuetype: {
-          name: 'Story'
-        }
-      }
-    };
+// Get a single stored story
+app.get('/api/stories/:id', (req, res) => {
+  const story = storyStore.getStory(req.params.id);
+  
+  if (!story) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  res.json(story);
+});
 
-    if (story.priority && ['Highest', 'High', 'Medium', 'Low', 'Lowest'].includes(story.priority)) {
-      jiraTicket.fields.priority = { name: story.priority };
-    }
+// Create a story manually
+app.post('/api/stories', (req, res) => {
+  if (!req.body || !req.body.title) {
+    return res.status(400).json({ error: 'Story title required' });
+  }
+  
+  // Fill anything missing with schema defaults so Slack and JIRA never see a partial story
+  const { story } = normalizeStory(req.body);
+  
+  const [created] = storyStore.addStories([{
+    sourceTimestamp: new Date().toISOString().split('T')[0],
+    source: 'dashboard',
+    ...story,
+    id: `story-${Date.now()}-0`,
+    status: 'draft',
+    repaired: false
+  }]);
+  
+  res.status(201).json(created);
+});
 
-    const createResponse = await fetch(`${cleanUrl}/rest/api/3/issue`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'User-Agent': 'SkyNet-AI/1.0'
-      },
-      body: JSON.stringify(jiraTicket)
+// Update fields of a stored story
+app.patch('/api/stories/:id', (req, res) => {
+  if (req.body && req.body.status !== undefined) {
+    return res.status(400).json({ 
+      error: 'Story status changes go through /approve, /reject or /reopen' 
+    });
+  }
+  
+  const existing = storyStore.getStory(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  // Only the fields being changed have to pass the schema
+  const changedFields = Object.keys(req.body || {});
+  const errors = validateStory({ ...existing, ...req.body })
+    .filter(error => changedFields.includes(error.field));
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ 
+      error: 'Story failed validation', 
+      validationErrors: errors 
     });
+  }
+  
+  const updated = storyStore.updateStory(req.params.id, req.body || {});
+  
+  if (!updated) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  res.json(updated);
+});
 
-    const createResponseText = await createResponse.text();
+// Delete a stored story
+app.delete('/api/stories/:id', (req, res) => {
+  const deleted = storyStore.deleteStory(req.params.id);
+  
+  if (!deleted) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  res.json({ success: true });
+});
 
-    if (!createResponse.ok) {
-      throw new Error(`Ticket creation failed: ${createResponseText}`);
+// Approve a draft story - delivers it to Slack if a webhook is configured
+app.post('/api/stories/:id/approve', async (req, res) => {
+  try {
+    const story = storyStore.getStory(req.params.id);
+    
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
     }
+    
+    if (!canTransition(story.status, 'approved')) {
+      return res.status(409).json({ 
+        error: `Cannot approve a story that is ${story.status}` 
+      });
+    }
+    
+    const webhookUrl = req.body.slackWebhook || process.env.SLACK_WEBHOOK_URL;
+    const approved = await approveStory(story.id, webhookUrl, req.body.reviewer || 'reviewer');
+    
+    res.json(approved);
+  } catch (error) {
+    console.error('❌ Story approval failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const result = JSON.parse(createResponseText);
-
-    res.json({
-      success: true,
-      key: result.key,
-      url: `${cleanUrl}/browse/${result.key}`,
-      id: result.id
+// Reject a story so it is never delivered
+app.post('/api/stories/:id/reject', (req, res) => {
+  const story = storyStore.getStory(req.params.id);
+  
+  if (!story) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  if (!canTransition(story.status, 'rejected')) {
+    return res.status(409).json({ 
+      error: `Cannot reject a story that is ${story.status}` 
     });
+  }
+  
+  const rejected = storyStore.updateStory(story.id, {
+    status: 'rejected',
+    rejectedAt: new Date().toISOString(),
+    rejectedBy: req.body.reviewer || 'reviewer',
+    rejectionReason: req.body.reason || ''
+  });
+  console.log(`❌ Story rejected: ${rejected.title}`);
+  
+  res.json(rejected);
+});
 
-  } catch (error) {
-    console.error('🚨 JIRA deployment failed:', error.message);
-    res.status(500).json({ 
-      error: error.message
+// Send a story back to draft for another review
+app.post('/api/stories/:id/reopen', (req, res) => {
+  const story = storyStore.getStory(req.params.id);
+  
+  if (!story) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  if (!canTransition(story.status, 'draft')) {
+    return res.status(409).json({ 
+      error: `Cannot reopen a story that is ${story.status}` 
     });
   }
+  
+  res.json(storyStore.updateStory(story.id, { status: 'draft' }));
 });
 
-// Webhook endpoint for Notion automation - process new transcript immediately
-app.post('/api/webhook/notion-transcript', async (req, res) => {
+// Regenerate one story with optional reviewer guidance - keeps the story ID and its version history
+app.post('/api/stories/:id/regenerate', async (req, res) => {
   try {
-    console.log('🔔 Notion webhook received - new transcript detected');
+    const { guidance = '', context = '', dryRun = false } = req.body;
+    const story = storyStore.getStory(req.params.id);
     
-    // Get the page ID from Notion webhook if provided
-    const { pageId } = req.body;
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    
+    if (story.status === 'deployed') {
+      return res.status(409).json({ error: 'Deployed stories cannot be regenerated' });
+    }
+    
+    const transcript = req.body.transcript ||
+      (story.sourceTranscriptId ? await getTranscriptContent(story.sourceTranscriptId) : '');
     
-    if (!process.env.OPENAI_API_KEY) {
+    if (!transcript) {
       return res.status(400).json({ 
-        error: 'OpenAI API key not configured' 
+        error: 'Source transcript unavailable - include transcript in the request body' 
       });
     }
-
-    if (!process.env.SLACK_WEBHOOK_URL) {
-      console.warn('⚠️ Slack webhook not configured - stories will be generated but not sent to Slack');
+    
+    console.log(`🔄 Regenerating story: ${story.title}${guidance ? ` (guidance: ${guidance})` : ''}`);
+    
+    // Stories from long transcripts only need the chunk they came from
+    const chunks = chunkTranscript(transcript);
+    const sourceText = (story.sourceChunk && chunks[story.sourceChunk.index]?.text) || transcript;
+    
+    const regenerated = await llmUsage.runWithContext(
+      getUsageContext(story.sourceTranscriptId, { title: story.sourceTranscript, source: 'manual' }),
+      () => regenerateStory(story, sourceText, guidance, context)
+    );
+    
+    if (!regenerated || regenerated.length === 0) {
+      return res.status(500).json({ error: 'Failed to regenerate story' });
     }
-
-    let processedCount = 0;
-    let storiesGenerated = [];
     
-    // If specific page ID provided, process just that transcript
-    if (pageId) {
-      try {
-        // Get the page details first to check if it's new
-        const page = await notion.pages.retrieve({ page_id: pageId });
-        
-        // Check if it's a new transcript
-        if (!isTranscriptNew(page)) {
-          console.log(`⏭️ Transcript ${pageId} not new (already processed or before cutoff), skipping`);
-          return res.json({
-            success: true,
-            message: 'Transcript not new - already processed or created before cutoff date',
-            alreadyProcessed: true
-          });
-        }
+    const [replacement, ...splitParts] = regenerated;
+    
+    // A dry run returns the proposed content and leaves the story as it is
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        story,
+        proposed: { ...story, ...pickContentFields(replacement), status: 'draft' },
+        splitStories: splitParts
+      });
+    }
+    
+    // Changed content means the story needs review again
+    const updated = storyStore.updateStory(story.id, {
+      ...pickContentFields(replacement),
+      repaired: replacement.repaired,
+      validation: replacement.validation,
+      promptVersions: replacement.promptVersions,
+      productContext: replacement.productContext,
+      status: 'draft'
+    }, { reason: 'regenerated', guidance });
+    
+    const timestamp = Date.now();
+    const splitStories = splitParts.length > 0
+      ? storyStore.addStories(splitParts.map((part, index) => ({
+          ...pickContentFields(part),
+          repaired: part.repaired,
+          validation: part.validation,
+          promptVersions: part.promptVersions,
+          productContext: part.productContext,
+          id: `story-${timestamp}-${index + 1}`,
+          sourceTranscript: story.sourceTranscript,
+          sourceTimestamp: new Date().toISOString().split('T')[0],
+          fathomShareUrl: story.fathomShareUrl,
+          sourceTranscriptId: story.sourceTranscriptId,
+          sourceChunk: story.sourceChunk,
+          source: story.source,
+          attendees: story.attendees || [],
+          team: story.team || null,
+          notionSource: story.notionSource || null,
+          status: 'draft',
+          autoProcessed: true,
+          splitFrom: story.id
+        })))
+      : [];
+    
+    res.json({ story: updated, splitStories });
+  } catch (error) {
+    console.error('❌ Story regeneration failed:', error.message);
+    res.status(500).json({ error: 'Story regeneration failed: ' + error.message });
+  }
+});
 
-        const properties = page.properties;
-        const title = properties.Name?.title?.[0]?.plain_text || 'Untitled Meeting';
+// Version history of a story
+app.get('/api/stories/:id/versions', (req, res) => {
+  const story = storyStore.getStory(req.params.id);
+  
+  if (!story) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  res.json({
+    currentVersion: story.version || 1,
+    versions: story.versions || []
+  });
+});
+
+// Field-by-field diff between two versions - ?from=1&to=3 (to defaults to current)
+app.get('/api/stories/:id/diff', (req, res) => {
+  const story = storyStore.getStory(req.params.id);
+  
+  if (!story) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  const toVersion = parseInt(req.query.to, 10) || story.version || 1;
+  const fromVersion = parseInt(req.query.from, 10) || Math.max(toVersion - 1, 1);
+  const from = storyStore.getVersion(story.id, fromVersion);
+  const to = storyStore.getVersion(story.id, toVersion);
+  
+  if (!from || !to) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  
+  res.json({
+    from: fromVersion,
+    to: toVersion,
+    changes: diffFields(from.fields, to.fields)
+  });
+});
+
+// Roll a story back to an earlier version - recorded as a new version
+app.post('/api/stories/:id/rollback', (req, res) => {
+  const story = storyStore.getStory(req.params.id);
+  
+  if (!story) {
+    return res.status(404).json({ error: 'Story not found' });
+  }
+  
+  if (story.status === 'deployed') {
+    return res.status(409).json({ error: 'Deployed stories cannot be rolled back' });
+  }
+  
+  const target = storyStore.getVersion(story.id, parseInt(req.body.version, 10));
+  
+  if (!target) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  
+  const updated = storyStore.updateStory(story.id, {
+    ...target.fields,
+    status: 'draft'
+  }, { reason: `rollback to v${target.version}` });
+  
+  console.log(`⏪ Rolled back story ${story.id} to v${target.version}`);
+  res.json(updated);
+});
+
+// Regenerate every story from one transcript - matched stories get a new version instead of a new ID
+app.post('/api/transcripts/:id/regenerate', async (req, res) => {
+  try {
+    const transcriptId = req.params.id;
+    const { guidance = '', dryRun = false } = req.body;
+    const existing = storyStore.listStories({ sourceTranscriptId: transcriptId });
+    const reference = existing[0] || {};
+    
+    const transcript = req.body.transcript || await getTranscriptContent(transcriptId);
+    const title = req.body.title || reference.sourceTranscript || 'Untitled Meeting';
+    
+    if (!transcript || transcript.length < 100) {
+      return res.status(400).json({ error: 'Transcript too short or missing' });
+    }
+    
+    console.log(`${dryRun ? '🧪 Dry run - r' : '🔄 R'}egenerating all stories for transcript: ${title}`);
+    
+    const claim = await withTranscriptClaim(transcriptId, { title, source: 'manual', force: true, dryRun }, async () => {
+      const context = selectContext({ explicit: req.body.context || reference.productContext, title });
+      // Regenerating asks for a fresh answer, so the cache is bypassed (and refreshed)
+      const stories = await extractStories(transcript, title, guidance, context, undefined, { bypassCache: true });
+    
+      if (!stories) {
+        return null;
+      }
+    
+      // Deployed stories are left alone; everything else is matched by similarity
+      const editable = existing.filter(story => story.status !== 'deployed');
+      const { matched, onlyA: unmatched, onlyB: fresh } = matchStories(editable, stories);
+    
+      // A dry run shows the proposed changes without storing them
+      if (dryRun) {
+        return {
+          updated: matched.map(({ a, b }) => ({ ...a, ...pickContentFields(b), status: 'draft' })),
+          created: fresh,
+          unmatched
+        };
+      }
+    
+      const updated = matched.map(({ a, b }) => storyStore.updateStory(a.id, {
+        ...pickContentFields(b),
+        repaired: b.repaired,
+        validation: b.validation,
+        promptVersions: b.promptVersions,
+        productContext: b.productContext,
+        status: 'draft'
+      }, { reason: 'regenerated', guidance }));
+    
+      const timestamp = Date.now();
+      const created = fresh.length > 0
+        ? storyStore.addStories(fresh.map((story, index) => ({
+            ...pickContentFields(story),
+            repaired: story.repaired,
+            validation: story.validation,
+            promptVersions: story.promptVersions,
+            productContext: story.productContext,
+            id: `story-${timestamp}-${index}`,
+            sourceTranscript: title,
+            sourceTimestamp: new Date().toISOString().split('T')[0],
+            fathomShareUrl: reference.fathomShareUrl || '',
+            sourceTranscriptId: transcriptId,
+            source: reference.source || 'manual',
+            attendees: reference.attendees || [],
+            team: reference.team || null,
+            notionSource: reference.notionSource || null,
+            status: 'draft',
+            autoProcessed: true
+          })))
+        : [];
+    
+      // The stories now reflect this version of the transcript
+      ledger.setState(transcriptId, 'done', { title, storyCount: updated.length + created.length });
+      if (!transcriptUploads.isUploadId(transcriptId)) {
+        notionSync.recordProcessed(transcriptId, transcript);
+      }
+      
+      return { updated, created, unmatched };
+    });
+    
+    if (!claim.claimed) {
+      return res.status(409).json({ error: 'This transcript is already being processed', alreadyInProgress: true, ledger: claim.entry });
+    }
+    if (!claim.result) {
+      return res.status(500).json({ error: 'Failed to regenerate transcript' });
+    }
+    
+    const { updated, created, unmatched } = claim.result;
+    console.log(`✅ ${dryRun ? 'Dry run regenerated' : 'Regenerated'} ${title}: ${updated.length} updated, ${created.length} new, ${unmatched.length} unmatched`);
+    
+    res.json({
+      ...(dryRun && { dryRun: true }),
+      updated,
+      created,
+      unmatchedStoryIds: unmatched.map(story => story.id)
+    });
+  } catch (error) {
+    console.error('❌ Transcript regeneration failed:', error.message);
+    res.status(500).json({ error: 'Transcript regeneration failed: ' + error.message });
+  }
+});
+
+// Review workflow configuration
+app.get('/api/review/settings', (req, res) => {
+  res.json({
+    statuses: STORY_STATUSES,
+    autoApprove: getAutoApproveRule()
+  });
+});
+
+// Registered Notion transcript sources and their routing targets
+app.get('/api/notion/sources', (req, res) => {
+  res.json(notionSources.listSources().map(notionSources.describeSource));
+});
+
+// Processing ledger - every transcript seen by a processing path and its state. ?state= filters.
+app.get('/api/ledger', (req, res) => {
+  const { state } = req.query;
+  if (state && !ledger.LEDGER_STATES.includes(state)) {
+    return res.status(400).json({ error: `Unknown state "${state}"`, states: ledger.LEDGER_STATES });
+  }
+  
+  res.json({
+    cutoffDate: ledger.getCutoffDate(),
+    counts: ledger.getCounts(),
+    transcripts: ledger.listEntries({ state })
+  });
+});
+
+app.get('/api/ledger/:id', (req, res) => {
+  res.json(ledger.getEntry(req.params.id) || { id: req.params.id, state: 'new' });
+});
+
+// Sync cursors per source and processed transcripts whose content changed since
+app.get('/api/notion/sync', (req, res) => {
+  res.json(notionSync.getSyncStatus());
+});
+
+// Notion property mapping per source and the result of validating it against each database
+app.get('/api/notion/mapping', (req, res) => {
+  res.json(notionSources.listSources().map(source => ({
+    source: source.id,
+    ...notionMapping.getMappingStatus(source)
+  })));
+});
+
+// Re-run validation, e.g. after renaming a column in Notion. Send sourceId to check a single source.
+app.post('/api/notion/mapping/validate', async (req, res) => {
+  if (!process.env.NOTION_TOKEN) {
+    return res.status(400).json({ error: 'NOTION_TOKEN is required' });
+  }
+  
+  const sources = req.body.sourceId
+    ? [notionSources.getSource(req.body.sourceId)].filter(Boolean)
+    : notionSources.listSources();
+  if (sources.length === 0) {
+    return res.status(404).json({ error: 'No matching Notion source configured' });
+  }
+  
+  let valid = true;
+  for (const source of sources) {
+    valid = await notionMapping.loadMapping(notion, source) && valid;
+  }
+  res.status(valid ? 200 : 422).json(sources.map(source => ({
+    source: source.id,
+    ...notionMapping.getMappingStatus(source)
+  })));
+});
+
+// Product contexts available for story generation
+app.get('/api/contexts', (req, res) => {
+  res.json({
+    contexts: productContexts.listContexts(),
+    settings: productContexts.getContextSettings()
+  });
+});
+
+app.get('/api/contexts/:name', (req, res) => {
+  const context = productContexts.getContext(req.params.name);
+  
+  if (!context) {
+    return res.status(404).json({ error: 'Product context not found' });
+  }
+  
+  res.json(context);
+});
+
+// Prompt templates - list, view, edit, preview and version history
+app.get('/api/prompts', (req, res) => {
+  res.json({ templates: promptTemplates.listTemplates() });
+});
+
+app.get('/api/prompts/:name', (req, res) => {
+  const template = promptTemplates.getTemplate(req.params.name);
+  
+  if (!template) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+  }
+  
+  res.json(template);
+});
+
+app.get('/api/prompts/:name/versions/:version', (req, res) => {
+  const entry = promptTemplates.getTemplateVersion(req.params.name, parseInt(req.params.version, 10));
+  
+  if (!entry) {
+    return res.status(404).json({ error: 'Prompt template version not found' });
+  }
+  
+  res.json({ name: req.params.name, ...entry });
+});
+
+app.put('/api/prompts/:name', (req, res) => {
+  try {
+    const { content, note = '' } = req.body;
+    
+    if (!promptTemplates.getTemplate(req.params.name)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    
+    const errors = promptTemplates.validateTemplate(req.params.name, content);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid prompt template', details: errors });
+    }
+    
+    const template = promptTemplates.saveTemplate(req.params.name, content, note);
+    res.json(template);
+  } catch (error) {
+    console.error('❌ Prompt template save failed:', error.message);
+    res.status(500).json({ error: 'Prompt template save failed: ' + error.message });
+  }
+});
+
+// Render a template (saved or unsaved content) with sample values
+app.post('/api/prompts/:name/preview', (req, res) => {
+  const template = promptTemplates.getTemplate(req.params.name);
+  
+  if (!template) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+  }
+  
+  const content = req.body.content !== undefined ? req.body.content : template.content;
+  const variables = {
+    ...promptTemplates.getSampleVariables(req.params.name),
+    productContext: selectContext({ explicit: req.body.context }).content,
+    ...(req.body.variables || {})
+  };
+  
+  res.json({
+    name: req.params.name,
+    rendered: promptTemplates.renderTemplate(content, variables),
+    errors: promptTemplates.validateTemplate(req.params.name, content)
+  });
+});
+
+// JIRA site URL as the API expects it - scheme added, trailing slash removed
+function normalizeJiraUrl(url) {
+  let cleanUrl = url.trim();
+  if (!cleanUrl.startsWith('http')) {
+    cleanUrl = 'https://' + cleanUrl;
+  }
+  return cleanUrl.replace(/\/$/, '');
+}
+
+// JIRA issue for a story - exactly what deployStoryToJira creates. The project comes from the story's
+// Notion source, else jiraConfig.
+function getJiraProjectKey(story, jiraConfig) {
+  return getStorySource(story)?.jiraProjectKey || jiraConfig?.projectKey || null;
+}
+
+// The JIRA issue for a story. Pass the story's epic ({ key }) to link the issue to it.
+function buildJiraIssue(story, jiraConfig, { epic = null } = {}) {
+  const projectKey = getJiraProjectKey(story, jiraConfig);
+  const mapping = projectKey ? jiraFieldMapping.getMapping(projectKey) : null;
+  // The project's field mapping decides the issue type and adds story points, epic, risks and defaults
+  const mapped = mapping
+    ? jiraFieldMapping.mapStoryFields(story, mapping, { toDocument: textToADF })
+    : { issueType: 'Story', fields: {}, leftOut: [] };
+  // Risks stay in the description unless they went into their own field
+  const risksInField = Boolean(mapping?.risksField && mapped.fields[mapping.risksField]);
+
+  const descriptionText = [
+    '👤 User Story:',
+    story.userStory || 'Not specified',
+    '',
+    '🎯 Problem/Opportunity:',
+    story.problemStatement || 'Not specified',
+    '',
+    '📋 Description:',
+    story.description,
+    '',
+    '💰 Business Value:',
+    story.businessValue,
+    '',
+    '✅ Acceptance Criteria:',
+    ...(story.acceptanceCriteria || []).map(criteria => `• ${criteria}`),
+    '',
+    '⚙️ Technical Requirements:',
+    ...(story.technicalRequirements || []).map(req => `• ${req}`),
+    '',
+    ...(risksInField ? [] : [
+      '⚠️ Risks:',
+      ...(story.risks || []).map(risk => `• ${risk}`),
+      ''
+    ]),
+    `🤖 Generated by SkyNet AI from: ${story.sourceTranscript}`,
+    `Confidence: ${Math.round(story.confidence * 100)}% | Date: ${story.sourceTimestamp}`
+  ].join('\n');
+
+  let adfDescription;
+  try {
+    adfDescription = textToADF(descriptionText);
+  } catch (e) {
+    adfDescription = simpleTextToADF(descriptionText);
+  }
+
+  const jiraTicket = {
+    fields: {
+      ...mapped.fields,
+      project: {
+        key: projectKey
+      },
+      summary: story.title,
+      description: adfDescription,
+      issuetype: {
+        name: mapped.issueType
+      }
+    }
+  };
+
+  if (story.priority && ['Highest', 'High', 'Medium', 'Low', 'Lowest'].includes(story.priority)) {
+    if (!mapping || jiraFieldMapping.hasField(mapping, mapped.issueType, 'priority')) {
+      jiraTicket.fields.priority = { name: story.priority };
+    } else {
+      mapped.leftOut.push('priority');
+    }
+  }
+
+  const epicLink = epic ? jiraFieldMapping.getEpicLink(mapping, mapped.issueType) : null;
+  if (epicLink === 'parent') {
+    jiraTicket.fields.parent = { key: epic.key };
+  } else if (epicLink) {
+    jiraTicket.fields[epicLink] = epic.key;
+  }
+
+  if (mapped.leftOut.length > 0) {
+    console.log(`⚠️ Left out ${mapped.leftOut.join(', ')} - not on the ${mapped.issueType} create screen of ${projectKey}`);
+  }
+
+  return jiraTicket;
+}
+
+// Issue types of a JIRA project and the fields on each create screen:
+// { issueTypes: [{ id, name, subtask, fields: [{ id, name, required, hasDefaultValue, type, custom, allowedValues }] }] }.
+// custom is the custom field type (e.g. ...:textarea), null for system fields.
+async function fetchJiraCreatemeta(jiraConfig, projectKey) {
+  const cleanUrl = normalizeJiraUrl(jiraConfig.url);
+  const auth = Buffer.from(`${jiraConfig.email}:${jiraConfig.token}`).toString('base64');
+  const getJson = (operation, url, label) => withRetry(operation, async () => {
+    const response = await checkResponse(await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Accept': 'application/json',
+        'User-Agent': 'SkyNet-AI/1.0'
+      }
+    }), label);
+    return response.json();
+  });
+
+  const projectUrl = `${cleanUrl}/rest/api/3/issue/createmeta/${encodeURIComponent(projectKey)}/issuetypes`;
+  const typesPage = await getJson('jira.createmeta', `${projectUrl}?maxResults=100`, `JIRA createmeta failed for ${projectKey}`);
+
+  const issueTypes = [];
+  for (const type of typesPage.issueTypes || typesPage.values || []) {
+    const fieldsPage = await getJson('jira.createmeta', `${projectUrl}/${type.id}?maxResults=200`, `JIRA createmeta failed for ${type.name}`);
+    issueTypes.push({
+      id: type.id,
+      name: type.name,
+      subtask: Boolean(type.subtask),
+      fields: (fieldsPage.fields || fieldsPage.values || []).map(field => ({
+        id: field.fieldId || field.key,
+        name: field.name,
+        required: Boolean(field.required),
+        hasDefaultValue: Boolean(field.hasDefaultValue),
+        type: field.schema?.type || null,
+        custom: field.schema?.custom || null,
+        allowedValues: field.allowedValues ? field.allowedValues.map(value => value.name || value.value).filter(Boolean) : null
+      }))
+    });
+  }
+
+  return { issueTypes };
+}
+
+// Epics created recently, by JIRA site, project and name. JIRA's search index can take a moment to
+// show a new issue, so stories deployed right after their epic was created reuse it from here.
+const recentEpics = new Map();
+const RECENT_EPIC_MS = 10 * 60 * 1000;
+// Lookups in flight - stories of the same new epic deployed at once create it only once
+const pendingEpics = new Map();
+
+// The project's Epic with the story's epic as its summary - found with JQL, or created when there is none.
+// Returns { key, name, url, created }.
+async function resolveJiraEpic({ cleanUrl, auth, projectKey, name, mapping }) {
+  const headers = {
+    'Authorization': `Basic ${auth}`,
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'User-Agent': 'SkyNet-AI/1.0'
+  };
+  // Summary search matches words, so the phrase narrows it down and the exact name is compared here.
+  // Quotes, backslashes and Lucene's reserved characters would break the query or change its meaning -
+  // the search ignores punctuation anyway, so they become spaces. A name of nothing else lists every epic.
+  const phrase = name.replace(/["\\+\-&|!(){}[\]^~*?:/]/g, ' ').replace(/\s+/g, ' ').trim();
+  const summaryClause = phrase ? ` AND summary ~ "\\"${phrase}\\""` : '';
+  const jql = `project = "${projectKey}" AND issuetype = ${jiraFieldMapping.EPIC_ISSUE_TYPE}${summaryClause} ORDER BY created ASC`;
+
+  const search = await withRetry('jira.searchEpics', async () => {
+    const response = await checkResponse(await fetch(`${cleanUrl}/rest/api/3/search/jql`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ jql, fields: ['summary'], maxResults: 50 })
+    }), 'JIRA epic search failed');
+    return response.json();
+  });
+
+  const existing = (search.issues || []).find(issue => (issue.fields?.summary || '').trim().toLowerCase() === name.toLowerCase());
+  if (existing) {
+    return { key: existing.key, name: existing.fields.summary, url: `${cleanUrl}/browse/${existing.key}`, created: false };
+  }
+
+  const fields = {
+    project: { key: projectKey },
+    summary: name,
+    description: textToADF('🤖 Created by SkyNet AI for stories from meeting transcripts.'),
+    issuetype: { name: jiraFieldMapping.EPIC_ISSUE_TYPE }
+  };
+  if (mapping?.epicNameField) {
+    fields[mapping.epicNameField] = name;
+  }
+
+  const result = await withRetry('jira.createEpic', async () => {
+    const response = await checkResponse(await fetch(`${cleanUrl}/rest/api/3/issue`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ fields })
+    }), 'Epic creation failed');
+    return response.json();
+  }, { idempotent: false });
+
+  console.log(`🏔️ Created JIRA epic ${result.key}: ${name}`);
+  return { key: result.key, name, url: `${cleanUrl}/browse/${result.key}`, created: true };
+}
+
+async function findOrCreateJiraEpic(options) {
+  const cacheKey = `${options.cleanUrl}|${options.projectKey}|${options.name.trim().toLowerCase()}`;
+
+  const recent = recentEpics.get(cacheKey);
+  if (recent && Date.now() - recent.at < RECENT_EPIC_MS) {
+    return { ...recent.epic, created: false };
+  }
+
+  if (!pendingEpics.has(cacheKey)) {
+    pendingEpics.set(cacheKey, resolveJiraEpic({ ...options, name: options.name.trim() })
+      .then(epic => {
+        if (epic.created) {
+          recentEpics.set(cacheKey, { epic, at: Date.now() });
+        }
+        return epic;
+      })
+      .finally(() => pendingEpics.delete(cacheKey)));
+  }
+  return pendingEpics.get(cacheKey);
+}
+
+// Create a JIRA issue for an approved story and mark it deployed. A deployment that kept failing is dead-lettered;
+// the JIRA credentials are not kept, so a retry needs them again.
+async function deployStoryToJira(story, jiraConfig) {
+  try {
+    console.log(`🤖 SkyNet attempting JIRA deployment for: ${story.title}`);
+
+    const cleanUrl = normalizeJiraUrl(jiraConfig.url);
+
+    const auth = Buffer.from(`${jiraConfig.email}:${jiraConfig.token}`).toString('base64');
+  
+    await withRetry('jira.myself', async () => checkResponse(await fetch(`${cleanUrl}/rest/api/3/myself`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Accept': 'application/json',
+        'User-Agent': 'SkyNet-AI/1.0'
+      }
+    }), 'JIRA Authentication failed'));
+
+    // Link the issue to the story's epic. An epic that can't be found or created doesn't stop the
+    // deployment - the issue is created without one and the error is kept with the story.
+    const projectKey = getJiraProjectKey(story, jiraConfig);
+    const mapping = projectKey ? jiraFieldMapping.getMapping(projectKey) : null;
+    const issueType = mapping ? jiraFieldMapping.issueTypeFor(story, mapping) : 'Story';
+    let epic = null;
+    let epicError = null;
+    if (story.epic?.trim() && projectKey && jiraFieldMapping.getEpicLink(mapping, issueType)) {
+      try {
+        epic = await findOrCreateJiraEpic({ cleanUrl, auth, projectKey, name: story.epic, mapping });
+      } catch (error) {
+        epicError = error.message;
+        console.error(`⚠️ Deploying without epic "${story.epic}":`, error.message);
+      }
+    }
+
+    const jiraTicket = buildJiraIssue(story, jiraConfig, { epic });
+
+    // Creating an issue isn't idempotent, so only rate limits and unreachable servers are retried
+    const result = await withRetry('jira.createIssue', async () => {
+      const createResponse = await checkResponse(await fetch(`${cleanUrl}/rest/api/3/issue`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'User-Agent': 'SkyNet-AI/1.0'
+        },
+        body: JSON.stringify(jiraTicket)
+      }), 'Ticket creation failed');
+      return createResponse.json();
+    }, { idempotent: false });
+
+    storyStore.updateStory(story.id, {
+      status: 'deployed',
+      deployedAt: new Date().toISOString(),
+      deployedToJira: result.key,
+      jiraUrl: `${cleanUrl}/browse/${result.key}`,
+      jiraEpic: epic ? { key: epic.key, name: epic.name, url: epic.url } : null,
+      jiraEpicError: epicError
+    });
+    deadLetters.resolve(`jira-deploy:${story.id}`);
+
+    return {
+      key: result.key,
+      url: `${cleanUrl}/browse/${result.key}`,
+      id: result.id,
+      epic,
+      epicError
+    };
+  } catch (error) {
+    if (error.operation) {
+      error.deadLetter = deadLetters.record({
+        key: `jira-deploy:${story.id}`,
+        type: 'jira-deploy',
+        title: story.title,
+        payload: { storyId: story.id },
+        error
+      });
+    }
+    throw error;
+  }
+}
+
+// Deploy story to JIRA
+app.post('/api/deploy-to-jira', async (req, res) => {
+  try {
+    const { jiraConfig, dryRun = false } = req.body;
+    
+    // Only approved stories from the store may be deployed
+    const story = storyStore.getStory(req.body.story?.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    
+    // A dry run renders the issue for any story without contacting JIRA
+    if (dryRun) {
+      const [preview] = previewDeliveries([story], { jiraConfig });
+      return res.json({
+        dryRun: true,
+        wouldDeploy: story.status === 'approved',
+        status: story.status,
+        ...preview.jira
+      });
+    }
+    
+    if (story.status !== 'approved') {
+      return res.status(409).json({ 
+        error: `Story must be approved before deploying to JIRA (currently ${story.status})` 
+      });
+    }
+    
+    const result = await deployStoryToJira(story, jiraConfig);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('🚨 JIRA deployment failed:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      deadLetterId: error.deadLetter?.id
+    });
+  }
+});
+
+// JIRA field mappings - per project, checked against the project's createmeta before they are saved.
+// JIRA credentials are never stored, so loading fields and saving a mapping need jiraConfig in the body.
+function requireJiraCredentials(jiraConfig) {
+  return jiraConfig?.url && jiraConfig?.email && jiraConfig?.token
+    ? null
+    : 'jiraConfig with url, email and token is required to read the project from JIRA';
+}
+
+// Check a mapping against the project's createmeta - { errors, warnings, mapping, createmeta }
+async function checkJiraMapping(projectKey, mapping, jiraConfig) {
+  const key = jiraFieldMapping.normalizeProjectKey(projectKey);
+  const createmeta = await fetchJiraCreatemeta(jiraConfig, key);
+  return { ...jiraFieldMapping.validateMapping(key, mapping, createmeta), createmeta };
+}
+
+function sendJiraError(res, error, message) {
+  console.error(`❌ ${message}:`, error.message);
+  res.status(error.status === 404 ? 404 : 500).json({ error: message, details: error.message });
+}
+
+app.get('/api/jira/mappings', (req, res) => {
+  res.json({ mappings: jiraFieldMapping.listMappings() });
+});
+
+// A project's mapping, or the defaults a new one starts from
+app.get('/api/jira/mappings/:projectKey', (req, res) => {
+  const mapping = jiraFieldMapping.getMapping(req.params.projectKey);
+  res.json(mapping ? { saved: true, mapping } : { saved: false, mapping: jiraFieldMapping.defaultMapping(req.params.projectKey) });
+});
+
+// Issue types and create screen fields of a project, to pick mapped fields from
+app.post('/api/jira/mappings/:projectKey/fields', async (req, res) => {
+  const credentialsError = requireJiraCredentials(req.body.jiraConfig);
+  if (credentialsError) {
+    return res.status(400).json({ error: credentialsError });
+  }
+
+  try {
+    const createmeta = await fetchJiraCreatemeta(req.body.jiraConfig, jiraFieldMapping.normalizeProjectKey(req.params.projectKey));
+    res.json({ projectKey: jiraFieldMapping.normalizeProjectKey(req.params.projectKey), ...createmeta });
+  } catch (error) {
+    sendJiraError(res, error, 'Failed to load JIRA fields');
+  }
+});
+
+// Check a mapping without saving it
+app.post('/api/jira/mappings/:projectKey/validate', async (req, res) => {
+  const credentialsError = requireJiraCredentials(req.body.jiraConfig);
+  if (credentialsError) {
+    return res.status(400).json({ error: credentialsError });
+  }
+
+  try {
+    const { errors, warnings, mapping } = await checkJiraMapping(req.params.projectKey, req.body.mapping, req.body.jiraConfig);
+    res.json({ valid: errors.length === 0, errors, warnings, mapping });
+  } catch (error) {
+    sendJiraError(res, error, 'Failed to validate JIRA field mapping');
+  }
+});
+
+app.put('/api/jira/mappings/:projectKey', async (req, res) => {
+  const credentialsError = requireJiraCredentials(req.body.jiraConfig);
+  if (credentialsError) {
+    return res.status(400).json({ error: credentialsError });
+  }
+
+  try {
+    const { errors, warnings, mapping, createmeta } = await checkJiraMapping(req.params.projectKey, req.body.mapping, req.body.jiraConfig);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid JIRA field mapping', details: errors, warnings });
+    }
+
+    res.json({ success: true, mapping: jiraFieldMapping.saveMapping(mapping, createmeta), warnings });
+  } catch (error) {
+    sendJiraError(res, error, 'Failed to save JIRA field mapping');
+  }
+});
+
+app.delete('/api/jira/mappings/:projectKey', (req, res) => {
+  if (!jiraFieldMapping.deleteMapping(req.params.projectKey)) {
+    return res.status(404).json({ error: 'No field mapping for this project' });
+  }
+  console.log(`🗑️ Removed JIRA field mapping for ${jiraFieldMapping.normalizeProjectKey(req.params.projectKey)}`);
+  res.json({ success: true });
+});
+
+// Webhook endpoint for Notion automation - process new transcript immediately
+app.post('/api/webhook/notion-transcript', async (req, res) => {
+  try {
+    console.log('🔔 Notion webhook received - new transcript detected');
+    
+    // Get the page ID from Notion webhook if provided
+    const { pageId, dryRun = false } = req.body;
+    
+    if (!isLLMConfigured()) {
+      return res.status(400).json({ 
+        error: 'LLM provider not configured' 
+      });
+    }
+    
+    // Automated processing is paused while an LLM budget is used up
+    const budget = llmUsage.getBudgetStatus();
+    if (budget.exceeded) {
+      console.log(`💸 Webhook ignored: ${budget.reason}`);
+      return res.status(429).json({ error: 'Automated processing paused', details: budget.reason, budgetExceeded: true });
+    }
+
+    if (!process.env.SLACK_WEBHOOK_URL) {
+      console.warn('⚠️ Slack webhook not configured - approved stories will not be sent to Slack');
+    }
+
+    let processedCount = 0;
+    let storiesGenerated = [];
+    let changedTranscripts = [];
+    let previews = [];
+    
+    // If specific page ID provided, process just that transcript
+    if (pageId) {
+      try {
+        // Get the page details first to check if it's new
+        const page = await withRetry('notion.pages.retrieve', () => notion.pages.retrieve({ page_id: pageId }));
         
-        console.log(`📄 Processing specific transcript: ${title}`);
+        const source = notionSources.findSourceForDatabase(page.parent?.database_id);
         
-        // Get page content
-        const pageContent = await notion.blocks.children.list({
-          block_id: pageId,
-        });
+        // Check if it's a new transcript - a processed one is checked for edits instead
+        if (!isTranscriptNew(page, { dryRun })) {
+          console.log(`⏭️ Transcript ${pageId} not new (already processed or before cutoff), skipping`);
+          const contentChanged = !dryRun && ledger.isDone(pageId) && notionSync.detectChange(
+            pageId,
+            (await getNotionPageContent(pageId)).trim(),
+            { sourceId: source?.id, lastEditedTime: page.last_edited_time }
+          );
+          return res.json({
+            success: true,
+            message: 'Transcript not new - already processed or created before cutoff date',
+            alreadyProcessed: true,
+            contentChanged
+          });
+        }
+
+        if (!source) {
+          console.warn(`⚠️ Page ${pageId} is not in a registered Notion source - using the default mapping and routing`);
+        }
         
-        let content = '';
-        pageContent.results.forEach(block => {
-          if (block.type === 'paragraph' && block.paragraph?.rich_text) {
-            const text = block.paragraph.rich_text
-              .map(t => t.plain_text)
-              .join('');
-            content += text + '\n';
-          }
-          if (block.type === 'heading_1' && block.heading_1?.rich_text) {
-            content += block.heading_1.rich_text
-              .map(t => t.plain_text)
-              .join('') + '\n';
-          }
-          if (block.type === 'heading_2' && block.heading_2?.rich_text) {
-            content += block.heading_2.rich_text
-              .map(t => t.plain_text)
-              .join('') + '\n';
-          }
-          if (block.type === 'heading_3' && block.heading_3?.rich_text) {
-            content += block.heading_3.rich_text
-              .map(t => t.plain_text)
-              .join('') + '\n';
-          }
-        });
+        const properties = page.properties;
+        const meta = readPageMeta(page, source);
+        const title = meta.title;
         
-        const wordCount = content.trim().split(' ').length;
+        console.log(`📄 Processing specific transcript: ${title}${source ? ` (${source.id})` : ''}`);
         
-        if (wordCount > 50) {
-          const processResult = await autoProcessTranscript(content.trim(), title);
+        const claim = await withTranscriptClaim(pageId, { title, source: 'webhook', notionSource: source?.id, dryRun }, async () => {
+          const content = await getNotionPageContent(pageId);
+          
+          const wordCount = content.trim().split(' ').length;
+          
+          if (wordCount <= 50) {
+            if (!dryRun) {
+              skipShortTranscript(pageId, wordCount, { title, source: 'webhook', notionSource: source?.id });
+            }
+            return;
+          }
+          
+          const fathomShareUrl = meta.recordingUrl;
+          const processResult = await autoProcessTranscript(content.trim(), title, fathomShareUrl, {
+            transcriptId: pageId,
+            source: 'webhook',
+            bypassCache: !!req.body.bypassCache,
+            dryRun,
+            properties,
+            meta,
+            notionSource: source
+          });
           
           if (processResult && processResult.stories && processResult.stories.length > 0) {
             processedCount++;
             storiesGenerated = processResult.stories;
             
-            // Mark as processed
-            markTranscriptProcessed(pageId);
-            
-            // Send Slack notifications
-            if (process.env.SLACK_WEBHOOK_URL) {
-              console.log(`📤 Sending ${processResult.stories.length} stories to Slack...`);
-              for (const story of processResult.stories) {
-                await sendSlackNotification(story, process.env.SLACK_WEBHOOK_URL);
-                await new Promise(resolve => setTimeout(resolve, 300));
-              }
+            if (dryRun) {
+              previews = [{
+                transcriptId: pageId,
+                title,
+                notionSource: source?.id || null,
+                stories: processResult.stories,
+                deliveries: previewDeliveries(processResult.stories, { webhookUrl: process.env.SLACK_WEBHOOK_URL })
+              }];
+              return;
             }
             
+            notionSync.recordProcessed(pageId, content.trim(), { sourceId: source?.id, lastEditedTime: page.last_edited_time });
+            
+            // Stories wait for review unless the auto-approve rule trusts them
+            await autoApproveStories(processResult.stories, process.env.SLACK_WEBHOOK_URL);
+            
             console.log(`✅ Webhook processing complete: ${title} (${processResult.stories.length} stories)`);
           }
-        } else {
-          console.log(`⚠️ Transcript too short: ${wordCount} words`);
+        });
+        
+        // A duplicate trigger is not an error - the transcript is handled either way
+        if (!claim.claimed) {
+          return res.json({
+            success: true,
+            message: claim.reason === 'in-progress' ? 'Transcript is already being processed' : 'Transcript was already processed',
+            alreadyInProgress: claim.reason === 'in-progress',
+            alreadyProcessed: claim.reason === 'done'
+          });
         }
       } catch (error) {
         console.error(`❌ Error processing transcript ${pageId}:`, error.message);
+        const deadLetter = error.operation && !dryRun
+          ? deadLetterTranscript(pageId, null, { processingSource: 'webhook' }, error)
+          : null;
         return res.status(500).json({
           error: 'Failed to process transcript',
-          details: error.message
+          details: error.message,
+          deadLetterId: deadLetter?.id
         });
       }
     } else {
-      // No specific page ID - process all new transcripts
+      // No specific page ID - sync every source from its cursor
       console.log('📊 Processing all new transcripts...');
       
-      const response = await notion.databases.query({
-        database_id: process.env.NOTION_DATABASE_ID,
-        sorts: [
-          {
-            property: 'Created time',
-            direction: 'descending'
-          }
-        ],
-        page_size: 10 // Check last 10 transcripts
+      const summary = await syncNotionSources('webhook', process.env.SLACK_WEBHOOK_URL, { dryRun });
+      processedCount = summary.processed;
+      storiesGenerated = summary.stories;
+      changedTranscripts = summary.changed;
+      previews = summary.previews;
+    }
+    
+    res.json({
+      success: true,
+      message: dryRun ? 'Webhook dry run complete - nothing was stored or sent' : `Webhook processing complete`,
+      transcriptsProcessed: processedCount,
+      storiesGenerated: storiesGenerated.length,
+      stories: storiesGenerated,
+      changedTranscripts,
+      ...(dryRun && { dryRun: true, previews })
+    });
+    
+  } catch (error) {
+    console.error('❌ Webhook processing error:', error);
+    res.status(500).json({
+      error: 'Webhook processing failed',
+      details: error.message
+    });
+  }
+});
+
+// Queued transcripts wait while an LLM budget is used up, like scheduled and webhook processing,
+// and start once the period resets or the budget is raised
+function budgetHoldReason() {
+  const budget = llmUsage.getBudgetStatus();
+  return budget.exceeded ? `Automated processing paused: ${budget.reason}` : null;
+}
+
+// Background job: process one transcript (a Notion page or an upload), reporting each stage as progress.
+// Transcripts that were processed, or claimed by another trigger, while the job waited are skipped.
+jobQueue.registerHandler('process-transcript', async (job) => {
+  const { transcriptId, title, sourceId, processingSource, context, dryRun } = job.payload;
+  let claim;
+  try {
+    claim = await withTranscriptClaim(transcriptId, { title, source: processingSource, notionSource: sourceId, dryRun }, () =>
+      processTranscriptJob(job));
+  } catch (error) {
+    // Failures inside autoProcessTranscript are dead-lettered there; this catches fetching the transcript
+    if (error.operation && !dryRun) {
+      deadLetterTranscript(transcriptId, title, { sourceId, processingSource, context }, error);
+    }
+    throw error;
+  }
+  
+  if (!claim.claimed) {
+    return {
+      transcriptId,
+      title: title || claim.entry?.title || null,
+      skipped: claim.reason === 'in-progress' ? 'Already being processed' : 'Already processed'
+    };
+  }
+  return claim.result;
+}, { holdReason: budgetHoldReason });
+
+async function processTranscriptJob(job) {
+  const { transcriptId, sourceId, processingSource, webhookUrl, context, bypassCache, dryRun, jiraProjectKey } = job.payload;
+  const progress = (stage, message, details = {}) => jobQueue.reportProgress(job, { stage, message, ...details });
+  
+  progress('fetching', 'Fetching transcript');
+  let transcript;
+  if (transcriptUploads.isUploadId(transcriptId)) {
+    const upload = transcriptUploads.getUpload(transcriptId);
+    if (!upload) {
+      throw new Error(`Uploaded transcript ${transcriptId} not found`);
+    }
+    transcript = { title: upload.title, content: upload.content, recordingUrl: '', options: {} };
+  } else {
+    const page = await withRetry('notion.pages.retrieve', () => notion.pages.retrieve({ page_id: transcriptId }));
+    const source = notionSources.getSource(sourceId) || notionSources.findSourceForDatabase(page.parent?.database_id);
+    const meta = readPageMeta(page, source);
+    
+    if (!isTranscriptNew(page, { dryRun })) {
+      return { transcriptId, title: meta.title, skipped: 'Already processed or created before the cutoff date' };
+    }
+    
+    transcript = {
+      title: meta.title,
+      content: (await getNotionPageContent(transcriptId)).trim(),
+      recordingUrl: meta.recordingUrl,
+      lastEditedTime: page.last_edited_time,
+      options: { properties: page.properties, meta, notionSource: source }
+    };
+  }
+  
+  const { title, content } = transcript;
+  const wordCount = content.split(' ').length;
+  progress('fetched', `Fetched ${wordCount} words`, { title });
+  
+  // Uploads skip the Notion word minimum, like the upload route
+  if (wordCount <= 50 && !transcriptUploads.isUploadId(transcriptId)) {
+    if (!dryRun) {
+      skipShortTranscript(transcriptId, wordCount, { title, source: processingSource, notionSource: sourceId });
+    }
+    return { transcriptId, title, skipped: `Too short (${wordCount} words)` };
+  }
+  
+  jobQueue.throwIfCancelled(job);
+  progress('generating', 'Sending transcript to the LLM', { title });
+  
+  const processResult = await autoProcessTranscript(content, title, transcript.recordingUrl, {
+    ...transcript.options,
+    transcriptId,
+    source: processingSource,
+    context,
+    bypassCache,
+    dryRun,
+    onProgress: chunk => progress('generating', `LLM finished part ${chunk.index + 1} of ${chunk.total}`, { title, chunk })
+  });
+  
+  if (!processResult) {
+    throw new Error(ledger.getEntry(transcriptId)?.error || 'Failed to process transcript');
+  }
+  progress('stories', `Generated ${processResult.stories.length} stories`, { title, storyCount: processResult.stories.length });
+  
+  // A dry run ends with what would have been sent
+  if (dryRun) {
+    return {
+      transcriptId,
+      title,
+      notionSource: sourceId || null,
+      dryRun: true,
+      storyCount: processResult.stories.length,
+      stories: processResult.stories,
+      deliveries: previewDeliveries(processResult.stories, { webhookUrl, jiraConfig: { projectKey: jiraProjectKey } })
+    };
+  }
+  
+  if (!transcriptUploads.isUploadId(transcriptId)) {
+    notionSync.recordProcessed(transcriptId, content, { sourceId, lastEditedTime: transcript.lastEditedTime });
+  }
+  
+  // Stories wait for review unless the auto-approve rule trusts them
+  const slackResults = await autoApproveStories(processResult.stories, webhookUrl);
+  if (slackResults.length > 0) {
+    progress('notified', `Sent ${slackResults.filter(r => r.slackStatus.success).length} of ${slackResults.length} stories to Slack`, { title });
+  }
+  
+  return {
+    transcriptId,
+    title,
+    notionSource: sourceId || null,
+    storyCount: processResult.stories.length,
+    storyIds: processResult.stories.map(story => story.id),
+    autoApproved: processResult.stories.filter(story => story.status === 'approved').length,
+    slackSummary: {
+      successfulNotifications: slackResults.filter(r => r.slackStatus.success).length,
+      failedNotifications: slackResults.filter(r => !r.slackStatus.success).length
+    }
+  };
+}
+
+// Queue a process-transcript child job for each transcript of a batch. Transcripts already waiting in the queue are left alone.
+// Dry-run batches queue dry-run children, which leave the ledger alone and only wait behind other dry runs.
+function queueTranscriptJobs(job, transcripts, processingSource) {
+  const dryRun = !!job.payload.dryRun;
+  const active = new Set(jobQueue.listJobs({ type: 'process-transcript', limit: Infinity })
+    .filter(transcriptJob => ['queued', 'running'].includes(transcriptJob.status) && !!transcriptJob.payload.dryRun === dryRun)
+    .map(transcriptJob => transcriptJob.payload.transcriptId));
+  
+  return transcripts
+    .filter(transcript => !active.has(transcript.id))
+    .map(transcript => {
+      // A transcript claimed elsewhere keeps its processing state - the job skips it if the claim still holds
+      if (!dryRun && !ledger.isLocked(transcript.id)) {
+        ledger.setState(transcript.id, 'queued', {
+          title: transcript.title,
+          source: processingSource,
+          notionSource: transcript.sourceId
+        });
+      }
+      return jobQueue.enqueue('process-transcript', {
+        transcriptId: transcript.id,
+        title: transcript.title || null,
+        sourceId: transcript.sourceId || null,
+        context: transcript.context || null,
+        processingSource,
+        webhookUrl: job.payload.webhookUrl,
+        bypassCache: !!job.payload.bypassCache,
+        dryRun,
+        jiraProjectKey: job.payload.jiraProjectKey || null
+      }, { parentId: job.id }).id;
+    });
+}
+
+// Background job: find every new transcript across the Notion sources and queue one job each
+jobQueue.registerHandler('auto-process-all', async (job) => {
+  jobQueue.reportProgress(job, { stage: 'scanning', message: 'Looking for new transcripts' });
+  const pages = await queryAllSources(50);
+  jobQueue.throwIfCancelled(job);
+  
+  const childJobIds = queueTranscriptJobs(job, pages
+    .filter(({ page }) => isTranscriptNew(page, { dryRun: job.payload.dryRun }))
+    .map(({ source, page }) => ({ id: page.id, title: readPageMeta(page, source).title, sourceId: source.id })),
+  'auto-process-all');
+  
+  console.log(`📋 Queued ${childJobIds.length} of ${pages.length} transcripts for auto-processing`);
+  return { transcriptsAnalyzed: pages.length, transcriptsQueued: childJobIds.length, childJobIds };
+});
+
+// Background job: process a list of transcripts picked in the dashboard
+jobQueue.registerHandler('process-batch', async (job) => {
+  const childJobIds = queueTranscriptJobs(job, job.payload.transcripts, 'manual');
+  return { transcriptsAnalyzed: job.payload.transcripts.length, transcriptsQueued: childJobIds.length, childJobIds };
+});
+
+// A cancelled transcript never started, so it goes back to new in the ledger
+jobQueue.events.on('job', ({ type, job }) => {
+  if (type === 'status' && job.type === 'process-transcript' && job.status === 'cancelled' && !job.payload.dryRun &&
+      ledger.getState(job.payload.transcriptId) === 'queued') {
+    ledger.setState(job.payload.transcriptId, 'new');
+  }
+});
+
+// A dead letter retried as a background job settles once the job finishes
+jobQueue.events.on('job', ({ type, job }) => {
+  if (type === 'status' && job.payload.deadLetterId && jobQueue.isFinished(job)) {
+    deadLetters.settleRetry(job.payload.deadLetterId, job.status === 'completed' ? null : new Error(job.error || `Retry job ${job.status}`));
+  }
+});
+
+// Background job: run an experiment's transcript through each configuration in turn.
+// Each configuration gets its own provider and prompts; its LLM calls are collected to total its tokens and cost.
+jobQueue.registerHandler('experiment', async (job) => {
+  const { experimentId } = job.payload;
+  const experiment = experiments.getExperiment(experimentId);
+  if (!experiment) {
+    throw new Error(`Experiment ${experimentId} not found`);
+  }
+  experiments.updateExperiment(experimentId, { status: 'running' });
+  
+  for (const [index, config] of experiment.configs.entries()) {
+    jobQueue.throwIfCancelled(job);
+    jobQueue.reportProgress(job, {
+      stage: 'generating',
+      message: `Running ${config.label} (${index + 1} of ${experiment.configs.length})`,
+      configIndex: index
+    });
+    experiments.recordResult(experimentId, index, { status: 'running' });
+    
+    const records = [];
+    const startedAt = Date.now();
+    try {
+      const provider = createProvider({
+        ...(config.provider && { provider: config.provider }),
+        ...(config.model && { model: config.model }),
+        ...(config.temperature !== null && { temperature: config.temperature })
+      });
+      const context = selectContext({ explicit: config.context, title: experiment.title });
+      const usageContext = {
+        transcriptId: experiment.transcriptId,
+        title: experiment.title,
+        sourceId: 'experiment',
+        trigger: 'experiment',
+        records
+      };
+      const stories = await llmUsage.runWithContext(usageContext, () =>
+        extractStories(experiment.transcript, experiment.title, '', context, undefined, {
+          provider,
+          prompts: config.prompts
+        }));
+      
+      experiments.recordResult(experimentId, index, {
+        status: stories ? 'completed' : 'failed',
+        provider: provider.name,
+        model: provider.model,
+        context: context.name,
+        stories: stories || [],
+        usage: llmUsage.summarizeUsage(records),
+        durationMs: Date.now() - startedAt,
+        error: stories ? null : 'The LLM returned no usable stories'
+      });
+      console.log(`⚖️ Experiment ${experimentId}: ${config.label} found ${stories ? stories.length : 0} stories`);
+    } catch (error) {
+      console.error(`❌ Experiment ${experimentId}: ${config.label} failed:`, error.message);
+      experiments.recordResult(experimentId, index, {
+        status: 'failed',
+        usage: llmUsage.summarizeUsage(records),
+        durationMs: Date.now() - startedAt,
+        error: error.message
+      });
+    }
+  }
+  
+  const finished = experiments.finishExperiment(experimentId);
+  if (!finished) {
+    return { experimentId, deleted: true };
+  }
+  const { rows, ...comparison } = finished.comparison;
+  return { experimentId, comparison: { ...comparison, rows: rows.length } };
+});
+
+// An experiment whose job was cancelled or failed is settled with the configurations that finished
+jobQueue.events.on('job', ({ type, job }) => {
+  if (type !== 'status' || job.type !== 'experiment' || !['cancelled', 'failed'].includes(job.status)) {
+    return;
+  }
+  const experiment = experiments.getExperiment(job.payload.experimentId);
+  if (experiment && ['queued', 'running'].includes(experiment.status)) {
+    experiments.finishExperiment(experiment.id, job.error ? new Error(job.error) : null, job.status);
+  }
+});
+
+// Dead letters are retried with the dashboard's current settings - options carry its Slack webhook and JIRA config.
+// A transcript goes back through the job queue; Slack and JIRA are retried straight away.
+deadLetters.registerRetry('process-transcript', async (entry, options) => {
+  const { transcriptId, sourceId, processingSource, context } = entry.payload;
+  if (!ledger.isLocked(transcriptId)) {
+    ledger.setState(transcriptId, 'queued', { title: entry.title, source: processingSource, notionSource: sourceId });
+  }
+  const job = jobQueue.enqueue('process-transcript', {
+    transcriptId,
+    title: entry.title,
+    sourceId,
+    context,
+    processingSource,
+    webhookUrl: options.slackWebhook || process.env.SLACK_WEBHOOK_URL,
+    deadLetterId: entry.id
+  });
+  return { jobId: job.id, statusUrl: `/api/jobs/${job.id}` };
+});
+
+deadLetters.registerRetry('slack-notification', async (entry, options) => {
+  const story = storyStore.getStory(entry.payload.storyId);
+  if (!story) {
+    throw new Error('Story no longer exists');
+  }
+  const webhookUrl = options.slackWebhook || process.env.SLACK_WEBHOOK_URL;
+  if (!webhookUrl && !getStorySource(story)?.slackWebhookUrl) {
+    throw new Error('No Slack webhook configured');
+  }
+  const updated = await notifySlack(story, webhookUrl);
+  if (!updated.slackStatus.success) {
+    throw new Error(updated.slackStatus.error);
+  }
+  return { story: updated };
+});
+
+deadLetters.registerRetry('jira-deploy', async (entry, options) => {
+  const story = storyStore.getStory(entry.payload.storyId);
+  if (!story) {
+    throw new Error('Story no longer exists');
+  }
+  if (!options.jiraConfig?.url) {
+    throw new Error('JIRA configuration is required to retry a deployment');
+  }
+  if (story.status === 'deployed') {
+    deadLetters.resolve(entry.key);
+    return { key: story.deployedToJira, url: story.jiraUrl };
+  }
+  if (story.status !== 'approved') {
+    throw new Error(`Story must be approved before deploying to JIRA (currently ${story.status})`);
+  }
+  return deployStoryToJira(story, options.jiraConfig);
+});
+
+// Alert once per period when an LLM budget runs out - to LLM_BUDGET_ALERT_WEBHOOK_URL, or the default Slack channel
+llmUsage.onBudgetExceeded(async (kind, status) => {
+  const webhookUrl = process.env.LLM_BUDGET_ALERT_WEBHOOK_URL || process.env.SLACK_WEBHOOK_URL;
+  if (!webhookUrl) {
+    return;
+  }
+  
+  const { limitUsd, spentUsd, period } = status[kind];
+  await withRetry('slack.webhook', async () => checkResponse(await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      text: `💸 SkyNet ${kind} LLM budget exceeded for ${period}: $${spentUsd.toFixed(2)} of $${limitUsd.toFixed(2)}. Automated processing is paused until the next period or a higher limit.`,
+      username: 'SkyNet AI',
+      icon_emoji: ':robot_face:'
+    })
+  }), 'Slack webhook'), { idempotent: false });
+  console.log(`📤 Budget alert sent to Slack (${kind})`);
+});
+
+// Job payloads can carry a Slack webhook URL - only report whether one was given
+function redactJob(job) {
+  const { webhookUrl, ...payload } = job.payload;
+  return { ...job, payload: { ...payload, slackWebhook: !!webhookUrl } };
+}
+
+// Job with its child jobs rolled up - a batch is finished once it and every child has finished
+function describeJob(job) {
+  const children = jobQueue.listJobs({ parentId: job.id, limit: Infinity });
+  if (children.length === 0) {
+    return { ...redactJob(job), finished: jobQueue.isFinished(job) };
+  }
+  
+  const results = children.filter(child => child.status === 'completed').map(child => child.result);
+  return {
+    ...redactJob(job),
+    finished: jobQueue.isFinished(job) && children.every(jobQueue.isFinished),
+    summary: {
+      ...Object.fromEntries(jobQueue.JOB_STATUSES.map(status => [status, children.filter(child => child.status === status).length])),
+      transcriptsProcessed: results.filter(result => result.storyCount).length,
+      totalStories: results.reduce((sum, result) => sum + (result.storyCount || 0), 0),
+      successfulNotifications: results.reduce((sum, result) => sum + (result.slackSummary?.successfulNotifications || 0), 0),
+      failedNotifications: results.reduce((sum, result) => sum + (result.slackSummary?.failedNotifications || 0), 0)
+    },
+    children: children.map(child => ({
+      id: child.id,
+      status: child.status,
+      title: child.result?.title || child.payload.title || child.progress?.title || null,
+      transcriptId: child.payload.transcriptId,
+      progress: child.progress,
+      heldReason: child.heldReason || null,
+      storyCount: child.result?.storyCount || 0,
+      skipped: child.result?.skipped || null,
+      error: child.error,
+      // Dry-run children carry what they would have stored and sent
+      ...(child.result?.dryRun && { dryRun: true, stories: child.result.stories, deliveries: child.result.deliveries })
+    }))
+  };
+}
+
+// Auto-process all transcripts - runs in the background; poll /api/jobs/:id for progress and results
+app.post('/api/auto-process-all', (req, res) => {
+  try {
+    const { slackWebhook, dryRun = false } = req.body;
+    const webhookUrl = slackWebhook || process.env.SLACK_WEBHOOK_URL;
+    
+    console.log(`${dryRun ? '🧪 SkyNet starting a dry run' : '🤖 SkyNet starting auto-processing'} of all transcripts...`);
+    
+    if (!isLLMConfigured()) {
+      return res.status(400).json({ 
+        error: 'LLM provider not configured' 
       });
-      
-      for (const page of response.results) {
-        // Skip if not a new transcript
-        if (!isTranscriptNew(page)) {
-          continue;
-        }
-        
-        const properties = page.properties;
-        const title = properties.Name?.title?.[0]?.plain_text || 'Untitled Meeting';
-        
-        try {
-          const pageContent = await notion.blocks.children.list({
-            block_id: page.id,
-          });
-          
-          let content = '';
-          pageContent.results.forEach(block => {
-            if (block.type === 'paragraph' && block.paragraph?.rich_text) {
-              const text = block.paragraph.rich_text
-                .map(t => t.plain_text)
-                .join('');
-              content += text + '\n';
-            }
-          });
-          
-          const wordCount = content.trim().split(' ').length;
-          
-          if (wordCount > 50) {
-            const processResult = await autoProcessTranscript(content.trim(), title);
-            
-            if (processResult && processResult.stories && processResult.stories.length > 0) {
-              processedCount++;
-              // Add Fathom share URL to each story
-              processResult.stories = processResult.stories.map(story => ({
-                ...story,
-                fathomShareUrl: fathomShareUrl || ''
-              }));
-              storiesGenerated = [...storiesGenerated, ...processResult.stories];
-              
-              // Mark as processed
-              markTranscriptProcessed(page.id);
-              
-              // Send Slack notifications
-              if (process.env.SLACK_WEBHOOK_URL) {
-                for (const story of processResult.stories) {
-                  await sendSlackNotification(story, process.env.SLACK_WEBHOOK_URL);
-                  await new Promise(resolve => setTimeout(resolve, 300));
-                }
-              }
-              
-              console.log(`✅ Processed: ${title} (${processResult.stories.length} stories)`);
-            }
-          }
-        } catch (error) {
-          console.error(`❌ Error processing ${title}:`, error.message);
-        }
-      }
     }
     
-    res.json({
-      success: true,
-      message: `Webhook processing complete`,
-      transcriptsProcessed: processedCount,
-      storiesGenerated: storiesGenerated.length,
-      stories: storiesGenerated
+    const job = jobQueue.enqueue('auto-process-all', {
+      webhookUrl,
+      bypassCache: !!req.body.bypassCache,
+      dryRun: !!dryRun,
+      jiraProjectKey: req.body.jiraConfig?.projectKey || null
+    });
+    
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
     });
     
   } catch (error) {
-    console.error('❌ Webhook processing error:', error);
-    res.status(500).json({
-      error: 'Webhook processing failed',
-      details: error.message
+    console.error('❌ Auto-processing error:', error);
+    res.status(500).json({ 
+      error: 'Auto-processing failed: ' + error.message
     });
   }
 });
 
-// Auto-process all transcripts
-app.post('/api/auto-process-all', async (req, res) => {
-  try {
-    const { slackWebhook } = req.body;
-    const webhookUrl = slackWebhook || process.env.SLACK_WEBHOOK_URL;
+// Background jobs, newest first. ?status= and ?type= filter.
+app.get('/api/jobs', (req, res) => {
+  const { status, type } = req.query;
+  res.json({
+    counts: jobQueue.getCounts(),
+    jobs: jobQueue.listJobs({ status, type }).map(redactJob)
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json(describeJob(job));
+});
+
+// Live progress for a job and its children as Server-Sent Events.
+// Sends a 'snapshot' first, then 'status' and 'progress' events, and a final 'finished' with the rolled-up job.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const close = () => {
+    jobQueue.events.off('job', onJobEvent);
+    clearInterval(heartbeat);
+    res.end();
+  };
+  
+  function onJobEvent(event) {
+    if (event.rootId !== job.id) {
+      return;
+    }
     
-    console.log('🤖 SkyNet starting auto-processing of all transcripts...');
+    send(event.type, {
+      jobId: event.jobId,
+      status: event.job.status,
+      progress: event.job.progress,
+      heldReason: event.job.heldReason || null,
+      error: event.job.error,
+      result: event.job.result
+    });
     
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(400).json({ 
-        error: 'OpenAI API key not configured' 
-      });
+    const current = describeJob(job);
+    if (current.finished) {
+      send('finished', current);
+      close();
     }
+  }
+  
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  jobQueue.events.on('job', onJobEvent);
+  req.on('close', close);
+  
+  const snapshot = describeJob(job);
+  send('snapshot', snapshot);
+  if (snapshot.finished) {
+    send('finished', snapshot);
+    close();
+  }
+});
 
-    const response = await notion.databases.query({
-      database_id: process.env.NOTION_DATABASE_ID,
-      sorts: [
-        {
-          property: 'Created time',
-          direction: 'descending'
-        }
-      ],
-      page_size: 50
+// Cancel a job - queued transcripts are dropped, running ones stop before their next LLM call
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobQueue.cancelJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json(describeJob(job));
+});
+
+// Operations whose external calls kept failing. Lists open and retrying entries unless ?status= asks for others.
+app.get('/api/dead-letters', (req, res) => {
+  const { status, type } = req.query;
+  if (status && !deadLetters.DEAD_LETTER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Unknown status "${status}"`, statuses: deadLetters.DEAD_LETTER_STATUSES });
+  }
+  
+  res.json({
+    counts: deadLetters.getCounts(),
+    entries: deadLetters.listEntries({ status, type })
+  });
+});
+
+// Retry a dead letter - body may carry slackWebhook and jiraConfig from the dashboard settings
+app.post('/api/dead-letters/:id/retry', async (req, res) => {
+  const entry = deadLetters.getEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  if (entry.status === 'resolved' || entry.status === 'dismissed') {
+    return res.status(409).json({ error: `Dead letter is already ${entry.status}`, entry });
+  }
+  
+  try {
+    const result = await deadLetters.retry(entry.id, {
+      slackWebhook: req.body.slackWebhook,
+      jiraConfig: req.body.jiraConfig
     });
+    res.json({ success: true, entry: deadLetters.getEntry(entry.id), result });
+  } catch (error) {
+    console.error(`❌ Dead letter retry failed (${entry.type}):`, error.message);
+    res.status(500).json({ error: 'Retry failed: ' + error.message, entry: deadLetters.getEntry(entry.id) });
+  }
+});
+
+app.post('/api/dead-letters/:id/dismiss', (req, res) => {
+  const entry = deadLetters.dismiss(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  res.json(entry);
+});
+
+// Auto-processing schedule: settings, last and next run
+app.get('/api/scheduler', (req, res) => {
+  res.json(scheduler.getStatus());
+});
+
+// Change any of enabled, cronExpression, timezone, quietHours, activeDays - the schedule applies immediately
+app.put('/api/scheduler', (req, res) => {
+  const { errors } = scheduler.updateSettings(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid scheduler settings', details: errors });
+  }
+  
+  console.log(`🕒 Scheduler settings updated (${scheduler.getStatus().enabled ? 'enabled' : 'paused'})`);
+  res.json(scheduler.getStatus());
+});
+
+// Run a pass now, ignoring pause, quiet hours and active days. The outcome shows up as lastRun.
+app.post('/api/scheduler/run', (req, res) => {
+  if (!scheduler.runNow({ dryRun: !!req.body?.dryRun })) {
+    return res.status(409).json({ error: 'An auto-processing run is already in progress', scheduler: scheduler.getStatus() });
+  }
+  res.status(202).json(scheduler.getStatus());
+});
+
+// LLM usage report - ?groupBy=transcript|day|source and optional ?from= / ?to= dates (YYYY-MM-DD, UTC)
+app.get('/api/usage', (req, res) => {
+  const { groupBy = 'day', from, to } = req.query;
+  if (!llmUsage.GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({ error: `Unknown groupBy "${groupBy}"`, groupBy: llmUsage.GROUP_BY });
+  }
+  
+  res.json({
+    ...llmUsage.getReport({ groupBy, from, to }),
+    budget: llmUsage.getBudgetStatus()
+  });
+});
+
+// Every LLM call made for one transcript
+app.get('/api/usage/transcripts/:id', (req, res) => {
+  res.json(llmUsage.getTranscriptUsage(req.params.id));
+});
+
+app.get('/api/usage/budgets', (req, res) => {
+  res.json({ budgets: llmUsage.getBudgets(), status: llmUsage.getBudgetStatus() });
+});
+
+// Set dailyUsd and monthlyUsd (null for no limit) - saved budgets replace LLM_*_BUDGET_USD
+app.put('/api/usage/budgets', (req, res) => {
+  const errors = llmUsage.setBudgets(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid budgets', details: errors });
+  }
+  // A raised budget lets transcripts held for it start
+  jobQueue.wake();
+  res.json({ budgets: llmUsage.getBudgets(), status: llmUsage.getBudgetStatus() });
+});
+
+// Cached extractions (without their stories) and hit/miss counts
+app.get('/api/extraction-cache', (req, res) => {
+  res.json({ stats: extractionCache.getStats(), entries: extractionCache.listEntries() });
+});
+
+// One cached extraction with its stories
+app.get('/api/extraction-cache/:key', (req, res) => {
+  const entry = extractionCache.getEntry(req.params.key);
+  if (!entry) {
+    return res.status(404).json({ error: 'Cache entry not found' });
+  }
+  res.json(entry);
+});
+
+app.delete('/api/extraction-cache', (req, res) => {
+  res.json({ removed: extractionCache.clear(), stats: extractionCache.getStats() });
+});
+
+app.delete('/api/extraction-cache/:key', (req, res) => {
+  const removed = extractionCache.clear(req.params.key);
+  if (!removed) {
+    return res.status(404).json({ error: 'Cache entry not found' });
+  }
+  res.json({ removed, stats: extractionCache.getStats() });
+});
+
+// Experiments - compare prompt templates, models, temperatures and contexts on one transcript.
+// Send transcriptId (a Notion page or upload) or transcript text with a title, and the configurations to compare.
+app.post('/api/experiments', async (req, res) => {
+  try {
+    const { transcriptId, configs } = req.body;
+    const errors = experiments.validateConfigs(configs);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid experiment', details: errors });
+    }
     
-    let processedCount = 0;
-    let totalStories = 0;
-    let totalSlackSuccess = 0;
-    let totalSlackFailed = 0;
-    const results = [];
-    
-    for (const page of response.results) {
-      const properties = page.properties;
-      const title = properties.Name?.title?.[0]?.plain_text || 'Untitled Meeting';
-      const fathomShareUrl = properties['Fathom Share URL']?.url || properties['Share URL']?.url || properties['Meeting URL']?.url || '';
-      
-      try {
-        const pageContent = await notion.blocks.children.list({
-          block_id: page.id,
-        });
-        
-        let content = '';
-        pageContent.results.forEach(block => {
-          if (block.type === 'paragraph' && block.paragraph?.rich_text) {
-            const text = block.paragraph.rich_text
-              .map(t => t.plain_text)
-              .join('');
-            content += text + '\n';
-          }
-        });
-        
-        const wordCount = content.trim().split(' ').length;
-        
-        // Skip if not a new transcript (already processed or before cutoff date)
-        if (!isTranscriptNew(page)) {
-          continue;
-        }
-        
-        if (wordCount > 50) {
-          const processResult = await autoProcessTranscript(content.trim(), title);
-          
-          if (processResult && processResult.stories && processResult.stories.length > 0) {
-            processedCount++;
-            totalStories += processResult.stories.length;
-            
-            
-            // Mark transcript as processed
-            markTranscriptProcessed(page.id);
-            
-            const slackResults = [];
-            
-            if (webhookUrl) {
-              for (const story of processResult.stories) {
-                const slackStatus = await sendSlackNotification(story, webhookUrl);
-                if (slackStatus.success) {
-                  totalSlackSuccess++;
-                } else {
-                  totalSlackFailed++;
-                }
-                await new Promise(resolve => setTimeout(resolve, 200));
-              }
-            }
-            
-            results.push({
-              transcript: title,
-              storyCount: processResult.stories.length,
-              stories: processResult.stories
-            });
-          }
-          
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error processing ${title}:`, error.message);
-      }
+    const transcript = (req.body.transcript || (transcriptId ? await getTranscriptContent(transcriptId) : '')).trim();
+    if (transcript.length < 100) {
+      return res.status(400).json({ error: 'Transcript too short or missing' });
     }
+    const title = req.body.title || ledger.getEntry(transcriptId)?.title || transcriptUploads.getUpload(transcriptId)?.title || 'Untitled Meeting';
     
-    res.json({
-      success: true,
-      transcriptsAnalyzed: response.results.length,
-      transcriptsProcessed: processedCount,
-      totalStories: totalStories,
-      slackSummary: {
-        enabled: !!webhookUrl,
-        successfulNotifications: totalSlackSuccess,
-        failedNotifications: totalSlackFailed,
-        totalNotifications: totalSlackSuccess + totalSlackFailed
-      },
-      results: results
-    });
+    const experiment = experiments.createExperiment({ transcriptId: transcriptId || null, title, transcript, configs });
+    const job = jobQueue.enqueue('experiment', { experimentId: experiment.id });
+    experiments.updateExperiment(experiment.id, { jobId: job.id });
+    console.log(`⚖️ Experiment ${experiment.id} queued: ${title} with ${configs.length} configurations`);
     
-  } catch (error) {
-    console.error('❌ Auto-processing error:', error);
-    res.status(500).json({ 
-      error: 'Auto-processing failed: ' + error.message
+    res.status(202).json({
+      experimentId: experiment.id,
+      jobId: job.id,
+      statusUrl: `/api/experiments/${experiment.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
     });
+  } catch (error) {
+    console.error('❌ Experiment failed to start:', error.message);
+    res.status(500).json({ error: 'Experiment failed to start: ' + error.message });
+  }
+});
+
+app.get('/api/experiments', (req, res) => {
+  res.json(experiments.listExperiments());
+});
+
+// One experiment with every configuration's stories and the side-by-side comparison
+app.get('/api/experiments/:id', (req, res) => {
+  const experiment = experiments.getExperiment(req.params.id);
+  if (!experiment) {
+    return res.status(404).json({ error: 'Experiment not found' });
+  }
+  const { transcript, ...details } = experiment;
+  res.json({ ...details, transcriptLength: transcript.length });
+});
+
+app.delete('/api/experiments/:id', (req, res) => {
+  const experiment = experiments.getExperiment(req.params.id);
+  if (!experiment) {
+    return res.status(404).json({ error: 'Experiment not found' });
+  }
+  if (experiment.jobId && ['queued', 'running'].includes(experiment.status)) {
+    jobQueue.cancelJob(experiment.jobId);
+  }
+  experiments.deleteExperiment(req.params.id);
+  res.json({ deleted: true });
+});
+
+// Process transcripts picked in the dashboard as one background batch
+app.post('/api/transcripts/process-batch', (req, res) => {
+  const { transcripts = [], slackWebhook } = req.body;
+  
+  if (!isLLMConfigured()) {
+    return res.status(400).json({ error: 'LLM provider not configured' });
+  }
+  
+  if (!Array.isArray(transcripts) || transcripts.length === 0 || transcripts.some(t => !t.id)) {
+    return res.status(400).json({ error: 'transcripts must be a non-empty list of { id, title, sourceId, context }' });
   }
+  
+  const job = jobQueue.enqueue('process-batch', {
+    transcripts: transcripts.map(({ id, title, sourceId, context }) => ({ id, title, sourceId, context })),
+    webhookUrl: slackWebhook || process.env.SLACK_WEBHOOK_URL,
+    bypassCache: !!req.body.bypassCache,
+    dryRun: !!req.body.dryRun,
+    jiraProjectKey: req.body.jiraConfig?.projectKey || null
+  });
+  
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
 });
 
 // ============================================
@@ -1243,162 +3363,139 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Auto-processing cron job - runs every 2 minutes for faster detection
-if (process.env.ENABLE_AUTO_PROCESSING === 'true') {
-  // More frequent checking - every 2 minutes
-  cron.schedule('*/2 * * * *', async () => {
-    console.log('🤖 SkyNet auto-processing scan started...');
-    
-    try {
-      if (!process.env.OPENAI_API_KEY) {
-        console.log('⚠️ Auto-processing skipped: OpenAI API key not configured');
-        return;
-      }
+// One scheduled auto-processing pass - the scheduler keeps this summary as the last run result.
+// A dry run keeps the extracted stories and what would have been sent in summary.previews.
+async function runScheduledSync({ dryRun = false } = {}) {
+  if (!isLLMConfigured()) {
+    throw new Error('LLM provider not configured');
+  }
+  const budget = llmUsage.getBudgetStatus();
+  if (budget.exceeded) {
+    throw new Error(`Paused: ${budget.reason}`);
+  }
 
-      const response = await notion.databases.query({
-        database_id: process.env.NOTION_DATABASE_ID,
-        sorts: [
-          {
-            property: 'Created time',
-            direction: 'descending'
-          }
-        ],
-        page_size: 20
-      });
-      
-      let newProcessedCount = 0;
-      let totalSlackSuccess = 0;
-      let totalSlackFailed = 0;
-      
-      for (const page of response.results) {
-        // Skip if not a new transcript (already processed or before cutoff date)
-        if (!isTranscriptNew(page)) {
-          continue;
-        }
-        
-        const properties = page.properties;
-        const title = properties.Name?.title?.[0]?.plain_text || 'Untitled Meeting';
-        
-        try {
-          const pageContent = await notion.blocks.children.list({
-            block_id: page.id,
-          });
-          
-          let content = '';
-          pageContent.results.forEach(block => {
-            if (block.type === 'paragraph' && block.paragraph?.rich_text) {
-              const text = block.paragraph.rich_text
-                .map(t => t.plain_text)
-                .join('');
-              content += text + '\n';
-            }
-          });
-          
-          const wordCount = content.trim().split(' ').length;
-          
-          if (wordCount > 50) {
-            const processResult = await autoProcessTranscript(content.trim(), title);
-            
-            if (processResult && processResult.stories && processResult.stories.length > 0) {
-              newProcessedCount++;
-              
-              // Add Fathom share URL to each story
-              processResult.stories = processResult.stories.map(story => ({
-                ...story,
-                fathomShareUrl: fathomShareUrl || ''
-              }));
-              
-              // Mark transcript as processed
-              markTranscriptProcessed(page.id);
-              
-              // Send Slack notifications if webhook is configured
-              if (process.env.SLACK_WEBHOOK_URL) {
-                for (const story of processResult.stories) {
-                  const slackStatus = await sendSlackNotification(story, process.env.SLACK_WEBHOOK_URL);
-                  if (slackStatus.success) {
-                    totalSlackSuccess++;
-                  } else {
-                    totalSlackFailed++;
-                  }
-                  await new Promise(resolve => setTimeout(resolve, 300));
-                }
-              }
-              
-              console.log(`✅ Auto-processed: ${title} (${processResult.stories.length} stories)`);
-              
-              // Small delay between transcripts to avoid rate limits
-              await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-          }
-          
-        } catch (error) {
-          console.error(`❌ Auto-processing error for ${title}:`, error.message);
-        }
-      }
-      
-      if (newProcessedCount > 0) {
-        console.log(`🎯 SkyNet auto-processing complete: ${newProcessedCount} new transcripts processed`);
-        if (process.env.SLACK_WEBHOOK_URL) {
-          console.log(`📱 Slack notifications: ${totalSlackSuccess} sent, ${totalSlackFailed} failed`);
-        }
-      } else {
-        console.log('⏭️ No new transcripts found for auto-processing');
-      }
-      
-    } catch (error) {
-      console.error('❌ Auto-processing cron job error:', error.message);
+  const summary = await syncNotionSources('cron', process.env.SLACK_WEBHOOK_URL, { dryRun });
+  const slackSent = summary.slackResults.filter(r => r.slackStatus.success).length;
+  
+  if (dryRun) {
+    console.log(`🧪 SkyNet dry run complete: ${summary.processed} transcripts would be processed (${summary.stories.length} stories)`);
+  } else if (summary.processed > 0) {
+    console.log(`🎯 SkyNet auto-processing complete: ${summary.processed} new transcripts processed`);
+    if (process.env.SLACK_WEBHOOK_URL) {
+      console.log(`📱 Slack notifications: ${slackSent} sent, ${summary.slackResults.length - slackSent} failed`);
     }
-  });
+  } else {
+    console.log(`⏭️ No new transcripts found for auto-processing (${summary.pagesSeen} edited pages checked)`);
+  }
   
-  console.log('🕒 SkyNet auto-processing enabled: scanning every 2 minutes');
+  if (summary.changed.length > 0) {
+    console.log(`✏️ ${summary.changed.length} processed transcript(s) changed and can be re-processed`);
+  }
   
-  // Skip initial scan on startup to avoid any cached code issues
-  console.log('✅ Auto-processing initialized - will scan every 2 minutes for new transcripts');
-} else {
-  console.log('⏸️ Auto-processing disabled. Set ENABLE_AUTO_PROCESSING=true to enable.');
+  if (summary.budgetExceeded) {
+    console.log('💸 LLM budget reached during the run - remaining new transcripts wait for the next period');
+  }
+  
+  return {
+    pagesSeen: summary.pagesSeen,
+    processed: summary.processed,
+    storiesGenerated: summary.stories.length,
+    changed: summary.changed.length,
+    slackSent,
+    slackFailed: summary.slackResults.length - slackSent,
+    budgetExceeded: summary.budgetExceeded,
+    ...(dryRun && { dryRun: true, previews: summary.previews })
+  };
 }
 
 // Start server
-app.listen(port, async () => {
+// Load everything kept on disk before accepting requests. A request handled with empty state
+// would save it over the files.
+// Stored stories, so the dashboard survives restarts
+storyStore.loadStories();
+transcriptUploads.loadUploads();
+notionSync.loadSyncState();
+
+// Prompt templates are read from prompts/ and versioned on every change
+promptTemplates.loadPromptTemplates();
+
+// The ledger decides which transcripts are new, so load it before any processing path runs
+if (ledger.loadLedger()) {
+  console.log('✅ Processing ledger initialized - only new transcripts will be processed');
+}
+jobQueue.loadJobs();
+deadLetters.loadDeadLetters();
+scheduler.loadScheduler();
+llmUsage.loadUsage();
+extractionCache.loadCache();
+experiments.loadExperiments();
+jiraFieldMapping.loadMappings();
+// Contexts are listed and edited from the dashboard whether or not an LLM is configured
+if (productContexts.loadContexts()) {
+  console.log('✅ Product context loaded - stories will be tailored to your business');
+} else {
+  console.log(`💡 Tip: Create context/${productContexts.getContextSettings().defaultContext}.md with your product info for better stories`);
+}
+
+// Writes still batched in memory go to disk before the process stops. The signal is sent again once they are
+// saved, so stopping works as before - SIGUSR2 is how nodemon restarts `npm run dev`.
+function flushPendingWrites() {
+  llmUsage.flushPendingSave();
+  extractionCache.flushPendingSave();
+}
+process.on('exit', flushPendingWrites);
+['SIGINT', 'SIGTERM', 'SIGUSR2'].forEach(signal => process.once(signal, () => {
+  flushPendingWrites();
+  process.kill(process.pid, signal);
+}));
+
+// Notion sources and their property mappings are ready before the first request or scheduled run reads them.
+// Each mapping is checked against its database schema so bad column names fail loudly.
+async function startServer() {
+  const sources = notionSources.loadSources();
+  if (process.env.NOTION_TOKEN) {
+    for (const source of sources) {
+      await notionMapping.loadMapping(notion, source);
+    }
+  }
+  
+  app.listen(port, onListening);
+}
+
+function onListening() {
   console.log(`🤖 SkyNet AI server operational on port ${port}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Health check: http://localhost:${port}/api/health`);
   console.log('Environment variables loaded:', {
     hasNotionToken: !!process.env.NOTION_TOKEN,
     hasNotionDB: !!process.env.NOTION_DATABASE_ID,
+    notionSources: notionSources.listSources().length,
     hasOpenAI: !!process.env.OPENAI_API_KEY,
+    llmProvider: getLLMConfig().provider,
     hasSlackWebhook: !!process.env.SLACK_WEBHOOK_URL,
     autoProcessing: process.env.ENABLE_AUTO_PROCESSING === 'true'
   });
   
-  // Initialize OpenAI, load context, and processed transcripts on startup
-  if (process.env.OPENAI_API_KEY) {
-    console.log('🧠 Initializing OpenAI for direct completions...');
-    const openaiReady = initializeOpenAI();
-    const contextLoaded = loadProductContext();
-    const processedLoaded = loadProcessedTranscripts();
-    
-    if (openaiReady) {
-      console.log('✅ OpenAI ready for story extraction');
-    } else {
-      console.log('⚠️ OpenAI initialization failed - will retry on first use');
-    }
+  // Initialize the LLM provider on startup
+  if (isLLMConfigured()) {
+    console.log(`🧠 Initializing LLM provider: ${getLLMConfig().provider}...`);
+    const llmReady = initializeLLM();
     
-    if (contextLoaded) {
-      console.log('✅ Product context loaded - stories will be tailored to your business');
+    if (llmReady) {
+      console.log('✅ LLM ready for story extraction');
     } else {
-      console.log('💡 Tip: Create context/PRODUCT_CONTEXT.md with your product info for better stories');
-    }
-    
-    if (processedLoaded) {
-      console.log('✅ Processed transcripts tracking initialized - only new transcripts will be processed');
+      console.log('⚠️ LLM initialization failed - will retry on first use');
     }
   }
   
-  console.log('🎯 SkyNet is now fully operational!');
+  // Workers pick up queued jobs, including any left over from before a restart
+  jobQueue.start();
   
-  if (process.env.ENABLE_AUTO_PROCESSING === 'true') {
-    console.log('📡 Webhook endpoint ready at: /api/webhook/notion-transcript');
-    console.log('🔄 Auto-processing will scan every 2 minutes for new transcripts');
-  }
-});
\ No newline at end of file
+  // Scheduled auto-processing - settings saved from the dashboard win over ENABLE_AUTO_PROCESSING
+  scheduler.start(runScheduledSync);
+  
+  console.log('🎯 SkyNet is now fully operational!');
+  console.log('📡 Webhook endpoint ready at: /api/webhook/notion-transcript');
+}
+
+startServer();
\ No newline at end of file
@@ -0,0 +1,387 @@
+const fs = require('fs');
+const path = require('path');
+const { STORY_TYPES } = require('./storySchema');
+
+// JIRA field mappings - how a story's fields become JIRA fields, one mapping per project key,
+// kept in jira_field_mappings.json:
+//
+//   { "storyPointsField": "customfield_10016",        (effort as a number)
+//     "defaultIssueType": "Story",
+//     "issueTypes": { "Bug": "Bug", "Technical Debt": "Task" },
+//     "epicAs": "label",                              (or "component", or null)
+//     "risksField": "customfield_10100",              (optional - risks stay in the description otherwise)
+//     "labels": ["skynet"],                           (added to every issue)
+//     "customFields": { "customfield_10200": { "value": "Web" } },    (defaults, in the shape JIRA expects)
+//     "epicLinkField": null,                          (link issues to their epic through this field instead of parent)
+//     "epicNameField": null }                         (Epic Name field to fill when an epic is created)
+//
+// A mapping is checked against the project's createmeta before it is saved, and the issue types and
+// fields seen then are kept with it. Deploying leaves out a mapped field that an issue type's create
+// screen doesn't have rather than failing. Projects without a mapping create plain Story issues.
+const dataPath = path.join(__dirname, '..', 'jira_field_mappings.json');
+const EPIC_TARGETS = ['label', 'component'];
+// Issue type of the epics stories are linked to
+const EPIC_ISSUE_TYPE = 'Epic';
+// Fields the mapping fills itself - they can't be custom field defaults
+const MAPPED_FIELDS = ['project', 'summary', 'description', 'issuetype', 'priority', 'labels', 'components', 'parent'];
+const FIELD_KEYS = ['storyPointsField', 'risksField', 'epicLinkField', 'epicNameField'];
+// Multi-line text fields take Atlassian Document Format, though createmeta reports them as strings
+const RICH_TEXT_FIELD = 'com.atlassian.jira.plugin.system.customfieldtypes:textarea';
+// Fields JIRA fills in when they are left out
+const AUTOMATIC_FIELDS = ['project', 'summary', 'description', 'issuetype', 'reporter'];
+
+let mappingsData = {
+  mappings: {},
+  lastUpdated: ''
+};
+
+function saveMappings() {
+  try {
+    mappingsData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(mappingsData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving JIRA field mappings:', error.message);
+    return false;
+  }
+}
+
+function loadMappings() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      mappingsData = { ...mappingsData, ...JSON.parse(fs.readFileSync(dataPath, 'utf8')) };
+      console.log(`✅ Loaded ${Object.keys(mappingsData.mappings).length} JIRA field mappings`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading JIRA field mappings:', error.message);
+    return false;
+  }
+}
+
+function normalizeProjectKey(projectKey) {
+  return (projectKey || '').trim().toUpperCase();
+}
+
+// Starting point for a project that has no mapping yet
+function defaultMapping(projectKey) {
+  return {
+    projectKey: normalizeProjectKey(projectKey),
+    storyPointsField: null,
+    defaultIssueType: 'Story',
+    issueTypes: { Bug: 'Bug', 'Technical Debt': 'Task' },
+    epicAs: null,
+    risksField: null,
+    labels: [],
+    customFields: {},
+    epicLinkField: null,
+    epicNameField: null
+  };
+}
+
+// Check the shape of a mapping - returns a list of problems
+function checkShape(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['mapping must be an object'];
+  }
+
+  const errors = [];
+  if (typeof mapping.defaultIssueType !== 'string' || !mapping.defaultIssueType.trim()) {
+    errors.push('defaultIssueType must be an issue type name');
+  }
+  if (mapping.issueTypes !== undefined && (typeof mapping.issueTypes !== 'object' || Array.isArray(mapping.issueTypes))) {
+    errors.push('issueTypes must map story types to issue type names');
+  } else {
+    Object.entries(mapping.issueTypes || {}).forEach(([storyType, issueType]) => {
+      if (!STORY_TYPES.includes(storyType)) {
+        errors.push(`issueTypes: unknown story type "${storyType}" - use one of ${STORY_TYPES.join(', ')}`);
+      } else if (typeof issueType !== 'string' || !issueType.trim()) {
+        errors.push(`issueTypes: ${storyType} must map to an issue type name`);
+      }
+    });
+  }
+  FIELD_KEYS.forEach(key => {
+    if (mapping[key] && typeof mapping[key] !== 'string') {
+      errors.push(`${key} must be a field id`);
+    }
+  });
+  const mappedFieldIds = FIELD_KEYS.map(key => mapping[key]).filter(Boolean);
+  if (new Set(mappedFieldIds).size !== mappedFieldIds.length) {
+    errors.push(`${FIELD_KEYS.join(', ')} must be different fields`);
+  }
+  if (mapping.epicAs && !EPIC_TARGETS.includes(mapping.epicAs)) {
+    errors.push(`epicAs must be ${EPIC_TARGETS.join(' or ')} - or null to keep the epic out of JIRA`);
+  }
+  if (mapping.labels !== undefined &&
+      (!Array.isArray(mapping.labels) || mapping.labels.some(label => typeof label !== 'string' || !label.trim() || /\s/.test(label.trim())))) {
+    errors.push('labels must be a list of labels without spaces');
+  }
+  if (mapping.customFields !== undefined && (typeof mapping.customFields !== 'object' || Array.isArray(mapping.customFields))) {
+    errors.push('customFields must map field ids to values');
+  } else {
+    Object.keys(mapping.customFields || {}).forEach(fieldId => {
+      if (MAPPED_FIELDS.includes(fieldId) || mappedFieldIds.includes(fieldId)) {
+        errors.push(`customFields: ${fieldId} is set by the mapping itself`);
+      }
+    });
+  }
+  return errors;
+}
+
+function normalizeMapping(projectKey, mapping) {
+  return {
+    projectKey: normalizeProjectKey(projectKey),
+    storyPointsField: mapping.storyPointsField || null,
+    defaultIssueType: mapping.defaultIssueType.trim(),
+    issueTypes: Object.fromEntries(Object.entries(mapping.issueTypes || {}).map(([storyType, issueType]) => [storyType, issueType.trim()])),
+    epicAs: mapping.epicAs || null,
+    risksField: mapping.risksField || null,
+    labels: [...new Set((mapping.labels || []).map(label => label.trim()))],
+    customFields: mapping.customFields || {},
+    epicLinkField: mapping.epicLinkField || null,
+    epicNameField: mapping.epicNameField || null
+  };
+}
+
+// Issue type names the mapping can produce
+function usedIssueTypes(mapping) {
+  return [...new Set([mapping.defaultIssueType, ...Object.values(mapping.issueTypes || {})])];
+}
+
+function findIssueType(createmeta, name) {
+  return createmeta.issueTypes.find(type => type.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Check a mapping against the project's createmeta ({ issueTypes: [{ id, name, subtask, fields: [...] }] }).
+// Issue type names are corrected to JIRA's spelling. Returns { errors, warnings, mapping }.
+function validateMapping(projectKey, input, createmeta) {
+  const shapeErrors = checkShape(input);
+  if (shapeErrors.length > 0) {
+    return { errors: shapeErrors, warnings: [], mapping: null };
+  }
+
+  const mapping = normalizeMapping(projectKey, input);
+  const errors = [];
+  const warnings = [];
+  const available = createmeta.issueTypes.filter(type => !type.subtask).map(type => type.name);
+
+  const spell = name => {
+    const type = findIssueType(createmeta, name);
+    if (!type || type.subtask) {
+      errors.push(`Issue type "${name}" doesn't exist in ${mapping.projectKey} - use one of ${available.join(', ')}`);
+      return name;
+    }
+    return type.name;
+  };
+  mapping.defaultIssueType = spell(mapping.defaultIssueType);
+  Object.keys(mapping.issueTypes).forEach(storyType => {
+    mapping.issueTypes[storyType] = spell(mapping.issueTypes[storyType]);
+  });
+  if (errors.length > 0) {
+    return { errors, warnings, mapping: null };
+  }
+
+  const types = usedIssueTypes(mapping).map(name => findIssueType(createmeta, name));
+  const fieldOf = (type, fieldId) => type.fields.find(field => field.id === fieldId);
+  // A field the mapping sets must be on at least one screen; screens without it just leave it out
+  const checkField = (fieldId, what, { required = true } = {}) => {
+    const missing = types.filter(type => !fieldOf(type, fieldId));
+    if (missing.length === types.length) {
+      (required ? errors : warnings).push(`${what} (${fieldId}) isn't on the create screen of ${types.map(type => type.name).join(', ')}`);
+    } else if (missing.length > 0) {
+      warnings.push(`${what} (${fieldId}) is left out of ${missing.map(type => type.name).join(', ')} issues - it isn't on their create screen`);
+    }
+  };
+
+  if (mapping.storyPointsField) {
+    checkField(mapping.storyPointsField, 'Story points');
+    const field = types.map(type => fieldOf(type, mapping.storyPointsField)).find(Boolean);
+    if (field && field.type !== 'number') {
+      errors.push(`Story points field ${field.name} (${field.id}) holds ${field.type}, not a number`);
+    }
+  }
+  if (mapping.risksField) {
+    checkField(mapping.risksField, 'Risks');
+    const field = types.map(type => fieldOf(type, mapping.risksField)).find(Boolean);
+    if (field && field.type !== 'string') {
+      errors.push(`Risks field ${field.name} (${field.id}) holds ${field.type}, not text`);
+    }
+  }
+  if (mapping.epicAs === 'component') {
+    checkField('components', 'Components');
+    warnings.push('Epics that are not components of the project, or issue types without components, get the epic as a label instead');
+  }
+  if (mapping.epicAs === 'label' || mapping.labels.length > 0) {
+    checkField('labels', 'Labels', { required: false });
+  }
+  // Issues are linked to the epic named by the story - found by name or created when deploying
+  const epicType = findIssueType(createmeta, EPIC_ISSUE_TYPE);
+  if (!epicType) {
+    warnings.push(`${mapping.projectKey} has no ${EPIC_ISSUE_TYPE} issue type - stories are deployed without an epic`);
+  } else {
+    if (mapping.epicLinkField) {
+      checkField(mapping.epicLinkField, 'Epic link');
+    }
+    if (mapping.epicNameField && !fieldOf(epicType, mapping.epicNameField)) {
+      errors.push(`Epic name (${mapping.epicNameField}) isn't on the ${epicType.name} create screen`);
+    }
+    epicType.fields
+      .filter(field => field.required && !field.hasDefaultValue && ![...AUTOMATIC_FIELDS, mapping.epicNameField].includes(field.id))
+      .forEach(field => warnings.push(`New epics need ${field.name} (${field.id}) - stories whose epic doesn't exist yet are deployed without one`));
+  }
+  if (!types.some(type => fieldOf(type, 'priority'))) {
+    warnings.push('Priority isn\'t on the create screen - issues are created without one');
+  }
+
+  Object.entries(mapping.customFields).forEach(([fieldId, value]) => {
+    checkField(fieldId, 'Custom field');
+    const field = types.map(type => fieldOf(type, fieldId)).find(Boolean);
+    const option = value && typeof value === 'object' && !Array.isArray(value) ? value.value || value.name : null;
+    if (field?.allowedValues && option && !field.allowedValues.includes(option)) {
+      errors.push(`${field.name} (${fieldId}) doesn't allow "${option}" - use one of ${field.allowedValues.join(', ')}`);
+    }
+  });
+
+  // Required fields without a JIRA default need a value from the mapping
+  const covered = [
+    ...AUTOMATIC_FIELDS,
+    ...Object.keys(mapping.customFields),
+    mapping.storyPointsField,
+    mapping.risksField,
+    mapping.epicAs === 'component' ? 'components' : null
+  ];
+  types.forEach(type => {
+    type.fields
+      .filter(field => field.required && !field.hasDefaultValue && !covered.includes(field.id))
+      .forEach(field => errors.push(`${type.name} issues require ${field.name} (${field.id}) - give it a value in customFields`));
+  });
+
+  return { errors, warnings, mapping };
+}
+
+// Save a mapping that passed validateMapping, with the createmeta it was checked against
+function saveMapping(mapping, createmeta) {
+  const saved = {
+    ...mapping,
+    createmeta: {
+      issueTypes: createmeta.issueTypes
+        .filter(type => [...usedIssueTypes(mapping), EPIC_ISSUE_TYPE].includes(type.name))
+        .map(type => ({
+          name: type.name,
+          fields: Object.fromEntries(type.fields.map(field => [field.id, { type: field.type, custom: field.custom || null, allowedValues: field.allowedValues || null }]))
+        }))
+    },
+    validatedAt: new Date().toISOString()
+  };
+  mappingsData.mappings[mapping.projectKey] = saved;
+  saveMappings();
+  console.log(`✅ Saved JIRA field mapping for ${mapping.projectKey}`);
+  return saved;
+}
+
+function getMapping(projectKey) {
+  return mappingsData.mappings[normalizeProjectKey(projectKey)] || null;
+}
+
+function listMappings() {
+  return Object.values(mappingsData.mappings).map(({ createmeta, ...mapping }) => mapping);
+}
+
+function deleteMapping(projectKey) {
+  const key = normalizeProjectKey(projectKey);
+  if (!mappingsData.mappings[key]) {
+    return false;
+  }
+  delete mappingsData.mappings[key];
+  saveMappings();
+  return true;
+}
+
+// The issue type a story becomes under a mapping
+function issueTypeFor(story, mapping) {
+  return mapping.issueTypes[story.type] || mapping.defaultIssueType;
+}
+
+// Whether an issue type's create screen had a field when the mapping was validated
+function hasField(mapping, issueType, fieldId) {
+  const type = mapping.createmeta?.issueTypes.find(entry => entry.name === issueType);
+  return !type || Boolean(type.fields[fieldId]);
+}
+
+// How an issue of this type is linked to its epic: 'parent', an epic link field id, or null when it can't be
+function getEpicLink(mapping, issueType) {
+  if (issueType === EPIC_ISSUE_TYPE) {
+    return null;
+  }
+  if (mapping?.epicLinkField) {
+    return hasField(mapping, issueType, mapping.epicLinkField) ? mapping.epicLinkField : null;
+  }
+  return 'parent';
+}
+
+function toLabel(text) {
+  return text.trim().replace(/\s+/g, '-');
+}
+
+// JIRA fields for a story under a mapping - { issueType, fields, leftOut }. toDocument turns text into
+// Atlassian Document Format for rich text fields. Fields not on the issue type's screen are listed in leftOut;
+// an epic that can't be a component becomes a label.
+function mapStoryFields(story, mapping, { toDocument }) {
+  const issueType = issueTypeFor(story, mapping);
+  const screen = mapping.createmeta?.issueTypes.find(entry => entry.name === issueType)?.fields || null;
+  const fields = {};
+  const leftOut = [];
+  const set = (fieldId, value) => {
+    if (hasField(mapping, issueType, fieldId)) {
+      fields[fieldId] = value;
+    } else {
+      leftOut.push(fieldId);
+    }
+  };
+
+  Object.entries(mapping.customFields).forEach(([fieldId, value]) => set(fieldId, value));
+
+  const points = parseInt(story.effort, 10);
+  if (mapping.storyPointsField && Number.isFinite(points)) {
+    set(mapping.storyPointsField, points);
+  }
+
+  const labels = [...mapping.labels];
+  if (story.epic && mapping.epicAs === 'component') {
+    const components = screen?.components?.allowedValues;
+    if (hasField(mapping, issueType, 'components') && (!components || components.includes(story.epic))) {
+      set('components', [{ name: story.epic }]);
+    } else {
+      labels.push(toLabel(story.epic));
+    }
+  } else if (story.epic && mapping.epicAs === 'label') {
+    labels.push(toLabel(story.epic));
+  }
+  if (labels.length > 0) {
+    set('labels', [...new Set(labels)]);
+  }
+
+  if (mapping.risksField && story.risks?.length > 0) {
+    const text = story.risks.map(risk => `• ${risk}`).join('\n');
+    set(mapping.risksField, screen?.[mapping.risksField]?.custom === RICH_TEXT_FIELD ? toDocument(text) : text);
+  }
+
+  return { issueType, fields, leftOut };
+}
+
+module.exports = {
+  EPIC_TARGETS,
+  EPIC_ISSUE_TYPE,
+  loadMappings,
+  defaultMapping,
+  normalizeProjectKey,
+  validateMapping,
+  saveMapping,
+  getMapping,
+  listMappings,
+  deleteMapping,
+  hasField,
+  issueTypeFor,
+  getEpicLink,
+  mapStoryFields
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Background job queue - requests submit work and get a job ID back at once, workers run the jobs.
+// Jobs are kept in jobs.json, so queued work survives a restart; jobs that were running when the
+// server stopped are queued again. Handlers are registered per job type:
+//
+//   jobQueue.registerHandler('process-transcript', async (job) => result)
+//
+// A handler may also be registered with holdReason(job), returning why its jobs must wait (or null). Held jobs
+// stay queued without using an attempt, carry the reason in heldReason, and are looked at again every minute
+// or on wake().
+//
+// JOB_CONCURRENCY sets how many jobs run at the same time (default 2).
+//
+// Every status change and progress report is emitted on `events` as 'job' ({ type, jobId, rootId, job }),
+// where rootId is the batch a child job belongs to. Cancelling is cooperative: queued jobs are cancelled
+// at once, running handlers stop at their next throwIfCancelled(job) call.
+const dataPath = path.join(__dirname, '..', 'jobs.json');
+// Finished jobs beyond this many are dropped, oldest first
+const MAX_FINISHED_JOBS = 500;
+// How often held jobs are checked again
+const HOLD_RECHECK_MS = 60 * 1000;
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+const events = new EventEmitter();
+// One listener per open progress stream
+events.setMaxListeners(0);
+
+const handlers = new Map();
+const holdReasons = new Map();
+let jobsData = {
+  jobs: [],
+  lastUpdated: ''
+};
+let runningCount = 0;
+let started = false;
+let recheckTimer = null;
+
+function getConcurrency() {
+  const value = parseInt(process.env.JOB_CONCURRENCY, 10);
+  return Number.isFinite(value) && value > 0 ? value : 2;
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+function saveJobs() {
+  try {
+    const finished = jobsData.jobs.filter(isFinished);
+    if (finished.length > MAX_FINISHED_JOBS) {
+      const dropped = new Set(finished
+        .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+        .slice(0, finished.length - MAX_FINISHED_JOBS)
+        .map(job => job.id));
+      jobsData.jobs = jobsData.jobs.filter(job => !dropped.has(job.id));
+    }
+
+    jobsData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(jobsData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving jobs:', error.message);
+    return false;
+  }
+}
+
+function loadJobs() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      jobsData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+      if (!Array.isArray(jobsData.jobs)) {
+        jobsData.jobs = [];
+      }
+
+      const interrupted = jobsData.jobs.filter(job => job.status === 'running');
+      interrupted.forEach(job => Object.assign(job, { status: 'queued', startedAt: null }));
+      if (interrupted.length > 0) {
+        saveJobs();
+        console.log(`🔁 Re-queued ${interrupted.length} job(s) interrupted by a restart`);
+      }
+
+      console.log(`✅ Loaded ${jobsData.jobs.length} jobs (${jobsData.jobs.filter(job => job.status === 'queued').length} queued)`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading jobs:', error.message);
+    return false;
+  }
+}
+
+function registerHandler(type, handler, { holdReason } = {}) {
+  handlers.set(type, handler);
+  if (holdReason) {
+    holdReasons.set(type, holdReason);
+  }
+}
+
+// Add a job and wake the workers. options.parentId links jobs submitted by another job.
+function enqueue(type, payload = {}, options = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type "${type}"`);
+  }
+
+  const job = {
+    id: `job-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    type,
+    payload,
+    parentId: options.parentId || null,
+    status: 'queued',
+    attempts: 0,
+    progress: null,
+    cancelRequested: false,
+    heldReason: null,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobsData.jobs.push(job);
+  saveJobs();
+  emit('status', job);
+  setImmediate(drain);
+  return job;
+}
+
+function emit(type, job) {
+  events.emit('job', { type, jobId: job.id, rootId: job.parentId || job.id, job });
+}
+
+function updateJob(id, updates) {
+  const job = getJob(id);
+  if (!job) {
+    return null;
+  }
+  Object.assign(job, updates);
+  saveJobs();
+  emit('status', job);
+  return job;
+}
+
+// Record what a running job is doing now, e.g. { stage: 'generating', message: 'Sending to the LLM' }.
+// Progress is frequent, so it is only written to disk with the next status change.
+function reportProgress(job, progress) {
+  job.progress = { ...progress, at: new Date().toISOString() };
+  emit('progress', job);
+}
+
+function isCancelled(job) {
+  return !!getJob(job.id)?.cancelRequested;
+}
+
+function throwIfCancelled(job) {
+  if (isCancelled(job)) {
+    throw new JobCancelledError(job.id);
+  }
+}
+
+// Cancel a job and every job it submitted. Returns the job, or null if it doesn't exist.
+function cancelJob(id) {
+  const job = getJob(id);
+  if (!job) {
+    return null;
+  }
+
+  [job, ...jobsData.jobs.filter(child => child.parentId === id)]
+    .filter(target => !isFinished(target))
+    .forEach(target => {
+      if (target.status === 'queued') {
+        updateJob(target.id, { status: 'cancelled', cancelRequested: true, finishedAt: new Date().toISOString() });
+      } else {
+        updateJob(target.id, { cancelRequested: true });
+      }
+    });
+
+  console.log(`🛑 Job ${id} cancelled`);
+  return job;
+}
+
+async function runJob(job) {
+  runningCount++;
+  updateJob(job.id, { status: 'running', heldReason: null, startedAt: new Date().toISOString(), attempts: job.attempts + 1 });
+  console.log(`⚙️ Job ${job.id} started (${job.type})`);
+
+  try {
+    const result = await handlers.get(job.type)(job);
+    updateJob(job.id, { status: 'completed', result: result === undefined ? null : result, finishedAt: new Date().toISOString() });
+    console.log(`✅ Job ${job.id} completed (${job.type})`);
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      updateJob(job.id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      console.log(`🛑 Job ${job.id} stopped after cancellation (${job.type})`);
+    } else {
+      updateJob(job.id, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+      console.error(`❌ Job ${job.id} failed (${job.type}):`, error.message);
+    }
+  } finally {
+    runningCount--;
+    setImmediate(drain);
+  }
+}
+
+// Whether a queued job must wait - records the reason on the job when it changes
+function isHeld(job) {
+  const reason = holdReasons.get(job.type)?.(job) || null;
+  if ((job.heldReason || null) !== reason) {
+    updateJob(job.id, { heldReason: reason });
+    if (reason) {
+      console.log(`⏸️ Job ${job.id} held (${job.type}): ${reason}`);
+    }
+  }
+  return !!reason;
+}
+
+// Start queued jobs, oldest first, until every worker slot is busy
+function drain() {
+  if (!started) {
+    return;
+  }
+
+  while (runningCount < getConcurrency()) {
+    const next = jobsData.jobs.find(job => job.status === 'queued' && handlers.has(job.type) && !isHeld(job));
+    if (!next) {
+      break;
+    }
+    runJob(next);
+  }
+
+  if (!recheckTimer && jobsData.jobs.some(job => job.status === 'queued' && job.heldReason)) {
+    recheckTimer = setTimeout(wake, HOLD_RECHECK_MS);
+    recheckTimer.unref();
+  }
+}
+
+// Look at held jobs again now - for when whatever held them has changed
+function wake() {
+  clearTimeout(recheckTimer);
+  recheckTimer = null;
+  drain();
+}
+
+// Begin working - called once handlers are registered and the services jobs depend on are ready
+function start() {
+  started = true;
+  console.log(`⚙️ Job workers started (concurrency ${getConcurrency()})`);
+  drain();
+}
+
+function getJob(id) {
+  return jobsData.jobs.find(job => job.id === id) || null;
+}
+
+// Newest first; filter by status, type or parentId
+function listJobs({ status, type, parentId, limit = 100 } = {}) {
+  return jobsData.jobs
+    .filter(job => (!status || job.status === status) && (!type || job.type === type) && (!parentId || job.parentId === parentId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+function getCounts() {
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  jobsData.jobs.forEach(job => {
+    counts[job.status]++;
+  });
+  return { ...counts, concurrency: getConcurrency() };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  events,
+  isFinished,
+  loadJobs,
+  registerHandler,
+  enqueue,
+  start,
+  wake,
+  reportProgress,
+  isCancelled,
+  throwIfCancelled,
+  cancelJob,
+  getJob,
+  listJobs,
+  getCounts
+};
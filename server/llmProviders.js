@@ -0,0 +1,225 @@
+// Pluggable LLM providers for story extraction.
+// Every provider exposes complete(messages, options) -> { content, usage, model }.
+//
+// Configuration (environment):
+//   LLM_PROVIDER=openai | ollama | fixture   (default: openai)
+//   LLM_MODEL=gpt-4o-mini                     (default depends on provider)
+//   LLM_TEMPERATURE=0.2
+//   LLM_MAX_TOKENS=4000
+//   LLM_BASE_URL=http://localhost:11434       (ollama / any OpenAI-compatible server)
+//   LLM_API_KEY=                              (optional bearer token for the local server)
+//   LLM_FIXTURE_PATH=fixtures/stories.json    (optional canned reply for the fixture provider)
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const OpenAI = require('openai');
+const { checkResponse } = require('./retryPolicy');
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  fixture: 'fixture-v1'
+};
+
+// LLM_TEMPERATURE, or 0.2 when it is unset or not a number
+function getTemperature() {
+  const value = parseFloat(process.env.LLM_TEMPERATURE);
+  return Number.isFinite(value) ? value : 0.2;
+}
+
+function getLLMConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  return {
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[provider] || DEFAULT_MODELS.openai,
+    temperature: getTemperature(),
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || 4000,
+    baseUrl: (process.env.LLM_BASE_URL || 'http://localhost:11434').replace(/\/$/, '')
+  };
+}
+
+function normalizeUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0)
+  };
+}
+
+// OpenAI chat completions
+function createOpenAIProvider(config) {
+  let client = null;
+
+  return {
+    name: 'openai',
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+    async complete(messages, options = {}) {
+      if (!client) {
+        if (!process.env.OPENAI_API_KEY) {
+          throw new Error('OpenAI API key not configured');
+        }
+        client = new OpenAI({
+          apiKey: process.env.OPENAI_API_KEY,
+          // Retries follow the shared retry policy instead
+          maxRetries: 0
+        });
+      }
+
+      const model = options.model || config.model;
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        temperature: options.temperature !== undefined ? options.temperature : config.temperature,
+        max_tokens: options.maxTokens || config.maxTokens
+      });
+
+      return {
+        content: completion.choices[0].message.content,
+        usage: normalizeUsage(completion.usage),
+        model
+      };
+    }
+  };
+}
+
+// Any server speaking the OpenAI chat completions protocol (Ollama, LM Studio, vLLM, ...)
+function createOllamaProvider(config) {
+  return {
+    name: 'ollama',
+    isConfigured: () => !!config.baseUrl,
+    async complete(messages, options = {}) {
+      const model = options.model || config.model;
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.LLM_API_KEY) {
+        headers['Authorization'] = `Bearer ${process.env.LLM_API_KEY}`;
+      }
+
+      const response = await fetch(`${config.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature: options.temperature !== undefined ? options.temperature : config.temperature,
+          max_tokens: options.maxTokens || config.maxTokens,
+          stream: false
+        })
+      });
+
+      await checkResponse(response, 'Local LLM request failed');
+
+      const data = await response.json();
+      return {
+        content: data.choices?.[0]?.message?.content || '',
+        usage: normalizeUsage(data.usage),
+        model
+      };
+    }
+  };
+}
+
+const ACTION_PATTERN = /\b(need to|needs to|should|we'll|we will|must|fix|add|build|implement|create|update|bug|broken)\b/i;
+
+// Deterministic stand-in: turns sentences that sound like action items into stories.
+// Same input always gives the same output, so the pipeline runs in tests and demos without an API key.
+function buildFixtureStories(transcript) {
+  const sentences = (transcript || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim().replace(/^\[?[\d:.]+\]?\s*/, ''))
+    .filter(sentence => sentence.length > 20 && ACTION_PATTERN.test(sentence));
+
+  const seen = new Set();
+  const items = sentences.filter(sentence => {
+    const key = sentence.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  }).slice(0, 5);
+
+  return items.map((sentence, index) => {
+    const text = sentence.replace(/^[A-Z][\w .'-]{0,40}:\s*/, '');
+    const isBug = /\b(bug|broken|fix|error|crash)\b/i.test(text);
+    const summary = text.length > 80 ? `${text.substring(0, 77)}...` : text;
+    return {
+      title: `${isBug ? 'Fix' : 'Implement'}: ${summary}`,
+      userStory: `As a team member, I want ${summary.toLowerCase()} so that the discussed outcome is delivered`,
+      problemStatement: text,
+      type: isBug ? 'Bug' : 'Feature',
+      priority: index === 0 ? 'High' : 'Medium',
+      effort: ['1 story point', '2 story points', '3 story points', '5 story points', '8 story points'][index % 5],
+      epic: 'Meeting Follow-ups',
+      description: text,
+      acceptanceCriteria: [`The item "${summary}" is completed and verified`],
+      technicalRequirements: ['Follow existing project conventions'],
+      businessValue: 'Delivers an item agreed in the meeting',
+      risks: ['Scope may need clarification with the team'],
+      confidence: 0.6,
+      discussionContext: sentence
+    };
+  });
+}
+
+function createFixtureProvider(config) {
+  return {
+    name: 'fixture',
+    isConfigured: () => true,
+    async complete(messages, options = {}) {
+      const model = options.model || config.model;
+      const lastMessage = messages[messages.length - 1]?.content || '';
+      let content;
+
+      if (process.env.LLM_FIXTURE_PATH) {
+        content = fs.readFileSync(path.resolve(process.env.LLM_FIXTURE_PATH), 'utf8');
+      } else if (/Return ONLY a JSON object with the fields ([\w, ]+)\./.test(lastMessage)) {
+        // Field repair request - answer with empty values and let schema defaults apply
+        const fields = lastMessage.match(/Return ONLY a JSON object with the fields ([\w, ]+)\./)[1].split(', ');
+        content = JSON.stringify(Object.fromEntries(fields.map(field => [field, null])));
+      } else {
+        const transcript = lastMessage.split('Transcript:').slice(1).join('Transcript:');
+        content = JSON.stringify({ stories: buildFixtureStories(transcript) });
+      }
+
+      const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + (m.content || '').length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+        model
+      };
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  fixture: createFixtureProvider
+};
+
+// Build a provider from configuration - overrides (provider, model, temperature, ...) win over the environment.
+// Switching provider without naming a model uses that provider's default model rather than LLM_MODEL.
+function createProvider(overrides = {}) {
+  const defaults = getLLMConfig();
+  const config = { ...defaults, ...overrides };
+  if (!overrides.model && config.provider !== defaults.provider) {
+    config.model = DEFAULT_MODELS[config.provider] || config.model;
+  }
+  const factory = PROVIDER_FACTORIES[config.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+
+  const provider = factory(config);
+  provider.model = config.model;
+  return provider;
+}
+
+module.exports = {
+  getLLMConfig,
+  createProvider,
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES)
+};
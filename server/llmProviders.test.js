@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLLMConfig } = require('./llmProviders');
+
+const withEnv = (t, values) => {
+  const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  t.after(() => Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }));
+};
+
+test('getLLMConfig reads temperature and max tokens from the environment', (t) => {
+  withEnv(t, { LLM_TEMPERATURE: '0', LLM_MAX_TOKENS: '2000' });
+
+  const config = getLLMConfig();
+  assert.equal(config.temperature, 0);
+  assert.equal(config.maxTokens, 2000);
+});
+
+test('getLLMConfig falls back to the defaults for blank or invalid numbers', (t) => {
+  withEnv(t, { LLM_TEMPERATURE: '', LLM_MAX_TOKENS: '' });
+
+  for (const value of ['', 'warm', 'NaN']) {
+    Object.assign(process.env, { LLM_TEMPERATURE: value, LLM_MAX_TOKENS: value });
+
+    const config = getLLMConfig();
+    assert.equal(config.temperature, 0.2, `LLM_TEMPERATURE="${value}"`);
+    assert.equal(config.maxTokens, 4000, `LLM_MAX_TOKENS="${value}"`);
+  }
+});
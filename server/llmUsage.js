@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// LLM usage ledger - prompt and completion tokens plus estimated cost of every completion, kept in llm_usage.json.
+// Calls are tagged with the transcript being processed: processing paths wrap their work in runWithContext,
+// so a completion deep inside extraction or repair knows which transcript, source and trigger it belongs to.
+//
+// Prices are USD per million tokens. Built-in prices cover OpenAI models; LLM_PRICING adds or overrides
+// models, e.g. LLM_PRICING='{"llama3.1": {"input": 0, "output": 0}, "gpt-4o": {"input": 2.5, "output": 10}}'.
+// A model without a price is counted in tokens only.
+//
+// Budgets (LLM_DAILY_BUDGET_USD, LLM_MONTHLY_BUDGET_USD, or saved from the dashboard) are per UTC day and month.
+// Going over one pauses automated processing and raises a single alert for that period.
+const dataPath = path.join(__dirname, '..', 'llm_usage.json');
+// Records older than this are dropped
+const RETENTION_DAYS = 400;
+// New records are written together at most this often rather than one file rewrite per completion
+const SAVE_DELAY_MS = 2000;
+
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+const GROUP_BY = ['transcript', 'day', 'source'];
+
+const contextStorage = new AsyncLocalStorage();
+let budgetExceededHandler = null;
+let saveTimer = null;
+let usageData = {
+  records: [],
+  // Budgets saved from the dashboard - null until then, so the environment applies
+  budgets: null,
+  // Period already alerted for, e.g. { daily: '2026-10-19', monthly: '2026-10' }
+  alerts: { daily: null, monthly: null },
+  lastUpdated: ''
+};
+
+function saveUsage() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    usageData.records = usageData.records.filter(record => record.at >= cutoff);
+    usageData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(usageData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving LLM usage:', error.message);
+    return false;
+  }
+}
+
+// Save soon - records made in the meantime go out in the same write
+function scheduleSave() {
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveUsage, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+}
+
+// Write records still waiting for a scheduled save - called on shutdown
+function flushPendingSave() {
+  if (saveTimer) {
+    saveUsage();
+  }
+}
+
+function loadUsage() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      usageData = { ...usageData, ...JSON.parse(fs.readFileSync(dataPath, 'utf8')) };
+      console.log(`✅ Loaded ${usageData.records.length} LLM usage records`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading LLM usage:', error.message);
+    return false;
+  }
+}
+
+function getCustomPricing() {
+  if (!process.env.LLM_PRICING) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.LLM_PRICING);
+  } catch (error) {
+    console.error('❌ LLM_PRICING is not valid JSON - using built-in prices:', error.message);
+    return {};
+  }
+}
+
+// Price for a model - exact name first, then the longest known prefix (dated snapshots like gpt-4o-2024-08-06).
+// Built-in prices only apply to OpenAI; local servers are free unless LLM_PRICING says otherwise.
+function getPrice(provider, model) {
+  const custom = getCustomPricing();
+  const tables = provider === 'openai' ? [custom, DEFAULT_PRICING] : [custom];
+
+  for (const table of tables) {
+    if (table[model]) {
+      return table[model];
+    }
+    const prefix = Object.keys(table)
+      .filter(name => model.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    if (prefix) {
+      return table[prefix];
+    }
+  }
+  return provider === 'openai' ? null : { input: 0, output: 0 };
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Run fn with usage tagged by context ({ transcriptId, title, sourceId, trigger }) - nested calls add to the outer context.
+// context.records, when given, also collects every record made inside fn.
+function runWithContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+// Store one completion. usage is the provider's { promptTokens, completionTokens, totalTokens }.
+function recordUsage({ provider, model, usage = {}, purpose = null }) {
+  const context = contextStorage.getStore() || {};
+  const price = getPrice(provider, model);
+  const promptTokens = usage.promptTokens || 0;
+  const completionTokens = usage.completionTokens || 0;
+
+  const record = {
+    id: `use-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    at: new Date().toISOString(),
+    provider,
+    model,
+    purpose,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.totalTokens || promptTokens + completionTokens,
+    costUsd: price ? roundUsd((promptTokens * price.input + completionTokens * price.output) / 1e6) : null,
+    transcriptId: context.transcriptId || null,
+    title: context.title || null,
+    sourceId: context.sourceId || null,
+    trigger: context.trigger || null
+  };
+
+  usageData.records.push(record);
+  if (context.records) {
+    context.records.push(record);
+  }
+  scheduleSave();
+  checkBudgets();
+  return record;
+}
+
+function envBudget(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// { dailyUsd, monthlyUsd } - null means no limit
+function getBudgets() {
+  return usageData.budgets || {
+    dailyUsd: envBudget('LLM_DAILY_BUDGET_USD'),
+    monthlyUsd: envBudget('LLM_MONTHLY_BUDGET_USD')
+  };
+}
+
+// Save budgets from the dashboard - a budget left out keeps its value, null removes it.
+// Returns a list of problems, empty when they were saved.
+function setBudgets({ dailyUsd, monthlyUsd }) {
+  const current = getBudgets();
+  const budgets = {
+    dailyUsd: dailyUsd === undefined ? current.dailyUsd : dailyUsd,
+    monthlyUsd: monthlyUsd === undefined ? current.monthlyUsd : monthlyUsd
+  };
+  const errors = Object.entries(budgets)
+    .filter(([, value]) => value !== null && !(typeof value === 'number' && value > 0))
+    .map(([name]) => `${name} must be a positive number, or null for no limit`);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  usageData.budgets = { ...budgets, updatedAt: new Date().toISOString() };
+  // A raised limit can be exceeded - and alerted - again in the same period
+  usageData.alerts = { daily: null, monthly: null };
+  saveUsage();
+  console.log(`💸 LLM budgets updated: daily ${budgets.dailyUsd ?? 'none'}, monthly ${budgets.monthlyUsd ?? 'none'}`);
+  return [];
+}
+
+function getPeriods(date = new Date()) {
+  const iso = date.toISOString();
+  return { daily: iso.slice(0, 10), monthly: iso.slice(0, 7) };
+}
+
+// Spend against each budget in the current UTC day and month
+function getBudgetStatus() {
+  const budgets = getBudgets();
+  const periods = getPeriods();
+  const limits = { daily: budgets.dailyUsd, monthly: budgets.monthlyUsd };
+
+  const status = {};
+  for (const kind of ['daily', 'monthly']) {
+    const spentUsd = roundUsd(usageData.records
+      .filter(record => record.at.startsWith(periods[kind]))
+      .reduce((sum, record) => sum + (record.costUsd || 0), 0));
+    status[kind] = {
+      period: periods[kind],
+      limitUsd: limits[kind],
+      spentUsd,
+      exceeded: limits[kind] !== null && spentUsd >= limits[kind]
+    };
+  }
+
+  const over = ['daily', 'monthly'].find(kind => status[kind].exceeded);
+  return {
+    ...status,
+    exceeded: !!over,
+    reason: over ? `${over === 'daily' ? 'Daily' : 'Monthly'} LLM budget of $${status[over].limitUsd.toFixed(2)} reached ($${status[over].spentUsd.toFixed(2)} spent)` : null
+  };
+}
+
+function isBudgetExceeded() {
+  return getBudgetStatus().exceeded;
+}
+
+// Called once per period when a budget is first exceeded: handler(kind, status)
+function onBudgetExceeded(handler) {
+  budgetExceededHandler = handler;
+}
+
+function checkBudgets() {
+  const status = getBudgetStatus();
+  for (const kind of ['daily', 'monthly']) {
+    if (!status[kind].exceeded || usageData.alerts[kind] === status[kind].period) {
+      continue;
+    }
+    usageData.alerts[kind] = status[kind].period;
+    saveUsage();
+    console.warn(`💸 ${kind} LLM budget exceeded: $${status[kind].spentUsd.toFixed(2)} of $${status[kind].limitUsd.toFixed(2)} - automated processing paused`);
+    if (budgetExceededHandler) {
+      Promise.resolve(budgetExceededHandler(kind, status)).catch(error => {
+        console.error('❌ Budget alert failed:', error.message);
+      });
+    }
+  }
+}
+
+function getGroupKey(record, groupBy) {
+  if (groupBy === 'day') {
+    return record.at.slice(0, 10);
+  }
+  if (groupBy === 'source') {
+    return record.sourceId || 'unknown';
+  }
+  return record.transcriptId || 'untracked';
+}
+
+// Calls, tokens and cost of a list of records
+function summarize(records) {
+  return records.reduce((totals, record) => ({
+    calls: totals.calls + 1,
+    promptTokens: totals.promptTokens + record.promptTokens,
+    completionTokens: totals.completionTokens + record.completionTokens,
+    totalTokens: totals.totalTokens + record.totalTokens,
+    costUsd: roundUsd(totals.costUsd + (record.costUsd || 0)),
+    unpricedCalls: totals.unpricedCalls + (record.costUsd === null ? 1 : 0)
+  }), { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 });
+}
+
+// Usage between from and to (ISO dates, inclusive), grouped by transcript, day or source - most expensive first,
+// except days which are newest first
+function getReport({ groupBy = 'day', from, to } = {}) {
+  const records = usageData.records.filter(record =>
+    (!from || record.at.slice(0, 10) >= from.slice(0, 10)) && (!to || record.at.slice(0, 10) <= to.slice(0, 10))
+  );
+
+  const groups = new Map();
+  records.forEach(record => {
+    const key = getGroupKey(record, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  });
+
+  const rows = [...groups.entries()].map(([key, groupRecords]) => ({
+    key,
+    title: groupBy === 'transcript' ? groupRecords.find(record => record.title)?.title || null : null,
+    ...summarize(groupRecords)
+  }));
+  rows.sort((a, b) => groupBy === 'day' ? b.key.localeCompare(a.key) : b.costUsd - a.costUsd || b.totalTokens - a.totalTokens);
+
+  return { groupBy, from: from || null, to: to || null, totals: summarize(records), groups: rows };
+}
+
+// Every call made for one transcript, oldest first
+function getTranscriptUsage(transcriptId) {
+  const records = usageData.records.filter(record => record.transcriptId === transcriptId);
+  return { transcriptId, totals: summarize(records), records };
+}
+
+module.exports = {
+  GROUP_BY,
+  loadUsage,
+  flushPendingSave,
+  runWithContext,
+  recordUsage,
+  getBudgets,
+  setBudgets,
+  getBudgetStatus,
+  isBudgetExceeded,
+  onBudgetExceeded,
+  getReport,
+  getTranscriptUsage,
+  summarizeUsage: summarize
+};
@@ -0,0 +1,110 @@
+// Plain-text extraction for Notion pages.
+// Follows pagination (Notion returns at most 100 blocks per request) and nested children,
+// so long Fathom pages are read in full.
+const { withRetry } = require('./retryPolicy');
+
+const PAGE_SIZE = 100;
+// Nested blocks deeper than this are skipped - guards against runaway synced blocks
+const MAX_DEPTH = 10;
+const LIST_TYPES = ['bulleted_list_item', 'numbered_list_item', 'to_do'];
+
+function richTextToPlain(richText) {
+  return (richText || []).map(t => t.plain_text).join('');
+}
+
+// Every child block of a block or page, across all result pages
+async function listAllChildren(notion, blockId) {
+  const blocks = [];
+  let cursor;
+
+  do {
+    const response = await withRetry('notion.blocks.children.list', () => notion.blocks.children.list({
+      block_id: blockId,
+      page_size: PAGE_SIZE,
+      ...(cursor ? { start_cursor: cursor } : {})
+    }));
+    blocks.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+
+  return blocks;
+}
+
+// Text for a single block, without its children. Returns null for blocks with no text of their own.
+function blockToText(block, listIndex) {
+  const data = block[block.type] || {};
+  const text = richTextToPlain(data.rich_text);
+
+  switch (block.type) {
+    case 'paragraph':
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3':
+    case 'toggle':
+      return text;
+    case 'bulleted_list_item':
+      return `- ${text}`;
+    case 'numbered_list_item':
+      return `${listIndex}. ${text}`;
+    case 'to_do':
+      return `[${data.checked ? 'x' : ' '}] ${text}`;
+    case 'quote':
+      return `> ${text}`;
+    case 'callout': {
+      const icon = data.icon?.type === 'emoji' ? `${data.icon.emoji} ` : '';
+      return `${icon}${text}`;
+    }
+    case 'code':
+      return text;
+    case 'table_row':
+      return (data.cells || []).map(cell => richTextToPlain(cell)).join(' | ');
+    case 'child_page':
+      return data.title || null;
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview':
+      return data.url || null;
+    default:
+      // table, column_list, column, synced_block and friends only contribute their children
+      return null;
+  }
+}
+
+// Lines for a list of sibling blocks and everything nested under them.
+// level counts nesting for MAX_DEPTH; indent only grows under list items.
+async function blocksToLines(notion, blocks, level, indentLevel) {
+  const lines = [];
+  const indent = '  '.repeat(indentLevel);
+  let listIndex = 0;
+
+  for (const block of blocks) {
+    listIndex = block.type === 'numbered_list_item' ? listIndex + 1 : 0;
+
+    const text = blockToText(block, listIndex);
+    if (text) {
+      lines.push(indent + text);
+    }
+
+    if (block.has_children && block.type !== 'child_page' && level < MAX_DEPTH) {
+      const children = await listAllChildren(notion, block.id);
+      // Only list items indent their children; toggle and callout bodies (where Fathom puts transcripts) stay flush
+      const childIndent = LIST_TYPES.includes(block.type) ? indentLevel + 1 : indentLevel;
+      lines.push(...await blocksToLines(notion, children, level + 1, childIndent));
+    }
+  }
+
+  return lines;
+}
+
+// Full plain text of a Notion page
+async function getPageText(notion, pageId) {
+  const blocks = await listAllChildren(notion, pageId);
+  const lines = await blocksToLines(notion, blocks, 0, 0);
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  getPageText,
+  listAllChildren,
+  blockToText
+};
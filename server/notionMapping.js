@@ -0,0 +1,227 @@
+// Which Notion database properties hold the transcript metadata.
+// Property names come from the environment and are checked against the database schema at startup:
+//   NOTION_TITLE_PROPERTY=Name
+//   NOTION_DATE_PROPERTY=Created time
+//   NOTION_RECORDING_URL_PROPERTY=Fathom Share URL,Share URL,Meeting URL   (first one present wins)
+//   NOTION_ATTENDEES_PROPERTY=                                            (optional)
+//   NOTION_TEAM_PROPERTY=                                                 (optional)
+// A Notion source (see notionSources.js) can override any of these with its own "mapping" entry.
+const { withRetry } = require('./retryPolicy');
+
+const MAPPING_FIELDS = {
+  title: {
+    env: 'NOTION_TITLE_PROPERTY',
+    default: 'Name',
+    types: ['title'],
+    required: true
+  },
+  date: {
+    env: 'NOTION_DATE_PROPERTY',
+    default: 'Created time',
+    types: ['created_time', 'date', 'last_edited_time'],
+    required: true
+  },
+  recordingUrl: {
+    env: 'NOTION_RECORDING_URL_PROPERTY',
+    default: 'Fathom Share URL,Share URL,Meeting URL',
+    types: ['url', 'rich_text'],
+    required: false
+  },
+  attendees: {
+    env: 'NOTION_ATTENDEES_PROPERTY',
+    default: '',
+    types: ['people', 'multi_select', 'rich_text'],
+    required: false
+  },
+  team: {
+    env: 'NOTION_TEAM_PROPERTY',
+    default: '',
+    types: ['select', 'multi_select', 'rich_text'],
+    required: false
+  }
+};
+
+// Last validation result per source id - until validation runs, every candidate name is tried at read time
+const mappingStates = new Map();
+
+const EMPTY_STATE = {
+  mapping: null,
+  errors: [],
+  warnings: [],
+  validatedAt: null
+};
+
+function getState(source) {
+  return mappingStates.get(source?.id || 'default') || EMPTY_STATE;
+}
+
+function parseCandidates(value) {
+  return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// Configured candidate property names per field. overrides (field -> name) win over the environment.
+function getConfiguredMapping(overrides = {}) {
+  return Object.fromEntries(Object.entries(MAPPING_FIELDS).map(([field, rule]) => {
+    const configured = overrides[field] !== undefined ? overrides[field] : process.env[rule.env];
+    return [field, {
+      candidates: parseCandidates(configured !== undefined ? configured : rule.default),
+      explicit: configured !== undefined
+    }];
+  }));
+}
+
+// Check the configured names against a database schema (databases.retrieve().properties).
+// Returns { mapping: field -> property name or null, errors, warnings }
+function validateMapping(schemaProperties, overrides = {}) {
+  const configured = getConfiguredMapping(overrides);
+  const available = Object.keys(schemaProperties || {});
+  const mapping = {};
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(MAPPING_FIELDS).forEach(([field, rule]) => {
+    const { candidates, explicit } = configured[field];
+    const found = candidates.find(name => schemaProperties[name]);
+    mapping[field] = found || null;
+
+    if (candidates.length === 0) {
+      if (rule.required) {
+        errors.push(`No property configured for ${field} - set ${rule.env}`);
+      }
+      return;
+    }
+
+    if (!found) {
+      const message = `Notion property ${candidates.map(name => `"${name}"`).join(' / ')} for ${field} not found in the database (set ${rule.env}). Available properties: ${available.join(', ')}`;
+      if (rule.required || explicit) {
+        errors.push(message);
+      } else {
+        warnings.push(message);
+      }
+      return;
+    }
+
+    const type = schemaProperties[found].type;
+    if (!rule.types.includes(type)) {
+      errors.push(`Notion property "${found}" for ${field} has type ${type} - expected ${rule.types.join(' or ')}`);
+    }
+  });
+
+  return { mapping, errors, warnings };
+}
+
+// Validate a source against its live database schema and keep the result for readers below
+async function loadMapping(notion, source) {
+  const key = source.id || 'default';
+  try {
+    const database = await withRetry('notion.databases.retrieve', () => notion.databases.retrieve({ database_id: source.databaseId }));
+    const result = validateMapping(database.properties, source.mapping);
+    mappingStates.set(key, { ...result, validatedAt: new Date().toISOString() });
+
+    result.errors.forEach(error => console.error(`❌ Notion mapping (${key}): ${error}`));
+    result.warnings.forEach(warning => console.warn(`⚠️ Notion mapping (${key}): ${warning}`));
+    if (result.errors.length === 0) {
+      console.log(`✅ Notion property mapping valid for ${key}: ${Object.entries(result.mapping).filter(([, name]) => name).map(([field, name]) => `${field}="${name}"`).join(', ')}`);
+    }
+    return result.errors.length === 0;
+  } catch (error) {
+    mappingStates.set(key, {
+      mapping: null,
+      errors: [`Could not read the Notion database schema: ${error.message}`],
+      warnings: [],
+      validatedAt: new Date().toISOString()
+    });
+    console.error(`❌ Notion mapping validation failed (${key}):`, error.message);
+    return false;
+  }
+}
+
+function getMappingStatus(source) {
+  return {
+    configured: getConfiguredMapping(source?.mapping),
+    ...getState(source)
+  };
+}
+
+// Property names to try for a field - the validated name, or every configured candidate
+function propertyNames(field, source) {
+  const state = getState(source);
+  if (state.mapping && state.errors.length === 0) {
+    return state.mapping[field] ? [state.mapping[field]] : [];
+  }
+  return getConfiguredMapping(source?.mapping)[field].candidates;
+}
+
+// Plain text values of a Notion property of any common type
+function readPropertyValues(property) {
+  if (!property) {
+    return [];
+  }
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return [(property[property.type] || []).map(t => t.plain_text).join('')].filter(Boolean);
+    case 'select':
+      return property.select ? [property.select.name] : [];
+    case 'multi_select':
+      return (property.multi_select || []).map(option => option.name);
+    case 'people':
+      return (property.people || []).map(person => person.name || person.person?.email).filter(Boolean);
+    case 'url':
+      return property.url ? [property.url] : [];
+    case 'date':
+      return property.date?.start ? [property.date.start] : [];
+    case 'created_time':
+      return property.created_time ? [property.created_time] : [];
+    case 'last_edited_time':
+      return property.last_edited_time ? [property.last_edited_time] : [];
+    case 'formula':
+      return property.formula?.string ? [property.formula.string] : [];
+    default:
+      return [];
+  }
+}
+
+function readField(properties, field, source) {
+  for (const name of propertyNames(field, source)) {
+    const values = readPropertyValues(properties?.[name]);
+    if (values.length > 0) {
+      return values;
+    }
+  }
+  return [];
+}
+
+// Transcript metadata from a Notion page using the mapping of the source it came from
+function readPageMeta(page, source) {
+  const properties = page.properties || {};
+  const date = readField(properties, 'date', source)[0] || page.created_time || '';
+
+  return {
+    title: readField(properties, 'title', source)[0] || 'Untitled Meeting',
+    date: date.split('T')[0],
+    createdTime: date,
+    recordingUrl: readField(properties, 'recordingUrl', source)[0] || '',
+    attendees: readField(properties, 'attendees', source),
+    team: readField(properties, 'team', source)[0] || null
+  };
+}
+
+// Sort for databases.query - newest first by the source's mapped date property
+function getDateSort(source) {
+  const [name] = propertyNames('date', source);
+  return name
+    ? [{ property: name, direction: 'descending' }]
+    : [{ timestamp: 'created_time', direction: 'descending' }];
+}
+
+module.exports = {
+  MAPPING_FIELDS,
+  validateMapping,
+  loadMapping,
+  getMappingStatus,
+  readPropertyValues,
+  readPageMeta,
+  getDateSort
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+// Notion transcript sources - one per meeting database, each with its own routing targets.
+// notion_sources.json at the repo root lists them (see notion_sources.example.json):
+//
+//   { "sources": [{ "id": "payments", "team": "Payments", "databaseId": "...",
+//                   "slackWebhookUrl": "...", "jiraProjectKey": "PAY", "context": "payments",
+//                   "mapping": { "team": "Squad" } }] }
+//
+// Without the file, NOTION_DATABASE_ID is a single "default" source.
+// The file is re-read whenever it changes on disk, so sources can be added without a restart.
+const configPath = path.join(__dirname, '..', 'notion_sources.json');
+
+let fileState = {
+  mtimeMs: null,
+  sources: []
+};
+
+// Notion IDs show up with and without dashes
+function normalizeDatabaseId(id) {
+  return (id || '').replace(/-/g, '').toLowerCase();
+}
+
+function envSources() {
+  if (!process.env.NOTION_DATABASE_ID) {
+    return [];
+  }
+  return [{
+    id: 'default',
+    team: null,
+    databaseId: process.env.NOTION_DATABASE_ID,
+    slackWebhookUrl: null,
+    jiraProjectKey: null,
+    context: null,
+    mapping: {}
+  }];
+}
+
+// Check the entries from the file - invalid ones are dropped with an error each
+function validateSources(entries) {
+  const sources = [];
+  const errors = [];
+
+  (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+    const label = entry?.id ? `"${entry.id}"` : `#${index + 1}`;
+
+    if (!entry?.id || typeof entry.id !== 'string') {
+      errors.push(`Source ${label} needs an id`);
+    } else if (!entry.databaseId) {
+      errors.push(`Source ${label} needs a databaseId`);
+    } else if (sources.some(source => source.id === entry.id)) {
+      errors.push(`Source ${label} is listed twice`);
+    } else if (sources.some(source => normalizeDatabaseId(source.databaseId) === normalizeDatabaseId(entry.databaseId))) {
+      errors.push(`Source ${label} uses a database that another source already reads`);
+    } else {
+      sources.push({
+        id: entry.id,
+        team: entry.team || null,
+        databaseId: entry.databaseId,
+        slackWebhookUrl: entry.slackWebhookUrl || null,
+        jiraProjectKey: entry.jiraProjectKey || null,
+        context: entry.context || null,
+        mapping: entry.mapping || {}
+      });
+    }
+  });
+
+  return { sources, errors };
+}
+
+function refreshSources() {
+  if (!fs.existsSync(configPath)) {
+    fileState = { mtimeMs: null, sources: [] };
+    return envSources();
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(configPath);
+    if (fileState.mtimeMs !== mtimeMs) {
+      const reloaded = fileState.mtimeMs !== null;
+      const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const { sources, errors } = validateSources(raw.sources);
+
+      errors.forEach(error => console.error(`❌ Notion sources: ${error}`));
+      fileState = { mtimeMs, sources };
+      if (reloaded) {
+        console.log(`🔄 Reloaded Notion sources: ${sources.map(source => source.id).join(', ')}`);
+      }
+    }
+  } catch (error) {
+    // Keep the last good sources so a half-saved file doesn't stop processing
+    console.error('❌ Error reading notion_sources.json:', error.message);
+  }
+
+  return fileState.sources;
+}
+
+function loadSources() {
+  const sources = refreshSources();
+  const origin = fs.existsSync(configPath) ? 'notion_sources.json' : 'NOTION_DATABASE_ID';
+  console.log(`✅ Loaded ${sources.length} Notion source(s) from ${origin}`);
+  return sources;
+}
+
+function listSources() {
+  return refreshSources();
+}
+
+function getSource(id) {
+  return refreshSources().find(source => source.id === id) || null;
+}
+
+// The source a page belongs to, from page.parent.database_id
+function findSourceForDatabase(databaseId) {
+  const normalized = normalizeDatabaseId(databaseId);
+  return refreshSources().find(source => normalizeDatabaseId(source.databaseId) === normalized) || null;
+}
+
+// Source details for the API - webhook URLs are secrets, so only report whether one is set
+function describeSource(source) {
+  return {
+    id: source.id,
+    team: source.team,
+    databaseId: source.databaseId,
+    slackConfigured: !!source.slackWebhookUrl,
+    jiraProjectKey: source.jiraProjectKey,
+    context: source.context,
+    mapping: source.mapping
+  };
+}
+
+module.exports = {
+  loadSources,
+  listSources,
+  getSource,
+  findSourceForDatabase,
+  describeSource
+};
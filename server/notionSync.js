@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withRetry } = require('./retryPolicy');
+
+// Incremental Notion sync - one last_edited_time cursor per source, so every page edited since the
+// last pass is seen no matter how many meetings arrived in between. Also remembers a hash of each
+// transcript's content at processing time, to spot transcripts edited after their stories were generated.
+const dataPath = path.join(__dirname, '..', 'notion_sync.json');
+const PAGE_SIZE = 100;
+
+let syncData = {
+  // sourceId -> { cursor, lastSyncAt, lastPageCount }
+  sources: {},
+  // pageId -> { sourceId, processedHash, processedAt, checkedEditedTime, changedAt }
+  pages: {},
+  lastUpdated: ''
+};
+
+function loadSyncState() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      syncData = { sources: {}, pages: {}, ...JSON.parse(fs.readFileSync(dataPath, 'utf8')) };
+      console.log(`✅ Loaded Notion sync state for ${Object.keys(syncData.sources).length} source(s)`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading Notion sync state:', error.message);
+    return false;
+  }
+}
+
+function saveSyncState() {
+  try {
+    syncData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(syncData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving Notion sync state:', error.message);
+    return false;
+  }
+}
+
+// Whitespace differences from re-rendering the page don't count as a change
+function hashContent(content) {
+  const normalized = (content || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 16);
+}
+
+function getCursor(sourceId) {
+  return syncData.sources[sourceId]?.cursor || null;
+}
+
+// Every page of a source edited on or after its cursor (or `since` on the first pass), oldest edit first.
+// Notion rounds last_edited_time to the minute, so pages at the cursor itself are read again on the next pass.
+async function fetchChangedPages(notion, source, since) {
+  const cursor = getCursor(source.id) || since;
+  const pages = [];
+  let startCursor;
+
+  do {
+    const response = await withRetry('notion.databases.query', () => notion.databases.query({
+      database_id: source.databaseId,
+      ...(cursor ? { filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: cursor } } } : {}),
+      sorts: [{ timestamp: 'last_edited_time', direction: 'ascending' }],
+      page_size: PAGE_SIZE,
+      ...(startCursor ? { start_cursor: startCursor } : {})
+    }));
+    pages.push(...response.results);
+    startCursor = response.has_more ? response.next_cursor : null;
+  } while (startCursor);
+
+  return pages;
+}
+
+// Move a source's cursor forward once its pages have been handled
+function commitCursor(sourceId, cursor, pageCount = 0) {
+  const previous = syncData.sources[sourceId] || {};
+  syncData.sources[sourceId] = {
+    cursor: cursor && (!previous.cursor || cursor > previous.cursor) ? cursor : previous.cursor || null,
+    lastSyncAt: new Date().toISOString(),
+    lastPageCount: pageCount
+  };
+  saveSyncState();
+}
+
+// Remember what a transcript looked like when its stories were generated - clears any pending change
+function recordProcessed(pageId, content, { sourceId = null, lastEditedTime = null } = {}) {
+  syncData.pages[pageId] = {
+    sourceId: sourceId || syncData.pages[pageId]?.sourceId || null,
+    processedHash: hashContent(content),
+    processedAt: new Date().toISOString(),
+    checkedEditedTime: lastEditedTime,
+    changedAt: null
+  };
+  saveSyncState();
+}
+
+// Whether a processed page was edited after the last content check - saves fetching unchanged pages
+function needsContentCheck(page) {
+  const record = syncData.pages[page.id];
+  return !record || !record.checkedEditedTime || page.last_edited_time > record.checkedEditedTime;
+}
+
+// Compare current content with the processed version. Returns true when the transcript changed.
+// Pages processed before hashes were kept get their current content as the baseline.
+function detectChange(pageId, content, { sourceId = null, lastEditedTime = null } = {}) {
+  const record = syncData.pages[pageId];
+  if (!record) {
+    recordProcessed(pageId, content, { sourceId, lastEditedTime });
+    return false;
+  }
+
+  const changed = hashContent(content) !== record.processedHash;
+  const wasChanged = !!record.changedAt;
+  const checkedEditedTime = lastEditedTime || record.checkedEditedTime;
+
+  if (changed !== wasChanged || checkedEditedTime !== record.checkedEditedTime) {
+    record.checkedEditedTime = checkedEditedTime;
+    record.changedAt = changed ? record.changedAt || new Date().toISOString() : null;
+    saveSyncState();
+  }
+  if (changed && !wasChanged) {
+    console.log(`✏️ Transcript ${pageId} changed since it was processed - offering it for re-processing`);
+  }
+  return changed;
+}
+
+function getSyncStatus() {
+  return {
+    sources: syncData.sources,
+    changedTranscripts: Object.entries(syncData.pages)
+      .filter(([, record]) => record.changedAt)
+      .map(([pageId, record]) => ({ pageId, sourceId: record.sourceId, processedAt: record.processedAt, changedAt: record.changedAt })),
+    lastUpdated: syncData.lastUpdated
+  };
+}
+
+module.exports = {
+  loadSyncState,
+  fetchChangedPages,
+  commitCursor,
+  recordProcessed,
+  needsContentCheck,
+  detectChange,
+  getSyncStatus
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Processing ledger - one entry per transcript recording where it is in the pipeline, shared by every
+// processing path (manual, upload, webhook, cron, auto-process-all). Replaces processed_transcripts.json,
+// whose processedIds and cutoffDate are migrated on first load.
+//
+// A transcript is claimed before it is processed, so two triggers (cron, webhook, dashboard) never work on
+// the same transcript at once. Claims expire after TRANSCRIPT_LOCK_TTL_MINUTES (default 15) in case a run hangs.
+const ledgerPath = path.join(__dirname, '..', 'transcript_ledger.json');
+const legacyPath = path.join(__dirname, '..', 'processed_transcripts.json');
+
+const LEDGER_STATES = ['new', 'queued', 'processing', 'done', 'skipped-too-short', 'skipped-no-stories', 'skipped-before-cutoff', 'failed'];
+
+let ledgerData = {
+  // Transcripts created before this date are never processed automatically
+  cutoffDate: '',
+  // transcriptId -> { id, title, state, source, notionSource, storyCount, error, attempts, lock, queuedAt, startedAt, finishedAt, updatedAt }
+  transcripts: {},
+  lastUpdated: ''
+};
+
+function saveLedger() {
+  try {
+    ledgerData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(ledgerPath, JSON.stringify(ledgerData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving processing ledger:', error.message);
+    return false;
+  }
+}
+
+function emptyEntry(id) {
+  return {
+    id,
+    title: null,
+    state: 'new',
+    source: null,
+    notionSource: null,
+    storyCount: null,
+    error: null,
+    attempts: 0,
+    lock: null,
+    queuedAt: null,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: null
+  };
+}
+
+// Old flat list of processed IDs - every ID becomes a done entry
+function migrateLegacy() {
+  if (!fs.existsSync(legacyPath)) {
+    return;
+  }
+
+  const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+  const migratedAt = legacy.lastUpdated || new Date().toISOString();
+  (legacy.processedIds || []).forEach(id => {
+    ledgerData.transcripts[id] = {
+      ...emptyEntry(id),
+      state: 'done',
+      attempts: 1,
+      finishedAt: migratedAt,
+      updatedAt: migratedAt
+    };
+  });
+  ledgerData.cutoffDate = ledgerData.cutoffDate || legacy.cutoffDate || '';
+  console.log(`📦 Migrated ${(legacy.processedIds || []).length} processed transcript IDs from processed_transcripts.json`);
+}
+
+function loadLedger() {
+  try {
+    if (fs.existsSync(ledgerPath)) {
+      ledgerData = { transcripts: {}, ...JSON.parse(fs.readFileSync(ledgerPath, 'utf8')) };
+    } else {
+      migrateLegacy();
+    }
+
+    // Set cutoff date if not exists (to prevent processing old transcripts)
+    if (!ledgerData.cutoffDate) {
+      ledgerData.cutoffDate = new Date().toISOString();
+      console.log(`✅ Set transcript cutoff date to: ${ledgerData.cutoffDate}`);
+      console.log('📝 Only transcripts created after this date will be processed');
+    }
+
+    // Work that was running when the server stopped never finished
+    Object.values(ledgerData.transcripts)
+      .filter(entry => entry.state === 'processing')
+      .forEach(entry => Object.assign(entry, {
+        state: 'failed',
+        lock: null,
+        error: 'Interrupted by a server restart',
+        finishedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }));
+
+    saveLedger();
+    console.log(`✅ Loaded processing ledger with ${Object.keys(ledgerData.transcripts).length} transcripts`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading processing ledger:', error.message);
+    return false;
+  }
+}
+
+function getLockTtlMs() {
+  const minutes = parseFloat(process.env.TRANSCRIPT_LOCK_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60 * 1000;
+}
+
+function getCutoffDate() {
+  return ledgerData.cutoffDate;
+}
+
+function getEntry(id) {
+  return ledgerData.transcripts[id] || null;
+}
+
+function getState(id) {
+  return getEntry(id)?.state || 'new';
+}
+
+function isDone(id) {
+  return getState(id) === 'done';
+}
+
+// Move a transcript to a new state. info may carry title, source and notionSource.
+// Entering processing counts an attempt and clears the last error.
+function setState(id, state, info = {}) {
+  if (!LEDGER_STATES.includes(state)) {
+    throw new Error(`Unknown ledger state: ${state}`);
+  }
+
+  const now = new Date().toISOString();
+  const previous = ledgerData.transcripts[id] || emptyEntry(id);
+  const entry = {
+    ...previous,
+    title: info.title || previous.title || null,
+    source: info.source || previous.source || null,
+    notionSource: info.notionSource || previous.notionSource || null,
+    state,
+    updatedAt: now
+  };
+
+  if (state === 'queued') {
+    entry.queuedAt = now;
+  }
+  if (state === 'processing') {
+    entry.attempts = previous.attempts + 1;
+    entry.startedAt = now;
+    entry.finishedAt = null;
+    entry.error = null;
+  }
+  if (state !== 'processing') {
+    entry.lock = null;
+  }
+  if (['done', 'failed', 'skipped-too-short', 'skipped-no-stories', 'skipped-before-cutoff'].includes(state)) {
+    entry.finishedAt = now;
+    entry.storyCount = info.storyCount !== undefined ? info.storyCount : previous.storyCount;
+    entry.error = info.error || null;
+  }
+
+  ledgerData.transcripts[id] = entry;
+  saveLedger();
+  return entry;
+}
+
+function hasLiveLock(entry) {
+  return entry?.state === 'processing' && !!entry.lock && Date.parse(entry.lock.expiresAt) > Date.now();
+}
+
+// Claim a transcript for processing. Check and claim happen in one synchronous step, so no other
+// request can slip in between. Done transcripts are only claimed with info.force.
+// Returns { claimed: true, token } or { claimed: false, reason: 'in-progress' | 'done', entry }.
+function claim(id, info = {}) {
+  const entry = getEntry(id);
+
+  if (hasLiveLock(entry)) {
+    return { claimed: false, reason: 'in-progress', entry };
+  }
+  if (entry?.state === 'done' && !info.force) {
+    return { claimed: false, reason: 'done', entry };
+  }
+  if (entry?.state === 'processing' && entry.lock) {
+    console.warn(`⏰ Claim on transcript ${id} by ${entry.lock.owner} expired at ${entry.lock.expiresAt} - claiming it again`);
+  }
+
+  const claimedAt = new Date();
+  const token = crypto.randomBytes(8).toString('hex');
+  const claimed = setState(id, 'processing', info);
+  claimed.lock = {
+    token,
+    owner: info.source || 'manual',
+    // Where the transcript goes back to if the work ends without an outcome
+    previousState: entry?.state === 'done' ? 'done' : 'new',
+    claimedAt: claimedAt.toISOString(),
+    expiresAt: new Date(claimedAt.getTime() + getLockTtlMs()).toISOString()
+  };
+  saveLedger();
+  return { claimed: true, token };
+}
+
+// Whether someone holds an unexpired claim on the transcript
+function isLocked(id) {
+  return hasLiveLock(getEntry(id));
+}
+
+// Drop a claim. A transcript still in processing (the work ended without an outcome, e.g. it was
+// cancelled or threw) goes back to new - or to done, so a failed re-run doesn't queue it again.
+function release(id, token) {
+  const entry = getEntry(id);
+  if (!entry?.lock || entry.lock.token !== token) {
+    return;
+  }
+  if (entry.state === 'processing') {
+    setState(id, entry.lock.previousState || 'new');
+  } else {
+    entry.lock = null;
+    saveLedger();
+  }
+}
+
+// Newest activity first; filter by state
+function listEntries({ state } = {}) {
+  return Object.values(ledgerData.transcripts)
+    .filter(entry => !state || entry.state === state)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+function getCounts() {
+  const counts = Object.fromEntries(LEDGER_STATES.filter(state => state !== 'new').map(state => [state, 0]));
+  Object.values(ledgerData.transcripts).forEach(entry => {
+    counts[entry.state] = (counts[entry.state] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = {
+  LEDGER_STATES,
+  loadLedger,
+  getCutoffDate,
+  getEntry,
+  getState,
+  isDone,
+  isLocked,
+  setState,
+  claim,
+  release,
+  listEntries,
+  getCounts
+};
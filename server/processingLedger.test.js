@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const ledger = require('./processingLedger');
+
+// Keep the real transcript_ledger.json out of it
+test.beforeEach((t) => {
+  t.mock.method(fs, 'writeFileSync', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('claim takes a transcript once until it is released', () => {
+  const first = ledger.claim('claim-1', { title: 'Standup', source: 'cron' });
+
+  assert.equal(first.claimed, true);
+  assert.equal(ledger.getState('claim-1'), 'processing');
+  assert.equal(ledger.isLocked('claim-1'), true);
+  assert.equal(ledger.getEntry('claim-1').attempts, 1);
+  assert.equal(ledger.getEntry('claim-1').lock.owner, 'cron');
+
+  const second = ledger.claim('claim-1', { source: 'webhook' });
+  assert.equal(second.claimed, false);
+  assert.equal(second.reason, 'in-progress');
+
+  ledger.release('claim-1', first.token);
+  assert.equal(ledger.getState('claim-1'), 'new');
+  assert.equal(ledger.isLocked('claim-1'), false);
+  assert.equal(ledger.claim('claim-1').claimed, true);
+});
+
+test('release ignores a token that does not hold the claim', () => {
+  const { token } = ledger.claim('claim-2');
+
+  ledger.release('claim-2', 'not-the-token');
+  assert.equal(ledger.getState('claim-2'), 'processing');
+
+  ledger.release('claim-2', token);
+  assert.equal(ledger.getState('claim-2'), 'new');
+});
+
+test('release keeps the outcome the work recorded', () => {
+  const { token } = ledger.claim('claim-3');
+  ledger.setState('claim-3', 'done', { storyCount: 4 });
+
+  ledger.release('claim-3', token);
+  assert.equal(ledger.getState('claim-3'), 'done');
+  assert.equal(ledger.getEntry('claim-3').storyCount, 4);
+  assert.equal(ledger.getEntry('claim-3').lock, null);
+});
+
+test('done transcripts are only claimed with force and go back to done', () => {
+  ledger.setState('claim-4', 'done', { storyCount: 2 });
+
+  const refused = ledger.claim('claim-4');
+  assert.equal(refused.claimed, false);
+  assert.equal(refused.reason, 'done');
+
+  const forced = ledger.claim('claim-4', { force: true });
+  assert.equal(forced.claimed, true);
+  ledger.release('claim-4', forced.token);
+  assert.equal(ledger.getState('claim-4'), 'done');
+});
+
+test('an expired claim can be taken over and the old holder no longer releases it', () => {
+  const stale = ledger.claim('claim-5', { source: 'cron' });
+  ledger.getEntry('claim-5').lock.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+  assert.equal(ledger.isLocked('claim-5'), false);
+  const fresh = ledger.claim('claim-5', { source: 'webhook' });
+  assert.equal(fresh.claimed, true);
+  assert.equal(ledger.getEntry('claim-5').attempts, 2);
+  assert.equal(ledger.getEntry('claim-5').lock.owner, 'webhook');
+
+  ledger.release('claim-5', stale.token);
+  assert.equal(ledger.getState('claim-5'), 'processing');
+  ledger.release('claim-5', fresh.token);
+  assert.equal(ledger.getState('claim-5'), 'new');
+});
+
+test('claims expire after TRANSCRIPT_LOCK_TTL_MINUTES', (t) => {
+  process.env.TRANSCRIPT_LOCK_TTL_MINUTES = '5';
+  t.after(() => delete process.env.TRANSCRIPT_LOCK_TTL_MINUTES);
+
+  ledger.claim('claim-6');
+  const { claimedAt, expiresAt } = ledger.getEntry('claim-6').lock;
+  assert.equal(Date.parse(expiresAt) - Date.parse(claimedAt), 5 * 60 * 1000);
+});
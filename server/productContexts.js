@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readPropertyValues } = require('./notionMapping');
+
+// Product contexts - every context/*.md file is one context, named after the file.
+// Optional front matter decides which meetings a context is picked for:
+//
+//   ---
+//   match: Payments, Billing        (values of the Notion properties in CONTEXT_PROPERTIES)
+//   keywords: invoice, refund       (words in the meeting title)
+//   ---
+//
+// Files are re-read whenever they change on disk, so edits apply without a restart.
+const contextDir = path.join(__dirname, '..', 'context');
+
+const GENERIC_CONTEXT = `Generic product context. For better stories, create context/PRODUCT_CONTEXT.md with your specific:
+- Products and features
+- User personas
+- Technical architecture
+- Business priorities
+- Domain knowledge`;
+
+// name -> { name, file, mtimeMs, match, keywords, content, version }
+const contexts = new Map();
+
+function getContextSettings() {
+  return {
+    properties: (process.env.CONTEXT_PROPERTIES || [process.env.NOTION_TEAM_PROPERTY, 'Team', 'Product'].filter(Boolean).join(','))
+      .split(',').map(p => p.trim()).filter(Boolean),
+    defaultContext: process.env.DEFAULT_CONTEXT || 'PRODUCT_CONTEXT'
+  };
+}
+
+// Short content hash - changes whenever the context text does
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Split "---" front matter from the context body
+function parseContextFile(raw) {
+  const frontMatter = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const settings = {};
+
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        settings[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+      }
+    });
+  }
+
+  const content = (frontMatter ? raw.substring(frontMatter[0].length) : raw).trim();
+  return {
+    match: parseList(settings.match),
+    keywords: parseList(settings.keywords),
+    content,
+    version: hashContent(content)
+  };
+}
+
+// Sync the cache with the directory - only files whose mtime changed are re-read
+function refreshContexts() {
+  try {
+    const files = fs.existsSync(contextDir)
+      ? fs.readdirSync(contextDir).filter(file => file.endsWith('.md'))
+      : [];
+    const seen = new Set();
+
+    files.forEach(file => {
+      const name = path.basename(file, '.md');
+      const filePath = path.join(contextDir, file);
+      const { mtimeMs } = fs.statSync(filePath);
+      const cached = contexts.get(name);
+      seen.add(name);
+
+      if (cached && cached.mtimeMs === mtimeMs) {
+        return;
+      }
+
+      contexts.set(name, {
+        name,
+        file: `context/${file}`,
+        mtimeMs,
+        ...parseContextFile(fs.readFileSync(filePath, 'utf8'))
+      });
+      if (cached) {
+        console.log(`🔄 Reloaded product context: ${name}`);
+      }
+    });
+
+    [...contexts.keys()].filter(name => !seen.has(name)).forEach(name => {
+      contexts.delete(name);
+      console.log(`🗑️ Product context removed: ${name}`);
+    });
+  } catch (error) {
+    console.error('❌ Error reading product contexts:', error.message);
+  }
+}
+
+function loadContexts() {
+  refreshContexts();
+  console.log(`✅ Loaded ${contexts.size} product context(s) from context/`);
+  return contexts.has(getContextSettings().defaultContext);
+}
+
+function describeContext(context) {
+  return {
+    name: context.name,
+    file: context.file,
+    match: context.match,
+    keywords: context.keywords,
+    updatedAt: new Date(context.mtimeMs).toISOString(),
+    version: context.version,
+    length: context.content.length
+  };
+}
+
+function listContexts() {
+  refreshContexts();
+  return [...contexts.values()].map(describeContext);
+}
+
+function getContext(name) {
+  refreshContexts();
+  const context = contexts.get(name);
+  return context ? { ...describeContext(context), content: context.content } : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Pick the context for a meeting: explicit choice, then Notion property, then title keyword, then the default.
+// Returns { name, content, version, reason }
+function selectContext({ explicit, properties = {}, title = '' } = {}) {
+  refreshContexts();
+  const settings = getContextSettings();
+  const all = [...contexts.values()];
+
+  if (explicit) {
+    if (contexts.has(explicit)) {
+      return { name: explicit, content: contexts.get(explicit).content, version: contexts.get(explicit).version, reason: 'explicit' };
+    }
+    console.warn(`⚠️ Product context "${explicit}" not found - selecting automatically`);
+  }
+
+  for (const propertyName of settings.properties) {
+    const values = readPropertyValues(properties[propertyName]).map(value => value.toLowerCase());
+    const match = all.find(context =>
+      values.includes(context.name.toLowerCase()) ||
+      context.match.some(value => values.includes(value.toLowerCase()))
+    );
+    if (match) {
+      return { name: match.name, content: match.content, version: match.version, reason: `property:${propertyName}` };
+    }
+  }
+
+  const keywordMatch = all.find(context =>
+    context.keywords.some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(title))
+  );
+  if (keywordMatch) {
+    return { name: keywordMatch.name, content: keywordMatch.content, version: keywordMatch.version, reason: 'keyword' };
+  }
+
+  if (contexts.has(settings.defaultContext)) {
+    return {
+      name: settings.defaultContext,
+      content: contexts.get(settings.defaultContext).content,
+      version: contexts.get(settings.defaultContext).version,
+      reason: 'default'
+    };
+  }
+
+  return { name: null, content: GENERIC_CONTEXT, version: hashContent(GENERIC_CONTEXT), reason: 'generic' };
+}
+
+module.exports = {
+  getContextSettings,
+  loadContexts,
+  listContexts,
+  getContext,
+  selectContext
+};
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Prompt templates live in prompts/*.md so extraction rules can change without a redeploy.
+// Variables are written as {{name}}. Every distinct file content gets a version number,
+// recorded in prompt_versions.json, and stories store the versions that produced them.
+const promptsDir = path.join(__dirname, '..', 'prompts');
+const versionsPath = path.join(__dirname, '..', 'prompt_versions.json');
+
+const TEMPLATES = {
+  'extraction-system': {
+    file: 'extraction-system.md',
+    description: 'System prompt for extracting stories from a transcript',
+    variables: {
+      productContext: { required: true, description: 'Contents of the product context file', sample: '' }
+    }
+  },
+  'extraction-user': {
+    file: 'extraction-user.md',
+    description: 'Request sent with each transcript (or transcript chunk)',
+    variables: {
+      meetingTitle: { required: true, description: 'Title of the meeting', sample: 'Weekly Product Sync' },
+      chunkInfo: {
+        required: false,
+        description: 'Which part of a long transcript this is - empty for short transcripts',
+        sample: '\nThis is part 1 of 2 of the transcript (00:00:00 - 00:25:10). Extract only the items discussed in this part.\n'
+      },
+      guidance: { required: false, description: 'Reviewer guidance line - empty when none was given', sample: '' },
+      transcript: {
+        required: true,
+        description: 'Transcript text',
+        sample: '[00:01:12] Alice: The CSV export is broken for large workspaces, we need to fix it this sprint.'
+      }
+    }
+  },
+  'regenerate-user': {
+    file: 'regenerate-user.md',
+    description: 'Request for rewriting a single stored story',
+    variables: {
+      guidance: {
+        required: false,
+        description: 'Reviewer guidance line - empty when none was given',
+        sample: '\nReviewer guidance: split this into frontend and backend stories\n'
+      },
+      story: { required: true, description: 'Current story fields as JSON', sample: '{\n  "title": "Fix CSV export"\n}' },
+      meetingTitle: { required: true, description: 'Title of the meeting', sample: 'Weekly Product Sync' },
+      transcript: {
+        required: true,
+        description: 'Transcript text (the source chunk for long transcripts)',
+        sample: '[00:01:12] Alice: The CSV export is broken for large workspaces, we need to fix it this sprint.'
+      }
+    }
+  }
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+let versionsData = {
+  templates: {},
+  lastUpdated: ''
+};
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+}
+
+function saveVersions() {
+  try {
+    versionsData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(versionsPath, JSON.stringify(versionsData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving prompt versions:', error.message);
+    return false;
+  }
+}
+
+function templatePath(name) {
+  return path.join(promptsDir, TEMPLATES[name].file);
+}
+
+// Record the file content as a new version unless it matches the latest one.
+// Catches edits made directly on disk as well as edits through the API.
+function syncVersion(name, content, note) {
+  if (!versionsData.templates[name]) {
+    versionsData.templates[name] = { versions: [] };
+  }
+
+  const versions = versionsData.templates[name].versions;
+  const hash = hashContent(content);
+  const latest = versions[versions.length - 1];
+
+  if (latest && latest.hash === hash) {
+    return latest;
+  }
+
+  const entry = {
+    version: latest ? latest.version + 1 : 1,
+    hash,
+    createdAt: new Date().toISOString(),
+    note: note || (latest ? 'edited on disk' : 'initial version'),
+    content
+  };
+  versions.push(entry);
+  saveVersions();
+  console.log(`📝 Prompt template ${name} is now v${entry.version}`);
+  return entry;
+}
+
+function loadPromptTemplates() {
+  try {
+    if (fs.existsSync(versionsPath)) {
+      versionsData = JSON.parse(fs.readFileSync(versionsPath, 'utf8'));
+      if (!versionsData.templates) {
+        versionsData.templates = {};
+      }
+    }
+
+    let loaded = 0;
+    Object.keys(TEMPLATES).forEach(name => {
+      if (fs.existsSync(templatePath(name))) {
+        syncVersion(name, fs.readFileSync(templatePath(name), 'utf8'));
+        loaded++;
+      } else {
+        console.error(`❌ Prompt template missing: prompts/${TEMPLATES[name].file}`);
+      }
+    });
+
+    console.log(`✅ Loaded ${loaded}/${Object.keys(TEMPLATES).length} prompt templates`);
+    return loaded === Object.keys(TEMPLATES).length;
+  } catch (error) {
+    console.error('❌ Error loading prompt templates:', error.message);
+    return false;
+  }
+}
+
+function describeTemplate(name, entry) {
+  const definition = TEMPLATES[name];
+  return {
+    name,
+    description: definition.description,
+    file: `prompts/${definition.file}`,
+    variables: Object.entries(definition.variables).map(([variable, rule]) => ({
+      name: variable,
+      required: rule.required,
+      description: rule.description
+    })),
+    version: entry ? entry.version : null,
+    updatedAt: entry ? entry.createdAt : null
+  };
+}
+
+// Current template - read from disk on every call so file edits apply without a restart
+function getTemplate(name) {
+  if (!TEMPLATES[name] || !fs.existsSync(templatePath(name))) {
+    return null;
+  }
+
+  const entry = syncVersion(name, fs.readFileSync(templatePath(name), 'utf8'));
+  return {
+    ...describeTemplate(name, entry),
+    content: entry.content,
+    versions: versionsData.templates[name].versions.map(({ version, createdAt, note, hash }) => ({
+      version,
+      createdAt,
+      note,
+      hash
+    }))
+  };
+}
+
+function listTemplates() {
+  return Object.keys(TEMPLATES).map(name => {
+    const versions = versionsData.templates[name]?.versions || [];
+    return describeTemplate(name, versions[versions.length - 1]);
+  });
+}
+
+function getTemplateVersion(name, version) {
+  const versions = versionsData.templates[name]?.versions || [];
+  return versions.find(entry => entry.version === version) || null;
+}
+
+function findVariables(content) {
+  return [...new Set([...content.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+// Returns a list of problems - empty when the content can be saved
+function validateTemplate(name, content) {
+  if (!TEMPLATES[name]) {
+    return [`Unknown template: ${name}`];
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    return ['Template content is required'];
+  }
+
+  const allowed = TEMPLATES[name].variables;
+  const used = findVariables(content);
+  const errors = [];
+
+  used.filter(variable => !allowed[variable]).forEach(variable => {
+    errors.push(`Unknown variable {{${variable}}} - available: ${Object.keys(allowed).join(', ')}`);
+  });
+  Object.entries(allowed)
+    .filter(([variable, rule]) => rule.required && !used.includes(variable))
+    .forEach(([variable]) => errors.push(`Missing required variable {{${variable}}}`));
+
+  return errors;
+}
+
+// Write new content to the template file and record it as a new version
+function saveTemplate(name, content, note = '') {
+  fs.writeFileSync(templatePath(name), content);
+  syncVersion(name, content, note || 'edited in dashboard');
+  return getTemplate(name);
+}
+
+function renderTemplate(content, variables = {}) {
+  return content
+    .replace(VARIABLE_PATTERN, (match, variable) => (variables[variable] !== undefined ? String(variables[variable]) : match))
+    .trim();
+}
+
+// Render the current version of a template - returns { text, version }.
+// choice renders an earlier version number instead, or { content } of an unsaved draft (version 'draft').
+function renderPrompt(name, variables = {}, choice = null) {
+  if (typeof choice === 'number') {
+    const entry = getTemplateVersion(name, choice);
+    if (!entry) {
+      throw new Error(`Prompt template ${name} has no version ${choice}`);
+    }
+    return { text: renderTemplate(entry.content, variables), version: entry.version };
+  }
+  if (choice && typeof choice.content === 'string') {
+    return { text: renderTemplate(choice.content, variables), version: 'draft' };
+  }
+
+  const template = getTemplate(name);
+  if (!template) {
+    throw new Error(`Prompt template not found: ${name}`);
+  }
+
+  return {
+    text: renderTemplate(template.content, variables),
+    version: template.version
+  };
+}
+
+// Sample values for previews - callers override what they know (e.g. the real product context)
+function getSampleVariables(name) {
+  return Object.fromEntries(
+    Object.entries(TEMPLATES[name]?.variables || {}).map(([variable, rule]) => [variable, rule.sample])
+  );
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  loadPromptTemplates,
+  listTemplates,
+  getTemplate,
+  getTemplateVersion,
+  validateTemplate,
+  saveTemplate,
+  renderTemplate,
+  renderPrompt,
+  getSampleVariables
+};
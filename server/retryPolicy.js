@@ -0,0 +1,150 @@
+// Shared retry policy for external calls (LLM, Notion, Slack, JIRA).
+// Failed attempts are retried with exponential backoff and jitter; a 429 or 503 with a Retry-After
+// header waits as long as the server asks (up to five minutes). Configuration (environment):
+//
+//   RETRY_MAX_ATTEMPTS=4        (attempts per call, including the first)
+//   RETRY_BASE_DELAY_MS=1000    (delay before the first retry, doubled each time)
+//   RETRY_MAX_DELAY_MS=30000    (longest backoff delay)
+//
+// When a call never succeeded because of an HTTP or network error, the error is tagged with `operation`
+// and `attempts`, which is how callers tell an external failure worth dead-lettering from their own errors.
+// Anything else thrown inside the call (a TypeError, a JSON parse failure) is a bug and passes through untagged.
+
+// Connection failures where the request never reached the server
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+// Network failures where the server may or may not have seen the request
+const NETWORK_ERROR_CODES = [...UNSENT_ERROR_CODES, 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ECONNABORTED', 'notionhq_client_request_timeout'];
+// What the OpenAI client throws when it could not reach the API
+const CONNECTION_ERROR_CLASSES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+// A server asking us to wait longer than this is treated as a failure rather than waited out
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Error for a non-2xx response from a plain fetch call
+class HttpError extends Error {
+  constructor(message, status, headers) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function readNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getRetryConfig() {
+  return {
+    maxAttempts: Math.max(1, readNumber('RETRY_MAX_ATTEMPTS', 4)),
+    baseDelayMs: readNumber('RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs: readNumber('RETRY_MAX_DELAY_MS', 30000)
+  };
+}
+
+// Throw an HttpError for a failed fetch response, with the response body in the message
+async function checkResponse(response, label) {
+  if (response.ok) {
+    return response;
+  }
+  const errorText = await response.text().catch(() => '');
+  throw new HttpError(`${label}: HTTP ${response.status}${errorText ? `: ${errorText}` : ''}`, response.status, response.headers);
+}
+
+// Headers come as a fetch Headers object (node-fetch, Notion) or a plain object (OpenAI)
+function readHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+// Retry-After is either seconds or an HTTP date
+function getRetryAfterMs(error) {
+  const value = readHeader(error.headers, 'retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// The request failed on its way to or from the server. node-fetch and the Notion client set a code;
+// Node's own fetch throws a TypeError whose cause is the socket error.
+function isNetworkError(error) {
+  return NETWORK_ERROR_CODES.includes(error.code) || error.type === 'system' ||
+    CONNECTION_ERROR_CLASSES.includes(error.name) || CONNECTION_ERROR_CLASSES.includes(error.constructor?.name) ||
+    (error instanceof TypeError && !!error.cause);
+}
+
+// The service or the network failed, rather than the code making the call
+function isExternalFailure(error) {
+  return error instanceof HttpError || !!error.status || isNetworkError(error);
+}
+
+// Calls that create something (a JIRA issue, a Slack message) are only retried when the server
+// certainly didn't act on them, so a retry can't post twice
+function isRetryable(error, idempotent) {
+  const status = error.status;
+  if (status === 429 || status === 503) {
+    return true;
+  }
+  if (!idempotent) {
+    return !status && UNSENT_ERROR_CODES.includes(error.code);
+  }
+  if (status) {
+    return status === 408 || status >= 500;
+  }
+  return isNetworkError(error);
+}
+
+function getDelayMs(attempt, error, config) {
+  const retryAfter = getRetryAfterMs(error);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const backoff = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt - 1));
+  // Up to 25% jitter so parallel workers don't retry in step
+  return Math.round(backoff * (0.75 + Math.random() * 0.25));
+}
+
+// Run fn(attempt) until it succeeds or the policy gives up. operation names the call in logs and
+// dead letters, e.g. 'notion.pages.retrieve'. Set options.idempotent to false for calls that create things.
+async function withRetry(operation, fn, options = {}) {
+  const config = { ...getRetryConfig(), ...options };
+  const idempotent = options.idempotent !== false;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const delay = getDelayMs(attempt, error, config);
+      if (attempt >= config.maxAttempts || !isRetryable(error, idempotent) || delay > MAX_RETRY_AFTER_MS) {
+        if (isExternalFailure(error)) {
+          error.operation = error.operation || operation;
+          error.attempts = attempt;
+        }
+        if (attempt > 1) {
+          console.error(`❌ ${operation} failed after ${attempt} attempts:`, error.message);
+        }
+        throw error;
+      }
+
+      console.warn(`🔁 ${operation} failed (${error.status ? `HTTP ${error.status}` : error.code || error.message}) - retry ${attempt} of ${config.maxAttempts - 1} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  HttpError,
+  checkResponse,
+  withRetry
+};
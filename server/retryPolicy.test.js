@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HttpError, withRetry } = require('./retryPolicy');
+
+test.beforeEach((t) => {
+  process.env.RETRY_BASE_DELAY_MS = '0';
+  t.after(() => delete process.env.RETRY_BASE_DELAY_MS);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const failWith = (error) => async () => {
+  throw error;
+};
+
+test('withRetry retries server errors and tags the last one', async () => {
+  let calls = 0;
+  const error = await withRetry('jira.createIssue', async () => {
+    calls++;
+    throw new HttpError('JIRA: HTTP 502', 502);
+  }).catch(caught => caught);
+
+  assert.equal(calls, 4);
+  assert.equal(error.operation, 'jira.createIssue');
+  assert.equal(error.attempts, 4);
+});
+
+test('withRetry returns once a retry succeeds', async () => {
+  const result = await withRetry('notion.pages.retrieve', async (attempt) => {
+    if (attempt < 3) {
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    }
+    return 'page';
+  });
+
+  assert.equal(result, 'page');
+});
+
+test('withRetry tags HTTP and network failures it does not retry', async () => {
+  const rejected = await withRetry('llm.openai', failWith(Object.assign(new Error('401 Unauthorized'), { status: 401 })))
+    .catch(caught => caught);
+  assert.equal(rejected.operation, 'llm.openai');
+  assert.equal(rejected.attempts, 1);
+
+  const fetchFailed = await withRetry('slack.webhook', failWith(new TypeError('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } })), { idempotent: false })
+    .catch(caught => caught);
+  assert.equal(fetchFailed.operation, 'slack.webhook');
+});
+
+test('withRetry passes bugs in the call through untagged', async () => {
+  const typeError = await withRetry('llm.ollama', failWith(new TypeError('Cannot read properties of undefined')))
+    .catch(caught => caught);
+  assert.equal(typeError.operation, undefined);
+  assert.equal(typeError.attempts, undefined);
+
+  const parseError = await withRetry('jira.createmeta', async () => JSON.parse('<html>')).catch(caught => caught);
+  assert.ok(parseError instanceof SyntaxError);
+  assert.equal(parseError.operation, undefined);
+});
@@ -0,0 +1,59 @@
+// Review-and-approve workflow for generated stories.
+// Stories start as drafts; only approved stories are delivered to Slack or JIRA.
+
+const STORY_STATUSES = ['draft', 'approved', 'rejected', 'deployed'];
+
+// Allowed status transitions - deployed is final
+const STATUS_TRANSITIONS = {
+  draft: ['approved', 'rejected'],
+  approved: ['deployed', 'rejected', 'draft'],
+  rejected: ['draft', 'approved'],
+  deployed: []
+};
+
+function canTransition(fromStatus, toStatus) {
+  const allowed = STATUS_TRANSITIONS[fromStatus || 'draft'] || [];
+  return allowed.includes(toStatus);
+}
+
+// Optional auto-approve rule for the cases we trust, configured via environment:
+//   AUTO_APPROVE_ENABLED=true
+//   AUTO_APPROVE_MIN_CONFIDENCE=0.9
+//   AUTO_APPROVE_PRIORITIES=High,Medium
+//   AUTO_APPROVE_SOURCES=cron,webhook (empty = any source)
+function getAutoApproveRule() {
+  const parseList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  return {
+    enabled: process.env.AUTO_APPROVE_ENABLED === 'true',
+    minConfidence: parseFloat(process.env.AUTO_APPROVE_MIN_CONFIDENCE || '0.9'),
+    priorities: parseList(process.env.AUTO_APPROVE_PRIORITIES || 'High'),
+    sources: parseList(process.env.AUTO_APPROVE_SOURCES)
+  };
+}
+
+function matchesAutoApproveRule(story, rule = getAutoApproveRule()) {
+  if (!rule.enabled) {
+    return false;
+  }
+  if (typeof story.confidence !== 'number' || story.confidence < rule.minConfidence) {
+    return false;
+  }
+  if (rule.priorities.length > 0 && !rule.priorities.includes(story.priority)) {
+    return false;
+  }
+  if (rule.sources.length > 0 && !rule.sources.includes(story.source)) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  STORY_STATUSES,
+  canTransition,
+  getAutoApproveRule,
+  matchesAutoApproveRule
+};
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+
+// Auto-processing scheduler - runs the Notion sync on a cron schedule that can be changed, paused and
+// resumed at runtime. Settings and the last run are kept in scheduler.json; until it exists,
+// ENABLE_AUTO_PROCESSING decides whether the schedule starts enabled.
+//
+// Scheduled runs are skipped during quiet hours and on days that aren't active. Times are read in the
+// scheduler's timezone (SCHEDULER_TIMEZONE, default the server's). A run started by hand ignores both.
+const dataPath = path.join(__dirname, '..', 'scheduler.json');
+const DEFAULT_CRON = '*/2 * * * *';
+// How far ahead the next run is looked for - long enough for a yearly schedule or one on 29 February.
+// A schedule with no run in this time never runs and is refused.
+const NEXT_RUN_HORIZON_DAYS = 8 * 366;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let settings = defaultSettings();
+// { at, trigger, dryRun, status: 'completed' | 'failed', durationMs, summary, error }
+let lastRun = null;
+// Why the latest scheduled tick didn't run - in memory only
+let lastSkip = null;
+let running = false;
+let task = null;
+let runHandler = null;
+// The next run found for the current settings - { key, from, at }, reused until that run has passed
+let nextRunCache = null;
+
+function defaultSettings() {
+  return {
+    enabled: process.env.ENABLE_AUTO_PROCESSING === 'true',
+    cronExpression: DEFAULT_CRON,
+    timezone: process.env.SCHEDULER_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    // { start: 'HH:MM', end: 'HH:MM' } - may wrap past midnight
+    quietHours: null,
+    // 0 = Sunday ... 6 = Saturday
+    activeDays: [0, 1, 2, 3, 4, 5, 6],
+    // Scheduled runs extract and preview without storing or sending anything
+    dryRun: false,
+    updatedAt: null
+  };
+}
+
+function saveScheduler() {
+  try {
+    fs.writeFileSync(dataPath, JSON.stringify({ settings, lastRun }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving scheduler settings:', error.message);
+    return false;
+  }
+}
+
+function loadScheduler() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+      settings = { ...defaultSettings(), ...data.settings };
+      lastRun = data.lastRun || null;
+      console.log(`✅ Loaded scheduler settings (${settings.enabled ? 'enabled' : 'paused'}, "${settings.cronExpression}")`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading scheduler settings:', error.message);
+    return false;
+  }
+}
+
+// One field of a five-field cron expression -> the set of values it allows
+function parseField(field, range) {
+  const values = new Set();
+  const toNumber = (value) => {
+    const index = range.names ? range.names.indexOf(value.toLowerCase()) : -1;
+    return index !== -1 ? index + (range.min === 1 ? 1 : 0) : Number(value);
+  };
+
+  for (const part of field.split(',')) {
+    const [spec, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [from, to] = spec === '*' ? [range.min, range.max] : spec.split('-').map(toNumber);
+    if (to === undefined) {
+      to = stepText === undefined ? from : range.max;
+    }
+    if (![from, to, step].every(Number.isInteger) || step < 1 || from < range.min || to > range.max || from > to) {
+      throw new Error(`Invalid ${range.name} "${part}"`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday can be written as 0 or 7
+  if (range.name === 'day of week' && values.has(7)) {
+    values.add(0);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = (expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Use a five-field cron expression: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELD_RANGES[index]));
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: fields[2] !== '*' && fields[4] !== '*'
+  };
+}
+
+// Wall-clock parts of a moment in a timezone
+function zonedParts(date, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    year: Number(parts.year),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// The moment a wall-clock time occurs in a timezone. Times skipped by a DST change come out an hour off,
+// which callers detect by reading the result back.
+function zonedTimeToDate({ year, month, day, hour, minute }, timezone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (time) => {
+    const parts = zonedParts(new Date(time), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(time / 60000) * 60000;
+  };
+  const guess = wall - offsetAt(wall);
+  return new Date(wall - offsetAt(guess));
+}
+
+function matchesDay(parsed, day, weekday) {
+  const dayOfMonth = parsed.daysOfMonth.has(day);
+  const dayOfWeek = parsed.daysOfWeek.has(weekday);
+  return parsed.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Whether a minute of the day (0-1439) falls in quiet hours
+function isQuiet(quietHours, minuteOfDay) {
+  if (!quietHours) {
+    return false;
+  }
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start <= end ? minuteOfDay >= start && minuteOfDay < end : minuteOfDay >= start || minuteOfDay < end;
+}
+
+// Why a scheduled run at this moment would be skipped, or null when it may run
+function getBlockReason(date, current = settings) {
+  const parts = zonedParts(date, current.timezone);
+
+  if (!current.activeDays.includes(parts.weekday)) {
+    return `${WEEKDAYS[parts.weekday]} is not an active day`;
+  }
+  if (isQuiet(current.quietHours, parts.hour * 60 + parts.minute)) {
+    return `Quiet hours (${current.quietHours.start}-${current.quietHours.end})`;
+  }
+  return null;
+}
+
+// First moment after `from` the schedule fires outside quiet hours and on an active day, or null if it never does.
+// Walks the calendar in the schedule's timezone a field at a time: months the cron excludes are skipped whole,
+// then days, then the allowed hours and minutes of a matching day.
+function findNextRun(current, from) {
+  const parsed = parseCron(current.cronExpression);
+  const hours = [...parsed.hours].sort((a, b) => a - b);
+  const minutes = [...parsed.minutes].sort((a, b) => a - b);
+  const start = zonedParts(from, current.timezone);
+  const startMinute = start.hour * 60 + start.minute;
+
+  for (let offset = 0; offset < NEXT_RUN_HORIZON_DAYS; offset++) {
+    // Calendar arithmetic in UTC stands in for the wall-clock date
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay();
+
+    if (!parsed.months.has(month)) {
+      offset += new Date(Date.UTC(year, month, 0)).getUTCDate() - day;
+      continue;
+    }
+    if (!matchesDay(parsed, day, weekday) || !current.activeDays.includes(weekday)) {
+      continue;
+    }
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const minuteOfDay = hour * 60 + minute;
+        if ((offset === 0 && minuteOfDay <= startMinute) || isQuiet(current.quietHours, minuteOfDay)) {
+          continue;
+        }
+        const at = zonedTimeToDate({ year, month, day, hour, minute }, current.timezone);
+        const check = zonedParts(at, current.timezone);
+        if (check.day === day && check.hour === hour && check.minute === minute) {
+          return at;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Next time the schedule runs - found once per settings change and reused until that time has passed
+function getNextRunAt(from = new Date()) {
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const key = JSON.stringify([settings.cronExpression, settings.timezone, settings.quietHours, settings.activeDays]);
+  if (!nextRunCache || nextRunCache.key !== key || from < nextRunCache.from || from >= nextRunCache.at) {
+    const at = findNextRun(settings, from);
+    nextRunCache = at ? { key, from, at } : null;
+  }
+  return nextRunCache ? nextRunCache.at.toISOString() : null;
+}
+
+// Check a settings patch - returns a list of problems, empty when it can be applied
+function validateSettings(next) {
+  const errors = [];
+
+  if (typeof next.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (typeof next.dryRun !== 'boolean') {
+    errors.push('dryRun must be true or false');
+  }
+  try {
+    parseCron(next.cronExpression);
+    if (!cron.validate(next.cronExpression)) {
+      errors.push(`"${next.cronExpression}" is not a valid cron expression`);
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: next.timezone });
+  } catch (error) {
+    errors.push(`Unknown timezone "${next.timezone}"`);
+  }
+  if (next.quietHours !== null) {
+    if (!next.quietHours || !TIME_PATTERN.test(next.quietHours.start || '') || !TIME_PATTERN.test(next.quietHours.end || '')) {
+      errors.push('quietHours needs start and end times as HH:MM, or null to turn them off');
+    } else if (next.quietHours.start === next.quietHours.end) {
+      errors.push('quietHours start and end must differ');
+    }
+  }
+  if (!Array.isArray(next.activeDays) || next.activeDays.length === 0 ||
+      !next.activeDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    errors.push('activeDays must list at least one weekday, 0 (Sunday) to 6 (Saturday)');
+  }
+  if (errors.length === 0 && !findNextRun(next, new Date())) {
+    errors.push('The schedule never runs - no time it fires is outside quiet hours on an active day');
+  }
+
+  return errors;
+}
+
+// Run the handler once. trigger is 'schedule' or 'manual'. Resolves with the finished run.
+async function executeRun(trigger, dryRun) {
+  running = true;
+  const startedAt = Date.now();
+  console.log(`${dryRun ? '🧪' : '🤖'} SkyNet auto-processing ${dryRun ? 'dry run' : 'scan'} started (${trigger})...`);
+
+  try {
+    const summary = await runHandler({ trigger, dryRun });
+    lastRun = { at: new Date(startedAt).toISOString(), trigger, dryRun, status: 'completed', durationMs: Date.now() - startedAt, summary, error: null };
+  } catch (error) {
+    console.error('❌ Auto-processing run error:', error.message);
+    lastRun = { at: new Date(startedAt).toISOString(), trigger, dryRun, status: 'failed', durationMs: Date.now() - startedAt, summary: null, error: error.message };
+  } finally {
+    running = false;
+  }
+
+  saveScheduler();
+  return lastRun;
+}
+
+function onTick() {
+  if (running) {
+    lastSkip = { at: new Date().toISOString(), reason: 'The previous run is still going' };
+    console.log('⏭️ Scheduled auto-processing skipped: the previous run is still going');
+    return;
+  }
+  const reason = getBlockReason(new Date());
+  if (reason) {
+    lastSkip = { at: new Date().toISOString(), reason };
+    return;
+  }
+  executeRun('schedule', settings.dryRun);
+}
+
+function applySchedule() {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+  if (settings.enabled) {
+    task = cron.schedule(settings.cronExpression, onTick, { timezone: settings.timezone });
+    console.log(`🕒 SkyNet auto-processing scheduled: "${settings.cronExpression}" (${settings.timezone})`);
+  } else {
+    console.log('⏸️ Auto-processing paused - enable it from the dashboard or with ENABLE_AUTO_PROCESSING=true');
+  }
+}
+
+// Begin scheduling. run({ trigger, dryRun }) performs one pass and resolves with its summary.
+function start(run) {
+  runHandler = run;
+  applySchedule();
+}
+
+// Apply a partial settings change. Returns { errors } when it was refused.
+function updateSettings(patch) {
+  const next = { ...settings };
+  ['enabled', 'cronExpression', 'timezone', 'quietHours', 'activeDays', 'dryRun'].forEach(key => {
+    if (patch[key] !== undefined) {
+      next[key] = patch[key];
+    }
+  });
+  if (typeof next.cronExpression === 'string') {
+    next.cronExpression = next.cronExpression.trim();
+  }
+  if (Array.isArray(next.activeDays)) {
+    next.activeDays = [...new Set(next.activeDays)].sort((a, b) => a - b);
+  }
+
+  const errors = validateSettings(next);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  settings = { ...next, updatedAt: new Date().toISOString() };
+  saveScheduler();
+  applySchedule();
+  return { errors: [] };
+}
+
+// Start a run now, whatever the schedule says - a dry run when options.dryRun is set.
+// Returns false if one is already going.
+function runNow({ dryRun = false } = {}) {
+  if (running || !runHandler) {
+    return false;
+  }
+  executeRun('manual', dryRun);
+  return true;
+}
+
+function getStatus() {
+  return {
+    ...settings,
+    running,
+    lastRun,
+    lastSkip,
+    nextRunAt: getNextRunAt(),
+    blockedNow: getBlockReason(new Date())
+  };
+}
+
+module.exports = {
+  loadScheduler,
+  start,
+  updateSettings,
+  runNow,
+  getStatus,
+  parseCron,
+  findNextRun
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, findNextRun } = require('./scheduler');
+
+const schedule = (cronExpression, overrides = {}) => ({
+  cronExpression,
+  timezone: 'UTC',
+  quietHours: null,
+  activeDays: [0, 1, 2, 3, 4, 5, 6],
+  ...overrides
+});
+
+const nextRun = (current, from) => findNextRun(current, new Date(from))?.toISOString() || null;
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const parsed = parseCron('0,30 9-17/4 * jan-mar MON-FRI');
+
+  assert.deepEqual([...parsed.minutes], [0, 30]);
+  assert.deepEqual([...parsed.hours], [9, 13, 17]);
+  assert.equal(parsed.daysOfMonth.size, 31);
+  assert.deepEqual([...parsed.months], [1, 2, 3]);
+  assert.deepEqual([...parsed.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(parsed.anyDay, false);
+});
+
+test('parseCron treats 7 as Sunday and either day field matching when both are set', () => {
+  const parsed = parseCron('*/15 0 1 * 7');
+
+  assert.deepEqual([...parsed.minutes], [0, 15, 30, 45]);
+  assert.ok(parsed.daysOfWeek.has(0));
+  assert.equal(parsed.anyDay, true);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /five-field cron expression/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid hour "5-2"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute "\*\/0"/);
+  assert.throws(() => parseCron('* * * foo *'), /Invalid month "foo"/);
+});
+
+test('findNextRun finds the next matching minute after the start time', () => {
+  assert.equal(nextRun(schedule('*/2 * * * *'), '2026-10-19T10:01:30Z'), '2026-10-19T10:02:00.000Z');
+  assert.equal(nextRun(schedule('*/2 * * * *'), '2026-10-19T10:02:00Z'), '2026-10-19T10:04:00.000Z');
+  assert.equal(nextRun(schedule('30 9 * * 1-5'), '2026-10-16T10:00:00Z'), '2026-10-19T09:30:00.000Z');
+});
+
+test('findNextRun skips excluded months and finds rare days', () => {
+  assert.equal(nextRun(schedule('0 6 1 */6 *'), '2026-10-19T00:00:00Z'), '2027-01-01T06:00:00.000Z');
+  assert.equal(nextRun(schedule('0 0 29 2 *'), '2026-10-19T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+});
+
+test('findNextRun skips quiet hours and inactive days', () => {
+  const hourly = schedule('0 * * * *', { quietHours: { start: '22:00', end: '07:00' } });
+  assert.equal(nextRun(hourly, '2026-10-19T21:30:00Z'), '2026-10-20T07:00:00.000Z');
+
+  const weekdays = schedule('0 12 * * *', { activeDays: [1, 2, 3, 4, 5] });
+  assert.equal(nextRun(weekdays, '2026-10-23T13:00:00Z'), '2026-10-26T12:00:00.000Z');
+});
+
+test('findNextRun reads times in the schedule timezone', () => {
+  const newYork = schedule('0 9 * * *', { timezone: 'America/New_York' });
+  assert.equal(nextRun(newYork, '2026-10-19T12:00:00Z'), '2026-10-19T13:00:00.000Z');
+  // After clocks go back, 9:00 is an hour later in UTC
+  assert.equal(nextRun(newYork, '2026-11-01T12:00:00Z'), '2026-11-01T14:00:00.000Z');
+});
+
+test('findNextRun skips a time lost to a DST change', () => {
+  const earlyMorning = schedule('30 2 * * *', { timezone: 'America/New_York' });
+  // 2:30 does not exist on 14 March 2027 in New York
+  assert.equal(nextRun(earlyMorning, '2027-03-13T12:00:00Z'), '2027-03-15T06:30:00.000Z');
+});
+
+test('findNextRun returns null for a schedule that never runs', () => {
+  const alwaysQuiet = schedule('0 3 * * *', { quietHours: { start: '01:00', end: '05:00' } });
+  assert.equal(nextRun(alwaysQuiet, '2026-10-19T00:00:00Z'), null);
+  assert.equal(nextRun(schedule('0 0 31 2 *'), '2026-10-19T00:00:00Z'), null);
+});
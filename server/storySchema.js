@@ -0,0 +1,210 @@
+// Formal schema for generated stories plus the deterministic part of repairing model output.
+// Repair happens in three steps: coerce obvious mistakes here, re-ask the model for the
+// fields still failing (see repairStories in index.js), then fall back to safe defaults.
+
+const STORY_TYPES = ['Feature', 'Bug', 'Technical Debt', 'UX', 'Infrastructure', 'Performance', 'API', 'Database'];
+const STORY_PRIORITIES = ['High', 'Medium', 'Low'];
+const STORY_EFFORTS = [1, 2, 3, 5, 8];
+
+const STORY_SCHEMA = {
+  title: { type: 'string', required: true, default: 'Untitled story' },
+  userStory: { type: 'string', required: true, default: 'Not specified' },
+  problemStatement: { type: 'string', required: false, default: '' },
+  type: { type: 'enum', values: STORY_TYPES, required: true, default: 'Feature' },
+  priority: { type: 'enum', values: STORY_PRIORITIES, required: true, default: 'Medium' },
+  effort: { type: 'effort', required: true, default: '3 story points' },
+  epic: { type: 'string', required: true, default: 'Uncategorized' },
+  description: { type: 'string', required: true, default: 'Not specified' },
+  acceptanceCriteria: { type: 'array', required: true, default: [] },
+  technicalRequirements: { type: 'array', required: true, default: [] },
+  businessValue: { type: 'string', required: true, default: 'Not specified' },
+  risks: { type: 'array', required: true, default: [] },
+  confidence: { type: 'number', min: 0, max: 1, required: true, default: 0.5 },
+  discussionContext: { type: 'string', required: false, default: '' }
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function formatEffort(points) {
+  return points === 1 ? '1 story point' : `${points} story points`;
+}
+
+// Check one field against its rule - returns an error message or null
+function checkField(field, value) {
+  const rule = STORY_SCHEMA[field];
+
+  if (isBlank(value)) {
+    return rule.required ? 'missing' : null;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? null : `expected string, got ${typeof value}`;
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+    case 'effort':
+      return typeof value === 'string' && STORY_EFFORTS.map(formatEffort).includes(value)
+        ? null
+        : `must be one of ${STORY_EFFORTS.join(', ')} story points`;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return 'expected array';
+      }
+      return value.every(item => typeof item === 'string') ? null : 'expected array of strings';
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return 'expected number';
+      }
+      return value >= rule.min && value <= rule.max ? null : `must be between ${rule.min} and ${rule.max}`;
+    default:
+      return null;
+  }
+}
+
+// Returns [{ field, message }] - empty when the story is valid
+function validateStory(story) {
+  if (!story || typeof story !== 'object' || Array.isArray(story)) {
+    return [{ field: '*', message: 'story must be an object' }];
+  }
+
+  return Object.keys(STORY_SCHEMA)
+    .map(field => ({ field, message: checkField(field, story[field]) }))
+    .filter(result => result.message !== null);
+}
+
+// Deterministic fixes: enum casing, numeric strings, strings where lists belong
+function coerceField(field, value) {
+  const rule = STORY_SCHEMA[field];
+
+  if (isBlank(value)) {
+    return value;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (Array.isArray(value)) {
+        return value.join('\n');
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    case 'enum': {
+      const match = rule.values.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+      return match || value;
+    }
+    case 'effort': {
+      const points = parseInt(String(value), 10);
+      if (Number.isNaN(points) || points <= 0) {
+        return value;
+      }
+      // Round up to the next Fibonacci value, capped at the largest
+      const rounded = STORY_EFFORTS.find(option => option >= points) || STORY_EFFORTS[STORY_EFFORTS.length - 1];
+      return formatEffort(rounded);
+    }
+    case 'array':
+      if (typeof value === 'string') {
+        return value.split('\n').map(item => item.replace(/^[-•*]\s*/, '').trim()).filter(Boolean);
+      }
+      return Array.isArray(value)
+        ? value.filter(item => !isBlank(item)).map(item => (typeof item === 'string' ? item : JSON.stringify(item)))
+        : value;
+    case 'number': {
+      let number = typeof value === 'number' ? value : parseFloat(String(value).replace('%', ''));
+      if (Number.isNaN(number)) {
+        return value;
+      }
+      // Percentages like 85 mean 0.85
+      if (number > 1 && number <= 100) {
+        number = number / 100;
+      }
+      return Math.min(rule.max, Math.max(rule.min, number));
+    }
+    default:
+      return value;
+  }
+}
+
+// Coerce every schema field and report what changed.
+// Returns { story, repairs: [{ field, problem, fix }], invalidFields: [field] }
+function coerceStory(story) {
+  const coerced = { ...story };
+  const repairs = [];
+
+  Object.keys(STORY_SCHEMA).forEach(field => {
+    const problem = checkField(field, story[field]);
+    if (!problem) {
+      return;
+    }
+
+    const value = coerceField(field, story[field]);
+    if (!checkField(field, value)) {
+      coerced[field] = value;
+      repairs.push({ field, problem, fix: 'coerced' });
+    }
+  });
+
+  return {
+    story: coerced,
+    repairs,
+    invalidFields: validateStory(coerced).map(error => error.field)
+  };
+}
+
+// Last resort for fields the model could not fix
+function applySafeDefaults(story, fields) {
+  const fixed = { ...story };
+  const repairs = [];
+
+  fields.forEach(field => {
+    const rule = STORY_SCHEMA[field];
+    const problem = checkField(field, story[field]);
+    if (!rule || !problem) {
+      return;
+    }
+
+    fixed[field] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+    repairs.push({ field, problem, fix: 'default' });
+  });
+
+  return { story: fixed, repairs };
+}
+
+// Coerce, then default whatever is still invalid - for stories that never went through the model
+function normalizeStory(story) {
+  const coerced = coerceStory(story);
+  const defaulted = applySafeDefaults(coerced.story, coerced.invalidFields);
+  return {
+    story: defaulted.story,
+    repairs: [...coerced.repairs, ...defaulted.repairs]
+  };
+}
+
+// Human-readable rule for a field, used when re-asking the model
+function describeField(field) {
+  const rule = STORY_SCHEMA[field];
+  switch (rule.type) {
+    case 'enum':
+      return `one of: ${rule.values.join(', ')}`;
+    case 'effort':
+      return `one of: ${STORY_EFFORTS.map(formatEffort).join(', ')}`;
+    case 'array':
+      return 'array of strings';
+    case 'number':
+      return `number between ${rule.min} and ${rule.max}`;
+    default:
+      return 'non-empty string';
+  }
+}
+
+module.exports = {
+  STORY_SCHEMA,
+  STORY_TYPES,
+  STORY_PRIORITIES,
+  STORY_EFFORTS,
+  validateStory,
+  coerceStory,
+  coerceField,
+  applySafeDefaults,
+  normalizeStory,
+  describeField
+};
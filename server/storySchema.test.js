@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { coerceStory, applySafeDefaults, validateStory } = require('./storySchema');
+
+const validStory = {
+  title: 'Add CSV export to reports',
+  userStory: 'As an admin, I want to export reports so that I can share them',
+  type: 'Feature',
+  priority: 'High',
+  effort: '3 story points',
+  epic: 'Reporting',
+  description: 'Export any report as CSV',
+  acceptanceCriteria: ['Exports all rows'],
+  technicalRequirements: [],
+  businessValue: 'Fewer support requests',
+  risks: [],
+  confidence: 0.8
+};
+
+test('validateStory accepts a complete story', () => {
+  assert.deepEqual(validateStory(validStory), []);
+});
+
+test('coerceStory fixes casing, numbers and lists', () => {
+  const { story, repairs, invalidFields } = coerceStory({
+    ...validStory,
+    type: 'bug',
+    priority: ' low ',
+    effort: '4',
+    confidence: '85%',
+    acceptanceCriteria: '- Exports all rows\n- Includes headers',
+    businessValue: ['Saves time', 'Fewer tickets']
+  });
+
+  assert.equal(story.type, 'Bug');
+  assert.equal(story.priority, 'Low');
+  assert.equal(story.effort, '5 story points');
+  assert.equal(story.confidence, 0.85);
+  assert.deepEqual(story.acceptanceCriteria, ['Exports all rows', 'Includes headers']);
+  assert.equal(story.businessValue, 'Saves time\nFewer tickets');
+  assert.deepEqual(repairs.map(repair => repair.field).sort(),
+    ['acceptanceCriteria', 'businessValue', 'confidence', 'effort', 'priority', 'type']);
+  repairs.forEach(repair => assert.equal(repair.fix, 'coerced'));
+  assert.deepEqual(invalidFields, []);
+});
+
+test('coerceStory caps effort and clamps confidence', () => {
+  const { story } = coerceStory({ ...validStory, effort: 13, confidence: 150 });
+
+  assert.equal(story.effort, '8 story points');
+  assert.equal(story.confidence, 1);
+});
+
+test('coerceStory leaves what it cannot fix and reports it', () => {
+  const { story, invalidFields } = coerceStory({ ...validStory, type: 'Epic', userStory: '', confidence: 'high' });
+
+  assert.equal(story.type, 'Epic');
+  assert.equal(story.confidence, 'high');
+  assert.deepEqual(invalidFields.sort(), ['confidence', 'type', 'userStory']);
+});
+
+test('applySafeDefaults fills only the invalid fields it is given', () => {
+  const broken = { ...validStory, type: 'Epic', risks: 'none', confidence: 'high' };
+  const { story, repairs } = applySafeDefaults(broken, ['type', 'risks', 'title']);
+
+  assert.equal(story.type, 'Feature');
+  assert.deepEqual(story.risks, []);
+  // Valid, or not listed - left alone
+  assert.equal(story.title, validStory.title);
+  assert.equal(story.confidence, 'high');
+  assert.deepEqual(repairs, [
+    { field: 'type', problem: 'must be one of Feature, Bug, Technical Debt, UX, Infrastructure, Performance, API, Database', fix: 'default' },
+    { field: 'risks', problem: 'expected array', fix: 'default' }
+  ]);
+  assert.equal(broken.type, 'Epic');
+});
+
+test('applySafeDefaults gives each story its own default lists', () => {
+  const first = applySafeDefaults({}, ['risks']).story;
+  first.risks.push('Changed');
+
+  assert.deepEqual(applySafeDefaults({}, ['risks']).story.risks, []);
+});
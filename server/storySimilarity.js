@@ -0,0 +1,83 @@
+// Helpers for deciding whether two generated stories describe the same work item
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'with', 'by', 'from', 'as', 'at', 'is', 'be'
+]);
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+// Jaccard similarity of the significant words in two strings (0-1)
+function textSimilarity(a, b) {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) {
+      shared++;
+    }
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Titles carry most of the signal; descriptions break ties
+function storySimilarity(storyA, storyB) {
+  const titleScore = textSimilarity(storyA.title, storyB.title);
+  const descriptionScore = textSimilarity(storyA.description, storyB.description);
+  return titleScore * 0.7 + descriptionScore * 0.3;
+}
+
+// Greedily pair stories from two lists, best matches first.
+// Returns { matched: [{ a, b, score }], onlyA: [...], onlyB: [...] }
+function matchStories(listA, listB, threshold = 0.3) {
+  const candidates = [];
+  listA.forEach((a, indexA) => {
+    listB.forEach((b, indexB) => {
+      const score = storySimilarity(a, b);
+      if (score >= threshold) {
+        candidates.push({ indexA, indexB, score });
+      }
+    });
+  });
+  candidates.sort((x, y) => y.score - x.score);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  const matched = [];
+
+  for (const candidate of candidates) {
+    if (usedA.has(candidate.indexA) || usedB.has(candidate.indexB)) {
+      continue;
+    }
+    usedA.add(candidate.indexA);
+    usedB.add(candidate.indexB);
+    matched.push({
+      a: listA[candidate.indexA],
+      b: listB[candidate.indexB],
+      score: Math.round(candidate.score * 100) / 100
+    });
+  }
+
+  return {
+    matched,
+    onlyA: listA.filter((_, index) => !usedA.has(index)),
+    onlyB: listB.filter((_, index) => !usedB.has(index))
+  };
+}
+
+module.exports = {
+  textSimilarity,
+  storySimilarity,
+  matchStories
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { hasContentChanges, createVersion } = require('./storyVersions');
+
+// Persistent store for generated stories so every processing path
+// (manual, cron, webhook, auto-process-all) lands in one place
+const dataPath = path.join(__dirname, '..', 'stories.json');
+
+let storiesData = {
+  stories: [],
+  lastUpdated: ''
+};
+
+function loadStories() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      const data = fs.readFileSync(dataPath, 'utf8');
+      storiesData = JSON.parse(data);
+      if (!Array.isArray(storiesData.stories)) {
+        storiesData.stories = [];
+      }
+      // Stories saved before the review workflow have no status yet
+      storiesData.stories.forEach(story => {
+        if (!story.status) {
+          story.status = story.deployedToJira ? 'deployed' : 'draft';
+        }
+      });
+      console.log(`✅ Loaded ${storiesData.stories.length} stories from story store`);
+    } else {
+      saveStories();
+      console.log('✅ Initialized empty story store');
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading story store:', error.message);
+    return false;
+  }
+}
+
+function saveStories() {
+  try {
+    storiesData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(storiesData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving story store:', error.message);
+    return false;
+  }
+}
+
+function listStories(filters = {}) {
+  return storiesData.stories.filter(story => {
+    return Object.entries(filters).every(([key, value]) => {
+      if (value === undefined || value === '') {
+        return true;
+      }
+      return String(story[key]) === String(value);
+    });
+  });
+}
+
+function getStory(id) {
+  return storiesData.stories.find(story => story.id === id) || null;
+}
+
+function addStories(stories) {
+  const now = new Date().toISOString();
+  const added = stories.map(story => ({
+    ...story,
+    createdAt: story.createdAt || now,
+    updatedAt: now,
+    version: 1,
+    versions: [createVersion(story, 1, { reason: 'generated' })]
+  }));
+  storiesData.stories.push(...added);
+  saveStories();
+  console.log(`💾 Stored ${added.length} stories (${storiesData.stories.length} total)`);
+  return added;
+}
+
+// Content changes are recorded as a new version; versionMeta says why (edited, regenerated, rollback)
+function updateStory(id, updates, versionMeta = {}) {
+  const index = storiesData.stories.findIndex(story => story.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  // Never let an update change the story identity or rewrite its history
+  const { id: ignoredId, createdAt, version, versions, ...changes } = updates;
+
+  const previous = storiesData.stories[index];
+  const updated = {
+    ...previous,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+
+  if (hasContentChanges(previous, updated)) {
+    // Stories stored before versioning get their original content as v1
+    const history = previous.versions && previous.versions.length > 0
+      ? [...previous.versions]
+      : [createVersion(previous, 1, { reason: 'generated' })];
+    const nextVersion = history[history.length - 1].version + 1;
+
+    history.push(createVersion(updated, nextVersion, versionMeta));
+    updated.version = nextVersion;
+    updated.versions = history;
+  }
+
+  storiesData.stories[index] = updated;
+  saveStories();
+  return updated;
+}
+
+function getVersion(id, versionNumber) {
+  const story = getStory(id);
+  if (!story || !story.versions) {
+    return null;
+  }
+  return story.versions.find(v => v.version === versionNumber) || null;
+}
+
+function deleteStory(id) {
+  const index = storiesData.stories.findIndex(story => story.id === id);
+  if (index === -1) {
+    return false;
+  }
+
+  storiesData.stories.splice(index, 1);
+  saveStories();
+  console.log(`🗑️ Deleted story ${id}`);
+  return true;
+}
+
+module.exports = {
+  loadStories,
+  saveStories,
+  listStories,
+  getStory,
+  addStories,
+  updateStory,
+  getVersion,
+  deleteStory
+};
@@ -0,0 +1,67 @@
+// Version snapshots and field-by-field diffs for story content
+
+// Fields written by the model or a reviewer - metadata like status or slackStatus is not versioned
+const CONTENT_FIELDS = [
+  'title',
+  'userStory',
+  'problemStatement',
+  'type',
+  'priority',
+  'effort',
+  'epic',
+  'description',
+  'acceptanceCriteria',
+  'technicalRequirements',
+  'businessValue',
+  'risks',
+  'confidence',
+  'discussionContext'
+];
+
+function pickContentFields(story) {
+  const fields = {};
+  CONTENT_FIELDS.forEach(field => {
+    if (story[field] !== undefined) {
+      fields[field] = story[field];
+    }
+  });
+  return fields;
+}
+
+function valuesEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function hasContentChanges(before, after) {
+  return CONTENT_FIELDS.some(field => !valuesEqual(before[field], after[field]));
+}
+
+function createVersion(story, version, meta = {}) {
+  return {
+    version,
+    createdAt: new Date().toISOString(),
+    reason: meta.reason || 'edited',
+    guidance: meta.guidance || '',
+    fields: pickContentFields(story)
+  };
+}
+
+// Field-by-field comparison of two content snapshots
+function diffFields(fromFields, toFields) {
+  return CONTENT_FIELDS
+    .filter(field => fromFields[field] !== undefined || toFields[field] !== undefined)
+    .map(field => ({
+      field,
+      before: fromFields[field] === undefined ? null : fromFields[field],
+      after: toFields[field] === undefined ? null : toFields[field],
+      changed: !valuesEqual(fromFields[field], toFields[field])
+    }));
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  pickContentFields,
+  hasContentChanges,
+  createVersion,
+  diffFields
+};
@@ -0,0 +1,228 @@
+// Split long transcripts into overlapping chunks and merge the stories extracted from each.
+// Chunk size is in characters (roughly 4 characters per token):
+//   CHUNK_MAX_CHARS=12000
+//   CHUNK_OVERLAP_CHARS=1500
+
+const { storySimilarity } = require('./storySimilarity');
+
+const DEFAULT_MAX_CHARS = 12000;
+const DEFAULT_OVERLAP_CHARS = 1500;
+const DUPLICATE_THRESHOLD = 0.5;
+
+// "[00:12:34]", "00:12:34" or "12:34" at the start of a line
+const TIMESTAMP_PATTERN = /^\[?(\d{1,2}:)?\d{1,2}:\d{2}(\.\d+)?\]?/;
+// "Jane Doe:" or "SPEAKER 1:" at the start of a line (after an optional timestamp)
+const SPEAKER_PATTERN = /^(?:\[?(?:\d{1,2}:)?\d{1,2}:\d{2}(?:\.\d+)?\]?\s*[-–]?\s*)?([A-Z][\w .'-]{0,40}):\s/;
+
+function getChunkOptions(options = {}) {
+  return {
+    maxChars: options.maxChars || parseInt(process.env.CHUNK_MAX_CHARS, 10) || DEFAULT_MAX_CHARS,
+    overlapChars: options.overlapChars || parseInt(process.env.CHUNK_OVERLAP_CHARS, 10) || DEFAULT_OVERLAP_CHARS
+  };
+}
+
+// Break a transcript into speaker turns - a new turn starts at a timestamp or "Speaker:" line
+function splitIntoTurns(transcript) {
+  const turns = [];
+  let current = null;
+
+  transcript.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    const timestampMatch = trimmed.match(TIMESTAMP_PATTERN);
+    const speakerMatch = trimmed.match(SPEAKER_PATTERN);
+
+    if (!current || timestampMatch || speakerMatch) {
+      current = {
+        text: trimmed,
+        speaker: speakerMatch ? speakerMatch[1].trim() : (current ? current.speaker : null),
+        timestamp: timestampMatch ? timestampMatch[0].replace(/[[\]]/g, '') : null
+      };
+      turns.push(current);
+    } else {
+      current.text += '\n' + trimmed;
+    }
+  });
+
+  return turns;
+}
+
+// A single turn longer than a chunk is cut on sentence boundaries
+function splitLongTurn(turn, maxChars) {
+  if (turn.text.length <= maxChars) {
+    return [turn];
+  }
+
+  const sentences = turn.text.match(/[^.!?\n]+[.!?\n]*/g) || [turn.text];
+  const parts = [];
+  let buffer = '';
+
+  sentences.forEach(sentence => {
+    if (buffer && buffer.length + sentence.length > maxChars) {
+      parts.push(buffer);
+      buffer = '';
+    }
+    // Sentences longer than a chunk are hard-cut
+    while (sentence.length > maxChars) {
+      parts.push(sentence.substring(0, maxChars));
+      sentence = sentence.substring(maxChars);
+    }
+    buffer += sentence;
+  });
+  if (buffer) {
+    parts.push(buffer);
+  }
+
+  return parts.map((text, index) => ({
+    ...turn,
+    text,
+    timestamp: index === 0 ? turn.timestamp : null
+  }));
+}
+
+// Group turns into chunks of at most maxChars, repeating the last overlapChars of turns at the start of the next chunk
+function chunkTranscript(transcript, options = {}) {
+  const { maxChars, overlapChars } = getChunkOptions(options);
+
+  if (!transcript || transcript.length <= maxChars) {
+    return [{
+      index: 0,
+      total: 1,
+      text: transcript || '',
+      startTime: null,
+      endTime: null,
+      speakers: []
+    }];
+  }
+
+  const turns = splitIntoTurns(transcript).flatMap(turn => splitLongTurn(turn, maxChars));
+  const chunkTurns = [];
+  let current = [];
+  let currentLength = 0;
+
+  turns.forEach(turn => {
+    if (current.length > 0 && currentLength + turn.text.length + 1 > maxChars) {
+      chunkTurns.push(current);
+
+      // Carry trailing turns into the next chunk so discussions spanning the boundary are not lost
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (overlapLength + current[i].text.length > overlapChars) {
+          break;
+        }
+        overlap.unshift(current[i]);
+        overlapLength += current[i].text.length + 1;
+      }
+      // The overlap gives way when it and the next turn don't fit in one chunk
+      while (overlap.length > 0 && overlapLength + turn.text.length + 1 > maxChars) {
+        overlapLength -= overlap.shift().text.length + 1;
+      }
+
+      current = overlap;
+      currentLength = overlapLength;
+    }
+
+    current.push(turn);
+    currentLength += turn.text.length + 1;
+  });
+
+  if (current.length > 0) {
+    chunkTurns.push(current);
+  }
+
+  return chunkTurns.map((group, index) => {
+    const timestamps = group.map(turn => turn.timestamp).filter(Boolean);
+    return {
+      index,
+      total: chunkTurns.length,
+      text: group.map(turn => turn.text).join('\n'),
+      startTime: timestamps[0] || null,
+      endTime: timestamps[timestamps.length - 1] || null,
+      speakers: [...new Set(group.map(turn => turn.speaker).filter(Boolean))]
+    };
+  });
+}
+
+function chunkReference(chunk) {
+  return {
+    index: chunk.index,
+    total: chunk.total,
+    startTime: chunk.startTime,
+    endTime: chunk.endTime
+  };
+}
+
+function unionList(a, b) {
+  const seen = new Set();
+  const asList = (value) => (Array.isArray(value) ? value : []);
+  return [...asList(a), ...asList(b)].filter(item => {
+    const key = String(item).toLowerCase().trim();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// Reduce step: combine stories from every chunk and fold near-duplicates together.
+// chunkResults is [{ chunk, stories }]; each merged story keeps sourceChunk plus every chunk it appeared in.
+// Only stories from different chunks are folded - stories the model returned separately for one chunk stay apart.
+function mergeChunkStories(chunkResults, threshold = DUPLICATE_THRESHOLD) {
+  const merged = [];
+
+  chunkResults.forEach(({ chunk, stories }) => {
+    (stories || []).forEach(story => {
+      const tagged = {
+        ...story,
+        sourceChunk: chunkReference(chunk),
+        sourceChunks: [chunk.index]
+      };
+
+      let bestIndex = -1;
+      let bestScore = 0;
+      merged.forEach((existing, index) => {
+        if (existing.sourceChunks.includes(chunk.index)) {
+          return;
+        }
+        const score = storySimilarity(existing, tagged);
+        if (score >= threshold && score > bestScore) {
+          bestIndex = index;
+          bestScore = score;
+        }
+      });
+
+      if (bestIndex === -1) {
+        merged.push(tagged);
+        return;
+      }
+
+      // Keep the more confident version as the base and pool the list fields
+      const existing = merged[bestIndex];
+      const [primary, secondary] = (tagged.confidence || 0) > (existing.confidence || 0)
+        ? [tagged, existing]
+        : [existing, tagged];
+
+      merged[bestIndex] = {
+        ...primary,
+        acceptanceCriteria: unionList(primary.acceptanceCriteria, secondary.acceptanceCriteria),
+        technicalRequirements: unionList(primary.technicalRequirements, secondary.technicalRequirements),
+        risks: unionList(primary.risks, secondary.risks),
+        sourceChunks: [...new Set([...existing.sourceChunks, ...tagged.sourceChunks])].sort((a, b) => a - b)
+      };
+    });
+  });
+
+  return merged;
+}
+
+module.exports = {
+  getChunkOptions,
+  splitIntoTurns,
+  chunkTranscript,
+  mergeChunkStories
+};
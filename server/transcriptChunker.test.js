@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkTranscript, mergeChunkStories } = require('./transcriptChunker');
+
+// "Speaker: " plus filler, exactly `length` characters long
+function turn(speaker, length) {
+  const prefix = `${speaker}: `;
+  return prefix + 'x'.repeat(length - prefix.length);
+}
+
+test('chunkTranscript keeps a short transcript in one chunk', () => {
+  const chunks = chunkTranscript('Alice: hello\nBob: hi', { maxChars: 100, overlapChars: 20 });
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].total, 1);
+  assert.equal(chunks[0].text, 'Alice: hello\nBob: hi');
+});
+
+test('chunkTranscript repeats trailing turns at the start of the next chunk', () => {
+  const turns = Array.from({ length: 12 }, (_, index) => turn(index % 2 ? 'Bob' : 'Alice', 90));
+  const chunks = chunkTranscript(turns.join('\n'), { maxChars: 400, overlapChars: 100 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.index, index);
+    assert.equal(chunk.total, chunks.length);
+    assert.ok(chunk.text.length <= 400, `chunk ${index} is ${chunk.text.length} characters`);
+    assert.deepEqual([...chunk.speakers].sort(), ['Alice', 'Bob']);
+  });
+  for (let index = 1; index < chunks.length; index++) {
+    const previousTurns = chunks[index - 1].text.split('\n');
+    assert.equal(chunks[index].text.split('\n')[0], previousTurns[previousTurns.length - 1]);
+  }
+  // Every turn still appears somewhere
+  turns.forEach(text => assert.ok(chunks.some(chunk => chunk.text.includes(text))));
+});
+
+test('chunkTranscript drops the overlap when it and the next turn would exceed maxChars', () => {
+  const first = turn('Alice', 140);
+  const second = turn('Bob', 140);
+  const long = turn('Carol', 250);
+  const chunks = chunkTranscript([first, second, long].join('\n'), { maxChars: 300, overlapChars: 250 });
+
+  assert.deepEqual(chunks.map(chunk => chunk.text), [`${first}\n${second}`, long]);
+  chunks.forEach(chunk => assert.ok(chunk.text.length <= 300));
+});
+
+test('chunkTranscript cuts a turn longer than a chunk on sentence boundaries', () => {
+  const sentence = 'The export job times out on large accounts. ';
+  const chunks = chunkTranscript(`Alice: ${sentence.repeat(20)}`, { maxChars: 200, overlapChars: 50 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(chunk.text.length <= 200));
+});
+
+const chunk = (index) => ({ index, total: 3, startTime: null, endTime: null });
+const story = (title, overrides = {}) => ({
+  title,
+  description: `${title} for every workspace`,
+  acceptanceCriteria: [],
+  confidence: 0.5,
+  ...overrides
+});
+
+test('mergeChunkStories folds near-duplicates from different chunks', () => {
+  const merged = mergeChunkStories([
+    { chunk: chunk(0), stories: [story('Add CSV export to reports', { acceptanceCriteria: ['Exports all rows'], confidence: 0.6 })] },
+    { chunk: chunk(1), stories: [story('Add CSV export to reports', { acceptanceCriteria: ['Includes headers'], confidence: 0.9 })] }
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].sourceChunks, [0, 1]);
+  assert.equal(merged[0].confidence, 0.9);
+  assert.equal(merged[0].sourceChunk.index, 1);
+  assert.deepEqual(merged[0].acceptanceCriteria, ['Includes headers', 'Exports all rows']);
+});
+
+test('mergeChunkStories keeps similar stories from the same chunk apart', () => {
+  const merged = mergeChunkStories([
+    { chunk: chunk(0), stories: [story('Add CSV export to reports'), story('Add CSV export to reports')] }
+  ]);
+
+  assert.equal(merged.length, 2);
+  merged.forEach(item => assert.deepEqual(item.sourceChunks, [0]));
+});
+
+test('mergeChunkStories merges a later chunk into only one of two same-chunk stories', () => {
+  const merged = mergeChunkStories([
+    { chunk: chunk(0), stories: [story('Add CSV export to reports'), story('Add CSV export to reports')] },
+    { chunk: chunk(1), stories: [story('Add CSV export to reports')] }
+  ]);
+
+  assert.deepEqual(merged.map(item => item.sourceChunks), [[0, 1], [0]]);
+});
+
+test('mergeChunkStories keeps different stories from different chunks', () => {
+  const merged = mergeChunkStories([
+    { chunk: chunk(0), stories: [story('Add CSV export to reports')] },
+    { chunk: chunk(1), stories: [story('Fix login redirect loop on Safari')] }
+  ]);
+
+  assert.equal(merged.length, 2);
+});
@@ -0,0 +1,259 @@
+// Parse uploaded transcript files (TXT, VTT, SRT, JSON) into one normalized shape:
+// { format, segments: [{ start, end, speaker, text }], speakers, duration, text }
+// text is rendered as "[HH:MM:SS] Speaker: words" lines, the layout transcriptChunker splits on.
+
+const SUPPORTED_FORMATS = ['txt', 'vtt', 'srt', 'json'];
+
+// "00:01:02.500", "00:01:02,500" or "01:02.500" -> seconds
+const CUE_TIME = /(\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3}/;
+const CUE_TIMING_LINE = new RegExp(`(${CUE_TIME.source})\\s*-->\\s*(${CUE_TIME.source})`);
+// "[00:12:34] Jane Doe: text", "00:12:34 - Jane Doe: text" or "Jane Doe: text"
+const TXT_LINE = /^(?:\[?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:\.\d+)?)\]?\s*[-–]?\s*)?(?:([A-Z][\w .'-]{0,40}):\s+)?(.*)$/;
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const parts = String(value).trim().replace(',', '.').split(':').map(Number);
+  if (parts.some(Number.isNaN)) {
+    return null;
+  }
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatTime(seconds) {
+  const total = Math.floor(seconds || 0);
+  const hours = String(Math.floor(total / 3600)).padStart(2, '0');
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}:${secs}`;
+}
+
+function stripMarkup(text) {
+  return text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Speaker from a "<v Name>" voice tag or a leading "Name:" prefix
+function splitSpeaker(text) {
+  const voice = text.match(/^<v(?:\.[\w.]+)?\s+([^>]+)>/);
+  if (voice) {
+    return { speaker: voice[1].trim(), text: stripMarkup(text) };
+  }
+
+  const clean = stripMarkup(text);
+  const prefix = clean.match(/^([A-Z][\w .'-]{0,40}):\s+(.*)$/);
+  return prefix
+    ? { speaker: prefix[1].trim(), text: prefix[2] }
+    : { speaker: null, text: clean };
+}
+
+// VTT and SRT are both blocks of "timing line + text lines" separated by blank lines
+function parseCues(content) {
+  return content
+    .replace(/\r/g, '')
+    .split(/\n{2,}/)
+    .map(block => {
+      const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+      const timingIndex = lines.findIndex(line => CUE_TIMING_LINE.test(line));
+      if (timingIndex === -1) {
+        return null;
+      }
+
+      const timing = lines[timingIndex].match(CUE_TIMING_LINE);
+      const body = lines.slice(timingIndex + 1).join(' ');
+      if (!body) {
+        return null;
+      }
+
+      return {
+        start: parseTime(timing[1]),
+        end: parseTime(timing[3]),
+        ...splitSpeaker(body)
+      };
+    })
+    .filter(Boolean);
+}
+
+function parseTxt(content) {
+  const segments = [];
+
+  content.replace(/\r/g, '').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    const [, time, speaker, text] = trimmed.match(TXT_LINE);
+    const previous = segments[segments.length - 1];
+
+    // Lines without a timestamp or speaker continue the previous turn
+    if (previous && !time && !speaker) {
+      previous.text += ' ' + text;
+      return;
+    }
+
+    segments.push({
+      start: parseTime(time),
+      end: null,
+      speaker: speaker ? speaker.trim() : null,
+      text
+    });
+  });
+
+  return segments;
+}
+
+const JSON_SPEAKER_KEYS = ['speaker', 'speaker_name', 'speakerName', 'name', 'participant', 'user', 'author'];
+const JSON_TEXT_KEYS = ['text', 'content', 'transcript', 'caption', 'words', 'message'];
+const JSON_START_KEYS = ['start', 'start_time', 'startTime', 'timestamp', 'offset', 'begin'];
+const JSON_END_KEYS = ['end', 'end_time', 'endTime', 'stop'];
+const JSON_LIST_KEYS = ['segments', 'transcript', 'entries', 'utterances', 'results', 'captions', 'items', 'data'];
+
+function pickKey(object, keys) {
+  const key = keys.find(k => object[k] !== undefined && object[k] !== null);
+  return key ? object[key] : undefined;
+}
+
+function readJsonText(value) {
+  if (Array.isArray(value)) {
+    // Word-level arrays: [{ word|text }] or plain strings
+    return value.map(item => (typeof item === 'string' ? item : item.word || item.text || '')).join(' ');
+  }
+  return typeof value === 'string' ? value : '';
+}
+
+// Finds the segment list in common export shapes - a bare array or an object wrapping one
+function findSegmentList(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && typeof data === 'object') {
+    for (const key of JSON_LIST_KEYS) {
+      if (Array.isArray(data[key])) {
+        return data[key];
+      }
+      if (data[key] && typeof data[key] === 'object') {
+        const nested = findSegmentList(data[key]);
+        if (nested) {
+          return nested;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function parseJson(content) {
+  const data = JSON.parse(content);
+  const list = findSegmentList(data);
+
+  if (!list) {
+    throw new Error('No transcript segments found in JSON - expected an array of { speaker, text, start }');
+  }
+
+  const segments = list
+    .filter(item => item && typeof item === 'object')
+    .map(item => {
+      const speaker = pickKey(item, JSON_SPEAKER_KEYS);
+      return {
+        start: parseTime(pickKey(item, JSON_START_KEYS)),
+        end: parseTime(pickKey(item, JSON_END_KEYS)),
+        speaker: typeof speaker === 'object' && speaker !== null ? speaker.name || null : speaker || null,
+        text: stripMarkup(readJsonText(pickKey(item, JSON_TEXT_KEYS)))
+      };
+    })
+    .filter(segment => segment.text);
+
+  // Exports using millisecond offsets - no meeting runs ten hours
+  const times = segments.flatMap(segment => [segment.start, segment.end]).filter(time => time !== null);
+  if (times.length > 0 && Math.max(...times) > 36000) {
+    segments.forEach(segment => {
+      segment.start = segment.start !== null ? segment.start / 1000 : null;
+      segment.end = segment.end !== null ? segment.end / 1000 : null;
+    });
+  }
+
+  return segments;
+}
+
+function detectFormat(filename = '', content = '') {
+  const extension = (filename.split('.').pop() || '').toLowerCase();
+  if (SUPPORTED_FORMATS.includes(extension)) {
+    return extension;
+  }
+
+  const start = content.trimStart();
+  if (start.startsWith('WEBVTT')) {
+    return 'vtt';
+  }
+  if (start.startsWith('{') || start.startsWith('[{')) {
+    return 'json';
+  }
+  if (/^\d+\s*\r?\n[\d:,]+\s*-->/.test(start)) {
+    return 'srt';
+  }
+  return 'txt';
+}
+
+// Consecutive segments from the same speaker become one turn
+function mergeTurns(segments) {
+  return segments.reduce((turns, segment) => {
+    const previous = turns[turns.length - 1];
+    if (previous && segment.speaker && previous.speaker === segment.speaker) {
+      previous.text += ' ' + segment.text;
+      previous.end = segment.end !== null ? segment.end : previous.end;
+    } else {
+      turns.push({ ...segment });
+    }
+    return turns;
+  }, []);
+}
+
+function renderTranscript(segments) {
+  return segments
+    .map(segment => {
+      const time = segment.start !== null ? `[${formatTime(segment.start)}] ` : '';
+      const speaker = segment.speaker ? `${segment.speaker}: ` : '';
+      return `${time}${speaker}${segment.text}`;
+    })
+    .join('\n');
+}
+
+// Parse an uploaded file - throws with a readable message when the content does not match the format
+function parseTranscript(content, { filename = '', format } = {}) {
+  const detected = (format || detectFormat(filename, content)).toLowerCase();
+
+  if (!SUPPORTED_FORMATS.includes(detected)) {
+    throw new Error(`Unsupported transcript format "${detected}". Use one of: ${SUPPORTED_FORMATS.join(', ')}`);
+  }
+
+  let segments;
+  if (detected === 'vtt' || detected === 'srt') {
+    segments = parseCues(content);
+  } else if (detected === 'json') {
+    segments = parseJson(content);
+  } else {
+    segments = parseTxt(content);
+  }
+
+  segments = mergeTurns(segments);
+
+  const times = segments.flatMap(segment => [segment.start, segment.end]).filter(time => time !== null);
+  return {
+    format: detected,
+    segments,
+    speakers: [...new Set(segments.map(segment => segment.speaker).filter(Boolean))],
+    duration: times.length > 0 ? Math.max(...times) : null,
+    text: renderTranscript(segments)
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  parseTranscript
+};
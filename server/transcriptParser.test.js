@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormat, parseTranscript } = require('./transcriptParser');
+
+test('parseTranscript reads WebVTT cues and voice tags', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:04.500',
+    '<v Alice Smith>The export times out</v>',
+    '',
+    '2',
+    '00:00:05.000 --> 00:00:07.000',
+    '<v Alice Smith>on large accounts.</v>',
+    '',
+    '00:01:02.000 --> 00:01:05.250',
+    '<v.loud Bob>Let\'s add a <b>background</b> job.'
+  ].join('\n');
+
+  const result = parseTranscript(vtt, { filename: 'standup.vtt' });
+
+  assert.equal(result.format, 'vtt');
+  assert.deepEqual(result.segments, [
+    { start: 1, end: 7, speaker: 'Alice Smith', text: 'The export times out on large accounts.' },
+    { start: 62, end: 65.25, speaker: 'Bob', text: 'Let\'s add a background job.' }
+  ]);
+  assert.deepEqual(result.speakers, ['Alice Smith', 'Bob']);
+  assert.equal(result.duration, 65.25);
+  assert.equal(result.text, '[00:00:01] Alice Smith: The export times out on large accounts.\n[00:01:02] Bob: Let\'s add a background job.');
+});
+
+test('parseTranscript reads SRT blocks with comma milliseconds and name prefixes', () => {
+  const srt = [
+    '1',
+    '00:00:01,000 --> 00:00:03,000',
+    'Alice: Reports are slow.',
+    '',
+    '2',
+    '00:00:03,500 --> 00:00:06,000',
+    'Bob: I can look at the query',
+    'this sprint.',
+    ''
+  ].join('\r\n');
+
+  assert.equal(detectFormat('', srt), 'srt');
+
+  const result = parseTranscript(srt);
+
+  assert.equal(result.format, 'srt');
+  assert.deepEqual(result.segments, [
+    { start: 1, end: 3, speaker: 'Alice', text: 'Reports are slow.' },
+    { start: 3.5, end: 6, speaker: 'Bob', text: 'I can look at the query this sprint.' }
+  ]);
+});
+
+test('parseTranscript reads JSON exports and converts millisecond offsets', () => {
+  const json = JSON.stringify({
+    meeting: 'Planning',
+    results: {
+      utterances: [
+        { speaker: { name: 'Alice' }, start_time: 61000, end_time: 64000, words: [{ word: 'Ship' }, { word: 'it' }] },
+        { speaker_name: 'Bob', start_time: 65000, end_time: 40000000, text: 'Agreed' },
+        { speaker_name: 'Bob', start_time: 66000, text: '' }
+      ]
+    }
+  });
+
+  assert.equal(detectFormat('', json), 'json');
+
+  const result = parseTranscript(json, { filename: 'export.json' });
+
+  assert.deepEqual(result.segments, [
+    { start: 61, end: 64, speaker: 'Alice', text: 'Ship it' },
+    { start: 65, end: 40000, speaker: 'Bob', text: 'Agreed' }
+  ]);
+  assert.equal(result.text, '[00:01:01] Alice: Ship it\n[00:01:05] Bob: Agreed');
+});
+
+test('parseTranscript rejects JSON without segments and unknown formats', () => {
+  assert.throws(() => parseTranscript('{"title": "Planning"}', { format: 'json' }), /No transcript segments found/);
+  assert.throws(() => parseTranscript('hello', { format: 'docx' }), /Unsupported transcript format "docx"/);
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Transcripts uploaded as files - kept so uploads can be listed, reprocessed and regenerated like Notion pages.
+// The id is derived from the normalized text, so uploading the same file twice maps to the same transcript.
+const dataPath = path.join(__dirname, '..', 'uploaded_transcripts.json');
+
+let uploadsData = {
+  uploads: [],
+  lastUpdated: ''
+};
+
+function loadUploads() {
+  try {
+    if (fs.existsSync(dataPath)) {
+      uploadsData = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+      if (!Array.isArray(uploadsData.uploads)) {
+        uploadsData.uploads = [];
+      }
+      console.log(`✅ Loaded ${uploadsData.uploads.length} uploaded transcripts`);
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error loading uploaded transcripts:', error.message);
+    return false;
+  }
+}
+
+function saveUploads() {
+  try {
+    uploadsData.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(dataPath, JSON.stringify(uploadsData, null, 2));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving uploaded transcripts:', error.message);
+    return false;
+  }
+}
+
+function uploadId(text) {
+  return `upload-${crypto.createHash('sha256').update(text).digest('hex').substring(0, 16)}`;
+}
+
+// Upload entry for a parsed transcript, without storing it - the stored entry when the same text was uploaded before
+function buildUpload({ title, filename, parsed }) {
+  const id = uploadId(parsed.text);
+  return getUpload(id) || {
+    id,
+    title,
+    filename,
+    format: parsed.format,
+    speakers: parsed.speakers,
+    duration: parsed.duration,
+    segmentCount: parsed.segments.length,
+    content: parsed.text,
+    uploadedAt: new Date().toISOString()
+  };
+}
+
+// Store a parsed transcript - returns the existing entry when the same text was uploaded before
+function addUpload({ title, filename, parsed }) {
+  const upload = buildUpload({ title, filename, parsed });
+  if (getUpload(upload.id)) {
+    return upload;
+  }
+
+  uploadsData.uploads.push(upload);
+  saveUploads();
+  return upload;
+}
+
+function getUpload(id) {
+  return uploadsData.uploads.find(upload => upload.id === id) || null;
+}
+
+function listUploads() {
+  return [...uploadsData.uploads].sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+function isUploadId(id) {
+  return typeof id === 'string' && id.startsWith('upload-');
+}
+
+module.exports = {
+  loadUploads,
+  buildUpload,
+  addUpload,
+  getUpload,
+  listUploads,
+  isUploadId
+};